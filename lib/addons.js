@@ -0,0 +1,145 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { STATUS, normalizePrice, normalizeStatus } from './mapSchema.js';
+
+// --- Add-on SKUs ---
+// Products bought on top of a tier (E5 Security, Teams Phone, Copilot),
+// stored in `addons`:
+//
+//   { name, nameKey, description, price?, features: [{ name, category?,
+//     status: 'Full'|'Partial', qualifier?, description?, link? }],
+//     createdAt, createdBy, updatedAt, updatedBy }
+//
+// `price` has the shape of one tier's price (lib/mapSchema.js). Features are
+// matched to comparison rows by name, through the merge rules, so "E3 + E5
+// Security" can be shown as a virtual column (mergeComparisonColumns).
+
+const MAX_FEATURES = 500;
+const GRANT_STATUSES = [STATUS.FULL, STATUS.PARTIAL];
+
+const indexesReady = new WeakSet();
+async function ensureIndexes(db) {
+    if (indexesReady.has(db)) return;
+    await db.collection('addons').createIndex({ nameKey: 1 }, { unique: true });
+    indexesReady.add(db);
+}
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+
+function validateFeature(raw, i) {
+    const path = `features[${i}]`;
+    if (!raw || typeof raw !== 'object') throw badRequest(`${path} must be an object`);
+    const name = clean(raw.name);
+    if (!name || name.length > 200) throw badRequest(`${path}.name is required (at most 200 characters)`);
+    const { status } = normalizeStatus(raw.status || STATUS.FULL);
+    if (!GRANT_STATUSES.includes(status)) throw badRequest(`${path}.status must be ${GRANT_STATUSES.join(' or ')}`);
+
+    const feature = { name, status };
+    for (const [field, max] of [['category', 120], ['qualifier', 80], ['description', 1000]]) {
+        const value = clean(raw[field]);
+        if (value.length > max) throw badRequest(`${path}.${field} is limited to ${max} characters`);
+        if (value) feature[field] = value;
+    }
+    const link = clean(raw.link);
+    if (link) {
+        if (!/^https?:\/\/\S+$/.test(link)) throw badRequest(`${path}.link must be an http(s) URL`);
+        feature.link = link;
+    }
+    return feature;
+}
+
+export function validateAddon(body, { partial = false } = {}) {
+    const addon = {};
+    if (!partial || body.name !== undefined) {
+        const name = clean(body.name);
+        if (!name || name.length > 120) throw badRequest('Name is required (at most 120 characters)');
+        addon.name = name;
+        addon.nameKey = name.toLowerCase();
+    }
+    if (!partial || body.description !== undefined) {
+        const description = clean(body.description);
+        if (description.length > 1000) throw badRequest('Description is limited to 1000 characters');
+        addon.description = description;
+    }
+    if (body.price !== undefined) {
+        if (body.price === null) {
+            addon.price = null;
+        } else {
+            const report = { warnings: [], repairs: [] };
+            const price = normalizePrice(body.price, 'price', report);
+            if (!price) throw badRequest(report.warnings.map(w => `${w.path}: ${w.message}`).join('; '));
+            addon.price = price;
+        }
+    }
+    if (!partial || body.features !== undefined) {
+        if (!Array.isArray(body.features)) throw badRequest('features must be an array');
+        if (body.features.length > MAX_FEATURES) throw badRequest(`An add-on can grant at most ${MAX_FEATURES} features`);
+        const features = [];
+        body.features.forEach((raw, i) => {
+            const feature = validateFeature(raw, i);
+            if (!features.some(f => f.name.toLowerCase() === feature.name.toLowerCase())) features.push(feature);
+        });
+        if (features.length === 0) throw badRequest('An add-on must grant at least one feature');
+        addon.features = features;
+    }
+    return addon;
+}
+
+const duplicateName = (name) => Object.assign(new Error(`An add-on named "${name}" already exists`), { status: 409 });
+
+export function createAddonRouter(getDB, requireRole) {
+    const router = express.Router();
+
+    // Virtual columns are built in the browser, so everyone reads add-ons
+    router.get('/addons', async (req, res) => {
+        try {
+            res.json(await (await getDB()).collection('addons').find({}).sort({ name: 1 }).toArray());
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/addons', requireRole('editor'), async (req, res) => {
+        try {
+            const now = new Date().toISOString();
+            const addon = { price: null, ...validateAddon(req.body || {}), createdAt: now, createdBy: req.user.username, updatedAt: now, updatedBy: req.user.username };
+            const db = await getDB();
+            await ensureIndexes(db);
+            const result = await db.collection('addons').insertOne(addon);
+            res.status(201).json({ ...addon, _id: result.insertedId });
+        } catch (err) {
+            if (err.code === 11000) err = duplicateName(clean(req.body?.name));
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.patch('/addons/:id', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid add-on id' });
+            const update = { ...validateAddon(req.body || {}, { partial: true }), updatedAt: new Date().toISOString(), updatedBy: req.user.username };
+            const db = await getDB();
+            await ensureIndexes(db);
+            const saved = await db.collection('addons').findOneAndUpdate({ _id: new ObjectId(req.params.id) }, { $set: update }, { returnDocument: 'after' });
+            if (!saved) return res.status(404).json({ error: 'Add-on not found' });
+            res.json(saved);
+        } catch (err) {
+            if (err.code === 11000) err = duplicateName(clean(req.body?.name));
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    // Comparisons that still name the add-on simply drop it
+    router.delete('/addons/:id', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid add-on id' });
+            const { deletedCount } = await (await getDB()).collection('addons').deleteOne({ _id: new ObjectId(req.params.id) });
+            if (!deletedCount) return res.status(404).json({ error: 'Add-on not found' });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
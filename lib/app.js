@@ -0,0 +1,70 @@
+import express from 'express';
+import cors from 'cors';
+import { createAuth } from './auth.js';
+import { createVersionRouter } from './versions.js';
+import { createNotificationRouter } from './notifications.js';
+import { createJobRouter } from './jobs.js';
+import { createSyncSourceRouter } from './syncSources.js';
+import { createShortLinkRouter } from './shortLinks.js';
+import { createComparisonRouter } from './comparisons.js';
+import { createMergeRuleRouter } from './mergeRules.js';
+import { createMatchReviewRouter } from './matchReview.js';
+import { createAddonRouter } from './addons.js';
+import { createSkuMappingRouter } from './skuMappings.js';
+import { createInventoryRouter } from './inventories.js';
+import { createLibraryRouter } from './library.js';
+import { createSearchRouter } from './search.js';
+import { createMapRouter } from './maps.js';
+import { createSyncRouter } from './sync.js';
+
+// --- API ---
+// The whole backend as one Express app. server.js listens with it locally,
+// api/index.js and api/sync.js hand it to Vercel; test/ runs it against an
+// in-memory MongoDB. New routers are mounted here and nowhere else.
+
+/**
+ * @param {object} options
+ * @param {() => Promise<import('mongodb').Db>} options.getDB   see lib/db.js
+ * @param {boolean} [options.waitForJobs]  finish extraction, sync and scan jobs before
+ *                                         responding (serverless)
+ */
+export function createApp({ getDB, waitForJobs = false }) {
+    const app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    const { router: authRouter, requireRole } = createAuth(getDB);
+
+    app.get('/api/health', (req, res) => {
+        res.json({ status: 'ok', time: new Date().toISOString() });
+    });
+
+    // Endpoints
+    app.use('/api/auth', authRouter);
+    app.use('/api', createMapRouter(getDB, requireRole, { waitForJobs }));
+    app.use('/api', createSyncRouter(getDB, requireRole, { waitForJobs }));
+    app.use('/api', createVersionRouter(getDB, requireRole));
+    app.use('/api/notifications', createNotificationRouter(getDB, requireRole));
+    app.use('/api', createJobRouter(getDB, requireRole));
+    app.use('/api', createSyncSourceRouter(getDB, requireRole));
+    app.use('/api', createShortLinkRouter(getDB, requireRole));
+    app.use('/api/comparisons', createComparisonRouter(getDB, requireRole));
+    app.use('/api', createMergeRuleRouter(getDB, requireRole));
+    app.use('/api', createMatchReviewRouter(getDB, requireRole, { waitForJobs }));
+    app.use('/api', createAddonRouter(getDB, requireRole));
+    app.use('/api', createSkuMappingRouter(getDB, requireRole));
+    app.use('/api', createInventoryRouter(getDB, requireRole));
+    app.use('/api', createLibraryRouter(getDB, requireRole));
+    app.use('/api', createSearchRouter(getDB));
+
+    // Global Error Handler (Always return JSON)
+    app.use((err, req, res, next) => {
+        console.error("💥 Unhandled Error:", err);
+        res.status(err.status || 500).json({
+            error: err.status ? err.message : "Internal Server Error",
+            message: err.message
+        });
+    });
+
+    return app;
+}
@@ -0,0 +1,283 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import express from 'express';
+import { ObjectId } from 'mongodb';
+
+// --- Authentication & Roles ---
+// Users live in the `users` collection with scrypt password hashes. A login
+// creates a row in `sessions` and hands back `<sessionId>.<hmac>`; the HMAC
+// lets us reject forged tokens without a DB round-trip, the session row lets
+// logout and role changes take effect immediately.
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['viewer', 'editor', 'super_admin'];
+const ROLE_RANK = { viewer: 1, editor: 2, super_admin: 3 };
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+    console.warn("⚠️ AUTH_SECRET is not set. Using a per-process secret; sessions will not survive a restart.");
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+export const hasRole = (user, role) => !!user && (ROLE_RANK[user.role] || 0) >= ROLE_RANK[role];
+
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+const sign = (value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+function readToken(req) {
+    const header = req.headers?.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+const publicUser = (u) => ({
+    id: u._id,
+    username: u.username,
+    role: u.role,
+    status: u.status,
+    createdAt: u.createdAt,
+    approvedAt: u.approvedAt,
+    approvedBy: u.approvedBy,
+});
+
+const indexesReady = new WeakSet();
+async function ensureIndexes(db) {
+    if (indexesReady.has(db)) return;
+    await db.collection('users').createIndex({ username: 1 }, { unique: true });
+    await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    indexesReady.add(db);
+}
+
+// Production deployments (NODE_ENV=production, or any Vercel deployment) only
+// get a super admin from ADMIN_USERNAME / ADMIN_PASSWORD, so a stranger cannot
+// claim a fresh instance by registering first
+const bootstrapsByRegistration = () => process.env.NODE_ENV !== 'production' && !process.env.VERCEL;
+
+const FIRST_ADMIN_MARKER = 'first_admin';
+
+/**
+ * True for exactly one registration on an instance without users: the
+ * marker's unique _id settles concurrent requests.
+ */
+async function claimFirstAdmin(db) {
+    if (!bootstrapsByRegistration()) return false;
+    if (await db.collection('users').countDocuments({}, { limit: 1 })) return false;
+    try {
+        await db.collection('migrations').insertOne({ _id: FIRST_ADMIN_MARKER, at: new Date().toISOString() });
+        return true;
+    } catch (err) {
+        if (err.code === 11000) return false;
+        throw err;
+    }
+}
+
+/**
+ * Create the bootstrap super admin from ADMIN_USERNAME / ADMIN_PASSWORD if no
+ * super admin exists yet. Without those variables the first registration wins,
+ * outside production.
+ */
+export async function seedSuperAdmin(db) {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!username || !password) return;
+    await ensureIndexes(db);
+    const users = db.collection('users');
+    if (await users.findOne({ role: 'super_admin', status: 'approved' })) return;
+    await users.updateOne(
+        { username },
+        {
+            $set: { passwordHash: await hashPassword(password), role: 'super_admin', status: 'approved', approvedAt: new Date().toISOString() },
+            $setOnInsert: { createdAt: new Date().toISOString() },
+        },
+        { upsert: true }
+    );
+    console.log(`🔑 Seeded super admin "${username}"`);
+}
+
+/**
+ * Resolve the user behind a request's bearer token, or null.
+ * Backs requireRole() below; the result is kept on `req.user`.
+ */
+export async function resolveUser(db, req) {
+    const token = readToken(req);
+    if (!token) return null;
+    const [sid, sig] = token.split('.');
+    if (!sid || !sig) return null;
+    const expected = Buffer.from(sign(sid));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    const session = await db.collection('sessions').findOne({ _id: sid, expiresAt: { $gt: new Date() } });
+    if (!session) return null;
+    const user = await db.collection('users').findOne({ _id: session.userId, status: 'approved' });
+    if (!user) return null;
+    return { ...publicUser(user), sessionId: sid };
+}
+
+/**
+ * Build the auth middleware and /api/auth router around a `getDB()` accessor.
+ */
+export function createAuth(getDB) {
+    const requireRole = (role) => async (req, res, next) => {
+        try {
+            if (req.user === undefined) req.user = await resolveUser(await getDB(), req);
+        } catch (err) {
+            return res.status(503).json({ error: err.message });
+        }
+        if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+        if (!hasRole(req.user, role)) return res.status(403).json({ error: `Requires ${role} role` });
+        next();
+    };
+
+    const router = express.Router();
+
+    router.post('/register', async (req, res) => {
+        try {
+            const { username, password } = req.body || {};
+            if (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,40}$/.test(username)) {
+                return res.status(400).json({ error: 'Username must be 3-40 letters, digits, dots, dashes or underscores' });
+            }
+            if (typeof password !== 'string' || password.length < 8) {
+                return res.status(400).json({ error: 'Password must be at least 8 characters' });
+            }
+
+            const db = await getDB();
+            await ensureIndexes(db);
+            const users = db.collection('users');
+            if (await users.findOne({ username })) return res.status(409).json({ error: 'Username taken' });
+
+            // The very first account bootstraps the instance as super admin
+            const isFirst = await claimFirstAdmin(db);
+            const now = new Date().toISOString();
+            const user = {
+                username,
+                passwordHash: await hashPassword(password),
+                role: isFirst ? 'super_admin' : 'viewer',
+                status: isFirst ? 'approved' : 'pending',
+                createdAt: now,
+                ...(isFirst ? { approvedAt: now } : {}),
+            };
+            const result = await users.insertOne(user).catch(async (err) => {
+                // Let the next registration bootstrap the instance instead
+                if (isFirst) await db.collection('migrations').deleteOne({ _id: FIRST_ADMIN_MARKER });
+                throw err;
+            });
+            res.status(201).json({ user: publicUser({ ...user, _id: result.insertedId }) });
+        } catch (err) {
+            if (err.code === 11000) return res.status(409).json({ error: 'Username taken' });
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/login', async (req, res) => {
+        try {
+            const { username, password } = req.body || {};
+            if (typeof username !== 'string' || typeof password !== 'string') {
+                return res.status(400).json({ error: 'Username and password are required' });
+            }
+            const db = await getDB();
+            await ensureIndexes(db);
+            const user = await db.collection('users').findOne({ username });
+            if (!user || !(await verifyPassword(password, user.passwordHash))) {
+                return res.status(401).json({ error: 'Invalid credentials' });
+            }
+            if (user.status !== 'approved') {
+                return res.status(403).json({ error: user.status === 'rejected' ? 'Access request was rejected' : 'Access request is pending approval' });
+            }
+
+            const sid = crypto.randomBytes(24).toString('hex');
+            const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+            await db.collection('sessions').insertOne({ _id: sid, userId: user._id, createdAt: new Date(), expiresAt });
+            res.json({ token: `${sid}.${sign(sid)}`, expiresAt: expiresAt.toISOString(), user: publicUser(user) });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/logout', requireRole('viewer'), async (req, res) => {
+        try {
+            const db = await getDB();
+            await db.collection('sessions').deleteOne({ _id: req.user.sessionId });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.get('/me', requireRole('viewer'), (req, res) => {
+        const { sessionId, ...user } = req.user;
+        res.json({ user });
+    });
+
+    // --- Admin approval queue (super admin only) ---
+
+    router.get('/users', requireRole('super_admin'), async (req, res) => {
+        try {
+            const db = await getDB();
+            const filter = req.query.status ? { status: String(req.query.status) } : {};
+            const users = await db.collection('users').find(filter).sort({ createdAt: -1 }).toArray();
+            res.json(users.map(publicUser));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    const reviewUser = (status) => async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid user id' });
+            const role = req.body?.role ?? 'viewer';
+            if (status === 'approved' && !ROLES.includes(role)) {
+                return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+            }
+            const _id = new ObjectId(req.params.id);
+            if (_id.equals(req.user.id)) return res.status(400).json({ error: 'You cannot review your own account' });
+
+            const db = await getDB();
+            const update = status === 'approved'
+                ? { status, role, approvedBy: req.user.username, approvedAt: new Date().toISOString() }
+                : { status, reviewedBy: req.user.username, reviewedAt: new Date().toISOString() };
+            const user = await db.collection('users').findOneAndUpdate({ _id }, { $set: update }, { returnDocument: 'after' });
+            if (!user) return res.status(404).json({ error: 'User not found' });
+            if (status !== 'approved') await db.collection('sessions').deleteMany({ userId: _id });
+            res.json(publicUser(user));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+
+    router.post('/users/:id/approve', requireRole('super_admin'), reviewUser('approved'));
+    router.post('/users/:id/reject', requireRole('super_admin'), reviewUser('rejected'));
+
+    router.patch('/users/:id', requireRole('super_admin'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid user id' });
+            const { role } = req.body || {};
+            if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+            const _id = new ObjectId(req.params.id);
+            if (_id.equals(req.user.id)) return res.status(400).json({ error: 'You cannot change your own role' });
+
+            const db = await getDB();
+            const user = await db.collection('users').findOneAndUpdate({ _id }, { $set: { role } }, { returnDocument: 'after' });
+            if (!user) return res.status(404).json({ error: 'User not found' });
+            res.json(publicUser(user));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return { router, requireRole };
+}
@@ -0,0 +1,44 @@
+// --- Comparison State ---
+// What a comparison link carries: the { mapId, tier } pairs being compared
+// (with `addons` ids for a virtual column, see lib/addons.js) and the view
+// filters. The address bar codec (src/lib/routes.js) and the
+// short link API both clean their input here, so they accept the same shapes.
+
+export const COMPARISON_VIEWS = ['map', 'matrix', 'costs'];
+export const MATRIX_MODES = ['full', 'availability'];
+export const MAX_COMPARED_TIERS = 24;
+export const MAX_COLUMN_ADDONS = 5;
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+/** Identity of a compared column: the same tier with other add-ons is another column. */
+export const columnKey = ({ mapId, tier, addons = [] }) => [mapId, tier, ...addons].join('\u0000');
+
+const addonIds = (raw) => [...new Set((Array.isArray(raw) ? raw : []).filter(id => typeof id === 'string' && /^[a-f0-9]{24}$/.test(id)))]
+    .sort()
+    .slice(0, MAX_COLUMN_ADDONS);
+
+/**
+ * Drop malformed and duplicate pairs and fill in defaults.
+ *
+ * @returns {{ view: string, tiers: {mapId: string, tier: string, addons?: string[]}[], search: string, diffOnly: boolean, mode: string }}
+ */
+export function sanitizeComparisonState(raw = {}) {
+    const tiers = [];
+    for (const pair of Array.isArray(raw.tiers) ? raw.tiers : []) {
+        const mapId = text(pair?.mapId, 64);
+        const tier = text(pair?.tier, 200);
+        const addons = addonIds(pair?.addons);
+        const column = addons.length ? { mapId, tier, addons } : { mapId, tier };
+        if (!mapId || !tier || tiers.some(p => columnKey(p) === columnKey(column))) continue;
+        tiers.push(column);
+        if (tiers.length === MAX_COMPARED_TIERS) break;
+    }
+    return {
+        view: COMPARISON_VIEWS.includes(raw.view) ? raw.view : 'matrix',
+        tiers,
+        search: text(raw.search, 200),
+        diffOnly: raw.diffOnly === true,
+        mode: MATRIX_MODES.includes(raw.mode) ? raw.mode : 'full',
+    };
+}
@@ -0,0 +1,315 @@
+// --- Comparison Table Parser ---
+// Rule-based extraction of the plan comparison grid on Microsoft's pages.
+// Works on <table> markup and on ARIA grids (role="table" / "row" / "cell"):
+//
+//   header row        the first row naming at least two of the source's tiers
+//   section rows      a single (or column-spanning) label cell -> category
+//   feature rows      label cell + one cell per tier -> feature and statuses
+//
+// Status cells are read from their text, then icon alt/aria labels, then
+// icon class names; an empty cell is "Not Included". Every feature is tagged
+// extractedBy: 'table'.
+//
+// parsePricingHtml() reads list prices ("$36.00 user/month") and assigns each
+// to the one tier named closest to it.
+
+import { parse } from 'node-html-parser';
+import { STATUS, normalizeStatus } from './mapSchema.js';
+
+const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+const norm = (s) => clean(s).toLowerCase();
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const CELL_SELECTOR = '[role="cell"], [role="gridcell"], [role="rowheader"], [role="columnheader"]';
+const CHECK_CLASS = /\b(check|checkmark|tick|included|available|yes)\b/i;
+const CROSS_CLASS = /\b(cross|x-mark|xmark|not-included|not-available|unavailable|dash|minus)\b/i;
+
+// --- Grid discovery ---
+
+function elementChildren(el) {
+    return el.childNodes.filter(n => n.nodeType === 1);
+}
+
+function rowCells(row, aria) {
+    if (aria) return row.querySelectorAll(CELL_SELECTOR);
+    return elementChildren(row).filter(c => c.tagName === 'TD' || c.tagName === 'TH');
+}
+
+function gridRows(grid) {
+    if (grid.tagName === 'TABLE') {
+        // Skip rows of nested tables
+        return grid.querySelectorAll('tr').filter(tr => tr.closest('table') === grid).map(tr => ({ el: tr, cells: rowCells(tr, false) }));
+    }
+    return grid.querySelectorAll('[role="row"]').map(row => ({ el: row, cells: rowCells(row, true) }));
+}
+
+const span = (cell) => Math.max(1, parseInt(cell.getAttribute('colspan') || cell.getAttribute('aria-colspan') || '1', 10) || 1);
+
+// Expand colspans so header and body cells line up by column index
+function slots(cells) {
+    const out = [];
+    for (const cell of cells) {
+        const n = span(cell);
+        for (let i = 0; i < n; i++) out.push(i === 0 ? cell : null);
+    }
+    return out;
+}
+
+// --- Text helpers ---
+
+function cellText(cell) {
+    if (!cell) return '';
+    const copy = parse(cell.outerHTML);
+    copy.querySelectorAll('sup, script, style, template').forEach(n => n.remove());
+    return clean(copy.text);
+}
+
+function labelParts(cell, baseUrl) {
+    const copy = parse(cell.outerHTML);
+    copy.querySelectorAll('sup, script, style, template').forEach(n => n.remove());
+    const full = clean(copy.text);
+    const heading = copy.querySelector('strong, b, h3, h4, h5, h6, [class*="title"], [class*="heading"]');
+    const name = heading ? clean(heading.text) : full;
+    let description = heading && full.length > name.length ? clean(full.replace(name, '')) : '';
+    if (!description) {
+        const tip = copy.querySelector('[data-tooltip], [data-content], [title]');
+        description = clean(tip?.getAttribute('data-tooltip') || tip?.getAttribute('data-content') || tip?.getAttribute('title') || '');
+    }
+
+    let link;
+    const href = copy.querySelector('a[href]')?.getAttribute('href');
+    if (href && !href.startsWith('#') && !href.startsWith('javascript:')) {
+        try {
+            link = new URL(href, baseUrl).toString();
+        } catch { /* ignore unparsable hrefs */ }
+    }
+    return { name: name || full, description, link };
+}
+
+// Screen-reader phrases on icons and hidden spans: "Feature included",
+// "Not available in Office 365 E1", "Check mark"
+function phraseStatus(label) {
+    if (/\b(not|no|unavailable|excluded|cross)\b/i.test(label)) return STATUS.NOT_INCLUDED;
+    if (/add-?on/i.test(label)) return STATUS.ADD_ON;
+    if (/\b(partial|partially|limited)\b/i.test(label)) return STATUS.PARTIAL;
+    if (/\b(check|checkmark|tick|included|available|yes)\b/i.test(label)) return STATUS.FULL;
+    return null;
+}
+
+// Phrases win over normalizeStatus so "Included in Microsoft 365 E3" does not
+// keep the tier name as a qualifier; plan names and sizes stay qualifiers
+function labelStatus(label) {
+    const status = phraseStatus(label);
+    if (status) return { status, qualifier: null };
+    const normalized = normalizeStatus(label);
+    return { status: normalized.status, qualifier: normalized.qualifier };
+}
+
+/**
+ * Read one status cell.
+ * @returns {{ status: string, qualifier: string|null }}
+ */
+export function readStatusCell(cell) {
+    if (!cell) return { status: STATUS.NOT_INCLUDED, qualifier: null };
+
+    const text = cellText(cell);
+    if (text) return labelStatus(text);
+
+    const marks = [cell, ...cell.querySelectorAll('img, svg, i, span, [aria-label], [title]')];
+    for (const el of marks) {
+        const label = clean(el.getAttribute('alt') || el.getAttribute('aria-label') || el.getAttribute('title') || '');
+        if (label) return labelStatus(label);
+    }
+
+    for (const el of marks) {
+        const cls = el.getAttribute('class') || '';
+        if (CROSS_CLASS.test(cls)) return { status: STATUS.NOT_INCLUDED, qualifier: null };
+        if (CHECK_CLASS.test(cls)) return { status: STATUS.FULL, qualifier: null };
+    }
+
+    // An unlabeled icon in a comparison grid is a checkmark
+    if (cell.querySelector('img, svg, i')) return { status: STATUS.FULL, qualifier: null };
+    return { status: STATUS.NOT_INCLUDED, qualifier: null };
+}
+
+// --- Tier matching ---
+
+function tierMatchers(tiers) {
+    return tiers.map(tier => {
+        const full = norm(tier);
+        const short = norm(tier.replace(/^(microsoft|office)\s+365\s+/i, ''));
+        return { tier, full, shortPattern: short && short !== full ? new RegExp(`(^|[^a-z0-9])${escapeRegExp(short)}($|[^a-z0-9])`) : null };
+    });
+}
+
+// Column index -> tier. Full names win over short ones ("E3" alone is ambiguous)
+function mapHeader(headerSlots, matchers) {
+    const columns = new Map();
+    const used = new Set();
+    for (const pass of ['full', 'short']) {
+        headerSlots.forEach((cell, i) => {
+            if (!cell || columns.has(i)) return;
+            const text = norm(cellText(cell));
+            if (!text) return;
+            const hit = matchers.find(m => !used.has(m.tier) && (pass === 'full' ? text.includes(m.full) : m.shortPattern?.test(text)));
+            if (hit) {
+                columns.set(i, hit.tier);
+                used.add(hit.tier);
+            }
+        });
+    }
+    return columns;
+}
+
+function precedingHeading(el) {
+    for (let node = el; node && node.tagName !== 'BODY'; node = node.parentNode) {
+        for (let sib = node.previousElementSibling; sib; sib = sib.previousElementSibling) {
+            if (/^H[1-4]$/.test(sib.tagName)) return clean(sib.text);
+            const nested = sib.querySelectorAll('h1, h2, h3, h4');
+            if (nested.length) return clean(nested[nested.length - 1].text);
+        }
+    }
+    return null;
+}
+
+// --- Parser ---
+
+/**
+ * @param {string} html
+ * @param {object} source   { tiers, url }
+ * @returns {{ data: { tiers, categories }, stats: { grids, rows, features } }}
+ */
+export function parseComparisonHtml(html, { tiers, url } = {}) {
+    const root = parse(html || '', { comment: false, blockTextElements: { script: false, style: false, noscript: false } });
+    const matchers = tierMatchers(tiers || []);
+    const stats = { grids: 0, rows: 0, features: 0 };
+    const categories = [];
+    const seen = new Set();
+    const foundTiers = new Set();
+
+    const grids = [...root.querySelectorAll('table'), ...root.querySelectorAll('[role="table"], [role="grid"]')];
+    for (const grid of grids) {
+        const rows = gridRows(grid);
+        const headerIdx = rows.findIndex(r => mapHeader(slots(r.cells), matchers).size >= Math.min(2, matchers.length));
+        if (headerIdx === -1) continue;
+
+        const columns = mapHeader(slots(rows[headerIdx].cells), matchers);
+        columns.forEach(t => foundTiers.add(t));
+        stats.grids++;
+
+        const caption = clean(grid.querySelector('caption')?.text) || precedingHeading(grid) || 'General';
+        let category = null;
+        const categoryFor = (name) => {
+            let cat = categories.find(c => c.name === name);
+            if (!cat) {
+                cat = { name, features: [] };
+                categories.push(cat);
+            }
+            return cat;
+        };
+
+        for (const { cells } of rows.slice(headerIdx + 1)) {
+            if (cells.length === 0) continue;
+            stats.rows++;
+            const rowSlots = slots(cells);
+            const label = rowSlots[0];
+            if (!label || !cellText(label)) continue;
+
+            const mappedCells = [...columns.keys()].filter(i => i < rowSlots.length && rowSlots[i]);
+            const isSection = cells.length === 1 || span(label) >= 2 || mappedCells.length === 0
+                || /\b(category|section|group)\b/i.test(label.getAttribute('class') || '')
+                || label.getAttribute('scope') === 'rowgroup';
+            if (isSection) {
+                category = categoryFor(cellText(label));
+                continue;
+            }
+
+            const { name, description, link } = labelParts(label, url);
+            const key = norm(name);
+            if (!key || seen.has(key)) continue;
+            seen.add(key);
+
+            const status = {};
+            const qualifiers = {};
+            for (const [i, tier] of columns) {
+                const { status: s, qualifier } = readStatusCell(rowSlots[i]);
+                status[tier] = s;
+                if (qualifier && s !== STATUS.NOT_INCLUDED) qualifiers[tier] = qualifier;
+            }
+
+            const feature = { name, description, status, extractedBy: 'table' };
+            if (link) feature.link = link;
+            if (Object.keys(qualifiers).length) feature.qualifiers = qualifiers;
+            (category || categoryFor(caption)).features.push(feature);
+            stats.features++;
+        }
+    }
+
+    return {
+        data: {
+            tiers: (tiers || []).filter(t => foundTiers.has(t)),
+            categories: categories.filter(c => c.features.length > 0),
+        },
+        stats,
+    };
+}
+
+// --- Prices ---
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const PRICE_HINT = /(?:[$€£¥₹]|\b(?:USD|EUR|GBP|CAD|AUD|CHF|JPY|INR)\b)[\s\S]*\b(?:month|mo|year|yr)\b/i;
+const PRICE_PATTERN = /([$€£¥₹]|\b(?:USD|EUR|GBP|CAD|AUD|CHF|JPY|INR)\s?)\s*(\d[\d,]*(?:\.\d+)?)\s*(?:\/|per)?\s*(?:user|seat|license)?\s*(?:\/|per)\s*(month|mo|year|yr)\b/i;
+
+// The tier an element's text names, if exactly one (full names first)
+function namedTier(text, matchers) {
+    for (const pass of ['full', 'short']) {
+        const hits = matchers.filter(m => pass === 'full' ? text.includes(m.full) : m.shortPattern?.test(text));
+        if (hits.length === 1) return hits[0].tier;
+        if (hits.length > 1) return null;
+    }
+    return undefined;
+}
+
+function readPrice(text) {
+    const match = text.match(PRICE_PATTERN);
+    if (!match) return null;
+    const symbol = match[1].trim();
+    const currency = CURRENCY_SYMBOLS[symbol] || symbol.toUpperCase();
+    const amount = Number(match[2].replace(/,/g, ''));
+    const period = /^(year|yr)$/i.test(match[3]) ? 'annual' : 'monthly';
+    const context = norm(text);
+    const commitment = /\b(monthly commitment|no annual commitment|month-to-month|pay as you go)\b/.test(context) ? 'monthly'
+        : /\b(multi-year|three-year|3-year)\b/.test(context) ? 'multi-year'
+            : 'annual';
+    return { [period]: amount, currency, commitment };
+}
+
+/**
+ * @param {string} html
+ * @param {object} source   { tiers }
+ * @returns {object} pricing keyed by tier (see lib/mapSchema.js); the first
+ *   price found for a tier wins
+ */
+export function parsePricingHtml(html, { tiers } = {}) {
+    const root = parse(html || '', { comment: false, blockTextElements: { script: false, style: false, noscript: false } });
+    const matchers = tierMatchers(tiers || []);
+    const pricing = {};
+
+    for (const el of root.querySelectorAll('*')) {
+        // Cheap check first; cellText() re-parses the element
+        if (!PRICE_HINT.test(el.text)) continue;
+        const text = cellText(el);
+        if (!PRICE_PATTERN.test(text)) continue;
+        // Only the innermost element holding the price
+        if (elementChildren(el).some(child => PRICE_PATTERN.test(clean(child.text)))) continue;
+
+        // Walk up until the surrounding text names a tier
+        for (let node = el; node && node.tagName !== 'BODY' && node.tagName !== 'MAIN'; node = node.parentNode) {
+            const tier = namedTier(norm(node.text), matchers);
+            if (tier === undefined) continue;
+            if (tier && !pricing[tier]) pricing[tier] = readPrice(text);
+            break;
+        }
+    }
+    return pricing;
+}
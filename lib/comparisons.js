@@ -0,0 +1,124 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { hasRole } from './auth.js';
+import { sanitizeComparisonState } from './comparisonState.js';
+
+// --- Saved Comparisons ---
+// Named comparisons people come back to ("Frontline upgrade path"), stored
+// in `comparisons`:
+//
+//   { name, notes, state, visibility: 'private'|'team', owner, createdAt, updatedAt }
+//
+// `state` has the same shape as a short link's (lib/comparisonState.js).
+// Private comparisons are only listed for their owner; team ones for every
+// signed-in user. Only the owner or a super admin can change or delete one.
+
+export const VISIBILITIES = ['private', 'team'];
+
+const indexesReady = new WeakSet();
+async function ensureIndexes(db) {
+    if (indexesReady.has(db)) return;
+    await db.collection('comparisons').createIndex({ owner: 1, updatedAt: -1 });
+    await db.collection('comparisons').createIndex({ visibility: 1, updatedAt: -1 });
+    indexesReady.add(db);
+}
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+function validateComparison(body, { partial = false } = {}) {
+    const comparison = {};
+    if (!partial || body.name !== undefined) {
+        const name = String(body.name ?? '').replace(/\s+/g, ' ').trim();
+        if (!name || name.length > 120) throw badRequest('Name is required (at most 120 characters)');
+        comparison.name = name;
+    }
+    if (!partial || body.notes !== undefined) {
+        const notes = String(body.notes ?? '').trim();
+        if (notes.length > 2000) throw badRequest('Notes are limited to 2000 characters');
+        comparison.notes = notes;
+    }
+    if (!partial || body.visibility !== undefined) {
+        const visibility = body.visibility ?? 'private';
+        if (!VISIBILITIES.includes(visibility)) throw badRequest(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+        comparison.visibility = visibility;
+    }
+    if (!partial || body.state !== undefined) {
+        const state = sanitizeComparisonState(body.state || {});
+        if (state.tiers.length === 0) throw badRequest('A comparison needs at least one tier');
+        comparison.state = state;
+    }
+    return comparison;
+}
+
+const canManage = (user, comparison) => comparison.owner === user.username || hasRole(user, 'super_admin');
+const withPermissions = (user) => (comparison) => ({ ...comparison, canEdit: canManage(user, comparison) });
+
+export function createComparisonRouter(getDB, requireRole) {
+    const router = express.Router();
+    router.use(requireRole('viewer'));
+
+    // Own comparisons and the team's, most recently changed first
+    router.get('/', async (req, res) => {
+        try {
+            const db = await getDB();
+            await ensureIndexes(db);
+            const comparisons = await db.collection('comparisons')
+                .find({ $or: [{ owner: req.user.username }, { visibility: 'team' }] })
+                .sort({ updatedAt: -1 })
+                .toArray();
+            res.json(comparisons.map(withPermissions(req.user)));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const now = new Date().toISOString();
+            const comparison = { ...validateComparison(req.body || {}), owner: req.user.username, createdAt: now, updatedAt: now };
+            const db = await getDB();
+            await ensureIndexes(db);
+            const result = await db.collection('comparisons').insertOne(comparison);
+            res.status(201).json(withPermissions(req.user)({ ...comparison, _id: result.insertedId }));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.patch('/:id', async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid comparison id' });
+            const update = { ...validateComparison(req.body || {}, { partial: true }), updatedAt: new Date().toISOString() };
+            const db = await getDB();
+            const comparisons = db.collection('comparisons');
+            const existing = await comparisons.findOne({ _id: new ObjectId(req.params.id) });
+            if (!existing || (existing.visibility !== 'team' && !canManage(req.user, existing))) {
+                return res.status(404).json({ error: 'Comparison not found' });
+            }
+            if (!canManage(req.user, existing)) return res.status(403).json({ error: 'Only the owner can change this comparison' });
+            const saved = await comparisons.findOneAndUpdate({ _id: existing._id }, { $set: update }, { returnDocument: 'after' });
+            res.json(withPermissions(req.user)(saved));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid comparison id' });
+            const db = await getDB();
+            const comparisons = db.collection('comparisons');
+            const existing = await comparisons.findOne({ _id: new ObjectId(req.params.id) });
+            if (!existing || (existing.visibility !== 'team' && !canManage(req.user, existing))) {
+                return res.status(404).json({ error: 'Comparison not found' });
+            }
+            if (!canManage(req.user, existing)) return res.status(403).json({ error: 'Only the owner can delete this comparison' });
+            await comparisons.deleteOne({ _id: existing._id });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,57 @@
+// --- CSV Import ---
+// Reading side of the CSV exports (lib/matrixExport.js) for lists people
+// upload: quoted cells, a UTF-8 BOM, and ";" or tab separators as written by
+// Excel in locales with a decimal comma.
+
+const DELIMITERS = [',', ';', '\t'];
+
+const count = (text, ch) => text.split(ch).length - 1;
+
+/**
+ * @returns {string[][]} rows of cells; blank lines are skipped
+ */
+export function parseCsv(text) {
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = DELIMITERS.reduce((best, d) => count(firstLine, d) > count(firstLine, best) ? d : best);
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(c => c.trim())) rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += ch;
+        }
+    }
+    endRow();
+    return rows;
+}
+
+/** Index of the first header cell matching `pattern`, or -1. */
+export const findColumn = (header, pattern) => header.findIndex(cell => pattern.test(cell.trim()));
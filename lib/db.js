@@ -0,0 +1,90 @@
+import path from 'node:path';
+import { MongoClient } from 'mongodb';
+import { createFileStore } from './fileStore.js';
+
+// --- Database ---
+// Everything persisted goes through a storage adapter:
+//
+//   { name, describe(), connect(): Promise<Db>, close(): Promise<void> }
+//
+// where `Db` is a MongoDB driver Db or anything with the same `collection()`
+// API (lib/fileStore.js). Two adapters exist:
+//
+//   mongodb  MONGODB_URI, e.g. Atlas. TLS follows the connection string
+//            (mongodb+srv:// turns it on), so a local server works too.
+//   file     Extended JSON files in STORAGE_DIR (default ./data), for running
+//            offline or in CI.
+//
+// STORAGE picks one; unset, it is mongodb when MONGODB_URI is set and file
+// otherwise. Routers only see the `getDB()` accessor from createDatabase().
+// migrate-storage.js copies data between the two.
+
+export const DB_NAME = 'licensing_db';
+export const DEFAULT_STORAGE_DIR = 'data';
+export const STORAGE_ADAPTERS = ['mongodb', 'file'];
+
+export function createMongoStore(uri, { dbName = DB_NAME } = {}) {
+    const client = new MongoClient(uri, {
+        connectTimeoutMS: 10000,
+        serverSelectionTimeoutMS: 10000,
+    });
+    return {
+        name: 'mongodb',
+        // Never print the credentials in the URI
+        describe: () => `MongoDB at ${client.options.hosts.map(String).join(', ')}`,
+        connect: async () => {
+            await client.connect();
+            return client.db(dbName);
+        },
+        close: () => client.close(),
+    };
+}
+
+export { createFileStore };
+
+/**
+ * The adapter the environment asks for (see above).
+ *
+ * @param {object} [env]
+ * @param {string} [env.STORAGE]      mongodb | file
+ * @param {string} [env.MONGODB_URI]
+ * @param {string} [env.STORAGE_DIR]
+ */
+export function openStorage({ STORAGE, MONGODB_URI, STORAGE_DIR } = process.env) {
+    const name = STORAGE || (MONGODB_URI ? 'mongodb' : 'file');
+    if (!STORAGE_ADAPTERS.includes(name)) throw new Error(`Unknown STORAGE "${name}" (expected ${STORAGE_ADAPTERS.join(' or ')})`);
+    if (name === 'mongodb') {
+        if (!MONGODB_URI) throw new Error('STORAGE=mongodb needs MONGODB_URI');
+        return createMongoStore(MONGODB_URI);
+    }
+    return createFileStore(path.resolve(STORAGE_DIR || DEFAULT_STORAGE_DIR));
+}
+
+/**
+ * Wrap an adapter in a lazily connecting `getDB()`. Concurrent first calls
+ * share one connection attempt; a failed attempt is forgotten so the next
+ * request retries.
+ *
+ * @param {object} storage  an adapter (createMongoStore, createFileStore, openStorage)
+ * @param {object} [options]
+ * @param {(db) => Promise<void>} [options.onConnect]  runs once per connection (seeding, clean-up)
+ */
+export function createDatabase(storage, { onConnect } = {}) {
+    let connecting = null;
+    function getDB() {
+        connecting ||= (async () => {
+            const db = await storage.connect();
+            console.log(`🍃 Using ${storage.describe()}`);
+            await onConnect?.(db);
+            return db;
+        })().catch(async (err) => {
+            console.error("❌ Storage Connection Error:", err.message);
+            connecting = null;
+            await storage.close().catch(() => { });
+            throw err;
+        });
+        return connecting;
+    }
+
+    return { getDB, close: () => storage.close(), storage };
+}
@@ -0,0 +1,67 @@
+// --- Feature Lineage ---
+// Where one comparison row comes from: every map that has the feature, its
+// status in each tier, and the document each map was read from. Used by the
+// feature drawer in the map, matrix and search views. Features are matched
+// the way the comparison view matches them (merge rules, then fingerprint),
+// but across every category, since maps file the same feature differently.
+
+import { STATUS, normalizeStatus } from './mapSchema.js';
+import { compileMergeRules } from './mapMerge.js';
+
+// Where a map's data was read from, and when
+const mapSource = (map) => map.sourceKey
+    ? { kind: 'sync', url: map.sourceUrl, extractedAt: map.lastSyncedAt || null }
+    : { kind: 'pdf', fileName: map.fileName || null, extractedAt: map.timestamp ? new Date(map.timestamp).toISOString() : null };
+
+/**
+ * @param {object[]} maps    [{ id|_id, title, type, data, sourceKey?, sourceUrl?, fileName?, version?, ... }]
+ * @param {string[]} names   the row's name and the names merged into it (`mergedNames`)
+ * @param {object} [rules]   compileMergeRules() result
+ * @returns {{ name, description, link, rule, appearances: object[] }|null}
+ *          null when no map has the feature
+ */
+export function featureLineage(maps, names, rules = compileMergeRules()) {
+    const keys = new Set(names.filter(Boolean).map(n => rules.feature(n).key));
+    if (!keys.size) return null;
+
+    const appearances = [];
+    let rule = null;
+    for (const map of maps) {
+        for (const cat of map.data?.categories || []) {
+            for (const feat of cat.features || []) {
+                const match = rules.feature(feat.name);
+                if (!keys.has(match.key)) continue;
+                rule ||= match.rule;
+                appearances.push({
+                    mapId: String(map.id ?? map._id),
+                    mapTitle: map.title,
+                    type: map.type,
+                    category: cat.name,
+                    name: feat.name,
+                    description: feat.description || '',
+                    link: feat.link || null,
+                    note: feat.note || null,
+                    sourcePages: feat.sourcePages || [],
+                    extractedBy: feat.extractedBy || null,
+                    tiers: (map.data.tiers || []).map(tier => {
+                        const normalized = normalizeStatus(feat.status?.[tier] || STATUS.NOT_INCLUDED);
+                        return { tier, status: normalized.status, qualifier: feat.qualifiers?.[tier] || normalized.qualifier || null };
+                    }),
+                    source: { ...mapSource(map), version: map.version ?? null, updatedAt: map.updatedAt || null },
+                });
+            }
+        }
+    }
+    if (!appearances.length) return null;
+
+    // The longest description and the first link stand for the row, as in the comparison
+    const description = appearances.reduce((best, a) => a.description.length > best.length ? a.description : best, '');
+    const name = rule?.type === 'alias' ? rule.canonical || rule.names[0] : names[0];
+    return {
+        name,
+        description,
+        link: appearances.find(a => a.link)?.link || null,
+        rule: rule && { type: rule.type, names: rule.names, note: rule.note || '' },
+        appearances,
+    };
+}
@@ -0,0 +1,150 @@
+// --- Feature Matching ---
+// Proposes feature (and category) names from different maps that probably
+// mean the same thing but do not share a fingerprint, e.g. "Exchange Online
+// (Plan 2)" and "Exchange Online mailbox 100 GB". Proposals are only
+// suggestions: an editor accepts or rejects them in the review queue
+// (lib/matchReview.js), and accepted ones become alias merge rules.
+//
+// Scores are in [0, 1]: token overlap blended with character trigrams, and
+// with cosine similarity of embeddings when the caller provides them.
+
+import { compileMergeRules, ruleFingerprint } from './mapMerge.js';
+
+// Words that carry no meaning for matching (brand prefixes included, since
+// every Microsoft feature name starts with one)
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'the', 'for', 'of', 'with', 'in', 'on', 'to', 'by', 'per', 'via',
+    'microsoft', 'ms', 'office', 'm365', 'o365', '365', 'plan', 'p', 'user', 'users',
+]);
+
+const PLAN_NUMBER = /\b(?:plan|p)\s*(\d+)\b/i;
+
+const words = (name) => String(name ?? '').toLowerCase().match(/[a-z0-9]+/g) || [];
+const meaningful = (name) => new Set(words(name).filter(w => !STOP_WORDS.has(w) && !/^\d+$/.test(w)));
+
+function trigrams(name) {
+    const text = ` ${words(name).filter(w => !STOP_WORDS.has(w)).join(' ')} `;
+    const grams = new Set();
+    for (let i = 0; i < text.length - 2; i++) grams.add(text.slice(i, i + 3));
+    return grams;
+}
+
+const dice = (a, b) => {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    for (const x of a) if (b.has(x)) shared++;
+    return (2 * shared) / (a.size + b.size);
+};
+
+export const cosine = (a, b) => {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+};
+
+/** "Plan 1" vs "Plan 2": distinct products, however similar the rest is. */
+export function plansDiffer(a, b) {
+    const planA = String(a).match(PLAN_NUMBER)?.[1];
+    const planB = String(b).match(PLAN_NUMBER)?.[1];
+    return !!(planA && planB && planA !== planB);
+}
+
+/** Token similarity of two names in [0, 1]; 0 when their plans differ. */
+export function nameSimilarity(a, b) {
+    if (plansDiffer(a, b)) return 0;
+    return 0.6 * dice(meaningful(a), meaningful(b)) + 0.4 * dice(trigrams(a), trigrams(b));
+}
+
+export const DEFAULT_MIN_SCORE = 0.45;
+const EMBEDDING_WEIGHT = 0.6;
+
+/**
+ * Distinct names per scope, with where each occurs. Names that already share
+ * a row (same fingerprint or an existing rule) are one entry.
+ */
+function collectNames(maps, rules) {
+    const categories = new Map();
+    const features = new Map();
+    const add = (table, key, name, occurrence) => {
+        if (!table.has(key)) table.set(key, { key, name, occurrences: [] });
+        table.get(key).occurrences.push(occurrence);
+    };
+
+    for (const map of maps) {
+        for (const cat of map.data?.categories || []) {
+            const catKey = rules.category(cat.name).key;
+            add(categories, catKey, cat.name, { mapId: String(map._id), mapTitle: map.title, category: cat.name, categoryKey: catKey });
+            for (const feat of cat.features || []) {
+                add(features, `${catKey}\u0000${rules.feature(feat.name).key}`, feat.name, { mapId: String(map._id), mapTitle: map.title, category: cat.name, categoryKey: catKey });
+            }
+        }
+    }
+    return { categories: [...categories.values()], features: [...features.values()] };
+}
+
+const pick = ({ mapId, mapTitle, category }) => ({ mapId, mapTitle, category });
+
+// Two names are worth comparing when they never appear in the same map
+// (within one document different names are different rows)
+const fromDifferentMaps = (a, b) => {
+    const mapsA = new Set(a.occurrences.map(o => o.mapId));
+    return b.occurrences.every(o => !mapsA.has(o.mapId));
+};
+
+/**
+ * @param {object[]} maps   map documents ({ _id, title, data })
+ * @param {object} [options]
+ * @param {object[]} [options.rules]      merge rules (lib/mergeRules.js)
+ * @param {number} [options.minScore]
+ * @param {Function} [options.embed]      async (names[]) => vectors[] | null
+ * @returns {Promise<object[]>} [{ scope, key, score, method, a, b }] best first;
+ *   `a`/`b` are { name, mapId, mapTitle, category }
+ */
+export async function proposeMatches(maps, { rules = [], minScore = DEFAULT_MIN_SCORE, embed } = {}) {
+    const compiled = compileMergeRules(rules);
+    const { categories, features } = collectNames(maps, compiled);
+    const proposals = [];
+
+    const vectors = new Map();
+    if (embed) {
+        const names = [...new Set([...categories, ...features].map(e => e.name))];
+        const embedded = await embed(names);
+        if (embedded) names.forEach((name, i) => vectors.set(name, embedded[i]));
+    }
+
+    const compare = (scope, entries, sameGroup) => {
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const a = entries[i];
+                const b = entries[j];
+                if (!sameGroup(a, b) || !fromDifferentMaps(a, b) || plansDiffer(a.name, b.name)) continue;
+                let score = nameSimilarity(a.name, b.name);
+                let method = 'tokens';
+                if (vectors.has(a.name) && vectors.has(b.name)) {
+                    score = EMBEDDING_WEIGHT * cosine(vectors.get(a.name), vectors.get(b.name)) + (1 - EMBEDDING_WEIGHT) * score;
+                    method = 'embedding';
+                }
+                if (score < minScore) continue;
+                const [first, second] = [a, b].sort((x, y) => x.name.localeCompare(y.name));
+                proposals.push({
+                    scope,
+                    key: `${scope}:${ruleFingerprint(first.name)}|${ruleFingerprint(second.name)}`,
+                    score: Math.round(score * 1000) / 1000,
+                    method,
+                    a: { name: first.name, ...pick(first.occurrences[0]) },
+                    b: { name: second.name, ...pick(second.occurrences[0]) },
+                });
+            }
+        }
+    };
+
+    compare('category', categories, () => true);
+    // Features only line up inside one (merged) category
+    compare('feature', features, (a, b) => a.occurrences[0].categoryKey === b.occurrences[0].categoryKey);
+
+    return proposals.sort((x, y) => y.score - x.score);
+}
@@ -0,0 +1,486 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { BSON, ObjectId } from 'mongodb';
+
+// --- File Storage ---
+// A MongoDB stand-in for running without Atlas: on a laptop, offline, in CI.
+// Each collection is one Extended JSON file (`<dir>/<collection>.json`, so
+// ObjectIds and Dates survive), held in memory and rewritten after every
+// change. Only one process may use a directory at a time.
+//
+// It implements the part of the driver's Collection API the routers use:
+// find (sort, limit, skip, projection), findOne, insertOne/Many, updateOne/Many,
+// findOneAndUpdate, deleteOne/Many, countDocuments, distinct, bulkWrite and
+// createIndex (_id, unique and TTL indexes are enforced). Queries support equality
+// on (dotted) fields, $eq $ne $in $nin $lt $lte $gt $gte $exists, $or and
+// $and; updates $set $unset $setOnInsert $inc and $push (with $each). Anything
+// else throws, so a router that outgrows the subset fails loudly here first.
+
+const { EJSON } = BSON;
+
+const TTL_SWEEP_MS = 60 * 1000;
+
+const unsupported = (what) => new Error(`File storage does not support ${what}`);
+
+const duplicateKey = (collection, keys, doc) => Object.assign(
+    new Error(`E11000 duplicate key error collection: ${collection} index: ${Object.keys(keys).join('_')} dup key: ${EJSON.stringify(pick(doc, Object.keys(keys)))}`),
+    { code: 11000 }
+);
+
+const clone = (value) => EJSON.deserialize(EJSON.serialize({ value })).value;
+
+function pick(doc, fields) {
+    return Object.fromEntries(fields.map(f => [f, getPath(doc, f) ?? null]));
+}
+
+function getPath(doc, field) {
+    let value = doc;
+    for (const part of field.split('.')) {
+        if (value == null) return undefined;
+        // { 'data.tiers': x } reaches into arrays of sub-documents too
+        value = Array.isArray(value) && !/^\d+$/.test(part) ? value.flatMap(v => v?.[part] ?? []) : value[part];
+    }
+    return value;
+}
+
+function setPath(doc, field, value) {
+    const parts = field.split('.');
+    let target = doc;
+    for (const part of parts.slice(0, -1)) {
+        if (target[part] == null || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+    }
+    if (value === undefined) delete target[parts.at(-1)];
+    else target[parts.at(-1)] = value;
+}
+
+const isOid = (v) => v instanceof ObjectId;
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !isOid(v) && !(v instanceof Date);
+const isOperatorObject = (v) => isPlainObject(v) && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith('$'));
+
+function equals(a, b) {
+    if (a === b) return true;
+    if (a == null || b == null) return a == null && b == null;
+    if (isOid(a) || isOid(b)) return isOid(a) && isOid(b) && a.equals(b);
+    if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    if (typeof a === 'object' && typeof b === 'object') return EJSON.stringify(a) === EJSON.stringify(b);
+    return false;
+}
+
+// Mongo's order across types is richer; within one type this is what it does
+function compare(a, b) {
+    if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+    if (isOid(a) && isOid(b)) return a.toHexString().localeCompare(b.toHexString());
+    const [x, y] = [a.valueOf(), b.valueOf()];
+    if (typeof x !== typeof y) return String(typeof x).localeCompare(typeof y);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// An array field matches when the field itself or any element does
+const anyValue = (value, test) => test(value) || (Array.isArray(value) && value.some(test));
+
+function matchCondition(value, condition) {
+    if (!isOperatorObject(condition)) return anyValue(value, v => equals(v, condition));
+    return Object.entries(condition).every(([op, arg]) => {
+        switch (op) {
+            case '$eq': return anyValue(value, v => equals(v, arg));
+            case '$ne': return !anyValue(value, v => equals(v, arg));
+            case '$in': return arg.some(a => anyValue(value, v => equals(v, a)));
+            case '$nin': return !arg.some(a => anyValue(value, v => equals(v, a)));
+            case '$lt': return value != null && anyValue(value, v => v != null && compare(v, arg) < 0);
+            case '$lte': return value != null && anyValue(value, v => v != null && compare(v, arg) <= 0);
+            case '$gt': return value != null && anyValue(value, v => v != null && compare(v, arg) > 0);
+            case '$gte': return value != null && anyValue(value, v => v != null && compare(v, arg) >= 0);
+            case '$exists': return (value !== undefined) === !!arg;
+            default: throw unsupported(`the query operator ${op}`);
+        }
+    });
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(f => matches(doc, f));
+        if (key === '$and') return condition.every(f => matches(doc, f));
+        if (key.startsWith('$')) throw unsupported(`the query operator ${key}`);
+        return matchCondition(getPath(doc, key), condition);
+    });
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+    if (!Object.keys(update).every(k => k.startsWith('$'))) throw unsupported('replacement documents in updates');
+    for (const [op, fields] of Object.entries(update)) {
+        for (const [field, arg] of Object.entries(fields)) {
+            switch (op) {
+                case '$set': setPath(doc, field, clone(arg)); break;
+                case '$setOnInsert': if (inserting) setPath(doc, field, clone(arg)); break;
+                case '$unset': setPath(doc, field, undefined); break;
+                case '$inc': setPath(doc, field, (getPath(doc, field) ?? 0) + arg); break;
+                case '$push': {
+                    const current = getPath(doc, field) ?? [];
+                    if (!Array.isArray(current)) throw new Error(`Cannot $push to non-array field ${field}`);
+                    const added = isPlainObject(arg) && '$each' in arg ? arg.$each : [arg];
+                    setPath(doc, field, [...current, ...clone(added)]);
+                    break;
+                }
+                default: throw unsupported(`the update operator ${op}`);
+            }
+        }
+    }
+    return doc;
+}
+
+function project(doc, projection) {
+    if (!projection || Object.keys(projection).length === 0) return doc;
+    const { _id: idFlag, ...rest } = projection;
+    const including = Object.values(rest).some(Boolean);
+    if (including) {
+        const out = {};
+        if (idFlag !== 0 && idFlag !== false && doc._id !== undefined) out._id = doc._id;
+        for (const field of Object.keys(rest)) {
+            const value = getPath(doc, field);
+            if (value !== undefined) setPath(out, field, value);
+        }
+        return out;
+    }
+    const out = Object.keys(projection).some(f => f.includes('.')) ? clone(doc) : { ...doc };
+    for (const [field, flag] of Object.entries(projection)) {
+        if (!flag) setPath(out, field, undefined);
+    }
+    return out;
+}
+
+function sortDocs(docs, sort) {
+    const keys = Object.entries(sort || {});
+    if (!keys.length) return docs;
+    return [...docs].sort((a, b) => {
+        for (const [field, dir] of keys) {
+            const c = compare(getPath(a, field), getPath(b, field));
+            if (c) return dir < 0 ? -c : c;
+        }
+        return 0;
+    });
+}
+
+// The equality parts of a filter become the fields of an upserted document
+function seedFromFilter(filter) {
+    const doc = {};
+    for (const [key, value] of Object.entries(filter)) {
+        if (key.startsWith('$')) continue;
+        if (isOperatorObject(value)) {
+            if ('$eq' in value) setPath(doc, key, clone(value.$eq));
+            continue;
+        }
+        setPath(doc, key, clone(value));
+    }
+    return doc;
+}
+
+class FileCursor {
+    constructor(load, filter, options = {}) {
+        this.load = load;
+        this.filter = filter;
+        this.options = { ...options };
+    }
+
+    sort(sort) { this.options.sort = sort; return this; }
+    limit(n) { this.options.limit = n; return this; }
+    skip(n) { this.options.skip = n; return this; }
+    project(projection) { this.options.projection = projection; return this; }
+
+    async toArray() {
+        let docs = sortDocs(this.load().filter(d => matches(d, this.filter)), this.options.sort);
+        if (this.options.skip) docs = docs.slice(this.options.skip);
+        if (this.options.limit) docs = docs.slice(0, this.options.limit);
+        return docs.map(d => clone(project(d, this.options.projection)));
+    }
+
+    async next() {
+        this.results ||= await this.toArray();
+        return this.results.shift() ?? null;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (const doc of await this.toArray()) yield doc;
+    }
+}
+
+class FileCollection {
+    constructor(store, name) {
+        this.store = store;
+        this.collectionName = name;
+    }
+
+    get state() {
+        return this.store.load(this.collectionName);
+    }
+
+    docs() {
+        this.store.sweep(this.collectionName);
+        return this.state.docs;
+    }
+
+    save() {
+        return this.store.save(this.collectionName);
+    }
+
+    checkUnique(doc, except) {
+        // _id is always unique, as in MongoDB
+        for (const index of [{ key: { _id: 1 } }, ...this.state.indexes.filter(i => i.unique)]) {
+            const fields = Object.keys(index.key);
+            const clash = this.state.docs.find(d => d !== except && fields.every(f => equals(getPath(d, f) ?? null, getPath(doc, f) ?? null)));
+            if (clash) throw duplicateKey(this.collectionName, index.key, doc);
+        }
+    }
+
+    async createIndex(key, options = {}) {
+        const name = options.name || Object.entries(key).map(([k, v]) => `${k}_${v}`).join('_');
+        const indexes = this.state.indexes;
+        if (!indexes.some(i => i.name === name)) {
+            indexes.push({ name, key, ...(options.unique ? { unique: true } : {}), ...(options.expireAfterSeconds != null ? { expireAfterSeconds: options.expireAfterSeconds } : {}) });
+            await this.save();
+        }
+        return name;
+    }
+
+    find(filter = {}, options = {}) {
+        return new FileCursor(() => this.docs(), filter, options);
+    }
+
+    async findOne(filter = {}, options = {}) {
+        return this.find(filter, options).limit(1).next();
+    }
+
+    async countDocuments(filter = {}, { limit } = {}) {
+        const count = this.docs().filter(d => matches(d, filter)).length;
+        return limit ? Math.min(count, limit) : count;
+    }
+
+    async distinct(field, filter = {}) {
+        const values = [];
+        for (const doc of this.docs().filter(d => matches(d, filter))) {
+            const value = getPath(doc, field);
+            for (const v of Array.isArray(value) ? value : [value]) {
+                if (v !== undefined && !values.some(x => equals(x, v))) values.push(v);
+            }
+        }
+        return clone(values);
+    }
+
+    insertNow(doc) {
+        doc._id ??= new ObjectId();
+        const stored = clone(doc);
+        this.checkUnique(stored);
+        this.docs().push(stored);
+        return doc._id;
+    }
+
+    async insertOne(doc) {
+        const insertedId = this.insertNow(doc);
+        await this.save();
+        return { acknowledged: true, insertedId };
+    }
+
+    async insertMany(docs, { ordered = true } = {}) {
+        const insertedIds = {};
+        let failure = null;
+        for (const [i, doc] of docs.entries()) {
+            try {
+                insertedIds[i] = this.insertNow(doc);
+            } catch (err) {
+                failure ||= err;
+                if (ordered) break;
+            }
+        }
+        await this.save();
+        const insertedCount = Object.keys(insertedIds).length;
+        if (failure) throw Object.assign(failure, { result: { insertedCount, insertedIds } });
+        return { acknowledged: true, insertedCount, insertedIds };
+    }
+
+    // Runs synchronously so a read-then-write (claiming a job) cannot interleave
+    updateNow(filter, update, { upsert = false, many = false, sort } = {}) {
+        const targets = sortDocs(this.docs().filter(d => matches(d, filter)), sort);
+        const result = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null, doc: null, before: null };
+        if (targets.length === 0) {
+            if (!upsert) return result;
+            const doc = applyUpdate(seedFromFilter(filter), update, { inserting: true });
+            doc._id ??= new ObjectId();
+            this.checkUnique(doc);
+            this.state.docs.push(doc);
+            return { ...result, upsertedCount: 1, upsertedId: doc._id, doc };
+        }
+        for (const target of many ? targets : targets.slice(0, 1)) {
+            const before = clone(target);
+            const updated = applyUpdate(clone(target), update);
+            this.checkUnique(updated, target);
+            if (!equals(before, updated)) {
+                Object.keys(target).forEach(k => delete target[k]);
+                Object.assign(target, updated);
+                result.modifiedCount++;
+            }
+            result.matchedCount++;
+            result.doc = target;
+            result.before ||= before;
+        }
+        return result;
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const { doc, before, ...result } = this.updateNow(filter, update, options);
+        await this.save();
+        return { acknowledged: true, ...result };
+    }
+
+    async updateMany(filter, update, options = {}) {
+        const { doc, before, ...result } = this.updateNow(filter, update, { ...options, many: true });
+        await this.save();
+        return { acknowledged: true, ...result };
+    }
+
+    async findOneAndUpdate(filter, update, { returnDocument = 'before', projection, upsert, sort } = {}) {
+        const { doc, before } = this.updateNow(filter, update, { upsert, sort });
+        await this.save();
+        const found = returnDocument === 'after' ? doc : before;
+        return found ? clone(project(found, projection)) : null;
+    }
+
+    deleteNow(filter, { many = false } = {}) {
+        const docs = this.docs();
+        if (!many) {
+            const i = docs.findIndex(d => matches(d, filter));
+            if (i === -1) return 0;
+            docs.splice(i, 1);
+            return 1;
+        }
+        const kept = docs.filter(d => !matches(d, filter));
+        const deletedCount = docs.length - kept.length;
+        docs.splice(0, docs.length, ...kept);
+        return deletedCount;
+    }
+
+    async deleteOne(filter = {}) {
+        const deletedCount = this.deleteNow(filter);
+        await this.save();
+        return { acknowledged: true, deletedCount };
+    }
+
+    async deleteMany(filter = {}) {
+        const deletedCount = this.deleteNow(filter, { many: true });
+        await this.save();
+        return { acknowledged: true, deletedCount };
+    }
+
+    async bulkWrite(operations, { ordered = true } = {}) {
+        const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+        let failure = null;
+        for (const operation of operations) {
+            const [[type, op]] = Object.entries(operation);
+            try {
+                if (type === 'insertOne') {
+                    this.insertNow(op.document);
+                    result.insertedCount++;
+                } else if (type === 'updateOne' || type === 'updateMany') {
+                    const r = this.updateNow(op.filter, op.update, { upsert: op.upsert, many: type === 'updateMany' });
+                    result.matchedCount += r.matchedCount;
+                    result.modifiedCount += r.modifiedCount;
+                    result.upsertedCount += r.upsertedCount;
+                } else if (type === 'deleteOne' || type === 'deleteMany') {
+                    result.deletedCount += this.deleteNow(op.filter, { many: type === 'deleteMany' });
+                } else {
+                    throw unsupported(`the bulk operation ${type}`);
+                }
+            } catch (err) {
+                failure ||= err;
+                if (ordered) break;
+            }
+        }
+        await this.save();
+        if (failure) throw Object.assign(failure, { result });
+        return { acknowledged: true, ...result };
+    }
+}
+
+class FileDb {
+    constructor(store) {
+        this.store = store;
+        this.databaseName = store.dir;
+    }
+
+    collection(name) {
+        if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) throw new Error(`Invalid collection name: ${name}`);
+        return new FileCollection(this.store, name);
+    }
+
+    listCollections() {
+        const names = new Set(this.store.collections.keys());
+        if (fs.existsSync(this.store.dir)) {
+            for (const file of fs.readdirSync(this.store.dir)) {
+                if (file.endsWith('.json')) names.add(file.slice(0, -'.json'.length));
+            }
+        }
+        return { toArray: async () => [...names].sort().map(name => ({ name, type: 'collection' })) };
+    }
+}
+
+/**
+ * Storage adapter (see lib/db.js) that keeps every collection in `dir`.
+ */
+export function createFileStore(dir) {
+    const collections = new Map(); // name -> { docs, indexes, sweptAt }
+    const writes = new Map(); // name -> promise of the last write
+
+    const store = {
+        dir,
+        collections,
+        load(name) {
+            if (!collections.has(name)) {
+                const file = path.join(dir, `${name}.json`);
+                const saved = fs.existsSync(file) ? EJSON.parse(fs.readFileSync(file, 'utf8'), { relaxed: true }) : null;
+                collections.set(name, { docs: saved?.documents || [], indexes: saved?.indexes || [], sweptAt: 0 });
+            }
+            return collections.get(name);
+        },
+        // TTL indexes: expired documents are dropped as the collection is read
+        sweep(name) {
+            const state = store.load(name);
+            if (Date.now() - state.sweptAt < TTL_SWEEP_MS) return;
+            state.sweptAt = Date.now();
+            for (const { key, expireAfterSeconds } of state.indexes.filter(i => i.expireAfterSeconds != null)) {
+                const [field] = Object.keys(key);
+                const before = state.docs.length;
+                state.docs = state.docs.filter(d => {
+                    const at = getPath(d, field);
+                    return !(at instanceof Date) || at.getTime() + expireAfterSeconds * 1000 > Date.now();
+                });
+                if (state.docs.length !== before) store.save(name).catch(err => console.error(`Could not save ${name}:`, err.message));
+            }
+        },
+        // Writes of one collection are chained, each replacing the file atomically
+        save(name) {
+            const state = store.load(name);
+            const file = path.join(dir, `${name}.json`);
+            const write = (writes.get(name) || Promise.resolve()).then(async () => {
+                const body = EJSON.stringify({ indexes: state.indexes, documents: state.docs }, { relaxed: true });
+                await fsp.mkdir(dir, { recursive: true });
+                await fsp.writeFile(`${file}.tmp`, body);
+                await fsp.rename(`${file}.tmp`, file);
+            });
+            writes.set(name, write.catch(() => { }));
+            return write;
+        },
+    };
+
+    const db = new FileDb(store);
+    return {
+        name: 'file',
+        describe: () => `files in ${path.resolve(dir)}`,
+        connect: async () => {
+            await fsp.mkdir(dir, { recursive: true });
+            return db;
+        },
+        close: async () => {
+            await Promise.all(writes.values());
+        },
+    };
+}
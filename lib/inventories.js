@@ -0,0 +1,88 @@
+import express from 'express';
+import multer from 'multer';
+import { ObjectId } from 'mongodb';
+import { parseInventoryCsv, resolveLicenses } from './licenseInventory.js';
+import { getSkuMappings } from './skuMappings.js';
+
+// --- License Inventories ---
+// Uploaded tenant license exports, stored in `inventories`:
+//
+//   { name, fileName, format, licenses: [{ id, productName?, consumed, total }],
+//     combinations: [{ licenses, users }], userCount, createdAt, createdBy }
+//
+// Licenses are stored as read and resolved to tiers on every read, so a SKU
+// mapped later applies to inventories uploaded before. The analysis itself
+// runs in the browser next to the comparison (lib/licenseInventory.js).
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES } });
+
+// Multer's own errors (a file too large) would otherwise end as an HTML 500
+const uploadFile = (req, res, next) => upload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+});
+
+async function withResolvedLicenses(db, inventory) {
+    const [mappings, tierNames, addonNames] = await Promise.all([
+        getSkuMappings(db),
+        db.collection('maps').distinct('data.tiers'),
+        db.collection('addons').distinct('name'),
+    ]);
+    return { ...inventory, licenses: resolveLicenses(inventory.licenses, { mappings, tierNames, addonNames }) };
+}
+
+export function createInventoryRouter(getDB, requireRole) {
+    const router = express.Router();
+
+    router.get('/inventories', requireRole('editor'), async (req, res) => {
+        try {
+            const inventories = await (await getDB()).collection('inventories')
+                .find({}, { projection: { combinations: 0 } })
+                .sort({ createdAt: -1 })
+                .toArray();
+            res.json(inventories.map(({ licenses, ...inv }) => ({ ...inv, licenseCount: licenses.length })));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/inventories', requireRole('editor'), uploadFile, async (req, res) => {
+        try {
+            if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+            const parsed = parseInventoryCsv(req.file.buffer.toString('utf8'));
+            const name = String(req.body?.name ?? '').replace(/\s+/g, ' ').trim().slice(0, 120) || req.file.originalname;
+            const inventory = { name, fileName: req.file.originalname, ...parsed, createdAt: new Date().toISOString(), createdBy: req.user.username };
+            const db = await getDB();
+            const result = await db.collection('inventories').insertOne(inventory);
+            res.status(201).json(await withResolvedLicenses(db, { ...inventory, _id: result.insertedId }));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.get('/inventories/:id', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid inventory id' });
+            const db = await getDB();
+            const inventory = await db.collection('inventories').findOne({ _id: new ObjectId(req.params.id) });
+            if (!inventory) return res.status(404).json({ error: 'Inventory not found' });
+            res.json(await withResolvedLicenses(db, inventory));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.delete('/inventories/:id', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid inventory id' });
+            const { deletedCount } = await (await getDB()).collection('inventories').deleteOne({ _id: new ObjectId(req.params.id) });
+            if (!deletedCount) return res.status(404).json({ error: 'Inventory not found' });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,307 @@
+// --- Background Jobs ---
+// Long-running work (PDF extraction, source sync) runs as a job stored in the
+// `jobs` collection so the HTTP request can return straight away. Clients
+// follow a job through GET /api/jobs/:id or the Server-Sent Events stream.
+//
+//   { type, status, params, percent, progress: [{ at, message, percent }],
+//     result, error: { message, status, details, validation },
+//     cancelRequested, createdBy, createdAt, startedAt, finishedAt }
+//
+// Jobs run in the process that queued them. The SSE stream listens to local
+// updates and also polls the collection, so a job running in another instance
+// (serverless) is still followed, just less promptly.
+
+import { EventEmitter } from 'node:events';
+import express from 'express';
+import { ObjectId } from 'mongodb';
+
+export const JOB_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+});
+
+const FINISHED = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+export const isFinished = (job) => FINISHED.includes(job?.status);
+
+export class JobCancelledError extends Error {
+    constructor() {
+        super('Job was cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+const JOB_TTL_SECONDS = 30 * 24 * 60 * 60;
+const POLL_MS = 2000;
+const HEARTBEAT_MS = 15000;
+
+const handlers = new Map();
+const running = new Map(); // jobId -> AbortController, for jobs in this process
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+const indexesReady = new WeakSet();
+async function ensureIndexes(db) {
+    if (indexesReady.has(db)) return;
+    await db.collection('jobs').createIndex({ createdAt: 1 }, { expireAfterSeconds: JOB_TTL_SECONDS });
+    await db.collection('jobs').createIndex({ status: 1, type: 1 });
+    indexesReady.add(db);
+}
+
+/**
+ * Register the function that performs a job type. It receives a context
+ * { jobId, db, params, input, createdBy, signal, progress(message, percent), throwIfCancelled() }
+ * and resolves to the job result. `db` is the database the job was queued in. `input` holds values that are not persisted
+ * (e.g. an uploaded file buffer).
+ */
+export function registerJobHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+const publish = (job) => job && updates.emit(String(job._id), job);
+
+/**
+ * Insert a job and start it in this process.
+ *
+ * @param {object} [options]
+ * @param {string} [options.createdBy]
+ * @param {object} [options.input]  in-memory arguments for the handler
+ * @param {boolean} [options.wait]  resolve only once the job has finished
+ *                                  (for platforms that stop work after the response)
+ */
+export async function enqueueJob(db, type, params = {}, { createdBy = null, input, wait = false } = {}) {
+    if (!handlers.has(type)) throw new Error(`No handler registered for job type "${type}"`);
+    await ensureIndexes(db);
+
+    const now = new Date();
+    const job = {
+        type,
+        status: JOB_STATUS.QUEUED,
+        params,
+        percent: 0,
+        progress: [{ at: now.toISOString(), message: 'Queued', percent: 0 }],
+        result: null,
+        error: null,
+        cancelRequested: false,
+        createdBy,
+        createdAt: now,
+        startedAt: null,
+        finishedAt: null,
+    };
+    const { insertedId } = await db.collection('jobs').insertOne(job);
+    job._id = insertedId;
+
+    const run = runJob(db, job, input);
+    if (wait) return run;
+    run.catch(err => console.error(`Job ${insertedId} crashed:`, err));
+    return job;
+}
+
+async function runJob(db, job, input) {
+    const jobs = db.collection('jobs');
+    const id = job._id;
+    const controller = new AbortController();
+    running.set(String(id), controller);
+
+    try {
+        // Claim the job; a cancel that landed before we started wins
+        const claimed = await jobs.findOneAndUpdate(
+            { _id: id, status: JOB_STATUS.QUEUED },
+            { $set: { status: JOB_STATUS.RUNNING, startedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!claimed) return await jobs.findOne({ _id: id });
+        publish(claimed);
+
+        const progress = async (message, percent) => {
+            const entry = { at: new Date().toISOString(), message, ...(percent != null ? { percent } : {}) };
+            const updated = await jobs.findOneAndUpdate(
+                { _id: id },
+                { $push: { progress: entry }, ...(percent != null ? { $set: { percent } } : {}) },
+                { returnDocument: 'after' }
+            );
+            // Cancels requested through another instance only reach us via the document
+            if (updated?.cancelRequested && !controller.signal.aborted) controller.abort(new JobCancelledError());
+            publish(updated);
+        };
+        const throwIfCancelled = () => {
+            if (controller.signal.aborted) throw new JobCancelledError();
+        };
+
+        let $set;
+        try {
+            const result = await handlers.get(job.type)({
+                jobId: id,
+                db,
+                params: job.params,
+                input,
+                createdBy: job.createdBy,
+                signal: controller.signal,
+                progress,
+                throwIfCancelled,
+            });
+            $set = controller.signal.aborted
+                ? { status: JOB_STATUS.CANCELLED, result: result ?? null }
+                : { status: JOB_STATUS.SUCCEEDED, result: result ?? null, percent: 100 };
+        } catch (err) {
+            if (controller.signal.aborted || err instanceof JobCancelledError) {
+                $set = { status: JOB_STATUS.CANCELLED };
+            } else {
+                console.error(`❌ Job ${id} (${job.type}) failed:`, err.message);
+                $set = {
+                    status: JOB_STATUS.FAILED,
+                    error: {
+                        message: err.message,
+                        status: err.status || 500,
+                        ...(err.details ? { details: err.details } : {}),
+                        ...(err.report ? { validation: err.report } : {}),
+                    },
+                };
+            }
+        }
+
+        const message = { succeeded: 'Done', failed: $set.error?.message, cancelled: 'Cancelled' }[$set.status];
+        const finished = await jobs.findOneAndUpdate(
+            { _id: id },
+            { $set: { ...$set, finishedAt: new Date() }, $push: { progress: { at: new Date().toISOString(), message } } },
+            { returnDocument: 'after' }
+        );
+        publish(finished);
+        return finished;
+    } finally {
+        running.delete(String(id));
+    }
+}
+
+/**
+ * Request cancellation. Queued jobs are cancelled at once; running jobs are
+ * aborted here if they run in this process, otherwise at their next progress step.
+ */
+export async function cancelJob(db, id, { cancelledBy = null } = {}) {
+    const jobs = db.collection('jobs');
+    const queued = await jobs.findOneAndUpdate(
+        { _id: id, status: JOB_STATUS.QUEUED },
+        { $set: { status: JOB_STATUS.CANCELLED, cancelRequested: true, cancelledBy, finishedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (queued) {
+        publish(queued);
+        return queued;
+    }
+
+    const job = await jobs.findOneAndUpdate(
+        { _id: id, status: JOB_STATUS.RUNNING },
+        { $set: { cancelRequested: true, cancelledBy } },
+        { returnDocument: 'after' }
+    );
+    if (!job) return jobs.findOne({ _id: id });
+    running.get(String(id))?.abort(new JobCancelledError());
+    publish(job);
+    return job;
+}
+
+/**
+ * Jobs left queued or running by a previous process will never finish.
+ * Call once on startup of a long-running server.
+ */
+export async function failInterruptedJobs(db) {
+    await ensureIndexes(db);
+    const { modifiedCount } = await db.collection('jobs').updateMany(
+        { status: { $in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] } },
+        {
+            $set: { status: JOB_STATUS.FAILED, finishedAt: new Date(), error: { message: 'Interrupted by a server restart', status: 500 } },
+            $push: { progress: { at: new Date().toISOString(), message: 'Interrupted by a server restart' } },
+        }
+    );
+    if (modifiedCount) console.warn(`⚠️ Marked ${modifiedCount} interrupted job(s) as failed`);
+}
+
+const parseId = (id) => (ObjectId.isValid(id) ? new ObjectId(id) : null);
+
+export function createJobRouter(getDB, requireRole) {
+    const router = express.Router();
+    // Mounted at /api, so the role check is scoped to the job routes
+    router.use('/jobs', requireRole('editor'));
+
+    router.get('/jobs/:id', async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(400).json({ error: 'Invalid job id' });
+        try {
+            const job = await (await getDB()).collection('jobs').findOne({ _id: id });
+            if (!job) return res.status(404).json({ error: 'Job not found' });
+            res.json(job);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Server-Sent Events: one `job` event per update, closed once the job has finished
+    router.get('/jobs/:id/events', async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(400).json({ error: 'Invalid job id' });
+
+        let db, job;
+        try {
+            db = await getDB();
+            job = await db.collection('jobs').findOne({ _id: id });
+        } catch (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+
+        let lastSent = '';
+        let closed = false;
+        const send = (doc) => {
+            if (closed || !doc) return;
+            const payload = JSON.stringify(doc);
+            if (payload === lastSent) return;
+            lastSent = payload;
+            res.write(`event: job\ndata: ${payload}\n\n`);
+            if (isFinished(doc)) close();
+        };
+
+        const key = String(id);
+        const poll = setInterval(() => {
+            db.collection('jobs').findOne({ _id: id }).then(send).catch(() => { });
+        }, POLL_MS);
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+        function close() {
+            if (closed) return;
+            closed = true;
+            clearInterval(poll);
+            clearInterval(heartbeat);
+            updates.off(key, send);
+            res.end();
+        }
+
+        updates.on(key, send);
+        req.on('close', close);
+        send(job);
+    });
+
+    router.post('/jobs/:id/cancel', async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(400).json({ error: 'Invalid job id' });
+        try {
+            const job = await cancelJob(await getDB(), id, { cancelledBy: req.user.username });
+            if (!job) return res.status(404).json({ error: 'Job not found' });
+            if (isFinished(job) && job.status !== JOB_STATUS.CANCELLED) {
+                return res.status(409).json({ error: `Job already ${job.status}`, job });
+            }
+            res.json(job);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
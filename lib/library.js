@@ -0,0 +1,340 @@
+import express from 'express';
+import multer from 'multer';
+import { mergeMapData, ruleFingerprint } from './mapMerge.js';
+import { summarizeReport, validateMapData } from './mapSchema.js';
+import { ensureBaselineVersion, recordVersion } from './versions.js';
+import { validateRule } from './mergeRules.js';
+import { validateAddon } from './addons.js';
+import { getSkuMappings, validateMapping } from './skuMappings.js';
+
+// --- Library Export / Import ---
+// The whole context library as one JSON bundle, to move it between
+// deployments or keep a copy outside the database:
+//
+//   { format: 'licensing-library', version: 1, exportedAt, exportedBy,
+//     maps: [{ title, type, data, featureCount, source?, sourceKey?, sourceUrl?,
+//              lastSyncedAt?, fileName?, timestamp, updatedAt? }],
+//     mergeRules: [{ scope, type, names, canonical, note }],
+//     addons: [{ name, description, price, features }],
+//     skuMappings: [{ sku, productName, tier, addon }] }
+//
+// Ids, versions and extraction diagnostics stay behind. An entry already in
+// the library (a map by sourceKey, else by title and type; a rule sharing a
+// name; an add-on by name; a mapping by SKU) is merged, replaced or skipped
+// depending on the strategy. Every imported map gets an 'import' version, so
+// an import can be undone from the map's history.
+
+export const LIBRARY_FORMAT = 'licensing-library';
+export const LIBRARY_VERSION = 1;
+export const IMPORT_STRATEGIES = ['merge', 'replace', 'skip'];
+
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES } });
+
+// Multer's own errors (a file too large) would otherwise end as an HTML 500
+const uploadFile = (req, res, next) => upload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+});
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const MAP_FIELDS = ['title', 'type', 'data', 'featureCount', 'source', 'sourceKey', 'sourceUrl', 'lastSyncedAt', 'fileName', 'timestamp', 'updatedAt'];
+const pick = (doc, fields) => Object.fromEntries(fields.filter(f => doc[f] !== undefined).map(f => [f, doc[f]]));
+
+export async function exportLibrary(db, { exportedBy = null } = {}) {
+    const [maps, mergeRules, addons, skuMappings] = await Promise.all([
+        db.collection('maps').find({}).sort({ timestamp: -1 }).toArray(),
+        db.collection('merge_rules').find({}).sort({ createdAt: 1 }).toArray(),
+        db.collection('addons').find({}).sort({ name: 1 }).toArray(),
+        getSkuMappings(db),
+    ]);
+    return {
+        format: LIBRARY_FORMAT,
+        version: LIBRARY_VERSION,
+        exportedAt: new Date().toISOString(),
+        exportedBy,
+        maps: maps.map(m => pick(m, MAP_FIELDS)),
+        mergeRules: mergeRules.map(r => pick(r, ['scope', 'type', 'names', 'canonical', 'note'])),
+        addons: addons.map(a => pick(a, ['name', 'description', 'price', 'features'])),
+        skuMappings: skuMappings.map(m => pick(m, ['sku', 'productName', 'tier', 'addon'])),
+    };
+}
+
+function checkBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== LIBRARY_FORMAT) {
+        throw badRequest('Not a library export (expected a licensing-library JSON file)');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) throw badRequest('The bundle has no valid version');
+    if (bundle.version > LIBRARY_VERSION) {
+        throw badRequest(`The bundle is version ${bundle.version}; this server reads up to version ${LIBRARY_VERSION}`);
+    }
+    for (const key of ['maps', 'mergeRules', 'addons', 'skuMappings']) {
+        if (bundle[key] !== undefined && !Array.isArray(bundle[key])) throw badRequest(`${key} must be an array`);
+    }
+}
+
+const sameMap = (entry) => (map) => entry.sourceKey
+    ? map.sourceKey === entry.sourceKey
+    : !map.sourceKey && map.title === entry.title && (map.type ?? null) === (entry.type ?? null);
+
+// Each importer walks its part of the bundle against the current documents,
+// keeping that list up to date so a bundle that repeats an entry meets its
+// own earlier copy. Nothing is written when `dryRun` is set.
+
+async function importMaps(db, entries, { strategy, dryRun, actor }) {
+    const collection = db.collection('maps');
+    const known = await collection.find({}).toArray();
+    const items = [];
+
+    for (const [i, entry] of entries.entries()) {
+        const label = String(entry?.title ?? '').trim() || `maps[${i}]`;
+        const item = { kind: 'map', label };
+        items.push(item);
+        try {
+            if (!entry || typeof entry !== 'object' || !String(entry.title ?? '').trim()) throw badRequest('A map needs a title');
+            const title = String(entry.title).trim();
+            const existing = known.find(sameMap({ ...entry, title }));
+            if (existing && strategy === 'skip') {
+                Object.assign(item, { action: 'skip', features: { before: existing.featureCount ?? 0 } });
+                continue;
+            }
+
+            const action = existing ? strategy : 'create';
+            const { data, report } = validateMapData(action === 'merge' ? mergeMapData(existing.data, entry.data) : entry.data);
+            Object.assign(item, { action, features: { before: existing?.featureCount ?? 0, after: report.stats.features } });
+
+            const now = new Date().toISOString();
+            const doc = {
+                ...pick(entry, ['type', 'source', 'sourceKey', 'sourceUrl', 'lastSyncedAt', 'fileName']),
+                title,
+                data,
+                featureCount: report.stats.features,
+                validation: summarizeReport(report),
+            };
+            if (!existing) {
+                const created = { ...doc, timestamp: Number(entry.timestamp) || Date.now(), ...(entry.updatedAt ? { updatedAt: entry.updatedAt } : {}) };
+                if (!dryRun) {
+                    created._id = (await collection.insertOne(created)).insertedId;
+                    await recordVersion(db, created, { source: 'import', createdBy: actor });
+                }
+                known.push(created);
+                continue;
+            }
+
+            const updated = { ...existing, ...doc, timestamp: Date.now(), updatedAt: now };
+            if (!dryRun) {
+                await ensureBaselineVersion(db, existing);
+                await collection.updateOne({ _id: existing._id }, { $set: { ...doc, timestamp: updated.timestamp, updatedAt: now } });
+                await recordVersion(db, updated, { source: 'import', createdBy: actor });
+            }
+            known[known.indexOf(existing)] = updated;
+        } catch (err) {
+            if (!err.status) throw err;
+            Object.assign(item, { action: 'invalid', error: err.message });
+        }
+    }
+    return items;
+}
+
+async function importMergeRules(db, entries, { strategy, dryRun, actor }) {
+    const collection = db.collection('merge_rules');
+    const known = await collection.find({}).toArray();
+    const items = [];
+
+    for (const [i, entry] of entries.entries()) {
+        const item = { kind: 'mergeRule', label: Array.isArray(entry?.names) ? entry.names.slice(0, 2).join(' / ') : `mergeRules[${i}]` };
+        items.push(item);
+        let rule;
+        try {
+            rule = validateRule(entry || {});
+        } catch (err) {
+            if (!err.status) throw err;
+            Object.assign(item, { action: 'invalid', error: err.message });
+            continue;
+        }
+
+        const wanted = new Set(rule.names.map(ruleFingerprint));
+        const claimed = known.filter(other => other.scope === rule.scope && other.names.some(n => wanted.has(ruleFingerprint(n))));
+        if (claimed.length > 1) {
+            Object.assign(item, { action: 'conflict', error: 'These names already belong to more than one rule' });
+            continue;
+        }
+        const [existing] = claimed;
+        if (existing && strategy === 'skip') {
+            item.action = 'skip';
+            continue;
+        }
+        if (existing && strategy === 'merge' && existing.type !== rule.type) {
+            Object.assign(item, { action: 'conflict', error: `The library keeps these names in ${existing.type === 'alias' ? 'an alias' : 'a never-merge'} rule` });
+            continue;
+        }
+
+        const now = new Date().toISOString();
+        if (!existing) {
+            const created = { ...rule, createdAt: now, createdBy: actor, updatedAt: now, updatedBy: actor };
+            if (!dryRun) created._id = (await collection.insertOne(created)).insertedId;
+            known.push(created);
+            item.action = 'create';
+            continue;
+        }
+
+        const update = strategy === 'merge'
+            ? {
+                names: [...existing.names, ...rule.names.filter(n => !existing.names.some(e => ruleFingerprint(e) === ruleFingerprint(n)))],
+                canonical: rule.canonical || existing.canonical || '',
+                note: rule.note || existing.note || '',
+            }
+            : rule;
+        if (!dryRun) await collection.updateOne({ _id: existing._id }, { $set: { ...update, updatedAt: now, updatedBy: actor } });
+        known[known.indexOf(existing)] = { ...existing, ...update };
+        item.action = strategy;
+    }
+    return items;
+}
+
+async function importAddons(db, entries, { strategy, dryRun, actor }) {
+    const collection = db.collection('addons');
+    const known = await collection.find({}).toArray();
+    const items = [];
+
+    for (const [i, entry] of entries.entries()) {
+        const item = { kind: 'addon', label: String(entry?.name ?? '').trim() || `addons[${i}]` };
+        items.push(item);
+        try {
+            const addon = validateAddon(entry || {});
+            const existing = known.find(a => a.nameKey === addon.nameKey);
+            if (existing && strategy === 'skip') {
+                item.action = 'skip';
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            if (!existing) {
+                const created = { price: null, ...addon, createdAt: now, createdBy: actor, updatedAt: now, updatedBy: actor };
+                if (!dryRun) created._id = (await collection.insertOne(created)).insertedId;
+                known.push(created);
+                item.action = 'create';
+                continue;
+            }
+
+            // Merging keeps the add-on's own features the bundle does not list
+            const update = strategy === 'merge'
+                ? validateAddon({
+                    name: addon.name,
+                    description: addon.description || existing.description,
+                    price: addon.price ?? existing.price ?? null,
+                    features: [...addon.features, ...existing.features.filter(f => !addon.features.some(a => a.name.toLowerCase() === f.name.toLowerCase()))],
+                })
+                : { price: null, ...addon };
+            if (!dryRun) await collection.updateOne({ _id: existing._id }, { $set: { ...update, updatedAt: now, updatedBy: actor } });
+            known[known.indexOf(existing)] = { ...existing, ...update };
+            item.action = strategy;
+        } catch (err) {
+            if (!err.status) throw err;
+            Object.assign(item, { action: 'invalid', error: err.message });
+        }
+    }
+    return items;
+}
+
+async function importSkuMappings(db, entries, { strategy, dryRun, actor }) {
+    const collection = db.collection('sku_mappings');
+    const known = await getSkuMappings(db);
+    const items = [];
+
+    for (const [i, entry] of entries.entries()) {
+        const item = { kind: 'skuMapping', label: String(entry?.sku ?? '').trim() || `skuMappings[${i}]` };
+        items.push(item);
+        try {
+            const mapping = { tier: null, addon: null, ...validateMapping(entry || {}) };
+            const existing = known.find(m => m.sku === mapping.sku);
+            if (existing && strategy === 'skip') {
+                item.action = 'skip';
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            if (!existing) {
+                const created = { ...mapping, createdAt: now, updatedAt: now, updatedBy: actor };
+                if (!dryRun) await collection.insertOne(created);
+                known.push(created);
+                item.action = 'create';
+                continue;
+            }
+
+            // Merging only fills in: a bundle that leaves a SKU unmapped keeps our target
+            const targeted = mapping.tier || mapping.addon;
+            const update = strategy === 'merge'
+                ? {
+                    productName: mapping.productName || existing.productName,
+                    tier: targeted ? mapping.tier : existing.tier,
+                    addon: targeted ? mapping.addon : existing.addon,
+                }
+                : { productName: mapping.productName, tier: mapping.tier, addon: mapping.addon };
+            if (!dryRun) await collection.updateOne({ sku: existing.sku }, { $set: { ...update, updatedAt: now, updatedBy: actor } });
+            known[known.indexOf(existing)] = { ...existing, ...update };
+            item.action = strategy;
+        } catch (err) {
+            if (!err.status) throw err;
+            Object.assign(item, { action: 'invalid', error: err.message });
+        }
+    }
+    return items;
+}
+
+/**
+ * Apply (or, with `dryRun`, only preview) a bundle from exportLibrary().
+ * Entries that fail validation or clash with a curated rule are reported
+ * and left out; the rest are imported.
+ *
+ * @returns {Promise<{ strategy, dryRun, summary: object, items: object[] }>}
+ *          items: [{ kind, label, action: 'create'|'merge'|'replace'|'skip'|'invalid'|'conflict', error?, features? }]
+ */
+export async function importLibrary(db, bundle, { strategy = 'merge', dryRun = false, actor = null } = {}) {
+    if (!IMPORT_STRATEGIES.includes(strategy)) throw badRequest(`strategy must be one of: ${IMPORT_STRATEGIES.join(', ')}`);
+    checkBundle(bundle);
+
+    const options = { strategy, dryRun, actor };
+    const items = [
+        ...await importMaps(db, bundle.maps || [], options),
+        ...await importMergeRules(db, bundle.mergeRules || [], options),
+        ...await importAddons(db, bundle.addons || [], options),
+        ...await importSkuMappings(db, bundle.skuMappings || [], options),
+    ];
+    const summary = { create: 0, merge: 0, replace: 0, skip: 0, invalid: 0, conflict: 0 };
+    for (const item of items) summary[item.action]++;
+    return { strategy, dryRun, summary, items };
+}
+
+export function createLibraryRouter(getDB, requireRole) {
+    const router = express.Router();
+
+    router.get('/library/export', requireRole('editor'), async (req, res) => {
+        try {
+            const bundle = await exportLibrary(await getDB(), { exportedBy: req.user.username });
+            res.attachment(`licensing-library-${bundle.exportedAt.slice(0, 10)}.json`);
+            res.json(bundle);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // multipart: file (the exported JSON), strategy, dryRun=true for a preview
+    router.post('/library/import', requireRole('editor'), uploadFile, async (req, res) => {
+        try {
+            if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+            let bundle;
+            try {
+                bundle = JSON.parse(req.file.buffer.toString('utf8'));
+            } catch {
+                return res.status(400).json({ error: 'The file is not valid JSON' });
+            }
+            const dryRun = ['true', '1'].includes(String(req.body?.dryRun));
+            res.json(await importLibrary(await getDB(), bundle, { strategy: req.body?.strategy || 'merge', dryRun, actor: req.user.username }));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,289 @@
+// --- License Inventory ---
+// A customer's license export read against our maps: which capabilities the
+// tenant owns, and which of its licenses overlap. Two CSV shapes are read:
+//
+//   subscriptions  one row per SKU: part number and/or product name, with
+//                  consumed (assigned) and prepaid (total) or available units
+//   users          one row per user and the licenses assigned to them, as the
+//                  admin center's user export writes them ("A+B") or a Graph
+//                  report does ("SPE_E3;MCOEV")
+//
+// User rows are reduced to license combinations with a user count, so no
+// user names are kept. SKUs are resolved through the mapping table
+// (lib/skuMappings.js), else by a product name that equals a tier or add-on.
+
+import { STATUS, normalizeStatus } from './mapSchema.js';
+import { mergeComparisonColumns, tierKey } from './mapMerge.js';
+import { combinePrices, seatPrice } from './pricing.js';
+import { findColumn, parseCsv } from './csv.js';
+
+export const INVENTORY_FORMATS = ['subscriptions', 'users'];
+export const FINDING_TYPES = ['consolidate', 'redundant', 'unassigned'];
+const MAX_LICENSES = 500;
+
+const COLUMNS = {
+    sku: /^(sku ?part ?number|sku|sku ?id ?name|part ?number)$/i,
+    product: /^(product( title| name)?|license( name)?|subscription( name)?|sku ?name)$/i,
+    consumed: /^(consumed( ?units)?|assigned( licenses| units)?|used)$/i,
+    total: /^(prepaid ?units(\.enabled)?|enabled( units)?|total( licenses| units)?|purchased( quantity)?|quantity)$/i,
+    available: /^(available( licenses| units)?|unassigned)$/i,
+    user: /^(user ?principal ?name|upn|user|e-?mail|sign-?in ?name)$/i,
+    licenses: /^(licenses|assigned ?licenses|skus|assigned ?skus)$/i,
+};
+
+// "Enterprise Mobility + Security E3" keeps its spaced "+"; "A+B" is two licenses
+const LICENSE_SEPARATOR = /\s*[;,|]\s*|(?<!\s)\+(?!\s)/;
+const NO_LICENSE = /^(unlicensed|none|-)?$/i;
+
+const badFile = (message) => Object.assign(new Error(message), { status: 400 });
+
+// A blank or missing cell is an unknown count, not zero
+const units = (raw) => {
+    const text = String(raw ?? '').replace(/[\s,]/g, '');
+    const n = Number(text);
+    return text && Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+};
+
+/**
+ * @returns {{ format: string, licenses: object[], combinations: object[], userCount: number|null }}
+ *   licenses: [{ id, productName?, consumed, total }] (total null when the file has no counts);
+ *   combinations: [{ licenses: [id], users }] for the users format
+ * @throws {Error} status 400 when neither shape is recognized
+ */
+export function parseInventoryCsv(text) {
+    const rows = parseCsv(text);
+    if (rows.length < 2) throw badFile('The file has no data rows');
+    const [header, ...body] = rows;
+    const col = Object.fromEntries(Object.entries(COLUMNS).map(([name, pattern]) => [name, findColumn(header, pattern)]));
+    const cell = (row, name) => (col[name] === -1 ? '' : String(row[col[name]] ?? '').trim());
+
+    if (col.user !== -1 && col.licenses !== -1) {
+        const combinations = new Map();
+        const consumed = new Map();
+        for (const row of body) {
+            const ids = [...new Set(cell(row, 'licenses').split(LICENSE_SEPARATOR).map(s => s.trim()).filter(s => !NO_LICENSE.test(s)))].sort();
+            if (!ids.length) continue;
+            for (const id of ids) consumed.set(id, (consumed.get(id) || 0) + 1);
+            const key = ids.join('\u0000');
+            combinations.set(key, { licenses: ids, users: (combinations.get(key)?.users || 0) + 1 });
+        }
+        if (consumed.size > MAX_LICENSES) throw badFile(`At most ${MAX_LICENSES} distinct licenses can be imported`);
+        return {
+            format: 'users',
+            licenses: [...consumed].map(([id, users]) => ({ id, consumed: users, total: null })),
+            combinations: [...combinations.values()].sort((a, b) => b.users - a.users),
+            userCount: body.length,
+        };
+    }
+
+    if (col.sku === -1 && col.product === -1) {
+        throw badFile('Expected a SKU part number or product column (subscriptions), or user and licenses columns (user export)');
+    }
+    const licenses = new Map();
+    for (const row of body) {
+        const id = cell(row, 'sku') || cell(row, 'product');
+        if (!id) continue;
+        const consumed = units(cell(row, 'consumed')) ?? 0;
+        const available = units(cell(row, 'available'));
+        const total = units(cell(row, 'total')) ?? (available === null ? null : consumed + available);
+        // The same SKU can be listed once per subscription
+        const entry = licenses.get(id) || { id, ...(col.sku !== -1 && cell(row, 'product') ? { productName: cell(row, 'product') } : {}), consumed: 0, total: null };
+        entry.consumed += consumed;
+        if (total !== null) entry.total = (entry.total || 0) + total;
+        licenses.set(id, entry);
+    }
+    if (!licenses.size) throw badFile('No licenses found in the file');
+    if (licenses.size > MAX_LICENSES) throw badFile(`At most ${MAX_LICENSES} distinct licenses can be imported`);
+    return { format: 'subscriptions', licenses: [...licenses.values()], combinations: [], userCount: null };
+}
+
+/**
+ * Attach the tier or add-on each license stands for: `tier`, `addon`,
+ * `mappedBy` ('table' | 'name' | null) and `ignored` for SKUs the table marks
+ * as carrying nothing.
+ *
+ * @param {object[]} licenses
+ * @param {object} context
+ * @param {object[]} context.mappings    SKU mappings
+ * @param {string[]} context.tierNames   every tier name of every map
+ * @param {string[]} context.addonNames
+ */
+export function resolveLicenses(licenses, { mappings, tierNames, addonNames }) {
+    const bySku = new Map(mappings.map(m => [m.sku.toUpperCase(), m]));
+    const byProduct = new Map(mappings.filter(m => m.productName).map(m => [m.productName.toLowerCase(), m]));
+    return licenses.map(license => {
+        const label = license.productName || license.id;
+        const mapping = bySku.get(license.id.toUpperCase()) || byProduct.get(license.id.toLowerCase()) || byProduct.get(label.toLowerCase());
+        if (mapping) {
+            return {
+                ...license,
+                sku: mapping.sku,
+                productName: license.productName || mapping.productName,
+                tier: mapping.tier || null,
+                addon: mapping.addon || null,
+                mappedBy: 'table',
+                ignored: !mapping.tier && !mapping.addon,
+            };
+        }
+        const tier = tierNames.find(t => tierKey(t) === tierKey(label)) || null;
+        const addon = tier ? null : addonNames.find(a => a.toLowerCase() === label.toLowerCase()) || null;
+        return { ...license, tier, addon, mappedBy: tier || addon ? 'name' : null, ignored: false };
+    });
+}
+
+const GRANT_RANK = { [STATUS.FULL]: 2, [STATUS.PARTIAL]: 1 };
+const grantRank = (status) => GRANT_RANK[normalizeStatus(status || STATUS.NOT_INCLUDED).status] || 0;
+const round = (n) => Math.round(n * 100) / 100;
+
+// Does `wide` grant everything `narrow` does, at least as fully?
+const covers = (wide, narrow) => narrow.size > 0 && [...narrow].every(([row, r]) => (wide.get(row) || 0) >= r);
+
+/**
+ * What the tenant owns, and where licenses overlap.
+ *
+ * @param {object} inventory  parsed inventory with resolved licenses
+ * @param {object} context
+ * @param {object[]} context.maps     map documents with `id`
+ * @param {object[]} context.addons
+ * @param {object} [context.rules]    compileMergeRules() result
+ * @returns {{ licenses: object[], owned: object[], findings: object[] }}
+ *   licenses: the inventory's, each with `label` and `cols` (comparison columns it matched);
+ *   owned: [{ name, features: [{ name, status, licenses: [label] }] }];
+ *   findings: { type: 'unassigned', license, units }, { type: 'redundant', license,
+ *   coveredBy, users } (users is null for subscription exports: the same users may
+ *   not hold both), { type: 'consolidate', licenses, into, users, perSeat, saving, currency }
+ *   (perSeat and saving per month)
+ */
+export function analyzeInventory(inventory, { maps, addons, rules }) {
+    // Every tier is a column (and a candidate to consolidate into); an add-on
+    // is a column of its own, laid over an empty map
+    const columns = [];
+    const colsByTier = new Map();
+    const tierColumns = [];
+    for (const map of maps) {
+        for (const tier of map.data.tiers) {
+            const col = `${map.title} - ${tier}`;
+            columns.push({ map, tier, col });
+            tierColumns.push({ mapId: map.id, tier, col, price: map.data.pricing?.[tier] });
+            colsByTier.set(tierKey(tier), [...(colsByTier.get(tierKey(tier)) || []), col]);
+        }
+    }
+    for (const addon of addons) {
+        columns.push({ map: { title: addon.name, data: { tiers: [], categories: [] } }, tier: addon.name, col: addon.name, addons: [addon] });
+    }
+    const { categories } = mergeComparisonColumns(columns, rules);
+    const rows = categories.flatMap(cat => cat.features.map(feature => ({ category: cat.name, feature })));
+
+    const tierGrants = new Map();
+    const grantsOf = (cols) => {
+        const grants = new Map();
+        rows.forEach(({ feature }, i) => {
+            const r = Math.max(0, ...cols.map(col => grantRank(feature.status[col])));
+            if (r) grants.set(i, r);
+        });
+        return grants;
+    };
+    const tierGrantsOf = (col) => {
+        if (!tierGrants.has(col)) tierGrants.set(col, grantsOf([col]));
+        return tierGrants.get(col);
+    };
+    const priceOf = (license) => {
+        if (license.addon) return addons.find(a => a.name === license.addon)?.price || null;
+        return tierColumns.find(t => license.tier && tierKey(t.tier) === tierKey(license.tier) && t.price)?.price || null;
+    };
+
+    const licenses = inventory.licenses.map(license => {
+        const cols = license.tier ? colsByTier.get(tierKey(license.tier)) || []
+            : license.addon && addons.some(a => a.name === license.addon) ? [license.addon] : [];
+        return { ...license, label: license.productName || license.id, cols };
+    });
+    const byId = new Map(licenses.map(l => [l.id, { license: l, grants: grantsOf(l.cols), price: priceOf(l) }]));
+
+    const owned = [];
+    rows.forEach(({ category, feature }, i) => {
+        let best = 0;
+        let from = [];
+        for (const { license, grants } of byId.values()) {
+            const r = grants.get(i) || 0;
+            if (r > best) [best, from] = [r, [license.label]];
+            else if (r && r === best) from.push(license.label);
+        }
+        if (!best) return;
+        let cat = owned.find(c => c.name === category);
+        if (!cat) owned.push(cat = { name: category, features: [] });
+        cat.features.push({ name: feature.name, status: best === 2 ? STATUS.FULL : STATUS.PARTIAL, licenses: from });
+    });
+
+    const findings = [];
+    for (const l of licenses) {
+        if (!l.ignored && l.total !== null && l.total > l.consumed) findings.push({ type: 'unassigned', license: l.label, units: l.total - l.consumed });
+    }
+
+    // Pairs where one license adds nothing to another; identical ones are reported once
+    const redundant = new Map();
+    const checkPairs = (ids, users) => {
+        const known = ids.map(id => byId.get(id)).filter(e => e?.grants.size);
+        for (const a of known) {
+            for (const b of known) {
+                if (a === b || !covers(b.grants, a.grants)) continue;
+                if (covers(a.grants, b.grants) && known.indexOf(a) > known.indexOf(b)) continue;
+                const key = `${a.license.label}\u0000${b.license.label}`;
+                const entry = redundant.get(key) || { type: 'redundant', license: a.license.label, coveredBy: b.license.label, users: inventory.format === 'users' ? 0 : null };
+                if (entry.users !== null) entry.users += users;
+                redundant.set(key, entry);
+            }
+        }
+    };
+    if (inventory.format === 'users') inventory.combinations.forEach(c => checkPairs(c.licenses, c.users));
+    else checkPairs(licenses.map(l => l.id), 0);
+    findings.push(...redundant.values());
+
+    // A combination a single, cheaper tier covers (users export only).
+    // Combinations that differ only in ignored SKUs count as one.
+    const consolidations = new Map();
+    for (const combo of inventory.combinations) {
+        const counted = combo.licenses.map(id => byId.get(id)).filter(e => !e.license.ignored);
+        const parts = counted.filter(e => e.grants.size);
+        if (parts.length < 2 || parts.length !== counted.length) continue;
+        const key = parts.map(p => p.license.id).join('\u0000');
+        if (consolidations.has(key)) {
+            const finding = consolidations.get(key);
+            if (finding) {
+                finding.users += combo.users;
+                finding.saving = round(finding.perSeat * finding.users);
+            }
+            continue;
+        }
+
+        const current = combinePrices(parts[0].price, parts.slice(1).map(p => p.price));
+        const currentMonthly = seatPrice(current, 'monthly')?.amount;
+        if (currentMonthly === undefined) {
+            consolidations.set(key, null);
+            continue;
+        }
+        const union = new Map();
+        for (const { grants } of parts) for (const [row, r] of grants) union.set(row, Math.max(r, union.get(row) || 0));
+
+        let best = null;
+        for (const t of tierColumns) {
+            if (parts.some(p => p.license.cols.includes(t.col)) || t.price?.currency !== current.currency) continue;
+            const monthly = seatPrice(t.price, 'monthly').amount;
+            if (monthly >= currentMonthly || (best && monthly >= best.monthly) || !covers(tierGrantsOf(t.col), union)) continue;
+            best = { ...t, monthly };
+        }
+        consolidations.set(key, best && {
+            type: 'consolidate',
+            licenses: parts.map(p => p.license.label),
+            into: { mapId: best.mapId, tier: best.tier, col: best.col },
+            users: combo.users,
+            perSeat: round(currentMonthly - best.monthly),
+            saving: round((currentMonthly - best.monthly) * combo.users),
+            currency: current.currency,
+        });
+    }
+    findings.push(...[...consolidations.values()].filter(Boolean));
+
+    const size = (f) => f.saving ?? f.users ?? f.units ?? 0;
+    findings.sort((a, b) => FINDING_TYPES.indexOf(a.type) - FINDING_TYPES.indexOf(b.type) || size(b) - size(a));
+    return { licenses, owned, findings };
+}
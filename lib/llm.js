@@ -0,0 +1,256 @@
+// --- LLM Providers ---
+// One entry point for every AI call (PDF extraction, sync page parsing) so the
+// model fallback list, 429 retry/backoff and JSON clean-up live in one place.
+//
+//   LLM_PROVIDER        gemini (default) | openai | mock
+//   LLM_MODELS          comma-separated fallback list, tried in order
+//   LLM_MAX_ATTEMPTS    attempts per model for retryable errors (default 2)
+//   LLM_RETRY_DELAY_MS  first backoff delay, doubled per retry (default 3000)
+//
+// Provider specific:
+//   gemini  GEMINI_API_KEY (or VITE_GEMINI_API_KEY)
+//   openai  OPENAI_BASE_URL (default https://api.openai.com/v1), OPENAI_API_KEY
+//           (optional for local servers such as Ollama, LM Studio or vLLM)
+//   mock    LLM_FIXTURES_DIR (default fixtures/llm), no network, no key
+//
+// Embeddings (optional, used by the feature matcher):
+//   EMBEDDINGS_MODEL     e.g. nomic-embed-text; unset means no embeddings
+//   EMBEDDINGS_BASE_URL  OpenAI-compatible /embeddings endpoint (default
+//                        OPENAI_BASE_URL), authenticated with OPENAI_API_KEY
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'llm');
+
+export class LlmError extends Error {
+    constructor(message, { status = 502, details } = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const env = (name, fallback) => process.env[name] || fallback;
+const listEnv = (name) => (process.env[name] || '').split(',').map(s => s.trim()).filter(Boolean);
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// --- Providers ---
+// A provider is { name, models, configured(), generate({ model, prompt, context, attachments, signal }) }
+// and resolves to the raw response text. `attachments` are { mimeType, data (base64), name }.
+// `offline: true` tells callers they can skip fetching source pages.
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+registerProvider({
+    name: 'gemini',
+    models: ['gemini-2.0-flash', 'gemini-flash-latest', 'gemini-pro-latest'],
+    apiKey: () => process.env.VITE_GEMINI_API_KEY || process.env.GEMINI_API_KEY,
+    configured() {
+        return !!this.apiKey();
+    },
+    async generate({ model, prompt, context, attachments = [], signal }) {
+        const genAI = new GoogleGenerativeAI(this.apiKey());
+        const parts = [
+            ...attachments.map(a => ({ inlineData: { data: a.data, mimeType: a.mimeType } })),
+            ...(context ? [{ text: context }] : []),
+            { text: prompt },
+        ];
+        const result = await genAI.getGenerativeModel({ model }).generateContent(parts, { signal });
+        if (!result?.response) throw new Error('Empty response');
+        return result.response.text();
+    },
+});
+
+registerProvider({
+    name: 'openai',
+    get models() {
+        return listEnv('OPENAI_MODEL').length ? listEnv('OPENAI_MODEL') : ['gpt-4o-mini'];
+    },
+    configured() {
+        // Local OpenAI-compatible servers usually need no key, only a base URL
+        return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+    },
+    async generate({ model, prompt, context, attachments = [], signal }) {
+        const baseUrl = env('OPENAI_BASE_URL', 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const content = [
+            ...attachments.map(a => ({
+                type: 'file',
+                file: { filename: a.name || 'document.pdf', file_data: `data:${a.mimeType};base64,${a.data}` },
+            })),
+            ...(context ? [{ type: 'text', text: context }] : []),
+            { type: 'text', text: prompt },
+        ];
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {}),
+            },
+            body: JSON.stringify({ model, temperature: 0, messages: [{ role: 'user', content }] }),
+            signal: AbortSignal.any([AbortSignal.timeout(Number(env('LLM_TIMEOUT_MS', 300000))), ...(signal ? [signal] : [])]),
+        });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`[${response.status} ${response.statusText}] ${body.substring(0, 200)}`);
+        }
+        const json = await response.json();
+        const text = json.choices?.[0]?.message?.content;
+        if (!text) throw new Error('Empty response');
+        return text;
+    },
+});
+
+// Deterministic, offline: answers from JSON fixtures on disk. Lookup order is
+// `<fixtureKey>.json`, `<task>.json`, then `default.json`. A fixture may be a
+// bare map `data` block or a saved API response ({ data: {...} }).
+registerProvider({
+    name: 'mock',
+    models: ['fixture'],
+    offline: true,
+    configured: () => true,
+    async generate({ task, fixtureKey, expectedTiers }) {
+        const dir = env('LLM_FIXTURES_DIR', DEFAULT_FIXTURES_DIR);
+        const candidates = [fixtureKey, task, 'default'].filter(Boolean).map(k => path.join(dir, `${k}.json`));
+        const file = candidates.find(f => fs.existsSync(f));
+        if (!file) throw new Error(`No mock fixture found (looked for ${candidates.map(f => path.basename(f)).join(', ')} in ${dir})`);
+
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const data = fixture.data && fixture.data.categories ? fixture.data : fixture;
+        return JSON.stringify(expectedTiers?.length ? retier(data, expectedTiers) : data);
+    },
+});
+
+// Rename fixture tiers positionally so one fixture can stand in for any source
+function retier(data, expectedTiers) {
+    if (expectedTiers.every(t => data.tiers.includes(t))) return data;
+    const rename = new Map(data.tiers.map((t, i) => [t, expectedTiers[i]]).filter(([, to]) => to));
+    const pick = (obj) => Object.fromEntries(Object.entries(obj || {}).filter(([t]) => rename.has(t)).map(([t, v]) => [rename.get(t), v]));
+    return {
+        tiers: [...rename.values()],
+        categories: data.categories.map(c => ({
+            ...c,
+            features: c.features.map(f => ({ ...f, status: pick(f.status), ...(f.qualifiers ? { qualifiers: pick(f.qualifiers) } : {}) })),
+        })),
+    };
+}
+
+export const providerNames = () => [...providers.keys()];
+
+export function getProvider(name = env('LLM_PROVIDER', 'gemini')) {
+    const provider = providers.get(name);
+    if (!provider) throw new LlmError(`Unknown LLM provider "${name}". Available: ${providerNames().join(', ')}`, { status: 500 });
+    return provider;
+}
+
+// --- Retry / Fallback Policy ---
+
+const isRetryable = (err) => /\b(429|500|502|503|504)\b|quota|rate limit|overloaded|resource.?exhausted|unavailable/i.test(err.message);
+
+export function parseJsonResponse(text) {
+    const jsonString = String(text).replace(/```json|```/g, '').trim();
+    try {
+        return JSON.parse(jsonString);
+    } catch (parseError) {
+        console.error('AI JSON Parse Error. Raw response (first 500 chars):', jsonString.substring(0, 500));
+        throw new LlmError(`AI returned invalid JSON: ${parseError.message}`);
+    }
+}
+
+/**
+ * Run a prompt through the configured provider and parse the JSON answer.
+ * Each model in the fallback list gets LLM_MAX_ATTEMPTS tries on retryable
+ * errors (429, 5xx, quota) with exponential backoff before moving on.
+ *
+ * @param {object}   request
+ * @param {string}   request.task           'extract-pdf' | 'parse-html' (also a mock fixture name)
+ * @param {string}   request.prompt
+ * @param {string}   [request.context]      text sent ahead of the prompt (e.g. page HTML)
+ * @param {object[]} [request.attachments]  [{ mimeType, data (base64), name }]
+ * @param {string}   [request.fixtureKey]   preferred mock fixture (e.g. a sync source key)
+ * @param {string[]} [request.expectedTiers]
+ * @param {AbortSignal} [request.signal]    stops retries and in-flight calls (job cancellation)
+ * @returns {Promise<{ json: object, provider: string, model: string }>}
+ * @throws {LlmError} 500 when unconfigured, 503 when every model failed, 502 on bad JSON
+ */
+export async function generateJson(request, { provider = getProvider() } = {}) {
+    if (!provider.configured()) {
+        throw new LlmError(`LLM provider "${provider.name}" is not configured (see lib/llm.js for the required environment variables).`, { status: 500 });
+    }
+
+    const models = listEnv('LLM_MODELS').length ? listEnv('LLM_MODELS') : provider.models;
+    const maxAttempts = Math.max(1, Number(env('LLM_MAX_ATTEMPTS', 2)));
+    const baseDelay = Number(env('LLM_RETRY_DELAY_MS', 3000));
+    const errors = [];
+
+    for (const model of models) {
+        let delay = baseDelay;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            request.signal?.throwIfAborted();
+            try {
+                console.log(`🤖 [${provider.name}] ${request.task} with ${model}${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+                const text = await provider.generate({ ...request, model });
+                return { json: parseJsonResponse(text), provider: provider.name, model };
+            } catch (err) {
+                if (err instanceof LlmError) throw err;
+                if (request.signal?.aborted) throw request.signal.reason;
+                console.warn(`❌ ${provider.name}/${model} failed: ${err.message}`);
+                errors.push({ model, error: err.message });
+                if (!isRetryable(err) || attempt === maxAttempts) break;
+                console.warn(`⚠️ Retrying in ${delay / 1000}s...`);
+                await sleep(delay, request.signal);
+                delay *= 2;
+            }
+        }
+    }
+
+    throw new LlmError('All AI models are currently unavailable.', { status: 503, details: errors });
+}
+
+export const embeddingsConfigured = () => !!process.env.EMBEDDINGS_MODEL;
+
+/**
+ * Embed texts with an OpenAI-compatible /embeddings endpoint (OpenAI, Ollama,
+ * LM Studio, vLLM). Resolves to one vector per text, or null when
+ * EMBEDDINGS_MODEL is not set.
+ */
+export async function embedTexts(texts, { signal } = {}) {
+    if (!embeddingsConfigured()) return null;
+    const baseUrl = env('EMBEDDINGS_BASE_URL', env('OPENAI_BASE_URL', 'https://api.openai.com/v1')).replace(/\/+$/, '');
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += 256) {
+        const response = await fetch(`${baseUrl}/embeddings`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {}),
+            },
+            body: JSON.stringify({ model: process.env.EMBEDDINGS_MODEL, input: texts.slice(i, i + 256) }),
+            signal: AbortSignal.any([AbortSignal.timeout(Number(env('LLM_TIMEOUT_MS', 300000))), ...(signal ? [signal] : [])]),
+        });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new LlmError(`Embedding request failed [${response.status}] ${body.substring(0, 200)}`);
+        }
+        const json = await response.json();
+        vectors.push(...[...json.data].sort((a, b) => a.index - b.index).map(d => d.embedding));
+    }
+    return vectors;
+}
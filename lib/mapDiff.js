@@ -0,0 +1,89 @@
+// --- Map Diff ---
+// Compares two map `data` blocks ({ tiers, categories }) feature by feature.
+// Features are matched by name (case and whitespace insensitive), so a
+// feature that changes category shows up as a move rather than add + remove.
+// Statuses are compared in normalized form ("Yes" and "Full" are equal, a new
+// qualifier such as "Plan 2" is a change).
+
+import { normalizeStatus, statusLabel } from './mapSchema.js';
+
+const tierStatus = (feature, tier) => {
+    const raw = feature.status?.[tier];
+    if (raw == null) return null;
+    const { status, qualifier } = normalizeStatus(raw);
+    return statusLabel(status, feature.qualifiers?.[tier] || qualifier);
+};
+
+const featureKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+function indexFeatures(data) {
+    const index = new Map();
+    for (const cat of data?.categories || []) {
+        for (const feat of cat.features || []) {
+            const key = featureKey(feat.name);
+            if (!key || index.has(key)) continue;
+            index.set(key, { category: cat.name, feature: feat });
+        }
+    }
+    return index;
+}
+
+/**
+ * @param {object} before  older map.data
+ * @param {object} after   newer map.data
+ */
+export function diffMapData(before, after) {
+    const beforeTiers = before?.tiers || [];
+    const afterTiers = after?.tiers || [];
+    const sharedTiers = afterTiers.filter(t => beforeTiers.includes(t));
+
+    const oldIndex = indexFeatures(before);
+    const newIndex = indexFeatures(after);
+
+    const diff = {
+        tiers: {
+            added: afterTiers.filter(t => !beforeTiers.includes(t)),
+            removed: beforeTiers.filter(t => !afterTiers.includes(t)),
+        },
+        added: [],
+        removed: [],
+        statusChanges: [],
+        descriptionChanges: [],
+        categoryMoves: [],
+    };
+
+    for (const [key, { category, feature }] of newIndex) {
+        const prev = oldIndex.get(key);
+        if (!prev) {
+            diff.added.push({ category, name: feature.name, status: feature.status || {} });
+            continue;
+        }
+        if (prev.category !== category) {
+            diff.categoryMoves.push({ name: feature.name, from: prev.category, to: category });
+        }
+        if ((prev.feature.description || '') !== (feature.description || '')) {
+            diff.descriptionChanges.push({ category, name: feature.name, from: prev.feature.description || '', to: feature.description || '' });
+        }
+        for (const tier of sharedTiers) {
+            const from = tierStatus(prev.feature, tier);
+            const to = tierStatus(feature, tier);
+            if (from !== to) diff.statusChanges.push({ category, name: feature.name, tier, from, to });
+        }
+    }
+
+    for (const [key, { category, feature }] of oldIndex) {
+        if (!newIndex.has(key)) diff.removed.push({ category, name: feature.name, status: feature.status || {} });
+    }
+
+    diff.summary = {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        statusChanges: diff.statusChanges.length,
+        descriptionChanges: diff.descriptionChanges.length,
+        categoryMoves: diff.categoryMoves.length,
+        tiersAdded: diff.tiers.added.length,
+        tiersRemoved: diff.tiers.removed.length,
+    };
+    diff.hasChanges = Object.values(diff.summary).some(n => n > 0);
+    return diff;
+}
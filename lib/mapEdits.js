@@ -0,0 +1,204 @@
+// --- Curated Map Edits ---
+// Pure helpers shared by the maps routes (lib/maps.js) and the Manage
+// Documentation view, so the optimistic client update and the persisted
+// result match.
+
+import { MAX_FEATURE_NOTE } from './mapSchema.js';
+import { getSemanticFingerprint } from './mapMerge.js';
+
+export const EDITABLE_FEATURE_FIELDS = ['name', 'description', 'link', 'status', 'category', 'note'];
+
+export class MapEditError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MapEditError';
+        this.status = status;
+    }
+}
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+
+function assertLink(link) {
+    if (link === '') return;
+    let url;
+    try {
+        url = new URL(link);
+    } catch {
+        throw new MapEditError(`Invalid link: ${link}`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new MapEditError(`Link must be an http(s) URL: ${link}`);
+    }
+}
+
+/**
+ * Apply an edit to a single feature and return a new `data` block.
+ * The input is never mutated. Throws MapEditError with an HTTP-ish status.
+ *
+ * @param {object} data     map.data ({ tiers, categories })
+ * @param {object} edit     { category, name, changes }
+ */
+export function applyFeatureEdit(data, { category, name, changes } = {}) {
+    if (!data || !Array.isArray(data.categories)) throw new MapEditError('Map has no categories', 422);
+    if (!isNonEmptyString(category) || !isNonEmptyString(name)) {
+        throw new MapEditError('Both "category" and "name" are required to identify the feature');
+    }
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new MapEditError('"changes" must be an object');
+    }
+
+    const unknown = Object.keys(changes).filter(k => !EDITABLE_FEATURE_FIELDS.includes(k));
+    if (unknown.length > 0) throw new MapEditError(`Fields not editable: ${unknown.join(', ')}`);
+
+    const next = structuredClone(data);
+    const sourceCat = next.categories.find(c => c.name === category);
+    if (!sourceCat) throw new MapEditError(`Category not found: ${category}`, 404);
+    const fIdx = sourceCat.features.findIndex(f => f.name === name);
+    if (fIdx === -1) throw new MapEditError(`Feature not found: ${name}`, 404);
+
+    const feature = sourceCat.features[fIdx];
+
+    if ('name' in changes) {
+        if (!isNonEmptyString(changes.name)) throw new MapEditError('Feature name cannot be empty');
+        feature.name = changes.name.trim();
+    }
+    if ('description' in changes) {
+        if (typeof changes.description !== 'string') throw new MapEditError('Description must be a string');
+        feature.description = changes.description;
+    }
+    if ('link' in changes) {
+        if (typeof changes.link !== 'string') throw new MapEditError('Link must be a string');
+        const link = changes.link.trim();
+        assertLink(link);
+        feature.link = link;
+    }
+    if ('note' in changes) {
+        if (typeof changes.note !== 'string') throw new MapEditError('Note must be a string');
+        const note = changes.note.trim();
+        if (note.length > MAX_FEATURE_NOTE) throw new MapEditError(`Notes are limited to ${MAX_FEATURE_NOTE} characters`);
+        if (note) feature.note = note;
+        else delete feature.note;
+    }
+    if ('status' in changes) {
+        const status = changes.status;
+        if (!status || typeof status !== 'object' || Array.isArray(status)) {
+            throw new MapEditError('Status must be an object keyed by tier');
+        }
+        const tiers = next.tiers || [];
+        for (const [tier, value] of Object.entries(status)) {
+            if (!tiers.includes(tier)) throw new MapEditError(`Unknown tier: ${tier}`);
+            if (!isNonEmptyString(value)) throw new MapEditError(`Status for ${tier} cannot be empty`);
+        }
+        feature.status = { ...(feature.status || {}), ...status };
+        // A new status replaces the tier's qualifier too; "Full (Plan 1)" carries its own
+        if (feature.qualifiers) {
+            for (const tier of Object.keys(status)) delete feature.qualifiers[tier];
+            if (!Object.keys(feature.qualifiers).length) delete feature.qualifiers;
+        }
+    }
+
+    let targetCat = sourceCat;
+    if ('category' in changes && changes.category !== category) {
+        if (!isNonEmptyString(changes.category)) throw new MapEditError('Category name cannot be empty');
+        const targetName = changes.category.trim();
+        targetCat = next.categories.find(c => c.name === targetName);
+        if (!targetCat) {
+            targetCat = { name: targetName, features: [] };
+            next.categories.push(targetCat);
+        }
+    }
+
+    // Feature names are unique across the whole map (see validateMapData)
+    const lowerName = feature.name.toLowerCase();
+    const clashCat = next.categories.find(c => c.features.some(f => f !== feature && f.name.toLowerCase() === lowerName));
+    if (clashCat) throw new MapEditError(`A feature named "${feature.name}" already exists in ${clashCat.name}`, 409);
+
+    if (targetCat !== sourceCat) {
+        sourceCat.features.splice(fIdx, 1);
+        targetCat.features.push(feature);
+        if (sourceCat.features.length === 0) {
+            next.categories = next.categories.filter(c => c !== sourceCat);
+        }
+    }
+
+    return { data: next, feature, category: targetCat.name };
+}
+
+/**
+ * Keep the admin notes of the previous version on a fresh extraction, which
+ * never has any. Features are matched by name as in the comparison view;
+ * notes of features the extraction no longer has are dropped with them.
+ */
+export function carryOverNotes(data, previous) {
+    const notes = new Map();
+    for (const cat of previous?.categories || []) {
+        for (const feat of cat.features) {
+            if (feat.note) notes.set(getSemanticFingerprint(feat.name, { keepPlan: true }), feat.note);
+        }
+    }
+    if (!notes.size) return data;
+    return {
+        ...data,
+        categories: data.categories.map(cat => ({
+            ...cat,
+            features: cat.features.map(feat => {
+                const note = feat.note || notes.get(getSemanticFingerprint(feat.name, { keepPlan: true }));
+                return note ? { ...feat, note } : feat;
+            }),
+        })),
+    };
+}
+
+const featureKey = (name) => getSemanticFingerprint(name, { keepPlan: true });
+const CURATED_FIELDS = EDITABLE_FEATURE_FIELDS.filter(f => f !== 'note');
+
+/**
+ * Remember which fields an editor changed on a feature, so a sync can put
+ * them back (see reapplyFeatureEdits). Entries live on the map document as
+ * `edits: [{ key, changes }]`, keyed by the name the feature was extracted
+ * under; a renamed feature keeps its original key. Notes have their own
+ * carry-over and are not recorded. Returns a new list.
+ *
+ * @param {object[]} edits   map.edits
+ * @param {string} name      the feature's name before this edit
+ * @param {object} changes   the changes applied by applyFeatureEdit
+ */
+export function recordFeatureEdit(edits = [], name, changes) {
+    const curated = Object.fromEntries(Object.entries(changes).filter(([field]) => CURATED_FIELDS.includes(field)));
+    if (!Object.keys(curated).length) return edits;
+
+    const current = featureKey(name);
+    const entry = edits.find(e => featureKey(e.changes.name ?? '') === current) || edits.find(e => e.key === current && !e.changes.name);
+    const key = entry?.key ?? current;
+    const merged = { ...entry?.changes, ...curated };
+    if (curated.status) merged.status = { ...entry?.changes.status, ...curated.status };
+    // Renaming a feature back to its extracted name is no longer an edit
+    if (merged.name && featureKey(merged.name) === key) delete merged.name;
+    return [...edits.filter(e => e !== entry), { key, changes: merged }];
+}
+
+/**
+ * Put recorded editor changes back on a fresh extraction, which knows nothing
+ * of them. Features are matched by the name they were extracted under; an
+ * edit the new data cannot take (a gone tier, a name now taken) is skipped.
+ */
+export function reapplyFeatureEdits(data, edits) {
+    if (!edits?.length) return data;
+    let next = data;
+    for (const { key, changes } of edits) {
+        const category = next.categories.find(c => c.features.some(f => featureKey(f.name) === key));
+        if (!category) continue;
+        const { name } = category.features.find(f => featureKey(f.name) === key);
+        const applicable = { ...changes };
+        if (changes.status) {
+            applicable.status = Object.fromEntries(Object.entries(changes.status).filter(([tier]) => next.tiers?.includes(tier)));
+            if (!Object.keys(applicable.status).length) delete applicable.status;
+        }
+        try {
+            next = applyFeatureEdit(next, { category: category.name, name, changes: applicable }).data;
+        } catch (err) {
+            if (!(err instanceof MapEditError)) throw err;
+        }
+    }
+    return next;
+}
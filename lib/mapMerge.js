@@ -0,0 +1,305 @@
+// --- Map Merging ---
+// Fingerprint-based matching shared by the comparison view (App.jsx) and the
+// chunked PDF extraction, so "Microsoft 365 Defender" and "Defender" land on
+// the same row whether they are merged in the browser or on the server.
+
+import { STATUS, normalizeStatus, statusLabel } from './mapSchema.js';
+
+// `keepPlan` keeps "Plan 1" / "Plan 2" apart. The comparison view folds them
+// together on purpose (different maps name plans inconsistently), but within
+// one document they are distinct rows with different statuses.
+export const getSemanticFingerprint = (str, { keepPlan = false } = {}) => {
+    const base = String(str ?? '').trim().toLowerCase()
+        .replace(/^microsoft\s+365\s+/i, '')
+        .replace(/^m365\s+/i, '')
+        .replace(/^office\s+365\s+/i, '')
+        .replace(/^o365\s+/i, '')
+        .replace(/^ms\s+/i, '')
+        .replace(/^microsoft\s+/i, '')
+        .replace(/\s+for\s+business$/i, '')
+        .replace(/\s+for\s+enterprise$/i, '')
+        .replace(/\s+plan\s+(\d+)$/i, keepPlan ? ' p$1' : '');
+    return base.replace(/[^a-z0-9]/g, '');
+};
+
+// Tiers keep their product family: "Office 365 E3" and "Microsoft 365 E3" differ
+export const tierKey = (str) => String(str ?? '').trim().toLowerCase()
+    .replace(/^m365\b/, 'microsoft 365')
+    .replace(/^o365\b/, 'office 365')
+    .replace(/[^a-z0-9]/g, '');
+
+// When two chunks disagree, the one that saw the feature in a tier wins over
+// one that did not mention it (a later table may simply omit that column)
+const STATUS_RANK = { [STATUS.FULL]: 3, [STATUS.PARTIAL]: 2, [STATUS.ADD_ON]: 1, [STATUS.NOT_INCLUDED]: 0 };
+const rank = (raw) => raw == null ? -1 : STATUS_RANK[normalizeStatus(raw).status];
+
+const uniqueSorted = (nums) => [...new Set(nums)].sort((a, b) => a - b);
+
+/**
+ * Merge partial extractions of one document into a single raw `data` block.
+ * Categories and features are matched by fingerprint, features across the
+ * whole map (the first category seen keeps the feature); tiers by name with
+ * M365/O365 spelled out.
+ * Each feature gets `sourcePages`: the pages it was reported on, or the
+ * chunk's whole page range when the model did not say.
+ *
+ * @param {object[]} parts  [{ data, pages: { from, to } }]
+ * @returns {object} unvalidated map data; run it through validateMapData()
+ */
+export function mergePartialMaps(parts) {
+    const tiers = [];
+    const tierByKey = new Map();
+    const categories = [];
+    const categoryByKey = new Map();
+    const featureByKey = new Map();
+
+    for (const { data, pages } of parts) {
+        if (!data) continue;
+        const chunkPages = pages ? Array.from({ length: pages.to - pages.from + 1 }, (_, i) => pages.from + i) : [];
+
+        // Tier names may differ slightly between chunks ("M365 E3" vs "Microsoft 365 E3")
+        const tierName = new Map();
+        for (const t of Array.isArray(data.tiers) ? data.tiers : []) {
+            const key = tierKey(t);
+            if (!key) continue;
+            if (!tierByKey.has(key)) {
+                tierByKey.set(key, t);
+                tiers.push(t);
+            }
+            tierName.set(t, tierByKey.get(key));
+        }
+        const canonicalTier = (t) => tierName.get(t) || tierByKey.get(tierKey(t)) || t;
+
+        for (const cat of Array.isArray(data.categories) ? data.categories : []) {
+            const catKey = getSemanticFingerprint(cat?.name);
+            if (!catKey) continue;
+            if (!categoryByKey.has(catKey)) {
+                const created = { name: cat.name, features: [] };
+                categoryByKey.set(catKey, created);
+                categories.push(created);
+            }
+            const targetCat = categoryByKey.get(catKey);
+
+            for (const feat of Array.isArray(cat.features) ? cat.features : []) {
+                const featKey = getSemanticFingerprint(feat?.name, { keepPlan: true });
+                if (!featKey) continue;
+
+                const reported = Array.isArray(feat.pages) ? feat.pages.map(Number).filter(n => Number.isInteger(n) && n > 0) : [];
+                const seenOn = reported.length ? reported : chunkPages;
+
+                let merged = featureByKey.get(featKey);
+                if (!merged) {
+                    merged = { name: feat.name, description: '', status: {}, qualifiers: {}, sourcePages: [] };
+                    featureByKey.set(featKey, merged);
+                    targetCat.features.push(merged);
+                }
+
+                if (!merged.link && feat.link) merged.link = feat.link;
+                if (typeof feat.description === 'string' && feat.description.length > merged.description.length) merged.description = feat.description;
+                merged.sourcePages = uniqueSorted([...merged.sourcePages, ...seenOn]);
+
+                for (const [tier, value] of Object.entries(feat.status || {})) {
+                    const name = canonicalTier(tier);
+                    if (rank(value) > rank(merged.status[name])) {
+                        merged.status[name] = value;
+                        if (feat.qualifiers?.[tier]) merged.qualifiers[name] = feat.qualifiers[tier];
+                        else delete merged.qualifiers[name];
+                    } else if (!merged.qualifiers[name] && feat.qualifiers?.[tier] && rank(value) === rank(merged.status[name])) {
+                        merged.qualifiers[name] = feat.qualifiers[tier];
+                    }
+                }
+            }
+        }
+    }
+
+    return { tiers, categories };
+}
+
+/**
+ * Lay one saved state of a map over another (a library import in merge
+ * mode). Tiers, categories and features are matched as in mergePartialMaps,
+ * but `incoming` wins every field it sets instead of the higher status:
+ * it is a curated copy, not another partial reading. Features, tiers and
+ * prices only `base` knows are kept.
+ *
+ * @returns {object} unvalidated map data; run it through validateMapData()
+ */
+export function mergeMapData(base, incoming) {
+    const tiers = [...(base?.tiers || [])];
+    const tierByKey = new Map(tiers.map(t => [tierKey(t), t]));
+    for (const t of incoming?.tiers || []) {
+        if (!tierByKey.has(tierKey(t))) {
+            tierByKey.set(tierKey(t), t);
+            tiers.push(t);
+        }
+    }
+    const canonicalTier = (t) => tierByKey.get(tierKey(t)) || t;
+
+    const categories = [];
+    const categoryByKey = new Map();
+    const featureByKey = new Map();
+    const copy = (data, overlay) => {
+        for (const cat of data?.categories || []) {
+            const catKey = getSemanticFingerprint(cat.name);
+            if (!categoryByKey.has(catKey)) {
+                const created = { name: cat.name, features: [] };
+                categoryByKey.set(catKey, created);
+                categories.push(created);
+            }
+            for (const feat of cat.features || []) {
+                const featKey = getSemanticFingerprint(feat.name, { keepPlan: true });
+                let merged = featureByKey.get(featKey);
+                if (!merged) {
+                    merged = { name: feat.name, description: '', status: {}, qualifiers: {} };
+                    featureByKey.set(featKey, merged);
+                    categoryByKey.get(catKey).features.push(merged);
+                }
+                if (overlay) merged.name = feat.name;
+                for (const field of ['description', 'link', 'note', 'sourcePages', 'extractedBy']) {
+                    if (feat[field] != null && (overlay || merged[field] == null)) merged[field] = feat[field];
+                }
+                for (const [tier, value] of Object.entries(feat.status || {})) {
+                    const name = canonicalTier(tier);
+                    merged.status[name] = value;
+                    if (feat.qualifiers?.[tier]) merged.qualifiers[name] = feat.qualifiers[tier];
+                    else delete merged.qualifiers[name];
+                }
+            }
+        }
+    };
+    copy(base, false);
+    copy(incoming, true);
+
+    const pricing = {};
+    for (const [tier, price] of [...Object.entries(base?.pricing || {}), ...Object.entries(incoming?.pricing || {})]) {
+        pricing[canonicalTier(tier)] = price;
+    }
+    return { tiers, categories, ...(Object.keys(pricing).length ? { pricing } : {}) };
+}
+
+// --- Merge Rules ---
+// Curated overrides for the comparison view, stored by lib/mergeRules.js.
+// `alias` rules put names the fingerprint keeps apart on one row; `separate`
+// rules keep apart names it would fold together ("Plan 1" vs "Plan 2").
+// Rule names are compared by their plan-preserving fingerprint, and rules
+// are consulted before the fingerprint.
+
+export const MERGE_RULE_SCOPES = ['feature', 'category'];
+export const MERGE_RULE_TYPES = ['alias', 'separate'];
+
+export const ruleFingerprint = (name) => getSemanticFingerprint(name, { keepPlan: true });
+
+/**
+ * @param {object[]} rules  [{ _id, scope, type, names, canonical?, note? }]
+ * @returns {{ category: Function, feature: Function }} name -> { key, name, rule }
+ */
+export function compileMergeRules(rules = []) {
+    const lookup = Object.fromEntries(MERGE_RULE_SCOPES.map(scope => [scope, new Map()]));
+    for (const rule of rules) {
+        const table = lookup[rule.scope];
+        if (!table) continue;
+        for (const name of rule.names) {
+            const fp = ruleFingerprint(name);
+            // The first rule to claim a name keeps it
+            if (fp && !table.has(fp)) table.set(fp, rule);
+        }
+    }
+
+    const resolve = (scope) => (name) => {
+        const fp = ruleFingerprint(name);
+        const rule = lookup[scope].get(fp);
+        if (rule?.type === 'alias') return { key: `alias:${rule._id}`, name: rule.canonical || rule.names[0], rule };
+        if (rule?.type === 'separate') return { key: `separate:${fp}`, name, rule };
+        return { key: getSemanticFingerprint(name), name, rule: null };
+    };
+    return { category: resolve('category'), feature: resolve('feature') };
+}
+
+const describeRule = (rule) => rule && { type: rule.type, ruleId: String(rule._id), note: rule.note || '' };
+
+/**
+ * Merge the selected { map, tier } columns of the comparison view into one
+ * map keyed by column name. Every feature records the names it was merged
+ * from (`mergedNames`) and the rule that decided its row (`mergedBy`, null
+ * when the fingerprint did).
+ *
+ * A column with `addons` is virtual: the base tier with each add-on's
+ * features laid over it (lib/addons.js). A grant only ever raises a status,
+ * and the cells it raised are listed in `grantedBy[col]`.
+ *
+ * @param {object[]} columns  [{ map, tier, col, addons? }]
+ * @param {object} [rules]    compileMergeRules() result
+ */
+export function mergeComparisonColumns(columns, rules = compileMergeRules()) {
+    const columnNames = columns.map(c => c.col);
+    const unifiedCategories = new Map();
+
+    const categoryFor = (name) => {
+        const catMatch = rules.category(name);
+        if (!unifiedCategories.has(catMatch.key)) {
+            unifiedCategories.set(catMatch.key, { name: catMatch.name, mergedBy: describeRule(catMatch.rule), features: [], featureByKey: new Map() });
+        }
+        return unifiedCategories.get(catMatch.key);
+    };
+    const rowFor = (targetCat, feat, featMatch) => {
+        let uFeat = targetCat.featureByKey.get(featMatch.key);
+        if (!uFeat) {
+            uFeat = { ...feat, name: featMatch.name, description: feat.description || '', status: {}, qualifiers: {}, mergedNames: [], mergedBy: describeRule(featMatch.rule) };
+            columnNames.forEach(cn => uFeat.status[cn] = STATUS.NOT_INCLUDED);
+            targetCat.featureByKey.set(featMatch.key, uFeat);
+            targetCat.features.push(uFeat);
+        }
+        if (!uFeat.mergedNames.includes(feat.name)) uFeat.mergedNames.push(feat.name);
+        if (!uFeat.link && feat.link) uFeat.link = feat.link;
+        if ((feat.description || '').length > (uFeat.description?.length || 0)) uFeat.description = feat.description;
+        return uFeat;
+    };
+
+    columns.forEach(({ map, tier, col }) => {
+        map.data.categories.forEach(cat => {
+            const targetCat = categoryFor(cat.name);
+            cat.features.forEach(feat => {
+                const uFeat = rowFor(targetCat, feat, rules.feature(feat.name));
+
+                // Older maps may still hold free-text statuses, so normalize on read
+                const normalized = normalizeStatus(feat.status[tier] || STATUS.NOT_INCLUDED);
+                const qualifier = feat.qualifiers?.[tier] || normalized.qualifier;
+                // An alias rule can put two features of one map on a row; the higher status wins
+                if (rank(normalized.status) > rank(uFeat.status[col])) {
+                    uFeat.status[col] = normalized.status;
+                    if (qualifier) uFeat.qualifiers[col] = qualifier;
+                    else delete uFeat.qualifiers[col];
+                } else if (!uFeat.qualifiers[col] && qualifier && normalized.status === uFeat.status[col]) {
+                    uFeat.qualifiers[col] = qualifier;
+                }
+            });
+        });
+    });
+
+    // Add-ons go last so they find the rows every base column created; a
+    // feature the comparison lacks gets a row in the add-on's category
+    columns.forEach(({ col, addons = [] }) => {
+        for (const addon of addons) {
+            for (const feat of addon.features) {
+                const featMatch = rules.feature(feat.name);
+                const targetCat = [...unifiedCategories.values()].find(c => c.featureByKey.has(featMatch.key)) || categoryFor(feat.category || addon.name);
+                const uFeat = rowFor(targetCat, { name: feat.name, description: feat.description, link: feat.link }, featMatch);
+                if (rank(feat.status) <= rank(uFeat.status[col])) continue;
+                uFeat.status[col] = normalizeStatus(feat.status).status;
+                if (feat.qualifier) uFeat.qualifiers[col] = feat.qualifier;
+                else delete uFeat.qualifiers[col];
+                uFeat.grantedBy = { ...uFeat.grantedBy, [col]: addon.name };
+            }
+        }
+    });
+
+    const categories = Array.from(unifiedCategories.values(), ({ featureByKey, ...cat }) => cat);
+    for (const cat of categories) {
+        for (const uFeat of cat.features) {
+            // Tag as difference if statuses (or their qualifiers) diverge
+            const sValues = columnNames.map(cn => statusLabel(uFeat.status[cn], uFeat.qualifiers[cn]));
+            uFeat.isDiff = new Set(sValues).size > 1;
+        }
+    }
+    return { tiers: columnNames, categories };
+}
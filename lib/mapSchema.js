@@ -0,0 +1,387 @@
+// --- Map Document Schema ---
+// Canonical shape of map.data:
+//
+//   {
+//     tiers: string[],                          // unique, non-empty
+//     categories: [{
+//       name: string,
+//       features: [{
+//         name: string,
+//         description: string,
+//         link?: string,                        // http(s) only
+//         status: { [tier]: Status },           // one entry per tier
+//         qualifiers?: { [tier]: string },      // e.g. "Plan 2", "100 GB"
+//         sourcePages?: number[],               // PDF pages it was extracted from
+//         extractedBy?: 'table' | 'ai',         // sync path that produced it
+//         note?: string,                        // admin note, kept across syncs
+//       }]
+//     }],
+//     pricing?: { [tier]: {                     // list price per user
+//       monthly?: number, annual?: number,      // at least one of the two
+//       currency: string,                       // ISO 4217, e.g. "USD"
+//       commitment: 'monthly'|'annual'|'multi-year',
+//       note?: string,
+//     } },
+//   }
+//
+// validateMapData() runs on every write. It repairs what it safely can,
+// normalizes AI/legacy status strings into the enum below and reports every
+// change; structural problems it cannot repair are returned as errors.
+
+export const STATUS = Object.freeze({
+    FULL: 'Full',
+    PARTIAL: 'Partial',
+    ADD_ON: 'Add-on',
+    NOT_INCLUDED: 'Not Included',
+});
+
+export const STATUS_VALUES = Object.values(STATUS);
+
+// How a synced feature was produced: the deterministic table parser or the model
+export const EXTRACTED_BY = Object.freeze(['table', 'ai']);
+export const MAX_FEATURE_NOTE = 1000;
+
+export class MapValidationError extends Error {
+    constructor(report) {
+        super(`Map data failed validation: ${report.errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+        this.name = 'MapValidationError';
+        this.status = 422;
+        this.report = report;
+    }
+}
+
+const NOT_INCLUDED_WORDS = ['not included', 'excluded', 'no', 'none', 'n/a', 'na', '-', '—', '–', 'x', '✗', '✘', '❌', 'not available', 'unavailable', 'false'];
+const ADD_ON_PATTERN = /\badd[\s-]?on\b|purchase(d)? separately|available for purchase|optional purchase/;
+const FULL_WORDS = ['full', 'yes', 'included', 'include', '✓', '✔', '✅', 'check', 'checkmark', 'true', 'available', 'unlimited', 'y'];
+const PARTIAL_PATTERN = /\b(partial|partially|limited|basic|lite|kiosk|web only|web-only|view only|view-only|read[\s-]?only|reduced)\b/;
+const ENTITLEMENT_PATTERN = /\b(plan\s*\d|p\d|standard|premium|e\d|\d+\s*(gb|tb|mb))\b/;
+
+const clean = (s) => String(s ?? '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Map any status string an extraction or a legacy document might contain onto
+ * the canonical enum. "Full (Plan 2)", "Plan 2" and "Included - 100 GB" all
+ * become { status: 'Full', qualifier: ... }.
+ */
+export function normalizeStatus(raw) {
+    const original = clean(raw);
+    const lower = original.toLowerCase();
+    if (!lower) return { status: STATUS.NOT_INCLUDED, qualifier: null, recognized: true };
+
+    // "Head (qualifier)" or "Head - qualifier" where the head is already canonical
+    const split = original.match(/^(full|partial|add-on|not included|included|yes)\s*(?:\((.+)\)|[-–:,]\s*(.+))$/i);
+    if (split) {
+        const head = normalizeStatus(split[1]);
+        return { status: head.status, qualifier: clean(split[2] || split[3]) || null, recognized: true };
+    }
+
+    const canonical = STATUS_VALUES.find(v => v.toLowerCase() === lower);
+    if (canonical) return { status: canonical, qualifier: null, recognized: true };
+
+    if (NOT_INCLUDED_WORDS.includes(lower) || lower.startsWith('not ')) return { status: STATUS.NOT_INCLUDED, qualifier: null, recognized: true };
+    if (ADD_ON_PATTERN.test(lower)) return { status: STATUS.ADD_ON, qualifier: lower === 'addon' || lower === 'add on' ? null : original, recognized: true };
+    if (FULL_WORDS.includes(lower)) return { status: STATUS.FULL, qualifier: null, recognized: true };
+    if (PARTIAL_PATTERN.test(lower)) return { status: STATUS.PARTIAL, qualifier: lower === 'limited' ? null : original, recognized: true };
+    if (lower.startsWith('included') || lower.startsWith('yes')) {
+        return { status: STATUS.FULL, qualifier: clean(original.replace(/^(included|yes)\b[\s:,(-]*/i, '').replace(/\)$/, '')) || null, recognized: true };
+    }
+    if (ENTITLEMENT_PATTERN.test(lower)) return { status: STATUS.FULL, qualifier: original, recognized: true };
+
+    // Free text we do not recognise ("Coming soon", "Retired", "Preview") must
+    // not count as included; validateMapData() flags it for review
+    return { status: STATUS.NOT_INCLUDED, qualifier: null, recognized: false };
+}
+
+export const isIncluded = (raw) => {
+    const { status } = normalizeStatus(raw);
+    return status === STATUS.FULL || status === STATUS.PARTIAL;
+};
+
+export const statusLabel = (status, qualifier) => qualifier ? `${status} (${qualifier})` : status;
+
+const featureKey = (name) => clean(name).toLowerCase();
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+        return false;
+    }
+}
+
+// --- Pricing ---
+// Microsoft list prices assume an annual subscription unless stated
+export const PRICE_COMMITMENTS = ['monthly', 'annual', 'multi-year'];
+export const DEFAULT_CURRENCY = 'USD';
+
+// 36, "36.00", "$36.00", "1,234.50" -> number; anything else -> undefined
+function parseAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    if (value == null || value === '') return undefined;
+    const amount = Number(String(value).replace(/[^\d.-]/g, ''));
+    return Number.isFinite(amount) && /\d/.test(String(value)) ? amount : NaN;
+}
+
+const roundAmount = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Clean one price (a tier's or an add-on's). Returns null (with a warning)
+ * when nothing usable is left.
+ */
+export function normalizePrice(raw, path, { warnings, repairs }) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        warnings.push({ path, message: 'dropped price that is not an object' });
+        return null;
+    }
+    const price = {};
+    for (const field of ['monthly', 'annual']) {
+        const amount = parseAmount(raw[field]);
+        if (amount === undefined) continue;
+        if (Number.isNaN(amount) || amount < 0) {
+            warnings.push({ path: `${path}.${field}`, message: `dropped invalid amount "${raw[field]}"` });
+            continue;
+        }
+        if (typeof raw[field] !== 'number') repairs.push({ path: `${path}.${field}`, message: `read "${raw[field]}" as ${amount}` });
+        price[field] = roundAmount(amount);
+    }
+    if (price.monthly === undefined && price.annual === undefined) {
+        warnings.push({ path, message: 'dropped price without a monthly or annual amount' });
+        return null;
+    }
+
+    const currency = clean(raw.currency).toUpperCase();
+    if (/^[A-Z]{3}$/.test(currency)) {
+        price.currency = currency;
+    } else {
+        repairs.push({ path: `${path}.currency`, message: `${currency ? `"${raw.currency}" is not an ISO currency code; ` : ''}assumed ${DEFAULT_CURRENCY}` });
+        price.currency = DEFAULT_CURRENCY;
+    }
+
+    const commitment = clean(raw.commitment).toLowerCase();
+    if (PRICE_COMMITMENTS.includes(commitment)) {
+        price.commitment = commitment;
+    } else {
+        if (commitment) repairs.push({ path: `${path}.commitment`, message: `unknown commitment "${raw.commitment}" treated as annual` });
+        price.commitment = 'annual';
+    }
+
+    const note = clean(raw.note).slice(0, 200);
+    if (note) price.note = note;
+    return price;
+}
+
+/**
+ * Clean a pricing block against the map's tiers. Prices for unknown tiers are
+ * dropped; tier names are matched case-insensitively.
+ *
+ * @returns {object} pricing keyed by tier (empty when there is none)
+ */
+export function normalizePricing(raw, tiers, report) {
+    const pricing = {};
+    if (raw == null) return pricing;
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        report.warnings.push({ path: 'pricing', message: 'dropped pricing that is not an object keyed by tier' });
+        return pricing;
+    }
+    const tierByLower = new Map(tiers.map(t => [t.toLowerCase(), t]));
+    for (const [key, value] of Object.entries(raw)) {
+        const tier = tiers.includes(key) ? key : tierByLower.get(clean(key).toLowerCase());
+        if (!tier) {
+            report.repairs.push({ path: 'pricing', message: `dropped price for unknown tier "${key}"` });
+            continue;
+        }
+        if (tier !== key) report.repairs.push({ path: 'pricing', message: `mapped "${key}" onto tier "${tier}"` });
+        const price = normalizePrice(value, `pricing.${tier}`, report);
+        if (price) pricing[tier] = price;
+    }
+    return pricing;
+}
+
+/**
+ * Validate, repair and normalize a map `data` block.
+ *
+ * @param {object} input
+ * @param {object} [options]
+ * @param {string[]} [options.expectedTiers]  tiers the source is known to have
+ * @returns {{ data: object, report: object }}
+ * @throws {MapValidationError} when the structure cannot be repaired
+ */
+export function validateMapData(input, { expectedTiers } = {}) {
+    const errors = [];
+    const warnings = [];
+    const repairs = [];
+    const stats = { tiers: 0, categories: 0, features: 0, duplicatesDropped: 0, statusesNormalized: 0, statusesFilled: 0 };
+    const report = { valid: false, errors, warnings, repairs, stats };
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push({ path: 'data', message: 'must be an object with tiers and categories' });
+        throw new MapValidationError(report);
+    }
+
+    // --- Tiers ---
+    if (!Array.isArray(input.tiers)) errors.push({ path: 'tiers', message: 'must be an array' });
+    const tiers = [];
+    for (const [i, t] of (Array.isArray(input.tiers) ? input.tiers : []).entries()) {
+        const name = clean(t);
+        if (!name) {
+            repairs.push({ path: `tiers[${i}]`, message: 'dropped empty tier name' });
+        } else if (tiers.includes(name)) {
+            repairs.push({ path: `tiers[${i}]`, message: `dropped duplicate tier "${name}"` });
+        } else {
+            tiers.push(name);
+        }
+    }
+    if (Array.isArray(input.tiers) && tiers.length === 0) errors.push({ path: 'tiers', message: 'must contain at least one tier' });
+    for (const expected of expectedTiers || []) {
+        if (!tiers.includes(expected)) warnings.push({ path: 'tiers', message: `expected tier "${expected}" is missing` });
+    }
+
+    if (!Array.isArray(input.categories)) errors.push({ path: 'categories', message: 'must be an array' });
+    if (errors.length) throw new MapValidationError(report);
+
+    const tierByLower = new Map(tiers.map(t => [t.toLowerCase(), t]));
+
+    // --- Categories & Features ---
+    const categories = [];
+    const seen = new Map(); // feature key -> canonical feature object
+    input.categories.forEach((rawCat, ci) => {
+        const catPath = `categories[${ci}]`;
+        if (!rawCat || typeof rawCat !== 'object') {
+            repairs.push({ path: catPath, message: 'dropped non-object category' });
+            return;
+        }
+        let catName = clean(rawCat.name);
+        if (!catName) {
+            catName = 'Uncategorized';
+            repairs.push({ path: `${catPath}.name`, message: 'missing name, filed under "Uncategorized"' });
+        }
+        let category = categories.find(c => c.name === catName);
+        if (category) {
+            repairs.push({ path: catPath, message: `merged duplicate category "${catName}"` });
+        } else {
+            category = { name: catName, features: [] };
+            categories.push(category);
+        }
+
+        if (!Array.isArray(rawCat.features)) {
+            repairs.push({ path: `${catPath}.features`, message: 'missing features array, treated as empty' });
+            return;
+        }
+
+        rawCat.features.forEach((rawFeat, fi) => {
+            const path = `${catPath}.features[${fi}]`;
+            const name = clean(rawFeat?.name);
+            if (!name) {
+                repairs.push({ path, message: 'dropped feature without a name' });
+                return;
+            }
+
+            const feature = { name, description: typeof rawFeat.description === 'string' ? rawFeat.description.trim() : '' };
+            if (rawFeat.description != null && typeof rawFeat.description !== 'string') {
+                repairs.push({ path: `${path}.description`, message: 'non-string description replaced with empty text' });
+            }
+            if (rawFeat.link) {
+                const link = clean(rawFeat.link);
+                if (isHttpUrl(link)) feature.link = link;
+                else repairs.push({ path: `${path}.link`, message: `dropped invalid link "${link}"` });
+            }
+
+            if (rawFeat.note != null) {
+                const note = typeof rawFeat.note === 'string' ? rawFeat.note.trim() : '';
+                if (note) feature.note = note.slice(0, MAX_FEATURE_NOTE);
+                if (typeof rawFeat.note !== 'string') repairs.push({ path: `${path}.note`, message: 'dropped non-string note' });
+                else if (note.length > MAX_FEATURE_NOTE) repairs.push({ path: `${path}.note`, message: `shortened note to ${MAX_FEATURE_NOTE} characters` });
+            }
+
+            if (rawFeat.sourcePages != null) {
+                const list = Array.isArray(rawFeat.sourcePages) ? rawFeat.sourcePages : [];
+                const pages = [...new Set(list.map(Number).filter(n => Number.isInteger(n) && n > 0))].sort((a, b) => a - b);
+                if (pages.length) feature.sourcePages = pages;
+                if (pages.length !== list.length || !Array.isArray(rawFeat.sourcePages)) {
+                    repairs.push({ path: `${path}.sourcePages`, message: 'dropped invalid or repeated page numbers' });
+                }
+            }
+
+            if (rawFeat.extractedBy != null) {
+                if (EXTRACTED_BY.includes(rawFeat.extractedBy)) feature.extractedBy = rawFeat.extractedBy;
+                else repairs.push({ path: `${path}.extractedBy`, message: `dropped unknown extraction path "${rawFeat.extractedBy}"` });
+            }
+
+            // Status: map keys onto known tiers, normalize values, fill gaps
+            const rawStatus = rawFeat.status && typeof rawFeat.status === 'object' && !Array.isArray(rawFeat.status) ? rawFeat.status : {};
+            if (rawFeat.status !== undefined && rawStatus !== rawFeat.status) {
+                repairs.push({ path: `${path}.status`, message: 'status was not an object' });
+            }
+            const rawQualifiers = rawFeat.qualifiers && typeof rawFeat.qualifiers === 'object' ? rawFeat.qualifiers : {};
+            const status = {};
+            const qualifiers = {};
+            for (const [key, value] of Object.entries(rawStatus)) {
+                const tier = tiers.includes(key) ? key : tierByLower.get(clean(key).toLowerCase());
+                if (!tier) {
+                    repairs.push({ path: `${path}.status`, message: `dropped status for unknown tier "${key}"` });
+                    continue;
+                }
+                if (tier !== key) repairs.push({ path: `${path}.status`, message: `mapped "${key}" onto tier "${tier}"` });
+                const normalized = normalizeStatus(value);
+                if (normalized.status !== value) stats.statusesNormalized++;
+                if (!normalized.recognized) {
+                    warnings.push({ path: `${path}.status.${tier}`, message: `unrecognised status "${value}" treated as Not Included, review it` });
+                }
+                status[tier] = normalized.status;
+                const qualifier = clean(rawQualifiers[key] ?? rawQualifiers[tier]) || normalized.qualifier;
+                if (qualifier && normalized.status !== STATUS.NOT_INCLUDED) qualifiers[tier] = qualifier;
+            }
+            const missing = tiers.filter(t => !(t in status));
+            for (const tier of missing) status[tier] = STATUS.NOT_INCLUDED;
+            if (missing.length) {
+                stats.statusesFilled += missing.length;
+                repairs.push({ path: `${path}.status`, message: `filled missing tier${missing.length > 1 ? 's' : ''} ${missing.map(t => `"${t}"`).join(', ')} as Not Included` });
+            }
+            feature.status = status;
+            if (Object.keys(qualifiers).length) feature.qualifiers = qualifiers;
+
+            // Duplicates: keep the first, but let it borrow a link or longer description
+            const key = featureKey(name);
+            const existing = seen.get(key);
+            if (existing) {
+                stats.duplicatesDropped++;
+                if (!existing.link && feature.link) existing.link = feature.link;
+                if (!existing.note && feature.note) existing.note = feature.note;
+                if (feature.description.length > existing.description.length) existing.description = feature.description;
+                if (feature.sourcePages) existing.sourcePages = [...new Set([...(existing.sourcePages || []), ...feature.sourcePages])].sort((a, b) => a - b);
+                repairs.push({ path, message: `dropped duplicate feature "${name}"` });
+                return;
+            }
+            seen.set(key, feature);
+            category.features.push(feature);
+        });
+    });
+
+    const nonEmpty = categories.filter(c => c.features.length > 0);
+    if (nonEmpty.length < categories.length) {
+        repairs.push({ path: 'categories', message: `dropped ${categories.length - nonEmpty.length} empty categor${categories.length - nonEmpty.length === 1 ? 'y' : 'ies'}` });
+    }
+    if (nonEmpty.length === 0) {
+        errors.push({ path: 'categories', message: 'no features could be extracted' });
+        throw new MapValidationError(report);
+    }
+
+    stats.tiers = tiers.length;
+    stats.categories = nonEmpty.length;
+    stats.features = nonEmpty.reduce((sum, c) => sum + c.features.length, 0);
+    report.valid = true;
+
+    const pricing = normalizePricing(input.pricing, tiers, report);
+    return { data: { tiers, categories: nonEmpty, ...(Object.keys(pricing).length ? { pricing } : {}) }, report };
+}
+
+/**
+ * Compact form of a report for storing on the map document.
+ */
+export const summarizeReport = (report) => ({
+    validatedAt: new Date().toISOString(),
+    warnings: report.warnings.length,
+    repairs: report.repairs.length,
+    ...report.stats,
+});
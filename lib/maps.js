@@ -0,0 +1,211 @@
+import express from 'express';
+import multer from 'multer';
+import { ObjectId } from 'mongodb';
+import { applyFeatureEdit, MapEditError, recordFeatureEdit } from './mapEdits.js';
+import { summarizeReport, validateMapData } from './mapSchema.js';
+import { deleteVersions, ensureBaselineVersion, recordVersion } from './versions.js';
+import { extractPdf } from './pdfExtraction.js';
+import { enqueueJob, isFinished, registerJobHandler } from './jobs.js';
+
+// --- Maps ---
+// The `maps` collection and the PDF upload that creates maps:
+//
+//   { title, type, data: { tiers, categories, pricing? }, featureCount, validation,
+//     timestamp, updatedAt?, fileName? | sourceKey?, extraction, edits? }
+//
+// `edits` lists the feature fields changed by hand, which a sync reapplies.
+//
+// Synced maps are written by lib/sync.js, every saved state is kept by
+// lib/versions.js.
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+const CONFLICT = 'Map was modified by someone else. Reload and try again.';
+
+// --- PDF Extraction (background job) ---
+registerJobHandler('extract', async ({ db, params, input, createdBy, signal, progress, throwIfCancelled }) => {
+    const { track, fileName } = params;
+    console.log(`📄 Processing file: ${fileName} (${track})`);
+
+    // 1. Run the extraction (chunked by page range for long PDFs)
+    await progress('Reading PDF', 5);
+    const { data: extracted, extraction } = await extractPdf({
+        buffer: input.buffer,
+        fileName,
+        track,
+        pagesPerChunk: params.pagesPerChunk,
+        signal,
+        progress,
+    });
+
+    // 2. Validate & normalize (throws a 422 with the report if unusable)
+    await progress(`Validating extracted data (${extraction.mode === 'chunked' ? `${extraction.chunks.length} page ranges` : 'single pass'})`, 85);
+    const { data, report } = validateMapData(extracted);
+    for (const chunk of extraction.chunks || []) {
+        if (chunk.error) report.warnings.push({ path: `pages ${chunk.from}-${chunk.to}`, message: `not extracted: ${chunk.error}` });
+    }
+    throwIfCancelled();
+
+    // 3. Save to Database
+    await progress(`Saving ${report.stats.features} features`, 90);
+    const newMap = {
+        title: fileName.replace(/\.pdf$/i, ''),
+        type: track,
+        data,
+        timestamp: Date.now(),
+        fileName,
+        extraction,
+        featureCount: report.stats.features,
+        validation: summarizeReport(report),
+    };
+
+    const savedResult = await db.collection('maps').insertOne(newMap);
+    const saved = { ...newMap, _id: savedResult.insertedId };
+    const version = await recordVersion(db, saved, { source: 'upload', createdBy });
+    return { ...saved, version: version.version, validationReport: report };
+});
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.waitForJobs]  answer an upload only once its extraction
+ *                                         finished (serverless functions are frozen
+ *                                         after they respond)
+ */
+export function createMapRouter(getDB, requireRole, { waitForJobs = false } = {}) {
+    const router = express.Router();
+
+    router.get('/maps', async (req, res) => {
+        try {
+            const maps = await (await getDB()).collection('maps').find({}).sort({ timestamp: -1 }).toArray();
+            res.json(maps);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.delete('/maps/:id', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid map id' });
+            const db = await getDB();
+            const mapId = new ObjectId(req.params.id);
+            await db.collection('maps').deleteOne({ _id: mapId });
+            await deleteVersions(db, mapId);
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Replace a map's title, type or full data block
+    router.put('/maps/:id', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid map id' });
+
+            const { title, type, data } = req.body || {};
+            const update = { updatedAt: new Date().toISOString() };
+            if (title !== undefined) {
+                if (typeof title !== 'string' || !title.trim()) throw new MapEditError('Title cannot be empty');
+                update.title = title.trim();
+            }
+            if (type !== undefined) update.type = type;
+            let report;
+            if (data !== undefined) {
+                ({ data: update.data, report } = validateMapData(data));
+                update.featureCount = report.stats.features;
+                update.validation = summarizeReport(report);
+            }
+
+            const db = await getDB();
+            const maps = db.collection('maps');
+            const map = await maps.findOne({ _id: new ObjectId(req.params.id) });
+            if (!map) return res.status(404).json({ error: 'Map not found' });
+            await ensureBaselineVersion(db, map);
+
+            const result = await maps.findOneAndUpdate({ _id: map._id }, { $set: update }, { returnDocument: 'after' });
+            if (!result) return res.status(404).json({ error: 'Map not found' });
+            const version = await recordVersion(db, result, { source: 'edit', createdBy: req.user.username });
+            res.json({ ...result, version: version.version, ...(report ? { validationReport: report } : {}) });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message, ...(err.report ? { validation: err.report } : {}) });
+        }
+    });
+
+    // Edit a single feature (name, description, link, status per tier, category)
+    router.patch('/maps/:id/features', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid map id' });
+            const db = await getDB();
+            const maps = db.collection('maps');
+
+            const map = await maps.findOne({ _id: new ObjectId(req.params.id) });
+            if (!map) return res.status(404).json({ error: 'Map not found' });
+
+            const edited = applyFeatureEdit(map.data, req.body);
+            const { data, report } = validateMapData(edited.data);
+            // Kept apart from the data so the next sync can reapply it
+            const edits = recordFeatureEdit(map.edits, req.body.name, req.body.changes);
+            const updatedAt = new Date().toISOString();
+            const validation = summarizeReport(report);
+
+            await ensureBaselineVersion(db, map);
+            // Guard against a concurrent edit landing between our read and write
+            const result = await maps.updateOne(
+                { _id: map._id, updatedAt: map.updatedAt ?? null },
+                { $set: { data, edits, updatedAt, validation, featureCount: report.stats.features } }
+            );
+            if (result.matchedCount === 0) return res.status(409).json({ error: CONFLICT });
+            const saved = { ...map, data, edits, updatedAt, validation, featureCount: report.stats.features };
+            const version = await recordVersion(db, saved, { source: 'edit', createdBy: req.user.username });
+            res.json({ ...saved, version: version.version });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message, ...(err.report ? { validation: err.report } : {}) });
+        }
+    });
+
+    // Replace a map's list prices (map.data.pricing), keyed by tier
+    router.put('/maps/:id/pricing', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid map id' });
+            const db = await getDB();
+            const maps = db.collection('maps');
+
+            const map = await maps.findOne({ _id: new ObjectId(req.params.id) });
+            if (!map) return res.status(404).json({ error: 'Map not found' });
+
+            const { data, report } = validateMapData({ ...map.data, pricing: req.body?.pricing ?? {} });
+            const rejected = [...report.warnings, ...report.repairs].filter(p => p.path.startsWith('pricing') && p.message.startsWith('dropped'));
+            if (rejected.length) return res.status(400).json({ error: rejected.map(p => `${p.path}: ${p.message}`).join('; ') });
+
+            const updatedAt = new Date().toISOString();
+            await ensureBaselineVersion(db, map);
+            const result = await maps.updateOne(
+                { _id: map._id, updatedAt: map.updatedAt ?? null },
+                { $set: { data, updatedAt } }
+            );
+            if (result.matchedCount === 0) return res.status(409).json({ error: CONFLICT });
+            const version = await recordVersion(db, { ...map, data }, { source: 'edit', createdBy: req.user.username });
+            res.json({ ...map, data, updatedAt, version: version.version });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message, ...(err.report ? { validation: err.report } : {}) });
+        }
+    });
+
+    router.post('/extract', requireRole('editor'), upload.single('file'), async (req, res) => {
+        const { track, pagesPerChunk } = req.body;
+        const file = req.file;
+        if (!file) return res.status(400).json({ error: 'No file uploaded' });
+
+        try {
+            const job = await enqueueJob(await getDB(), 'extract',
+                { track, fileName: file.originalname, pagesPerChunk: pagesPerChunk || 'auto' },
+                { createdBy: req.user.username, input: { buffer: file.buffer }, wait: waitForJobs }
+            );
+            res.status(isFinished(job) ? 200 : 202).json(job);
+        } catch (err) {
+            console.error('❌ Could not queue extraction:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
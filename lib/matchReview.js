@@ -0,0 +1,134 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { DEFAULT_MIN_SCORE, proposeMatches } from './featureMatching.js';
+import { enqueueJob, isFinished, registerJobHandler } from './jobs.js';
+import { embedTexts, embeddingsConfigured } from './llm.js';
+import { getMergeRules, mergeNamesAsAlias } from './mergeRules.js';
+
+// --- Match Review Queue ---
+// A scan (background job `match-scan`) scores name pairs across all maps
+// (lib/featureMatching.js) and files the likely ones in `match_proposals`:
+//
+//   { key, scope, a, b, score, method, status: 'pending'|'accepted'|'rejected',
+//     createdAt, lastSeenAt, reviewedAt, reviewedBy, ruleId }
+//
+// `key` identifies the pair, so a rejected pair stays rejected on the next
+// scan. Accepting turns the pair into an alias merge rule.
+//
+//   MATCH_MIN_SCORE  lowest score filed for review (default 0.45)
+
+const indexesReady = new WeakSet();
+async function ensureIndexes(db) {
+    if (indexesReady.has(db)) return;
+    await db.collection('match_proposals').createIndex({ key: 1 }, { unique: true });
+    await db.collection('match_proposals').createIndex({ status: 1, score: -1 });
+    indexesReady.add(db);
+}
+
+const STATUSES = ['pending', 'accepted', 'rejected'];
+
+async function scanForMatches(db, { signal, progress, throwIfCancelled }) {
+    await ensureIndexes(db);
+    await progress('Loading maps and merge rules', 10);
+    const [maps, rules] = await Promise.all([
+        db.collection('maps').find({}, { projection: { title: 1, data: 1 } }).toArray(),
+        getMergeRules(db),
+    ]);
+
+    const embed = embeddingsConfigured() ? (texts) => embedTexts(texts, { signal }) : undefined;
+    await progress(`Comparing names across ${maps.length} maps${embed ? ' with embeddings' : ''}`, 30);
+    const minScore = Number(process.env.MATCH_MIN_SCORE) || DEFAULT_MIN_SCORE;
+    const proposals = await proposeMatches(maps, { rules, minScore, embed });
+    throwIfCancelled();
+
+    await progress(`Filing ${proposals.length} proposals`, 80);
+    const now = new Date().toISOString();
+    const collection = db.collection('match_proposals');
+    let added = 0;
+    if (proposals.length) {
+        const result = await collection.bulkWrite(proposals.flatMap(({ key, ...p }) => [
+            // Stamped on insert too, so the order the server applies these in cannot matter
+            { updateOne: { filter: { key }, update: { $set: { lastSeenAt: now }, $setOnInsert: { key, ...p, status: 'pending', createdAt: now } }, upsert: true } },
+            // Pending pairs follow the latest wording and score; reviewed ones are left alone
+            { updateOne: { filter: { key, status: 'pending' }, update: { $set: p } } },
+        ]), { ordered: false });
+        added = result.upsertedCount;
+    }
+    // Pending pairs that no longer come up (map deleted, rule added) are dropped
+    const { deletedCount } = await collection.deleteMany({ status: 'pending', lastSeenAt: { $ne: now } });
+
+    return { proposals: proposals.length, added, dropped: deletedCount, embeddings: !!embed };
+}
+
+registerJobHandler('match-scan', async ({ db, ...ctx }) => scanForMatches(db, ctx));
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.waitForJobs]  answer a scan only once it finished
+ */
+export function createMatchReviewRouter(getDB, requireRole, { waitForJobs = false } = {}) {
+    const router = express.Router();
+
+    router.get('/match-proposals', requireRole('editor'), async (req, res) => {
+        try {
+            const status = req.query.status || 'pending';
+            if (!STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+            const db = await getDB();
+            await ensureIndexes(db);
+            res.json(await db.collection('match_proposals').find({ status }).sort({ score: -1 }).limit(500).toArray());
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/match-proposals/scan', requireRole('editor'), async (req, res) => {
+        try {
+            const job = await enqueueJob(await getDB(), 'match-scan', {}, { createdBy: req.user.username, wait: waitForJobs });
+            res.status(isFinished(job) ? 200 : 202).json(job);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/match-proposals/:id/accept', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid proposal id' });
+            const db = await getDB();
+            const proposals = db.collection('match_proposals');
+            const proposal = await proposals.findOne({ _id: new ObjectId(req.params.id) });
+            if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
+            if (proposal.status !== 'pending') return res.status(409).json({ error: `Proposal was already ${proposal.status}` });
+
+            const rule = await mergeNamesAsAlias(db, proposal.scope, [proposal.a.name, proposal.b.name], {
+                username: req.user.username,
+                note: `Accepted match (score ${proposal.score})`,
+            });
+            const saved = await proposals.findOneAndUpdate(
+                { _id: proposal._id },
+                { $set: { status: 'accepted', ruleId: rule._id, reviewedAt: new Date().toISOString(), reviewedBy: req.user.username } },
+                { returnDocument: 'after' },
+            );
+            res.json({ proposal: saved, rule });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.post('/match-proposals/:id/reject', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid proposal id' });
+            const db = await getDB();
+            const saved = await db.collection('match_proposals').findOneAndUpdate(
+                { _id: new ObjectId(req.params.id), status: 'pending' },
+                { $set: { status: 'rejected', reviewedAt: new Date().toISOString(), reviewedBy: req.user.username } },
+                { returnDocument: 'after' },
+            );
+            if (!saved) return res.status(404).json({ error: 'No pending proposal with that id' });
+            res.json(saved);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,161 @@
+// --- Matrix Export ---
+// The comparison matrix as the user sees it (search, differences-only and
+// detailed/presence mode applied) in a format-neutral document. The XLSX,
+// CSV, JSON and PDF writers all start from buildMatrixExport(), given the
+// categories filterMatrixCategories() leaves on screen.
+
+import { STATUS, isIncluded, normalizeStatus, statusLabel } from './mapSchema.js';
+
+export const EXPORT_FORMAT = 'licensemap.matrix';
+export const EXPORT_VERSION = 1;
+
+// Fill and text colors (hex, no '#') matching the matrix view's status icons
+export const STATUS_COLORS = {
+    [STATUS.FULL]: { fill: 'D1FAE5', text: '047857' },
+    [STATUS.PARTIAL]: { fill: 'FEF3C7', text: 'B45309' },
+    [STATUS.ADD_ON]: { fill: 'DBEAFE', text: '1D4ED8' },
+    [STATUS.NOT_INCLUDED]: { fill: 'FFE4E6', text: 'BE123C' },
+};
+
+/** Presence view only distinguishes included from not included. */
+export const cellColors = (doc, cell) => doc.mode === 'availability'
+    ? STATUS_COLORS[cell.included ? STATUS.FULL : STATUS.NOT_INCLUDED]
+    : STATUS_COLORS[cell.status];
+
+/**
+ * The categories and features the matrix shows: selected categories only,
+ * features whose name or description contains `search`, and with `diffOnly`
+ * only those that differ between columns. Emptied categories are dropped.
+ */
+export function filterMatrixCategories(categories, { selected = [], search = '', diffOnly = false } = {}) {
+    const q = search.toLowerCase();
+    return categories
+        .filter(c => selected.length === 0 || selected.includes(c.name))
+        .map(c => {
+            let feats = c.features;
+            if (q) {
+                feats = feats.filter(f => f.name.toLowerCase().includes(q) || (f.description || '').toLowerCase().includes(q));
+            }
+            if (diffOnly) {
+                feats = feats.filter(f => f.isDiff);
+            }
+            return { ...c, features: feats };
+        })
+        .filter(c => c.features.length > 0);
+}
+
+/**
+ * @param {object} matrix      activeMap: { tiers, categories }
+ * @param {object[]} categories filteredCategories (what is on screen)
+ * @param {object} options     { title, mode: 'full'|'availability', search, diffOnly }
+ * @returns {object} { title, generatedAt, mode, filters, tiers, categories: [{ name, features: [{ name, description, link, isDiff, cells }] }], totals }
+ */
+export function buildMatrixExport(matrix, categories, { title = 'Licensing Comparison', mode = 'full', search = '', diffOnly = false } = {}) {
+    const tiers = [...matrix.tiers];
+    const outCategories = categories.map(cat => ({
+        name: cat.name,
+        features: cat.features.map(f => ({
+            name: f.name,
+            description: f.description || '',
+            link: f.link || null,
+            isDiff: !!f.isDiff,
+            cells: tiers.map(tier => {
+                const { status } = normalizeStatus(f.status?.[tier] ?? STATUS.NOT_INCLUDED);
+                const qualifier = f.qualifiers?.[tier] || null;
+                const included = isIncluded(status);
+                return {
+                    tier,
+                    status,
+                    qualifier,
+                    included,
+                    label: mode === 'availability' ? (included ? 'Yes' : 'No') : statusLabel(status, qualifier),
+                };
+            }),
+        })),
+    }));
+
+    const totals = tiers.map((tier, i) => ({
+        tier,
+        included: outCategories.reduce((n, c) => n + c.features.filter(f => f.cells[i].included).length, 0),
+    }));
+
+    return {
+        title,
+        generatedAt: new Date().toISOString(),
+        mode,
+        filters: { search: search || '', diffOnly: !!diffOnly },
+        tiers,
+        categories: outCategories,
+        featureCount: outCategories.reduce((n, c) => n + c.features.length, 0),
+        totals,
+    };
+}
+
+/** One line describing the filters, for report headers. */
+export function describeFilters(doc) {
+    const parts = [doc.mode === 'availability' ? 'Presence view' : 'Detailed view'];
+    if (doc.filters.search) parts.push(`search "${doc.filters.search}"`);
+    if (doc.filters.diffOnly) parts.push('differences only');
+    return parts.join(' · ');
+}
+
+export function exportFileName(doc, ext) {
+    const slug = doc.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'comparison';
+    return `${slug}-${doc.generatedAt.slice(0, 10)}.${ext}`;
+}
+
+// --- CSV ---
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    let s = String(value ?? '');
+    if (FORMULA_PREFIX.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** RFC 4180 CSV, one row per feature. Starts with a BOM so Excel reads UTF-8. */
+export function toCsv(doc) {
+    const rows = [['Category', 'Feature', 'Description', 'Link', ...doc.tiers]];
+    for (const cat of doc.categories) {
+        for (const f of cat.features) {
+            rows.push([cat.name, f.name, f.description, f.link || '', ...f.cells.map(c => c.label)]);
+        }
+    }
+    return '\uFEFF' + rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- JSON ---
+
+/**
+ * Canonical JSON: `data` has the map schema shape (lib/mapSchema.js) and the
+ * rest describes the view it was taken from.
+ */
+export function toCanonicalJson(doc) {
+    const data = {
+        tiers: doc.tiers,
+        categories: doc.categories.map(cat => ({
+            name: cat.name,
+            features: cat.features.map(f => {
+                const qualifiers = Object.fromEntries(f.cells.filter(c => c.qualifier).map(c => [c.tier, c.qualifier]));
+                return {
+                    name: f.name,
+                    description: f.description,
+                    ...(f.link ? { link: f.link } : {}),
+                    status: Object.fromEntries(f.cells.map(c => [c.tier, c.status])),
+                    ...(Object.keys(qualifiers).length ? { qualifiers } : {}),
+                };
+            }),
+        })),
+    };
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        title: doc.title,
+        generatedAt: doc.generatedAt,
+        view: { mode: doc.mode, ...doc.filters },
+        featureCount: doc.featureCount,
+        data,
+    }, null, 2);
+}
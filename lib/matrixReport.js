@@ -0,0 +1,174 @@
+// --- Matrix Report ---
+// Print-ready PDF of a buildMatrixExport() document: landscape A4 with a
+// title block, the tier header repeated on every page, a band per category
+// and colored status cells. Feature names link to their documentation.
+
+import { PDFDocument, PDFName, PDFString, StandardFonts, rgb } from 'pdf-lib';
+import { cellColors, describeFilters } from './matrixExport.js';
+
+const PAGE = { width: 841.89, height: 595.28 };
+const MARGIN = 36;
+const FEATURE_WIDTH = 230;
+const PAD = 5;
+const FOOTER = 24;
+
+const hex = (h) => rgb(parseInt(h.slice(0, 2), 16) / 255, parseInt(h.slice(2, 4), 16) / 255, parseInt(h.slice(4, 6), 16) / 255);
+const INK = hex('0F172A');
+const MUTED = hex('64748B');
+const LINK = hex('2563EB');
+const RULE = hex('E2E8F0');
+
+// The standard fonts only cover WinAnsi; map common typography and replace
+// anything else so drawText never throws on a feature name
+const WIN_ANSI_EXTRA = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+const toWinAnsi = (text) => String(text ?? '')
+    .replace(/[‐-‒]/g, '-')
+    .replace(/[′‵]/g, "'")
+    .replace(/\s+/g, ' ')
+    .replace(/[^\x20-\x7E\xA1-\xFF]/g, ch => (WIN_ANSI_EXTRA.includes(ch) ? ch : '?'))
+    .trim();
+
+/** Word-wrap to a width, splitting words that are wider than a line. */
+function wrap(text, font, size, width, maxLines = Infinity) {
+    const lines = [];
+    let line = '';
+    for (const word of toWinAnsi(text).split(' ').filter(Boolean)) {
+        let rest = word;
+        while (font.widthOfTextAtSize(rest, size) > width) {
+            let cut = rest.length - 1;
+            while (cut > 1 && font.widthOfTextAtSize(rest.slice(0, cut), size) > width) cut--;
+            if (line) { lines.push(line); line = ''; }
+            lines.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+        }
+        const next = line ? `${line} ${rest}` : rest;
+        if (font.widthOfTextAtSize(next, size) <= width) line = next;
+        else { lines.push(line); line = rest; }
+    }
+    if (line) lines.push(line);
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = lines[maxLines - 1].replace(/.{0,3}$/, '...');
+    }
+    return lines;
+}
+
+function addLink(pdf, page, rect, url) {
+    const annot = pdf.context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: rect,
+        Border: [0, 0, 0],
+        A: { Type: 'Action', S: 'URI', URI: PDFString.of(url) },
+    });
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    if (annots) annots.push(pdf.context.register(annot));
+    else page.node.set(PDFName.of('Annots'), pdf.context.obj([pdf.context.register(annot)]));
+}
+
+/** @returns {Promise<Uint8Array>} the .pdf file */
+export async function buildMatrixPdf(doc) {
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(toWinAnsi(doc.title));
+    pdf.setCreationDate(new Date(doc.generatedAt));
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+    const tierWidth = (PAGE.width - 2 * MARGIN - FEATURE_WIDTH) / Math.max(1, doc.tiers.length);
+    const headerLines = doc.tiers.map(t => wrap(t, bold, 7, tierWidth - 2 * PAD, 4));
+    const headerHeight = Math.max(20, ...headerLines.map(l => l.length * 9 + 2 * PAD));
+
+    let page;
+    let y;
+
+    const drawHeader = () => {
+        page.drawRectangle({ x: MARGIN, y: y - headerHeight, width: PAGE.width - 2 * MARGIN, height: headerHeight, color: INK });
+        page.drawText('Feature', { x: MARGIN + PAD, y: y - PAD - 8, size: 8, font: bold, color: rgb(1, 1, 1) });
+        headerLines.forEach((lines, i) => {
+            const cx = MARGIN + FEATURE_WIDTH + i * tierWidth + tierWidth / 2;
+            lines.forEach((line, l) => {
+                page.drawText(line, { x: cx - bold.widthOfTextAtSize(line, 7) / 2, y: y - PAD - 7 - l * 9, size: 7, font: bold, color: rgb(1, 1, 1) });
+            });
+        });
+        y -= headerHeight;
+    };
+
+    const newPage = () => {
+        page = pdf.addPage([PAGE.width, PAGE.height]);
+        y = PAGE.height - MARGIN;
+        drawHeader();
+    };
+
+    // Title block on the first page only
+    page = pdf.addPage([PAGE.width, PAGE.height]);
+    y = PAGE.height - MARGIN;
+    page.drawText(toWinAnsi(doc.title), { x: MARGIN, y: y - 18, size: 18, font: bold, color: INK });
+    y -= 34;
+    const meta = `${describeFilters(doc)}  |  ${doc.featureCount} features  |  Generated ${new Date(doc.generatedAt).toLocaleString()}`;
+    page.drawText(toWinAnsi(meta), { x: MARGIN, y, size: 9, font, color: MUTED });
+    y -= 14;
+    const totals = wrap(doc.totals.map(t => `${t.tier}: ${t.included}`).join('   '), font, 8, PAGE.width - 2 * MARGIN, 3);
+    totals.forEach(line => { page.drawText(line, { x: MARGIN, y, size: 8, font, color: MUTED }); y -= 11; });
+    y -= 10;
+    drawHeader();
+
+    const bottom = MARGIN + FOOTER;
+
+    for (const category of doc.categories) {
+        // Keep the band together with at least one row
+        if (y - 18 - 40 < bottom) newPage();
+        page.drawRectangle({ x: MARGIN, y: y - 18, width: PAGE.width - 2 * MARGIN, height: 18, color: hex('334155') });
+        page.drawText(toWinAnsi(category.name).toUpperCase(), { x: MARGIN + PAD, y: y - 12.5, size: 7.5, font: bold, color: rgb(1, 1, 1) });
+        y -= 18;
+
+        for (const f of category.features) {
+            const nameLines = wrap(f.name, bold, 8.5, FEATURE_WIDTH - 2 * PAD, 3);
+            const descLines = wrap(f.description, font, 6.5, FEATURE_WIDTH - 2 * PAD, 4);
+            const labelLines = f.cells.map(c => wrap(c.label, bold, 7, tierWidth - 2 * PAD, 3));
+            const height = Math.max(
+                nameLines.length * 10.5 + descLines.length * 8.5 + 2 * PAD,
+                ...labelLines.map(l => l.length * 9 + 2 * PAD),
+            );
+            if (y - height < bottom) {
+                newPage();
+                page.drawText(toWinAnsi(`${category.name} (continued)`), { x: MARGIN + PAD, y: y - 10, size: 6.5, font, color: MUTED });
+                y -= 14;
+            }
+
+            let ty = y - PAD - 8;
+            nameLines.forEach(line => {
+                page.drawText(line, { x: MARGIN + PAD, y: ty, size: 8.5, font: bold, color: f.link ? LINK : INK });
+                ty -= 10.5;
+            });
+            if (f.link) addLink(pdf, page, [MARGIN, ty + 8, MARGIN + FEATURE_WIDTH, y], f.link);
+            descLines.forEach(line => {
+                page.drawText(line, { x: MARGIN + PAD, y: ty + 2, size: 6.5, font, color: MUTED });
+                ty -= 8.5;
+            });
+
+            f.cells.forEach((cell, i) => {
+                const x = MARGIN + FEATURE_WIDTH + i * tierWidth;
+                const colors = cellColors(doc, cell);
+                page.drawRectangle({ x: x + 1, y: y - height + 1, width: tierWidth - 2, height: height - 2, color: hex(colors.fill) });
+                const lines = labelLines[i];
+                const top = y - height / 2 + (lines.length * 9) / 2 - 7;
+                lines.forEach((line, l) => {
+                    page.drawText(line, { x: x + tierWidth / 2 - bold.widthOfTextAtSize(line, 7) / 2, y: top - l * 9, size: 7, font: bold, color: hex(colors.text) });
+                });
+            });
+
+            y -= height;
+            page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE.width - MARGIN, y }, thickness: 0.5, color: RULE });
+        }
+    }
+
+    const pages = pdf.getPages();
+    const footerTitle = toWinAnsi(doc.title);
+    pages.forEach((p, i) => {
+        const label = `Page ${i + 1} of ${pages.length}`;
+        p.drawText(footerTitle, { x: MARGIN, y: MARGIN - 10, size: 7, font, color: MUTED });
+        p.drawText(label, { x: PAGE.width - MARGIN - font.widthOfTextAtSize(label, 7), y: MARGIN - 10, size: 7, font, color: MUTED });
+    });
+
+    return pdf.save();
+}
@@ -0,0 +1,89 @@
+// --- Matrix Workbook ---
+// XLSX writer for buildMatrixExport() documents: a Summary sheet with the
+// view's filters and per-tier totals, then one sheet per category with
+// colored status cells and feature names linked to their documentation.
+
+import XLSX from 'xlsx-js-style';
+import { cellColors, describeFilters } from './matrixExport.js';
+
+const HEADER_STYLE = {
+    font: { bold: true, color: { rgb: 'FFFFFF' } },
+    fill: { fgColor: { rgb: '0F172A' } },
+    alignment: { vertical: 'center', horizontal: 'center', wrapText: true },
+};
+const BORDER = { style: 'thin', color: { rgb: 'E2E8F0' } };
+const BORDERS = { top: BORDER, bottom: BORDER, left: BORDER, right: BORDER };
+
+// Excel sheet names: at most 31 characters, none of []:*?/\ and unique
+// regardless of case
+function sheetName(name, used) {
+    const base = (name.replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim() || 'Category').slice(0, 31);
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function summarySheet(doc) {
+    const rows = [
+        [doc.title],
+        ['Generated', new Date(doc.generatedAt).toLocaleString()],
+        ['View', describeFilters(doc)],
+        ['Features', doc.featureCount],
+        [],
+        ['Tier', 'Features included'],
+        ...doc.totals.map(t => [t.tier, t.included]),
+    ];
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    ws.A1.s = { font: { bold: true, sz: 16 } };
+    for (const col of ['A', 'B']) ws[`${col}6`].s = HEADER_STYLE;
+    for (const r of [2, 3, 4]) ws[`A${r}`].s = { font: { bold: true, color: { rgb: '64748B' } } };
+    ws['!cols'] = [{ wch: 40 }, { wch: 60 }];
+    return ws;
+}
+
+function categorySheet(doc, category) {
+    const rows = [
+        ['Feature', 'Description', ...doc.tiers],
+        ...category.features.map(f => [f.name, f.description, ...f.cells.map(c => c.label)]),
+    ];
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+
+    rows[0].forEach((_, c) => { ws[XLSX.utils.encode_cell({ r: 0, c })].s = HEADER_STYLE; });
+    category.features.forEach((f, i) => {
+        const r = i + 1;
+        const nameCell = ws[XLSX.utils.encode_cell({ r, c: 0 })];
+        nameCell.s = { font: { bold: true, ...(f.link ? { color: { rgb: '2563EB' }, underline: true } : {}) }, alignment: { vertical: 'top', wrapText: true }, border: BORDERS };
+        if (f.link) nameCell.l = { Target: f.link, Tooltip: f.link };
+        ws[XLSX.utils.encode_cell({ r, c: 1 })].s = { font: { color: { rgb: '475569' } }, alignment: { vertical: 'top', wrapText: true }, border: BORDERS };
+
+        f.cells.forEach((cell, t) => {
+            const colors = cellColors(doc, cell);
+            ws[XLSX.utils.encode_cell({ r, c: t + 2 })].s = {
+                font: { bold: true, color: { rgb: colors.text } },
+                fill: { fgColor: { rgb: colors.fill } },
+                alignment: { vertical: 'center', horizontal: 'center', wrapText: true },
+                border: BORDERS,
+            };
+        });
+    });
+
+    ws['!cols'] = [{ wch: 36 }, { wch: 60 }, ...doc.tiers.map(() => ({ wch: 18 }))];
+    ws['!rows'] = [{ hpt: 36 }];
+    ws['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length - 1, c: rows[0].length - 1 } }) };
+    return ws;
+}
+
+/** @returns {ArrayBuffer} the .xlsx file */
+export function buildMatrixWorkbook(doc) {
+    const wb = XLSX.utils.book_new();
+    const used = new Set(['summary']);
+    XLSX.utils.book_append_sheet(wb, summarySheet(doc), 'Summary');
+    for (const category of doc.categories) {
+        XLSX.utils.book_append_sheet(wb, categorySheet(doc, category), sheetName(category.name, used));
+    }
+    return XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+}
@@ -0,0 +1,158 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { MERGE_RULE_SCOPES, MERGE_RULE_TYPES, ruleFingerprint } from './mapMerge.js';
+
+// --- Merge Rule Dictionary ---
+// Curated overrides for the comparison view's semantic merge, stored in
+// `merge_rules`:
+//
+//   { scope: 'feature'|'category', type: 'alias'|'separate', names: string[],
+//     canonical?, note, createdAt, createdBy, updatedAt, updatedBy }
+//
+// How rules apply is in lib/mapMerge.js (compileMergeRules). A name belongs
+// to at most one rule per scope, so rules never contradict each other.
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+
+export function validateRule(body, existing = null) {
+    const rule = {};
+    const merged = { ...existing, ...body };
+
+    if (!existing || body.scope !== undefined) {
+        if (!MERGE_RULE_SCOPES.includes(body.scope)) throw badRequest(`scope must be one of: ${MERGE_RULE_SCOPES.join(', ')}`);
+        rule.scope = body.scope;
+    }
+    if (!existing || body.type !== undefined) {
+        if (!MERGE_RULE_TYPES.includes(body.type)) throw badRequest(`type must be one of: ${MERGE_RULE_TYPES.join(', ')}`);
+        rule.type = body.type;
+    }
+    if (!existing || body.names !== undefined) {
+        if (!Array.isArray(body.names) || body.names.some(n => typeof n !== 'string')) throw badRequest('names must be an array of strings');
+        const names = [];
+        for (const name of body.names.map(clean).filter(Boolean)) {
+            if (name.length > 200) throw badRequest('Names are limited to 200 characters');
+            if (!ruleFingerprint(name)) throw badRequest(`"${name}" has no letters or digits to match on`);
+            if (!names.some(n => ruleFingerprint(n) === ruleFingerprint(name))) names.push(name);
+        }
+        if (names.length < 2) throw badRequest('A rule needs at least two different names');
+        rule.names = names;
+    }
+    if (body.canonical !== undefined || body.type !== undefined) {
+        const canonical = merged.type === 'alias' ? clean(merged.canonical) : '';
+        if (canonical.length > 200) throw badRequest('The display name is limited to 200 characters');
+        rule.canonical = canonical;
+    }
+    if (!existing || body.note !== undefined) {
+        const note = clean(body.note);
+        if (note.length > 500) throw badRequest('Notes are limited to 500 characters');
+        rule.note = note;
+    }
+    return rule;
+}
+
+// Names another rule of the same scope already claims
+export async function findConflict(db, rule, excludeId = null) {
+    const others = await db.collection('merge_rules')
+        .find({ scope: rule.scope, ...(excludeId ? { _id: { $ne: excludeId } } : {}) })
+        .toArray();
+    const wanted = new Set(rule.names.map(ruleFingerprint));
+    for (const other of others) {
+        const clash = other.names.find(n => wanted.has(ruleFingerprint(n)));
+        if (clash) return `"${clash}" is already in ${other.type === 'alias' ? 'the alias' : 'the never-merge'} rule for ${other.names.slice(0, 2).join(' / ')}`;
+    }
+    return null;
+}
+
+export async function getMergeRules(db) {
+    return db.collection('merge_rules').find({}).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Put `names` on one row: extend the alias rule that already holds one of
+ * them, or create a new one. Used when a match proposal is accepted.
+ * Fails with status 409 when a never-merge rule or two different alias
+ * rules already claim the names.
+ */
+export async function mergeNamesAsAlias(db, scope, names, { username, note = '' } = {}) {
+    const wanted = new Set(names.map(ruleFingerprint));
+    const claimed = (await db.collection('merge_rules').find({ scope }).toArray())
+        .filter(rule => rule.names.some(n => wanted.has(ruleFingerprint(n))));
+    const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+    const separate = claimed.find(rule => rule.type === 'separate');
+    if (separate) throw conflict(`A never-merge rule keeps ${separate.names.slice(0, 2).join(' / ')} apart`);
+    if (claimed.length > 1) throw conflict('These names already belong to two different alias rules; merge those rules by hand');
+
+    const now = new Date().toISOString();
+    if (claimed.length === 1) {
+        const rule = claimed[0];
+        const known = new Set(rule.names.map(ruleFingerprint));
+        const added = names.filter(n => !known.has(ruleFingerprint(n)));
+        return db.collection('merge_rules').findOneAndUpdate(
+            { _id: rule._id },
+            { $push: { names: { $each: added } }, $set: { updatedAt: now, updatedBy: username } },
+            { returnDocument: 'after' },
+        );
+    }
+    const rule = { scope, type: 'alias', names, canonical: '', note, createdAt: now, createdBy: username, updatedAt: now, updatedBy: username };
+    const result = await db.collection('merge_rules').insertOne(rule);
+    return { ...rule, _id: result.insertedId };
+}
+
+export function createMergeRuleRouter(getDB, requireRole) {
+    const router = express.Router();
+
+    // Everyone who can see a comparison needs the rules that shaped it
+    router.get('/merge-rules', async (req, res) => {
+        try {
+            res.json(await getMergeRules(await getDB()));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/merge-rules', requireRole('editor'), async (req, res) => {
+        try {
+            const now = new Date().toISOString();
+            const rule = { ...validateRule(req.body || {}), createdAt: now, createdBy: req.user.username, updatedAt: now, updatedBy: req.user.username };
+            const db = await getDB();
+            const conflict = await findConflict(db, rule);
+            if (conflict) return res.status(409).json({ error: conflict });
+            const result = await db.collection('merge_rules').insertOne(rule);
+            res.status(201).json({ ...rule, _id: result.insertedId });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.patch('/merge-rules/:id', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid rule id' });
+            const db = await getDB();
+            const rules = db.collection('merge_rules');
+            const existing = await rules.findOne({ _id: new ObjectId(req.params.id) });
+            if (!existing) return res.status(404).json({ error: 'Rule not found' });
+            const update = { ...validateRule(req.body || {}, existing), updatedAt: new Date().toISOString(), updatedBy: req.user.username };
+            const conflict = await findConflict(db, { ...existing, ...update }, existing._id);
+            if (conflict) return res.status(409).json({ error: conflict });
+            res.json(await rules.findOneAndUpdate({ _id: existing._id }, { $set: update }, { returnDocument: 'after' }));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.delete('/merge-rules/:id', requireRole('editor'), async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid rule id' });
+            const db = await getDB();
+            const { deletedCount } = await db.collection('merge_rules').deleteOne({ _id: new ObjectId(req.params.id) });
+            if (!deletedCount) return res.status(404).json({ error: 'Rule not found' });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
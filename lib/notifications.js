@@ -0,0 +1,379 @@
+import crypto from 'node:crypto';
+import dns from 'node:dns/promises';
+import net from 'node:net';
+import express from 'express';
+import nodemailer from 'nodemailer';
+import { ObjectId } from 'mongodb';
+import { diffMapData } from './mapDiff.js';
+import { isIncluded } from './mapSchema.js';
+
+// --- Change Notifications ---
+// After a sync, each source's new extraction is compared with the previous
+// one. Tiers that gained or lost a feature produce a change set, and every
+// enabled subscription whose source/tier filter matches gets a digest through
+// its channel. Channels are plain async senders registered by name.
+
+const included = (status) => status != null && isIncluded(status);
+
+/**
+ * Per-tier gained/lost features between two extractions of one source.
+ * Returns null when no tier's feature set changed.
+ */
+export function buildChangeSet({ sourceKey, title }, beforeData, afterData) {
+    const diff = diffMapData(beforeData, afterData);
+    const tiers = {};
+    const bucket = (tier) => (tiers[tier] ||= { gained: [], lost: [] });
+
+    for (const f of diff.added) {
+        for (const [tier, status] of Object.entries(f.status)) {
+            if (included(status)) bucket(tier).gained.push({ name: f.name, category: f.category, status });
+        }
+    }
+    for (const f of diff.removed) {
+        for (const [tier, status] of Object.entries(f.status)) {
+            if (included(status)) bucket(tier).lost.push({ name: f.name, category: f.category, status });
+        }
+    }
+    for (const c of diff.statusChanges) {
+        const was = included(c.from);
+        const is = included(c.to);
+        if (!was && is) bucket(c.tier).gained.push({ name: c.name, category: c.category, status: c.to, previous: c.from });
+        if (was && !is) bucket(c.tier).lost.push({ name: c.name, category: c.category, status: c.to, previous: c.from });
+    }
+
+    if (Object.keys(tiers).length === 0 && diff.tiers.added.length === 0 && diff.tiers.removed.length === 0) return null;
+    return { sourceKey, title, tiers, tiersAdded: diff.tiers.added, tiersRemoved: diff.tiers.removed };
+}
+
+/**
+ * Narrow change sets to what a subscription asked for. Empty filters match everything.
+ */
+export function filterForSubscription(changeSets, subscription) {
+    const sourceKeys = subscription.sourceKeys || [];
+    const tierFilter = subscription.tiers || [];
+    return changeSets
+        .filter(cs => sourceKeys.length === 0 || sourceKeys.includes(cs.sourceKey))
+        .map(cs => {
+            const tiers = Object.fromEntries(Object.entries(cs.tiers).filter(([t]) => tierFilter.length === 0 || tierFilter.includes(t)));
+            const keepTierEvents = tierFilter.length === 0;
+            return {
+                ...cs,
+                tiers,
+                tiersAdded: keepTierEvents ? cs.tiersAdded : cs.tiersAdded.filter(t => tierFilter.includes(t)),
+                tiersRemoved: keepTierEvents ? cs.tiersRemoved : cs.tiersRemoved.filter(t => tierFilter.includes(t)),
+            };
+        })
+        .filter(cs => Object.keys(cs.tiers).length > 0 || cs.tiersAdded.length > 0 || cs.tiersRemoved.length > 0);
+}
+
+// --- Digest Rendering ---
+
+const digestTitle = (changeSets) => {
+    const total = changeSets.reduce((sum, cs) => sum + Object.values(cs.tiers).reduce((n, t) => n + t.gained.length + t.lost.length, 0), 0);
+    return `LicenseMap: ${total} licensing change${total === 1 ? '' : 's'} detected`;
+};
+
+export function renderText(changeSets) {
+    const lines = [digestTitle(changeSets), ''];
+    for (const cs of changeSets) {
+        lines.push(`== ${cs.title} ==`);
+        if (cs.tiersAdded.length) lines.push(`New tiers: ${cs.tiersAdded.join(', ')}`);
+        if (cs.tiersRemoved.length) lines.push(`Removed tiers: ${cs.tiersRemoved.join(', ')}`);
+        for (const [tier, { gained, lost }] of Object.entries(cs.tiers)) {
+            lines.push(`${tier}:`);
+            gained.forEach(f => lines.push(`  + ${f.name} (${f.category})${f.previous ? ` was ${f.previous}` : ''}`));
+            lost.forEach(f => lines.push(`  - ${f.name} (${f.category})${f.status ? ` now ${f.status}` : ''}`));
+        }
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+export function renderHtml(changeSets) {
+    const sections = changeSets.map(cs => {
+        const tiers = Object.entries(cs.tiers).map(([tier, { gained, lost }]) => `
+            <h4 style="margin:12px 0 4px">${escapeHtml(tier)}</h4>
+            <ul style="margin:0;padding-left:18px">
+                ${gained.map(f => `<li style="color:#047857">+ ${escapeHtml(f.name)} <small>(${escapeHtml(f.category)})</small></li>`).join('')}
+                ${lost.map(f => `<li style="color:#be123c">− ${escapeHtml(f.name)} <small>(${escapeHtml(f.category)})</small></li>`).join('')}
+            </ul>`).join('');
+        const tierNotes = [
+            cs.tiersAdded.length ? `<p>New tiers: ${cs.tiersAdded.map(escapeHtml).join(', ')}</p>` : '',
+            cs.tiersRemoved.length ? `<p>Removed tiers: ${cs.tiersRemoved.map(escapeHtml).join(', ')}</p>` : '',
+        ].join('');
+        return `<h3 style="margin-top:24px">${escapeHtml(cs.title)}</h3>${tierNotes}${tiers}`;
+    }).join('');
+    return `<div style="font-family:Segoe UI,Arial,sans-serif"><h2>${escapeHtml(digestTitle(changeSets))}</h2>${sections}</div>`;
+}
+
+export function slackPayload(changeSets) {
+    return { text: renderText(changeSets) };
+}
+
+export function teamsPayload(changeSets) {
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: digestTitle(changeSets),
+        themeColor: '2563EB',
+        title: digestTitle(changeSets),
+        sections: changeSets.flatMap(cs => Object.entries(cs.tiers).map(([tier, { gained, lost }]) => ({
+            activityTitle: `${cs.title} — ${tier}`,
+            facts: [
+                ...gained.map(f => ({ name: 'Gained', value: `${f.name} (${f.category})` })),
+                ...lost.map(f => ({ name: 'Lost', value: `${f.name} (${f.category})` })),
+            ],
+        }))),
+    };
+}
+
+// --- Channels ---
+
+// Receivers may not sit on the server's own network: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+// ranges are refused unless NOTIFY_ALLOW_PRIVATE_TARGETS=true (on-premises
+// receivers, tests).
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+async function assertPublicTarget(target) {
+    if (process.env.NOTIFY_ALLOW_PRIVATE_TARGETS === 'true') return;
+    const host = new URL(target).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.lookup(host, { all: true }).catch(() => {
+            throw Object.assign(new Error(`Target host ${host} could not be resolved`), { status: 400 });
+        });
+    if (addresses.some(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+        throw Object.assign(new Error(`Target host ${host} is not a public address`), { status: 400 });
+    }
+}
+
+async function postJson(url, payload, headers = {}) {
+    await assertPublicTarget(url);
+    const body = JSON.stringify(payload);
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        // A redirect could lead to an address the check above refuses
+        redirect: 'manual',
+        signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) throw new Error(`Webhook responded with HTTP ${response.status}`);
+}
+
+let mailTransport;
+function getMailTransport() {
+    if (mailTransport) return mailTransport;
+    if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not configured");
+    mailTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return mailTransport;
+}
+
+const channels = {
+    email: async (target, changeSets) => {
+        await getMailTransport().sendMail({
+            from: process.env.SMTP_FROM || 'LicenseMap <licensemap@localhost>',
+            to: target,
+            subject: digestTitle(changeSets),
+            text: renderText(changeSets),
+            html: renderHtml(changeSets),
+        });
+    },
+    webhook: async (target, changeSets) => {
+        const payload = { event: 'licensing.changes', generatedAt: new Date().toISOString(), changes: changeSets };
+        const secret = process.env.NOTIFY_WEBHOOK_SECRET;
+        const headers = secret
+            ? { 'X-LicenseMap-Signature': crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex') }
+            : {};
+        await postJson(target, payload, headers);
+    },
+    slack: (target, changeSets) => postJson(target, slackPayload(changeSets)),
+    teams: (target, changeSets) => postJson(target, teamsPayload(changeSets)),
+};
+
+export const channelTypes = () => Object.keys(channels);
+
+export function registerChannel(type, sender) {
+    channels[type] = sender;
+}
+
+/**
+ * Use a custom nodemailer transport (e.g. a stream or local mock SMTP).
+ */
+export function setMailTransport(transport) {
+    mailTransport = transport;
+}
+
+export async function sendDigest(subscription, changeSets) {
+    const send = channels[subscription.channel];
+    if (!send) throw new Error(`Unknown channel: ${subscription.channel}`);
+    await send(subscription.target, changeSets);
+}
+
+/**
+ * Fan a sync run's change sets out to every matching, enabled subscription.
+ */
+export async function notifyChanges(db, changeSets, { trigger = 'sync' } = {}) {
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+    if (!changeSets.length) return summary;
+
+    const subscriptions = await db.collection('notification_subscriptions').find({ enabled: true }).toArray();
+    for (const sub of subscriptions) {
+        const relevant = filterForSubscription(changeSets, sub);
+        if (relevant.length === 0) {
+            summary.skipped++;
+            continue;
+        }
+        const entry = { subscriptionId: sub._id, channel: sub.channel, target: sub.target, trigger, timestamp: new Date().toISOString(), sources: relevant.map(cs => cs.sourceKey) };
+        try {
+            await sendDigest(sub, relevant);
+            summary.sent++;
+            entry.status = 'sent';
+        } catch (err) {
+            console.error(`❌ Notification to ${sub.channel}:${sub.target} failed:`, err.message);
+            summary.failed++;
+            entry.status = 'failed';
+            entry.error = err.message;
+        }
+        await db.collection('notification_log').insertOne(entry).catch(() => { });
+    }
+    console.log(`📣 Notifications: ${summary.sent} sent, ${summary.failed} failed`);
+    return summary;
+}
+
+// --- Subscription API ---
+
+const SAMPLE_CHANGES = [{
+    sourceKey: 'sample',
+    title: 'Sample Source',
+    tiersAdded: [],
+    tiersRemoved: [],
+    tiers: {
+        'Sample Tier': {
+            gained: [{ name: 'Example feature', category: 'Security' }],
+            lost: [{ name: 'Retired feature', category: 'Compliance', status: 'Not Included' }],
+        },
+    },
+}];
+
+async function validateSubscription(body, { partial = false } = {}) {
+    const sub = {};
+    if (!partial || body.channel !== undefined) {
+        if (!channels[body.channel]) throw Object.assign(new Error(`Channel must be one of: ${channelTypes().join(', ')}`), { status: 400 });
+        sub.channel = body.channel;
+    }
+    if (!partial || body.target !== undefined) {
+        const target = String(body.target || '').trim();
+        const channel = sub.channel || body.channel;
+        const valid = channel === 'email'
+            ? /^[^\s@]+@[^\s@]+$/.test(target)
+            : /^https?:\/\/\S+$/.test(target);
+        if (!valid) throw Object.assign(new Error(channel === 'email' ? 'Target must be an email address' : 'Target must be an http(s) URL'), { status: 400 });
+        if (channel !== 'email') await assertPublicTarget(target);
+        sub.target = target;
+    }
+    for (const key of ['sourceKeys', 'tiers']) {
+        if (body[key] !== undefined) {
+            if (!Array.isArray(body[key]) || body[key].some(v => typeof v !== 'string')) {
+                throw Object.assign(new Error(`${key} must be an array of strings`), { status: 400 });
+            }
+            sub[key] = body[key];
+        } else if (!partial) {
+            sub[key] = [];
+        }
+    }
+    if (body.enabled !== undefined) sub.enabled = !!body.enabled;
+    else if (!partial) sub.enabled = true;
+    return sub;
+}
+
+export function createNotificationRouter(getDB, requireRole) {
+    const router = express.Router();
+    router.use(requireRole('editor'));
+
+    router.get('/subscriptions', async (req, res) => {
+        try {
+            const db = await getDB();
+            res.json(await db.collection('notification_subscriptions').find({}).sort({ createdAt: -1 }).toArray());
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/subscriptions', async (req, res) => {
+        try {
+            const sub = { ...(await validateSubscription(req.body || {})), createdBy: req.user.username, createdAt: new Date().toISOString() };
+            const db = await getDB();
+            const result = await db.collection('notification_subscriptions').insertOne(sub);
+            res.status(201).json({ ...sub, _id: result.insertedId });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.patch('/subscriptions/:id', async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid subscription id' });
+            const db = await getDB();
+            const subs = db.collection('notification_subscriptions');
+            const existing = await subs.findOne({ _id: new ObjectId(req.params.id) });
+            if (!existing) return res.status(404).json({ error: 'Subscription not found' });
+            // The channel is fixed once created; targets are validated against it
+            const update = await validateSubscription({ ...req.body, channel: existing.channel }, { partial: true });
+            const saved = await subs.findOneAndUpdate({ _id: existing._id }, { $set: update }, { returnDocument: 'after' });
+            res.json(saved);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.delete('/subscriptions/:id', async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid subscription id' });
+            const db = await getDB();
+            await db.collection('notification_subscriptions').deleteOne({ _id: new ObjectId(req.params.id) });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Send a sample digest so a channel can be checked end to end
+    router.post('/subscriptions/:id/test', async (req, res) => {
+        try {
+            if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid subscription id' });
+            const db = await getDB();
+            const sub = await db.collection('notification_subscriptions').findOne({ _id: new ObjectId(req.params.id) });
+            if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+            await sendDigest(sub, SAMPLE_CHANGES);
+            res.json({ success: true });
+        } catch (err) {
+            res.status(502).json({ error: err.message });
+        }
+    });
+
+    router.get('/log', async (req, res) => {
+        try {
+            const db = await getDB();
+            res.json(await db.collection('notification_log').find({}).sort({ timestamp: -1 }).limit(50).toArray());
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,314 @@
+// --- Comparison Page Extraction ---
+// Turns a fetched Microsoft comparison page into raw map data. The rule-based
+// table parser (lib/comparisonTable.js) runs first; the model is only asked
+// when the page yields too few rows or has no column for one of the source's
+// tiers, or, with SYNC_AI_ENRICH=true, to fill in descriptions, links and rows
+// the table does not have. Each feature records the path that produced it in
+// `extractedBy`.
+//
+// Sources with `extractPricing` also get list prices per tier: read from the
+// page by the same parser, or asked of the model when the page shows none.
+//
+//   SYNC_HTML_SNAPSHOTS  directory of saved pages (<source key>.html) to parse
+//                        instead of fetching; the mock provider falls back to
+//                        fixtures/html
+//   SYNC_AI_ENRICH       'true' to enrich table results with the model
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { generateJson, getProvider } from './llm.js';
+import { parseComparisonHtml, parsePricingHtml } from './comparisonTable.js';
+import { getSemanticFingerprint } from './mapMerge.js';
+
+// Below this many rows the page layout has probably changed; let the model try
+const MIN_TABLE_FEATURES = 5;
+const MAX_AI_HTML = 80000;
+
+export const DEFAULT_SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'html');
+
+async function readSnapshot(dir, sourceKey) {
+    try {
+        return await fs.readFile(path.join(dir, `${sourceKey}.html`), 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+async function fetchPageContent(url, signal) {
+    console.log(`🌐 Fetching: ${url}`);
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.9',
+        },
+        signal,
+    });
+    if (!response.ok) throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+    const html = await response.text();
+    console.log(`📄 Fetched ${html.length} chars from ${url}`);
+    return html;
+}
+
+/**
+ * HTML for a source: a saved snapshot when configured, otherwise the live page.
+ * With an offline provider and no snapshot the result is '' (the mock answers
+ * from its fixtures).
+ *
+ * @returns {Promise<{ html: string, origin: 'snapshot'|'live'|'none' }>}
+ */
+export async function fetchSourceHtml(sourceKey, source, { signal } = {}) {
+    const offline = getProvider().offline;
+    const dir = process.env.SYNC_HTML_SNAPSHOTS || (offline ? DEFAULT_SNAPSHOT_DIR : null);
+    if (dir) {
+        const html = await readSnapshot(dir, sourceKey);
+        if (html != null) return { html, origin: 'snapshot' };
+        if (process.env.SYNC_HTML_SNAPSHOTS) console.warn(`⚠️ No snapshot for ${sourceKey} in ${dir}`);
+    }
+    if (offline) return { html: '', origin: 'none' };
+    return { html: await fetchPageContent(source.url, signal), origin: 'live' };
+}
+
+function buildSyncPrompt(source, { enrich = false } = {}) {
+    const task = enrich
+        ? `TASK: A rule-based parser already read the comparison table. Extract the same table into structured JSON; your rows are used to add descriptions, documentation links and rows the parser missed.`
+        : `TASK: Extract EVERY feature row from the comparison table on this page into structured JSON.`;
+
+    return `EXPERT LICENSING EXTRACTION MODE.
+
+You are analyzing the raw HTML of an official Microsoft comparison page for: "${source.title}".
+The tiers to compare are: ${source.tiers.map(t => `"${t}"`).join(', ')}.
+
+${task}
+
+CRITICAL RULES:
+1. Extract ALL features, categories, sub-categories. Aim for 40+ distinct features.
+2. For each feature, identify its availability status for EACH tier.
+3. Status MUST be one of: "Full" (checkmark/included), "Partial" (limited/basic), "Add-on" (available as add-on), "Not Included" (not available).
+4. If a feature says "Plan 1", "Plan 2", "Standard", "Premium", "Kiosk" etc., keep the status canonical and put that detail in "qualifiers" keyed by tier (e.g. "Full" + "Plan 2").
+5. Include the EXACT feature description text from the page.
+6. For EVERY feature, provide a valid learn.microsoft.com documentation link.
+7. Categories should map to the section headers on the page.
+8. Include sub-categories as separate features when they have different statuses per tier.
+
+Return RAW JSON ONLY (no markdown code fences):
+{
+    "tiers": ${JSON.stringify(source.tiers)},
+    "categories": [
+        {
+            "name": "Category Name",
+            "features": [
+                {
+                    "name": "Feature Name",
+                    "description": "Exact description from the page",
+                    "link": "https://learn.microsoft.com/...",
+                    "status": {
+                        "${source.tiers[0]}": "Full",
+                        "${source.tiers[1]}": "Partial",
+                        "${source.tiers[2] || source.tiers[0]}": "Not Included"
+                    },
+                    "qualifiers": {
+                        "${source.tiers[0]}": "Plan 2"
+                    }
+                }
+            ]
+        }
+    ]
+}`;
+}
+
+// Keep the comparison section when the page is too long for one request
+function truncateHtml(html) {
+    if (html.length <= MAX_AI_HTML) return html;
+    const compareIdx = html.toLowerCase().indexOf('compare plans');
+    const start = compareIdx > -1 ? Math.max(0, compareIdx - 2000) : 0;
+    return html.substring(start, start + MAX_AI_HTML);
+}
+
+async function parseWithAI(html, source, sourceKey, { signal, enrich }) {
+    const { json, provider, model } = await generateJson({
+        task: 'parse-html',
+        prompt: buildSyncPrompt(source, { enrich }),
+        context: `HTML content:\n\n${truncateHtml(html)}`,
+        fixtureKey: sourceKey,
+        expectedTiers: source.tiers,
+        signal,
+    });
+    return { data: json, provider, model };
+}
+
+function buildPricingPrompt(source) {
+    return `You are analyzing the raw HTML of an official Microsoft plans and pricing page for: "${source.title}".
+The tiers are: ${source.tiers.map(t => `"${t}"`).join(', ')}.
+
+TASK: Extract the list price of each tier, per user.
+
+RULES:
+1. "monthly" is the price per user per month, "annual" the price per user per year. Give whichever the page shows; leave the other out.
+2. "currency" is the ISO 4217 code (e.g. "USD").
+3. "commitment" is one of "monthly", "annual", "multi-year": the subscription term the price requires.
+4. Leave out tiers the page shows no price for. Never guess a price.
+
+Return RAW JSON ONLY (no markdown code fences):
+{
+    "pricing": {
+        "${source.tiers[0]}": { "monthly": 36.0, "currency": "USD", "commitment": "annual" }
+    }
+}`;
+}
+
+async function parsePricingWithAI(html, source, sourceKey, { signal }) {
+    const { json, model } = await generateJson({
+        task: 'parse-pricing',
+        prompt: buildPricingPrompt(source),
+        context: `HTML content:\n\n${truncateHtml(html)}`,
+        fixtureKey: `${sourceKey}.pricing`,
+        signal,
+    });
+    return { pricing: json?.pricing && typeof json.pricing === 'object' ? json.pricing : {}, model };
+}
+
+/**
+ * List prices for a source's tiers: the page parser first, then the model.
+ * Failures are reported, never thrown: a sync without prices is still a sync.
+ *
+ * @returns {Promise<{ pricing: object, extraction: object }>}
+ *   extraction: { mode: 'table'|'ai'|'none', tiers, model?, error? }
+ */
+async function extractPricing({ html, source, sourceKey, signal, progress }) {
+    const fromPage = html ? parsePricingHtml(html, source) : {};
+    if (Object.keys(fromPage).length) {
+        await progress(`${source.title}: read prices for ${Object.keys(fromPage).length} tiers`);
+        return { pricing: fromPage, extraction: { mode: 'table', tiers: Object.keys(fromPage).length } };
+    }
+    await progress(`${source.title}: no prices on the page, asking AI`);
+    try {
+        const { pricing, model } = await parsePricingWithAI(html, source, sourceKey, { signal });
+        return { pricing, extraction: { mode: Object.keys(pricing).length ? 'ai' : 'none', tiers: Object.keys(pricing).length, model } };
+    } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`⚠️ Price extraction failed for ${sourceKey}: ${err.message}`);
+        await progress(`${source.title}: price extraction failed – ${err.message}`);
+        return { pricing: {}, extraction: { mode: 'none', tiers: 0, error: err.message } };
+    }
+}
+
+const tagFeatures = (data, extractedBy) => ({
+    ...data,
+    categories: (Array.isArray(data?.categories) ? data.categories : []).map(cat => ({
+        ...cat,
+        features: (Array.isArray(cat?.features) ? cat.features : []).map(f => ({ ...f, extractedBy })),
+    })),
+});
+
+/**
+ * Fold model output into the table result. Table rows keep their statuses;
+ * the model only fills an empty description or missing link. Rows the table
+ * did not have are added with extractedBy: 'ai'.
+ */
+function enrichTableData(table, ai) {
+    const categories = table.categories.map(c => ({ ...c, features: c.features.map(f => ({ ...f })) }));
+    const byFeature = new Map();
+    const byCategory = new Map(categories.map(c => [getSemanticFingerprint(c.name), c]));
+    categories.forEach(c => c.features.forEach(f => byFeature.set(getSemanticFingerprint(f.name, { keepPlan: true }), f)));
+
+    let enriched = 0;
+    let added = 0;
+    for (const cat of Array.isArray(ai?.categories) ? ai.categories : []) {
+        for (const feat of Array.isArray(cat?.features) ? cat.features : []) {
+            const key = getSemanticFingerprint(feat?.name, { keepPlan: true });
+            if (!key) continue;
+            const existing = byFeature.get(key);
+            if (existing) {
+                let touched = false;
+                if (!existing.description && typeof feat.description === 'string' && feat.description.trim()) {
+                    existing.description = feat.description;
+                    touched = true;
+                }
+                if (!existing.link && feat.link) {
+                    existing.link = feat.link;
+                    touched = true;
+                }
+                if (touched) enriched++;
+                continue;
+            }
+
+            const catKey = getSemanticFingerprint(cat.name) || 'general';
+            let target = byCategory.get(catKey);
+            if (!target) {
+                target = { name: cat.name || 'General', features: [] };
+                byCategory.set(catKey, target);
+                categories.push(target);
+            }
+            const feature = { ...feat, extractedBy: 'ai' };
+            target.features.push(feature);
+            byFeature.set(key, feature);
+            added++;
+        }
+    }
+    return { data: { tiers: table.tiers, categories }, enriched, added };
+}
+
+/**
+ * Extract raw map data from a comparison page.
+ *
+ * @param {object} options
+ * @param {string} options.html
+ * @param {object} options.source      { title, url, tiers }
+ * @param {string} options.sourceKey   fixture key for the mock provider
+ * @param {AbortSignal} [options.signal]
+ * @param {function} [options.progress] (message) from the job context
+ * @returns {Promise<{ data: object, extraction: object }>} data still needs validateMapData()
+ *   extraction: { mode: 'table'|'table+ai'|'ai', tableFeatures, aiFeatures?, enriched?, provider?, model?, fallbackReason?, pricing? }
+ */
+export async function extractSourcePage({ html, source, sourceKey, signal, progress = async () => { } }) {
+    const result = await extractFeatures({ html, source, sourceKey, signal, progress });
+    if (!source.extractPricing) return result;
+
+    const { pricing, extraction } = await extractPricing({ html, source, sourceKey, signal, progress });
+    return { data: { ...result.data, pricing }, extraction: { ...result.extraction, pricing: extraction } };
+}
+
+async function extractFeatures({ html, source, sourceKey, signal, progress }) {
+    const table = html ? parseComparisonHtml(html, source) : null;
+    const tableFeatures = table?.stats.features || 0;
+    // A tier the header did not name would be filled as Not Included everywhere
+    const missingTiers = table ? source.tiers.filter(t => !table.data.tiers.includes(t)) : [];
+    const enrich = process.env.SYNC_AI_ENRICH === 'true';
+
+    if (tableFeatures >= MIN_TABLE_FEATURES && !missingTiers.length) {
+        await progress(`${source.title}: read ${tableFeatures} features from the comparison table`);
+        if (!enrich) {
+            return { data: table.data, extraction: { mode: 'table', tableFeatures } };
+        }
+
+        await progress(`${source.title}: enriching table rows with AI`);
+        try {
+            const ai = await parseWithAI(html, source, sourceKey, { signal, enrich: true });
+            const { data, enriched, added } = enrichTableData(table.data, ai.data);
+            return {
+                data,
+                extraction: { mode: 'table+ai', tableFeatures, aiFeatures: added, enriched, provider: ai.provider, model: ai.model },
+            };
+        } catch (err) {
+            if (signal?.aborted) throw err;
+            // The table result stands on its own
+            console.warn(`⚠️ AI enrichment failed for ${sourceKey}: ${err.message}`);
+            await progress(`${source.title}: AI enrichment failed – ${err.message}`);
+            return { data: table.data, extraction: { mode: 'table', tableFeatures, enrichmentError: err.message } };
+        }
+    }
+
+    const fallbackReason = !html ? 'no HTML'
+        : !tableFeatures ? 'no comparison table found'
+            : tableFeatures < MIN_TABLE_FEATURES ? `only ${tableFeatures} table rows`
+                : `table has no column for ${missingTiers.map(t => `"${t}"`).join(', ')}`;
+    await progress(`${source.title}: ${fallbackReason}, extracting features with AI`);
+    const ai = await parseWithAI(html, source, sourceKey, { signal });
+    return {
+        data: tagFeatures(ai.data, 'ai'),
+        extraction: { mode: 'ai', tableFeatures, fallbackReason, provider: ai.provider, model: ai.model },
+    };
+}
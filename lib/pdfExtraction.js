@@ -0,0 +1,160 @@
+// --- PDF Extraction ---
+// Turns an uploaded licensing PDF into raw map data. Large documents (Product
+// Terms, Modern Work plan comparisons) are split into page ranges so no single
+// response hits the model's output limit; the partial maps are then merged
+// with the same fingerprints the comparison view uses.
+//
+//   PDF_CHUNK_PAGES  pages per chunk in automatic mode (default 10); documents
+//                    up to that length are sent whole
+
+import { PDFDocument } from 'pdf-lib';
+import { generateJson, LlmError } from './llm.js';
+import { mergePartialMaps } from './mapMerge.js';
+
+const chunkPagesDefault = () => Math.max(1, Number(process.env.PDF_CHUNK_PAGES) || 10);
+
+function buildPrompt(track, range) {
+    const scope = range
+        ? `This file holds pages ${range.from}-${range.to} of a ${range.total}-page document; the other pages are extracted separately.
+        Extract every feature visible on these pages only and number pages as in the original document (the first page here is page ${range.from}).`
+        : 'Extract 50+ distinct features if possible.';
+
+    return `EXPERT ANALYSIS MODE: Analyze this Microsoft Licensing PDF for ${track} tracks with maximum granularity.
+
+        GOAL: Identify EVERY distinct feature, capability, and entitlement. Pay special attention to:
+        1. Advanced Security (Defender, Sentinel, Purview integrations)
+        2. Compliance & Governance (eDiscovery, Data Loss Prevention, Audit logs)
+        3. Management & Automation (Intune, AutoPilot, PowerShell modules)
+        4. Identity (Entra ID P1/P2 features)
+        5. Productivity differences (storage limits, desktop vs web apps)
+
+        RULES:
+        - ${scope}
+        - Be highly specific (e.g., "Defender for Endpoint P2" instead of just "Defender").
+        - For 'status', use exactly one of these: "Full", "Partial", "Add-on", "Not Included".
+        - Put plan or edition details (e.g. "Plan 2", "100 GB", "Kiosk") in 'qualifiers' keyed by tier, never in 'status'.
+        - For 'pages', list the page numbers the feature appears on.
+        - Ensure a documentation link from learn.microsoft.com is provided for every single feature.
+
+        Return RAW JSON ONLY:
+        {
+          "tiers": ["Tier Name A", "Tier Name B"],
+          "categories": [
+            {
+              "name": "Category Name",
+              "features": [
+                {
+                  "name": "Feature Name",
+                  "description": "Deep technical description",
+                  "link": "https://learn.microsoft.com/...",
+                  "status": { "Tier Name A": "Full", "Tier Name B": "Partial" },
+                  "qualifiers": { "Tier Name A": "Plan 2" },
+                  "pages": [${range ? range.from : 1}]
+                }
+              ]
+            }
+          ]
+        }`;
+}
+
+async function loadPdf(buffer) {
+    try {
+        return await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+    } catch (err) {
+        console.warn(`⚠️ Could not read PDF structure (${err.message}); sending it whole`);
+        return null;
+    }
+}
+
+/**
+ * Split a PDF into standalone documents of at most `pagesPerChunk` pages.
+ *
+ * @returns {Promise<{ from: number, to: number, data: string }[]>} 1-based ranges, base64 data
+ */
+export async function splitPdf(source, pagesPerChunk) {
+    const chunks = [];
+    const total = source.getPageCount();
+    for (let start = 0; start < total; start += pagesPerChunk) {
+        const end = Math.min(start + pagesPerChunk, total);
+        const doc = await PDFDocument.create();
+        const pages = await doc.copyPages(source, Array.from({ length: end - start }, (_, i) => start + i));
+        pages.forEach(p => doc.addPage(p));
+        chunks.push({ from: start + 1, to: end, data: Buffer.from(await doc.save()).toString('base64') });
+    }
+    return chunks;
+}
+
+const featureCount = (data) => (data?.categories || []).reduce((sum, c) => sum + (c.features?.length || 0), 0);
+
+/**
+ * Extract raw map data from a PDF, chunked by page range when it is long.
+ *
+ * @param {object} options
+ * @param {Buffer} options.buffer
+ * @param {string} options.fileName
+ * @param {string} options.track
+ * @param {number|string} [options.pagesPerChunk]  'auto' (default), 0 for the whole file, or a page count
+ * @param {AbortSignal} [options.signal]
+ * @param {function} [options.progress]           (message, percent) from the job context
+ * @returns {Promise<{ data: object, extraction: object }>} data still needs validateMapData()
+ */
+export async function extractPdf({ buffer, fileName, track, pagesPerChunk = 'auto', signal, progress = async () => { } }) {
+    const fixtureKey = fileName.replace(/\.pdf$/i, '');
+    const pdf = await loadPdf(buffer);
+    const pageCount = pdf?.getPageCount() ?? null;
+
+    const requested = pagesPerChunk === 'auto' || pagesPerChunk === '' || pagesPerChunk == null ? chunkPagesDefault() : Number(pagesPerChunk);
+    const chunkSize = Number.isInteger(requested) && requested > 0 ? requested : 0;
+
+    if (!pdf || !chunkSize || pageCount <= chunkSize) {
+        await progress(`Extracting features with AI${pageCount ? ` (${pageCount} pages)` : ''}`, 15);
+        const { json, provider, model } = await generateJson({
+            task: 'extract-pdf',
+            prompt: buildPrompt(track),
+            attachments: [{ mimeType: 'application/pdf', data: buffer.toString('base64'), name: fileName }],
+            fixtureKey,
+            signal,
+        });
+        return {
+            data: mergePartialMaps([{ data: json }]),
+            extraction: { mode: 'single', pageCount, provider, model },
+        };
+    }
+
+    const chunks = await splitPdf(pdf, chunkSize);
+    await progress(`Split ${pageCount} pages into ${chunks.length} chunks of up to ${chunkSize} pages`, 10);
+
+    const parts = [];
+    const summary = [];
+    for (const [i, chunk] of chunks.entries()) {
+        signal?.throwIfAborted();
+        const range = { from: chunk.from, to: chunk.to, total: pageCount };
+        await progress(`Pages ${chunk.from}-${chunk.to}: extracting (chunk ${i + 1}/${chunks.length})`, 10 + Math.round((i / chunks.length) * 70));
+        try {
+            const { json, model } = await generateJson({
+                task: 'extract-pdf',
+                prompt: buildPrompt(track, range),
+                attachments: [{ mimeType: 'application/pdf', data: chunk.data, name: `${fixtureKey} (pages ${chunk.from}-${chunk.to}).pdf` }],
+                fixtureKey: `${fixtureKey}.p${chunk.from}-${chunk.to}`,
+                signal,
+            });
+            parts.push({ data: json, pages: { from: chunk.from, to: chunk.to } });
+            summary.push({ from: chunk.from, to: chunk.to, features: featureCount(json), model });
+        } catch (err) {
+            if (signal?.aborted) throw err;
+            console.warn(`⚠️ Pages ${chunk.from}-${chunk.to} failed: ${err.message}`);
+            summary.push({ from: chunk.from, to: chunk.to, features: 0, error: err.message });
+            await progress(`Pages ${chunk.from}-${chunk.to}: failed – ${err.message}`);
+        }
+    }
+
+    if (parts.length === 0) {
+        throw new LlmError('Every page range failed to extract.', { status: 503, details: summary });
+    }
+
+    await progress(`Merging ${parts.length} partial results`, 80);
+    return {
+        data: mergePartialMaps(parts),
+        extraction: { mode: 'chunked', pageCount, pagesPerChunk: chunkSize, chunks: summary },
+    };
+}
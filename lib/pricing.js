@@ -0,0 +1,122 @@
+// --- Tier Pricing ---
+// Cost calculations over map.data.pricing (shape and validation in
+// lib/mapSchema.js). Prices are per user: `monthly` per month, `annual` per
+// year, which is often less than 12 × monthly.
+
+import { isIncluded } from './mapSchema.js';
+
+export const BILLING_PERIODS = ['monthly', 'annual'];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Keep the prices of the previous version when a new extraction has none, so
+ * prices entered by hand survive a sync that does not extract them.
+ */
+export function carryOverPricing(data, previous) {
+    if (Object.keys(data.pricing || {}).length || !previous?.pricing) return data;
+    const pricing = Object.fromEntries(Object.entries(previous.pricing).filter(([tier]) => data.tiers.includes(tier)));
+    return Object.keys(pricing).length ? { ...data, pricing } : data;
+}
+
+/**
+ * Per-seat price for a billing period. When only the other period is listed
+ * it is converted (× 12 or ÷ 12) and flagged as `derived`.
+ *
+ * @returns {{ amount: number, derived: boolean }|null}
+ */
+export function seatPrice(price, period) {
+    if (!price) return null;
+    if (period === 'annual') {
+        if (price.annual !== undefined) return { amount: price.annual, derived: false };
+        if (price.monthly !== undefined) return { amount: round(price.monthly * 12), derived: true };
+    } else {
+        if (price.monthly !== undefined) return { amount: price.monthly, derived: false };
+        if (price.annual !== undefined) return { amount: round(price.annual / 12), derived: true };
+    }
+    return null;
+}
+
+/**
+ * Price of a tier with add-ons (lib/addons.js) on top: the per-seat sum for
+ * each period. Null when any part is unpriced or in another currency, since
+ * a partial sum would understate the cost.
+ */
+export function combinePrices(base, addonPrices = []) {
+    if (!addonPrices.length) return base;
+    const parts = [base, ...addonPrices];
+    if (parts.some(p => !p || p.currency !== base.currency)) return null;
+    const price = { currency: base.currency, commitment: base.commitment };
+    for (const period of BILLING_PERIODS) {
+        const units = parts.map(p => seatPrice(p, period));
+        price[period] = round(units.reduce((sum, u) => sum + u.amount, 0));
+    }
+    return price;
+}
+
+/**
+ * Features an upgrade from one comparison column to another gains and loses
+ * (rows of mergeComparisonColumns()).
+ */
+export function upgradeFeatures(categories, fromCol, toCol) {
+    const gained = [];
+    const lost = [];
+    for (const cat of categories) {
+        for (const feat of cat.features) {
+            const had = isIncluded(feat.status[fromCol]);
+            const has = isIncluded(feat.status[toCol]);
+            if (has && !had) gained.push({ category: cat.name, name: feat.name });
+            if (had && !has) lost.push({ category: cat.name, name: feat.name });
+        }
+    }
+    return { gained, lost };
+}
+
+/**
+ * Costs for a set of comparison columns.
+ *
+ * @param {object[]} columns  [{ col, price, seats }]
+ * @param {object} options
+ * @param {string} options.period        'monthly' | 'annual'
+ * @param {string} [options.baseline]    column the deltas are measured from
+ * @param {object[]} [options.categories] merged rows, for features gained per upgrade
+ * @returns {{ rows: object[], totals: { [currency]: number } }}
+ *   rows: [{ col, seats, perSeat, derived, currency, total, delta?, upgrade? }]; perSeat
+ *   is null for unpriced columns. `upgrade` moves the baseline's seats to `col`.
+ */
+export function calculateCosts(columns, { period, baseline, categories = [] }) {
+    const rows = columns.map(({ col, price, seats }) => {
+        const unit = seatPrice(price, period);
+        const count = Math.max(0, Math.floor(Number(seats) || 0));
+        return {
+            col,
+            seats: count,
+            perSeat: unit?.amount ?? null,
+            derived: !!unit?.derived,
+            currency: price?.currency ?? null,
+            commitment: price?.commitment ?? null,
+            total: unit ? round(unit.amount * count) : null,
+        };
+    });
+
+    const totals = {};
+    for (const row of rows) {
+        if (row.total !== null) totals[row.currency] = round((totals[row.currency] || 0) + row.total);
+    }
+
+    const base = rows.find(r => r.col === baseline);
+    for (const row of rows) {
+        // Deltas only make sense between priced columns in the same currency
+        if (!base || row === base || base.perSeat === null || row.perSeat === null || row.currency !== base.currency) continue;
+        row.delta = round(row.perSeat - base.perSeat);
+        const { gained, lost } = upgradeFeatures(categories, base.col, row.col);
+        row.upgrade = {
+            gained,
+            lost,
+            seats: base.seats,
+            total: round(row.delta * base.seats),
+            perGainedFeature: gained.length ? round(row.delta / gained.length) : null,
+        };
+    }
+    return { rows, totals };
+}
@@ -0,0 +1,199 @@
+// --- Requirements ---
+// Gap analysis for a customer's list of required capabilities ("need DLP,
+// eDiscovery Premium, Intune"). Each requirement is matched to a row of the
+// catalog, every tier of every map merged into one comparison, and every
+// tier is ranked by how much of the list it covers, alone and with the
+// add-ons (lib/addons.js) that close its gaps.
+
+import { STATUS, normalizeStatus } from './mapSchema.js';
+import { mergeComparisonColumns, getSemanticFingerprint } from './mapMerge.js';
+import { nameSimilarity } from './featureMatching.js';
+import { MAX_COLUMN_ADDONS } from './comparisonState.js';
+import { combinePrices, seatPrice } from './pricing.js';
+import { findColumn, parseCsv } from './csv.js';
+
+export const MAX_REQUIREMENTS = 200;
+export const REQUIREMENT_MIN_SCORE = 0.5;
+const MAX_CANDIDATES = 5;
+
+// A Partial cell covers half a requirement; an Add-on cell means "buy more"
+const COVERAGE = { [STATUS.FULL]: 1, [STATUS.PARTIAL]: 0.5, [STATUS.ADD_ON]: 0, [STATUS.NOT_INCLUDED]: 0 };
+const coverage = (status) => COVERAGE[normalizeStatus(status || STATUS.NOT_INCLUDED).status];
+
+// List markers and the phrasing of a requirements mail, not part of the name
+const LEADING_NOISE = /^(?:[-*•·]+\s*|\d+[.)]\s*|(?:we\s+)?(?:needs?|requires?|must\s+have)\s+)/i;
+
+const cleanRequirement = (raw) => {
+    let name = String(raw ?? '').replace(/\s+/g, ' ').trim();
+    for (let prev; prev !== name;) {
+        prev = name;
+        name = name.replace(LEADING_NOISE, '').trim();
+    }
+    return name.slice(0, 200);
+};
+
+const addUnique = (names, name) => {
+    if (name && names.length < MAX_REQUIREMENTS && !names.some(n => n.toLowerCase() === name.toLowerCase())) names.push(name);
+};
+
+/** Requirement names from pasted text: one per line, or separated by commas or semicolons. */
+export function parseRequirementList(text) {
+    const names = [];
+    for (const item of String(text ?? '').split(/[\r\n,;]+/)) addUnique(names, cleanRequirement(item));
+    return names;
+}
+
+/**
+ * Requirement names from a CSV file: the column headed like "feature",
+ * "capability", "requirement" or "name", else the first column.
+ */
+export function parseRequirementCsv(text) {
+    const rows = parseCsv(text);
+    if (!rows.length) return [];
+    const column = findColumn(rows[0], /^(features?|capabilit(y|ies)|requirements?|(feature )?names?)$/i);
+    const names = [];
+    for (const row of column === -1 ? rows : rows.slice(1)) addUnique(names, cleanRequirement(row[Math.max(column, 0)]));
+    return names;
+}
+
+/**
+ * Every tier of every map as one comparison, plus one virtual column per tier
+ * and add-on, so the gaps an add-on closes can be read off its column.
+ *
+ * @param {object[]} maps    map documents with `id`
+ * @param {object[]} addons  add-on documents
+ * @param {object} [rules]   compileMergeRules() result
+ * @returns {{ categories: object[], bases: object[] }} bases:
+ *   [{ mapId, tier, col, price, options: [{ addon, col }] }]
+ */
+export function buildRequirementCatalog(maps, addons, rules) {
+    const columns = [];
+    const bases = [];
+    for (const map of maps) {
+        for (const tier of map.data.tiers) {
+            const col = `${map.title} - ${tier}`;
+            const options = addons.map(addon => ({ addon, col: `${col} + ${addon.name}` }));
+            columns.push({ map, tier, col }, ...options.map(o => ({ map, tier, col: o.col, addons: [o.addon] })));
+            bases.push({ mapId: map.id, tier, col, price: map.data.pricing?.[tier], options });
+        }
+    }
+    const { categories } = mergeComparisonColumns(columns, rules);
+    return { categories, bases };
+}
+
+/** Stable key of a catalog row. */
+export const rowKey = (category, feature) => `${category}\u0000${feature}`;
+
+// "DLP" for "Data Loss Prevention": initials of the name's words
+const initials = (name) => (String(name).match(/[A-Za-z0-9]+/g) || [])
+    .filter(w => !/^(and|for|of|the|with)$/i.test(w))
+    .map(w => w[0].toLowerCase())
+    .join('');
+
+function scoreName(requirement, name) {
+    if (getSemanticFingerprint(requirement) === getSemanticFingerprint(name)) return 1;
+    const score = nameSimilarity(requirement, name);
+    const acronym = /^[A-Za-z]{3,6}$/.test(requirement) && initials(name).includes(requirement.toLowerCase());
+    return acronym ? Math.max(score, 0.8) : score;
+}
+
+/**
+ * Fuzzy-match a requirement to catalog rows, on every name a row was merged
+ * from. On a tie the row more columns include wins, so a well-known feature
+ * beats a row only one add-on names.
+ *
+ * @returns {{ key: string|null, score: number, candidates: object[] }} the best
+ *   match (null below REQUIREMENT_MIN_SCORE) and up to five candidates
+ *   [{ key, category, name, score, reach }], best first
+ */
+export function matchRequirement(requirement, categories) {
+    const candidates = [];
+    for (const cat of categories) {
+        for (const feat of cat.features) {
+            const score = Math.max(...[feat.name, ...(feat.mergedNames || [])].map(name => scoreName(requirement, name)));
+            if (score <= 0) continue;
+            const reach = Object.values(feat.status).filter(status => coverage(status) > 0).length;
+            candidates.push({ key: rowKey(cat.name, feat.name), category: cat.name, name: feat.name, score: Math.round(score * 100) / 100, reach });
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score || b.reach - a.reach);
+    const best = candidates[0];
+    return {
+        key: best && best.score >= REQUIREMENT_MIN_SCORE ? best.key : null,
+        score: best?.score ?? 0,
+        candidates: candidates.slice(0, MAX_CANDIDATES),
+    };
+}
+
+const monthly = (price) => seatPrice(price, 'monthly')?.amount ?? null;
+
+/**
+ * Rank every tier, alone and with add-ons, by coverage of the requirements.
+ * Add-ons are picked greedily: the one that closes the most of what is still
+ * missing (the cheaper one on a tie), until none helps or MAX_COLUMN_ADDONS.
+ * The cheapest priced option that covers everything is `minimal` (fully if
+ * any option does, else with some Partial cells); with no prices, the one
+ * with the fewest add-ons.
+ *
+ * @param {object} catalog          buildRequirementCatalog() result
+ * @param {object[]} requirements   [{ name, key }]; unmatched ones (no key) are ignored
+ * @returns {object[]} [{ mapId, tier, col, addons, coverage, results, missing,
+ *   partial, price, monthly, minimal }] best first; `results` holds
+ *   { name, feature, status, via? } per requirement, `via` the add-on that raised it
+ */
+export function rankCoverage({ categories, bases }, requirements) {
+    const rowByKey = new Map();
+    for (const cat of categories) for (const feat of cat.features) rowByKey.set(rowKey(cat.name, feat.name), feat);
+    const matched = requirements.filter(r => r.key && rowByKey.has(r.key)).map(r => ({ ...r, row: rowByKey.get(r.key) }));
+    if (!matched.length) return [];
+
+    const entry = (base, chosen, results) => {
+        const price = combinePrices(base.price, chosen.map(o => o.addon.price));
+        return {
+            mapId: base.mapId,
+            tier: base.tier,
+            col: [base.col, ...chosen.map(o => o.addon.name)].join(' + '),
+            addons: chosen.map(o => o.addon._id).sort(),
+            coverage: Math.round(results.reduce((sum, r) => sum + coverage(r.status), 0) / results.length * 100) / 100,
+            results,
+            missing: results.filter(r => coverage(r.status) === 0),
+            partial: results.filter(r => coverage(r.status) === 0.5),
+            price,
+            monthly: monthly(price),
+        };
+    };
+
+    const entries = [];
+    for (const base of bases) {
+        const results = matched.map(r => ({ name: r.name, feature: r.row.name, status: r.row.status[base.col] }));
+        entries.push(entry(base, [], results));
+
+        const chosen = [];
+        let current = results;
+        while (chosen.length < MAX_COLUMN_ADDONS) {
+            let best = null;
+            for (const option of base.options.filter(o => !chosen.includes(o))) {
+                const gain = matched.reduce((sum, r, i) => sum + Math.max(0, coverage(r.row.status[option.col]) - coverage(current[i].status)), 0);
+                const cheaper = best && gain === best.gain && (monthly(option.addon.price) ?? Infinity) < (monthly(best.option.addon.price) ?? Infinity);
+                if (gain > 0 && (!best || gain > best.gain || cheaper)) best = { option, gain };
+            }
+            if (!best) break;
+            chosen.push(best.option);
+            current = current.map((r, i) => {
+                const status = matched[i].row.status[best.option.col];
+                return coverage(status) > coverage(r.status) ? { ...r, status, via: best.option.addon.name } : r;
+            });
+        }
+        if (chosen.length) entries.push(entry(base, chosen, current));
+    }
+
+    entries.sort((a, b) => b.coverage - a.coverage
+        || (a.monthly ?? Infinity) - (b.monthly ?? Infinity)
+        || a.addons.length - b.addons.length);
+
+    const full = entries.filter(e => e.coverage === 1);
+    const qualifying = full.length ? full : entries.filter(e => e.missing.length === 0);
+    const minimal = qualifying.filter(e => e.monthly !== null).sort((a, b) => a.monthly - b.monthly)[0]
+        || [...qualifying].sort((a, b) => a.addons.length - b.addons.length)[0];
+    return entries.map(e => ({ ...e, minimal: e === minimal }));
+}
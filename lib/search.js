@@ -0,0 +1,197 @@
+import express from 'express';
+import { STATUS, normalizeStatus } from './mapSchema.js';
+import { compileMergeRules, getSemanticFingerprint } from './mapMerge.js';
+import { getMergeRules } from './mergeRules.js';
+
+// --- Global Search ---
+// Full-text search over every feature of every map, with facets by track,
+// tier, category and status ("which tiers include eDiscovery Premium?").
+//
+// Features live nested inside `maps.data` and file storage has no $text, so
+// instead of a MongoDB text index the server keeps its own: one entry per
+// feature per map, tokenized once and rebuilt when a map or merge rule
+// changes. Results group the same feature across maps the way the comparison
+// view would (merge rules, then fingerprint), so one hit lists every tier
+// that has it.
+
+export const SEARCH_FACETS = ['type', 'tier', 'category', 'status'];
+export const MAX_SEARCH_RESULTS = 200;
+const DEFAULT_LIMIT = 50;
+
+const tokenize = (text) => String(text ?? '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * @param {object[]} maps   [{ _id, title, type, data }]
+ * @param {object} [rules]  compileMergeRules() result
+ * @returns {object[]} one entry per feature per map
+ */
+export function buildSearchIndex(maps, rules = compileMergeRules()) {
+    const entries = [];
+    for (const map of maps) {
+        for (const cat of map.data?.categories || []) {
+            const category = rules.category(cat.name).name;
+            for (const feat of cat.features || []) {
+                const match = rules.feature(feat.name);
+                const cells = (map.data.tiers || []).map(tier => {
+                    const normalized = normalizeStatus(feat.status?.[tier] || STATUS.NOT_INCLUDED);
+                    const qualifier = feat.qualifiers?.[tier] || normalized.qualifier;
+                    return qualifier ? { tier, status: normalized.status, qualifier } : { tier, status: normalized.status };
+                });
+                entries.push({
+                    key: `${getSemanticFingerprint(category)}/${match.key}`,
+                    groupName: match.name,
+                    mapId: String(map._id),
+                    mapTitle: map.title,
+                    type: map.type || '',
+                    category,
+                    name: feat.name,
+                    description: feat.description || '',
+                    link: feat.link,
+                    cells,
+                    fingerprint: getSemanticFingerprint(feat.name),
+                    // The curated display name is searchable too ("Exchange Online" finds "Business Email")
+                    nameTokens: [...new Set([...tokenize(feat.name), ...tokenize(match.name)])],
+                    categoryTokens: tokenize(category),
+                    descriptionTokens: [...new Set(tokenize(feat.description))],
+                });
+            }
+        }
+    }
+    return entries;
+}
+
+// Every term must start some word of the feature; the name counts most
+function scoreEntry(entry, terms, phrase, fingerprint) {
+    let score = 0;
+    for (const term of terms) {
+        if (entry.nameTokens.includes(term)) score += 3;
+        else if (entry.nameTokens.some(t => t.startsWith(term))) score += 2;
+        else if (entry.categoryTokens.some(t => t.startsWith(term))) score += 1;
+        else if (entry.descriptionTokens.some(t => t.startsWith(term))) score += 0.5;
+        else return 0;
+    }
+    if (fingerprint && entry.fingerprint === fingerprint) score += 10;
+    else if (phrase && entry.name.toLowerCase().includes(phrase)) score += 5;
+    return score;
+}
+
+// The cells a filter on tier and status lets through
+const matchingCells = (entry, { tier, status }) => entry.cells.filter(c => (!tier || c.tier === tier) && (!status || c.status === status));
+
+const passes = (entry, filters, skip) => SEARCH_FACETS.every(facet => {
+    if (facet === skip || !filters[facet]) return true;
+    if (facet === 'type') return entry.type === filters.type;
+    if (facet === 'category') return entry.category === filters.category;
+    // tier and status narrow the same cells, so each honours the other
+    return matchingCells(entry, { tier: skip === 'tier' ? null : filters.tier, status: skip === 'status' ? null : filters.status }).length > 0;
+});
+
+const facetValues = (entry, facet, filters) => {
+    if (facet === 'type') return entry.type ? [entry.type] : [];
+    if (facet === 'category') return [entry.category];
+    if (facet === 'tier') return matchingCells(entry, { status: filters.status }).map(c => c.tier);
+    return matchingCells(entry, { tier: filters.tier }).map(c => c.status);
+};
+
+/**
+ * Search the index. A facet's counts apply every other filter, so picking a
+ * tier still shows how many results each other tier would have. Counts are
+ * of results (features), not of maps.
+ *
+ * @param {object[]} index  buildSearchIndex() result
+ * @param {object} params   { q, type?, tier?, category?, status?, limit? }
+ * @returns {{ q, total, results: object[], facets: Record<string, {value, count}[]> }}
+ */
+export function searchIndex(index, { q = '', limit = DEFAULT_LIMIT, ...rawFilters } = {}) {
+    const terms = [...new Set(tokenize(q))];
+    const phrase = String(q).trim().toLowerCase();
+    const fingerprint = getSemanticFingerprint(q);
+    const filters = Object.fromEntries(SEARCH_FACETS.map(f => [f, rawFilters[f] ? String(rawFilters[f]) : null]));
+
+    const scored = [];
+    for (const entry of index) {
+        const score = terms.length ? scoreEntry(entry, terms, phrase, fingerprint) : 1;
+        if (score > 0) scored.push({ entry, score });
+    }
+
+    const facets = {};
+    for (const facet of SEARCH_FACETS) {
+        const keysByValue = new Map();
+        for (const { entry } of scored) {
+            if (!passes(entry, filters, facet)) continue;
+            for (const value of facetValues(entry, facet, filters)) {
+                if (!keysByValue.has(value)) keysByValue.set(value, new Set());
+                keysByValue.get(value).add(entry.key);
+            }
+        }
+        facets[facet] = [...keysByValue]
+            .map(([value, keys]) => ({ value, count: keys.size }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+
+    const groups = new Map();
+    for (const { entry, score } of scored) {
+        if (!passes(entry, filters)) continue;
+        let group = groups.get(entry.key);
+        if (!group) {
+            group = { key: entry.key, name: entry.groupName, category: entry.category, description: '', score: 0, matches: [] };
+            groups.set(entry.key, group);
+        }
+        group.score = Math.max(group.score, score);
+        if (entry.description.length > group.description.length) group.description = entry.description;
+        group.link ||= entry.link;
+        group.matches.push({
+            mapId: entry.mapId,
+            mapTitle: entry.mapTitle,
+            type: entry.type,
+            name: entry.name,
+            // Only the cells the filters asked about
+            tiers: matchingCells(entry, filters),
+        });
+    }
+
+    const results = [...groups.values()].sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    const max = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_SEARCH_RESULTS);
+    return { q, total: results.length, results: results.slice(0, max), facets };
+}
+
+// The index of the last database searched, until a map or rule changes
+let cached = null;
+
+async function loadIndex(db) {
+    const [stamps, rules] = await Promise.all([
+        db.collection('maps').find({}, { projection: { _id: 1, version: 1, timestamp: 1, updatedAt: 1 } }).toArray(),
+        getMergeRules(db),
+    ]);
+    const signature = JSON.stringify([
+        stamps.map(m => [String(m._id), m.version, m.timestamp, m.updatedAt]),
+        rules.map(r => [String(r._id), r.updatedAt]),
+    ]);
+    if (cached?.db === db && cached.signature === signature) return cached.index;
+
+    const maps = await db.collection('maps').find({}, { projection: { title: 1, type: 1, data: 1 } }).toArray();
+    const index = buildSearchIndex(maps, compileMergeRules(rules));
+    cached = { db, signature, index };
+    return index;
+}
+
+export function createSearchRouter(getDB) {
+    const router = express.Router();
+
+    // Readable by everyone, like the maps it searches
+    router.get('/search', async (req, res) => {
+        try {
+            const params = Object.fromEntries(['q', 'limit', ...SEARCH_FACETS]
+                .filter(key => typeof req.query[key] === 'string' && req.query[key].trim())
+                .map(key => [key, req.query[key].trim().slice(0, 200)]));
+            if (!params.q && !SEARCH_FACETS.some(f => params[f])) {
+                return res.status(400).json({ error: 'Enter a search term or pick a filter' });
+            }
+            res.json(searchIndex(await loadIndex(await getDB()), params));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,71 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { sanitizeComparisonState } from './comparisonState.js';
+
+// --- Short Links ---
+// Named comparison presets behind a short slug (`/s/<slug>`), stored in
+// `short_links`:
+//
+//   { slug, name, state, createdAt, createdBy, openCount, lastOpenedAt }
+//
+// `state` is a sanitized comparison (lib/comparisonState.js). Links are never
+// edited; create a new one instead.
+
+const indexesReady = new WeakSet();
+async function ensureIndexes(db) {
+    if (indexesReady.has(db)) return;
+    await db.collection('short_links').createIndex({ slug: 1 }, { unique: true });
+    indexesReady.add(db);
+}
+
+const newSlug = () => crypto.randomBytes(6).toString('base64url');
+const toPublic = ({ _id, ...link }) => link;
+
+export function createShortLinkRouter(getDB, requireRole) {
+    const router = express.Router();
+
+    router.post('/short-links', requireRole('viewer'), async (req, res) => {
+        try {
+            const name = String(req.body?.name ?? '').replace(/\s+/g, ' ').trim();
+            if (!name || name.length > 120) return res.status(400).json({ error: 'Name is required (at most 120 characters)' });
+            const state = sanitizeComparisonState(req.body?.state || {});
+            if (state.tiers.length === 0) return res.status(400).json({ error: 'Select at least one tier to share' });
+
+            const db = await getDB();
+            await ensureIndexes(db);
+            const link = { slug: null, name, state, createdAt: new Date().toISOString(), createdBy: req.user.username, openCount: 0 };
+            // 48 random bits rarely collide; retry a few times when they do
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    link.slug = newSlug();
+                    await db.collection('short_links').insertOne(link);
+                    break;
+                } catch (err) {
+                    if (err.code !== 11000 || attempt === 4) throw err;
+                    delete link._id;
+                }
+            }
+            res.status(201).json(toPublic(link));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Anyone holding the link can open it
+    router.get('/short-links/:slug', async (req, res) => {
+        try {
+            const db = await getDB();
+            const link = await db.collection('short_links').findOneAndUpdate(
+                { slug: req.params.slug },
+                { $inc: { openCount: 1 }, $set: { lastOpenedAt: new Date().toISOString() } },
+                { returnDocument: 'after' },
+            );
+            if (!link) return res.status(404).json({ error: 'Link not found' });
+            res.json(toPublic(link));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
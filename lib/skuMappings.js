@@ -0,0 +1,150 @@
+import express from 'express';
+
+// --- SKU Mappings ---
+// Which tier or add-on a Microsoft license SKU stands for, so a tenant's
+// license export (lib/licenseInventory.js) can be read against our maps.
+// Stored in `sku_mappings`:
+//
+//   { sku, productName, tier: string|null, addon: string|null, createdAt, updatedAt, updatedBy }
+//
+// `sku` is the part number Graph reports (SPE_E3), or the product title for
+// exports that only show titles; `productName` is the title the admin center
+// shows (Microsoft 365 E3). `tier` names a tier as the maps do,
+// `addon` an add-on (lib/addons.js); a mapping with neither marks a SKU that
+// is known but carries nothing to compare (free and trial SKUs).
+
+export const DEFAULT_SKU_MAPPINGS = [
+    { sku: 'SPE_E3', productName: 'Microsoft 365 E3', tier: 'Microsoft 365 E3' },
+    { sku: 'SPE_E5', productName: 'Microsoft 365 E5', tier: 'Microsoft 365 E5' },
+    { sku: 'SPE_F1', productName: 'Microsoft 365 F3', tier: 'Microsoft 365 F3' },
+    { sku: 'M365_F1', productName: 'Microsoft 365 F1', tier: 'Microsoft 365 F1' },
+    { sku: 'STANDARDPACK', productName: 'Office 365 E1', tier: 'Office 365 E1' },
+    { sku: 'ENTERPRISEPACK', productName: 'Office 365 E3', tier: 'Office 365 E3' },
+    { sku: 'ENTERPRISEPREMIUM', productName: 'Office 365 E5', tier: 'Office 365 E5' },
+    { sku: 'O365_BUSINESS_ESSENTIALS', productName: 'Microsoft 365 Business Basic', tier: 'Microsoft 365 Business Basic' },
+    { sku: 'O365_BUSINESS_PREMIUM', productName: 'Microsoft 365 Business Standard', tier: 'Microsoft 365 Business Standard' },
+    { sku: 'SPB', productName: 'Microsoft 365 Business Premium', tier: 'Microsoft 365 Business Premium' },
+    { sku: 'M365EDU_A3_FACULTY', productName: 'Microsoft 365 A3 for faculty', tier: 'Microsoft 365 A3' },
+    { sku: 'M365EDU_A5_FACULTY', productName: 'Microsoft 365 A5 for faculty', tier: 'Microsoft 365 A5' },
+    { sku: 'AAD_PREMIUM', productName: 'Microsoft Entra ID P1', tier: 'Microsoft Entra ID P1' },
+    { sku: 'AAD_PREMIUM_P2', productName: 'Microsoft Entra ID P2', tier: 'Microsoft Entra ID P2' },
+    { sku: 'DEFENDER_ENDPOINT_P1', productName: 'Microsoft Defender for Endpoint P1', tier: 'Defender for Endpoint Plan 1' },
+    { sku: 'WIN_DEF_ATP', productName: 'Microsoft Defender for Endpoint P2', tier: 'Defender for Endpoint Plan 2' },
+    { sku: 'TEAMS_ESSENTIALS', productName: 'Microsoft Teams Essentials', tier: 'Microsoft Teams Essentials' },
+    { sku: 'IDENTITY_THREAT_PROTECTION', productName: 'Microsoft 365 E5 Security', addon: 'Microsoft 365 E5 Security' },
+    { sku: 'INFORMATION_PROTECTION_COMPLIANCE', productName: 'Microsoft 365 E5 Compliance', tier: 'Microsoft 365 E5 Compliance' },
+    { sku: 'MCOEV', productName: 'Microsoft Teams Phone Standard', addon: 'Microsoft Teams Phone Standard' },
+    { sku: 'Microsoft_365_Copilot', productName: 'Microsoft 365 Copilot', addon: 'Microsoft 365 Copilot' },
+    { sku: 'FLOW_FREE', productName: 'Microsoft Power Automate Free' },
+    { sku: 'POWER_BI_STANDARD', productName: 'Microsoft Fabric (Free)' },
+];
+
+const SEED_MARKER = 'sku_mappings_seeded';
+
+const tableReady = new WeakSet();
+async function ensureTable(db) {
+    if (tableReady.has(db)) return;
+    await db.collection('sku_mappings').createIndex({ sku: 1 }, { unique: true });
+
+    // Seeded once, like the sync sources, so deleted defaults stay deleted
+    const ignoreDuplicates = (err) => {
+        if (err.code !== 11000) throw err;
+    };
+    if (!(await db.collection('migrations').findOne({ _id: SEED_MARKER }))) {
+        const now = new Date().toISOString();
+        const docs = DEFAULT_SKU_MAPPINGS.map(m => ({ tier: null, addon: null, ...m, createdAt: now, updatedAt: now }));
+        await db.collection('sku_mappings').insertMany(docs, { ordered: false }).catch(ignoreDuplicates);
+        await db.collection('migrations').insertOne({ _id: SEED_MARKER, at: now }).catch(ignoreDuplicates);
+        console.log(`🌱 Seeded ${docs.length} SKU mappings`);
+    }
+    tableReady.add(db);
+}
+
+export async function getSkuMappings(db) {
+    await ensureTable(db);
+    return db.collection('sku_mappings').find({}, { projection: { _id: 0 } }).sort({ sku: 1 }).toArray();
+}
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+
+export function validateMapping(body, { partial = false } = {}) {
+    const mapping = {};
+    if (!partial) {
+        const sku = clean(body.sku);
+        if (!sku || sku.length > 120 || sku.includes('/')) throw badRequest('SKU must be a part number like SPE_E3 or a product title (at most 120 characters, no "/")');
+        mapping.sku = sku;
+    }
+    for (const field of ['productName', 'tier', 'addon']) {
+        if (partial && body[field] === undefined) continue;
+        const value = clean(body[field]);
+        if (value.length > 200) throw badRequest(`${field} is limited to 200 characters`);
+        mapping[field] = field === 'productName' ? value : value || null;
+    }
+    if (mapping.tier && mapping.addon) throw badRequest('A SKU maps to a tier or to an add-on, not both');
+    return mapping;
+}
+
+export function createSkuMappingRouter(getDB, requireRole) {
+    const router = express.Router();
+
+    router.get('/sku-mappings', requireRole('editor'), async (req, res) => {
+        try {
+            res.json(await getSkuMappings(await getDB()));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/sku-mappings', requireRole('editor'), async (req, res) => {
+        try {
+            const now = new Date().toISOString();
+            const mapping = { tier: null, addon: null, ...validateMapping(req.body || {}), createdAt: now, updatedAt: now, updatedBy: req.user.username };
+            const db = await getDB();
+            await ensureTable(db);
+            await db.collection('sku_mappings').insertOne(mapping);
+            const { _id, ...saved } = mapping;
+            res.status(201).json(saved);
+        } catch (err) {
+            if (err.code === 11000) return res.status(409).json({ error: `SKU "${clean(req.body?.sku)}" is already mapped` });
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.patch('/sku-mappings/:sku', requireRole('editor'), async (req, res) => {
+        try {
+            if (req.body?.sku !== undefined && req.body.sku !== req.params.sku) {
+                return res.status(400).json({ error: 'The SKU of a mapping cannot be changed' });
+            }
+            const update = validateMapping(req.body || {}, { partial: true });
+            const db = await getDB();
+            await ensureTable(db);
+            // Setting one target clears the other
+            if (update.tier) update.addon = null;
+            if (update.addon) update.tier = null;
+            const saved = await db.collection('sku_mappings').findOneAndUpdate(
+                { sku: req.params.sku },
+                { $set: { ...update, updatedAt: new Date().toISOString(), updatedBy: req.user.username } },
+                { returnDocument: 'after', projection: { _id: 0 } }
+            );
+            if (!saved) return res.status(404).json({ error: 'SKU mapping not found' });
+            res.json(saved);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.delete('/sku-mappings/:sku', requireRole('editor'), async (req, res) => {
+        try {
+            const db = await getDB();
+            await ensureTable(db);
+            const { deletedCount } = await db.collection('sku_mappings').deleteOne({ sku: req.params.sku });
+            if (!deletedCount) return res.status(404).json({ error: 'SKU mapping not found' });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
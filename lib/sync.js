@@ -0,0 +1,206 @@
+import express from 'express';
+import { ensureBaselineVersion, recordVersion } from './versions.js';
+import { buildChangeSet, notifyChanges } from './notifications.js';
+import { summarizeReport, validateMapData } from './mapSchema.js';
+import { extractSourcePage, fetchSourceHtml } from './pageExtraction.js';
+import { getSyncSources, selectSyncSources } from './syncSources.js';
+import { enqueueJob, isFinished, registerJobHandler } from './jobs.js';
+import { carryOverPricing } from './pricing.js';
+import { carryOverNotes, reapplyFeatureEdits } from './mapEdits.js';
+
+// --- Auto-Sync: Microsoft Official Sources ---
+// Re-reads the comparison pages registered in lib/syncSources.js into maps,
+// one background job per run. Every run is logged in `sync_history`:
+//
+//   { timestamp, results, errors, changes: [sourceKey], notifications, triggeredBy, cancelled? }
+//
+// Runs are started by an editor (POST /api/sync) or by the Vercel cron, which
+// authenticates with `Authorization: Bearer $CRON_SECRET`.
+
+const PAUSE_BETWEEN_SOURCES_MS = 2000;
+
+async function syncSource(db, sourceKey, source, { actor, signal, progress }) {
+    console.log(`\n🔄 Syncing: ${source.title}`);
+
+    // 1. Fetch the page (or its saved snapshot)
+    await progress(`${source.title}: fetching official comparison page`);
+    const { html, origin } = await fetchSourceHtml(sourceKey, source, { signal });
+
+    // 2. Parse the comparison table, falling back to AI
+    const { data: raw, extraction } = await extractSourcePage({ html, source, sourceKey, signal, progress });
+    extraction.html = origin;
+
+    // 3. Validate & normalize parsed data (throws with a report if unusable)
+    const { data: parsed, report } = validateMapData(raw, { expectedTiers: source.tiers });
+
+    const totalFeatures = report.stats.features;
+    console.log(`📊 Extracted ${parsed.categories.length} categories, ${totalFeatures} features for ${source.title} via ${extraction.mode} (${report.repairs.length} repairs, ${report.warnings.length} warnings)`);
+
+    // 4. Upsert in MongoDB (replace existing or create new), keeping every version
+    const mapDoc = {
+        title: source.title,
+        type: source.type,
+        data: parsed,
+        source: 'auto-sync',
+        sourceUrl: source.url,
+        sourceKey,
+        timestamp: Date.now(),
+        lastSyncedAt: new Date().toISOString(),
+        featureCount: totalFeatures,
+        validation: summarizeReport(report),
+        extraction,
+    };
+
+    const maps = db.collection('maps');
+    // Snapshot the pre-history extraction before it gets overwritten
+    const previous = await maps.findOne({ sourceKey });
+    if (previous) await ensureBaselineVersion(db, previous);
+    // Prices entered by hand survive a sync that does not extract them; curated
+    // feature edits and notes survive any sync
+    const curated = reapplyFeatureEdits(carryOverPricing(parsed, previous?.data), previous?.edits);
+    mapDoc.data = carryOverNotes(curated, previous?.data);
+
+    const saved = await maps.findOneAndUpdate(
+        { sourceKey },
+        { $set: mapDoc },
+        { upsert: true, returnDocument: 'after' }
+    );
+    const version = await recordVersion(db, saved, { source: 'auto-sync', createdBy: actor });
+
+    const action = previous ? 'UPDATED' : 'CREATED';
+    console.log(`💾 ${action}: ${source.title} v${version.version} (${totalFeatures} features)`);
+
+    // 5. Work out which tiers gained or lost features since the last extraction
+    const changes = previous ? buildChangeSet({ sourceKey, title: source.title }, previous.data, mapDoc.data) : null;
+
+    return { sourceKey, title: source.title, action, featureCount: totalFeatures, mapId: saved._id, version: version.version, validation: mapDoc.validation, extraction, changes };
+}
+
+// Progress is reported per source
+registerJobHandler('sync', async ({ db, params, createdBy, signal, progress }) => {
+    const { sources: sourcesToSync, trigger = 'manual' } = params;
+    console.log(`\n🚀 AUTO-SYNC STARTED (${trigger}): ${sourcesToSync.join(', ')}`);
+
+    const results = [];
+    const errors = [];
+    const changeSets = [];
+    const registry = await getSyncSources(db);
+    const step = (i, fraction) => Math.round(((i + fraction) / sourcesToSync.length) * 90);
+
+    for (const [i, sourceKey] of sourcesToSync.entries()) {
+        if (signal.aborted) break;
+        const source = registry[sourceKey];
+        if (!source) {
+            errors.push({ sourceKey, error: 'Sync source was deleted before it ran' });
+            continue;
+        }
+        try {
+            let fraction = 0;
+            const { changes, ...result } = await syncSource(db, sourceKey, source, {
+                actor: createdBy,
+                signal,
+                progress: (message) => progress(message, step(i, (fraction = Math.min(fraction + 0.3, 0.9)))),
+            });
+            results.push(result);
+            if (changes) changeSets.push(changes);
+            await progress(`${source.title}: ${result.action.toLowerCase()} with ${result.featureCount} features (v${result.version})`, step(i, 1));
+        } catch (err) {
+            console.error(`❌ Failed to sync ${sourceKey}:`, err.message);
+            errors.push({ sourceKey, error: err.message, ...(err.report ? { validation: err.report } : {}) });
+            if (!signal.aborted) await progress(`${source.title}: failed – ${err.message}`, step(i, 1));
+        }
+
+        // Brief pause between sources to avoid rate limiting
+        if (i < sourcesToSync.length - 1 && !signal.aborted) {
+            await new Promise(r => setTimeout(r, PAUSE_BETWEEN_SOURCES_MS));
+        }
+    }
+
+    // Whatever finished before a cancel is saved, so subscribers still hear about it
+    let notifications = null;
+    try {
+        if (changeSets.length) await progress('Notifying subscribers', 95);
+        notifications = await notifyChanges(db, changeSets, { trigger });
+    } catch (notifyErr) {
+        console.error("Failed to send notifications:", notifyErr.message);
+    }
+
+    try {
+        await db.collection('sync_history').insertOne({
+            timestamp: new Date().toISOString(),
+            results,
+            errors,
+            changes: changeSets.map(cs => cs.sourceKey),
+            notifications,
+            triggeredBy: trigger,
+            ...(signal.aborted ? { cancelled: true } : {}),
+        });
+    } catch (logErr) {
+        console.error("Failed to log sync history:", logErr.message);
+    }
+
+    console.log(`✅ SYNC COMPLETE: ${results.length} success, ${errors.length} failed`);
+
+    return {
+        success: true,
+        syncedAt: new Date().toISOString(),
+        results,
+        errors,
+        totalSynced: results.length,
+        totalFailed: errors.length,
+    };
+});
+
+const isCron = (req) => !!process.env.CRON_SECRET && req.headers.authorization === `Bearer ${process.env.CRON_SECRET}`;
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.waitForJobs]  answer only once the sync finished
+ *                                         (cron runs always wait)
+ */
+export function createSyncRouter(getDB, requireRole, { waitForJobs = false } = {}) {
+    const router = express.Router();
+
+    const startSync = async (req, res) => {
+        try {
+            const db = await getDB();
+            // Cron: every enabled source
+            const { keys: sourcesToSync } = await selectSyncSources(db, req.cron ? null : req.body?.sources);
+            if (sourcesToSync.length === 0) return res.status(400).json({ error: 'No enabled sources selected' });
+
+            const job = await enqueueJob(db, 'sync',
+                { sources: sourcesToSync, trigger: req.cron ? 'cron' : 'manual' },
+                { createdBy: req.cron ? 'cron' : req.user.username, wait: waitForJobs || req.cron }
+            );
+            res.status(isFinished(job) ? 200 : 202).json(job);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+    const fromCron = (req, res, next) => {
+        if (!isCron(req)) return next('route');
+        req.cron = true;
+        next();
+    };
+
+    // Vercel cron sends GET, people POST
+    router.get('/sync', fromCron, startSync);
+    router.get('/sync', (req, res) => res.status(401).json({ error: 'Unauthorized' }));
+    router.post('/sync', fromCron, startSync);
+    router.post('/sync', requireRole('editor'), startSync);
+
+    router.get('/sync-history', async (req, res) => {
+        try {
+            const history = await (await getDB()).collection('sync_history')
+                .find({})
+                .sort({ timestamp: -1 })
+                .limit(10)
+                .toArray();
+            res.json(history);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
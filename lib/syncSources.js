@@ -0,0 +1,236 @@
+import express from 'express';
+
+// --- Sync Source Registry ---
+// Comparison pages the sync job reads, stored in `sync_sources`:
+//
+//   { key, title, type, url, tiers: string[], enabled, extractPricing?, createdAt, updatedAt, updatedBy }
+//
+// `key` is fixed once created: maps, version history, subscriptions and the
+// fixtures (fixtures/llm/<key>.json, fixtures/html/<key>.html) refer to it.
+// `extractPricing` also reads list prices per tier on every sync (see
+// lib/pageExtraction.js). The defaults below are inserted once, the first
+// time the registry is used; after that the collection is the only source of
+// truth.
+
+export const DEFAULT_SYNC_SOURCES = {
+    enterprise_m365: {
+        title: "Microsoft 365 Enterprise (E3 / E5 / F3)",
+        type: "Enterprise",
+        url: "https://www.microsoft.com/en-us/microsoft-365/enterprise/microsoft365-plans-and-pricing",
+        tiers: ["Microsoft 365 E3", "Microsoft 365 E5", "Microsoft 365 F3"],
+        enabled: true,
+    },
+    enterprise_office365: {
+        title: "Office 365 Enterprise (E1 / E3 / E5)",
+        type: "Enterprise",
+        url: "https://www.microsoft.com/en-us/microsoft-365/enterprise/compare-office-365-plans",
+        tiers: ["Office 365 E1", "Office 365 E3", "Office 365 E5"],
+        enabled: true,
+    },
+    business: {
+        title: "Microsoft 365 Business (Basic / Standard / Premium)",
+        type: "Business",
+        url: "https://www.microsoft.com/en-us/microsoft-365/business/compare-all-plans",
+        tiers: ["Microsoft 365 Business Basic", "Microsoft 365 Business Standard", "Microsoft 365 Business Premium"],
+        enabled: true,
+    },
+    // Seeded disabled: enable each one once its page has been checked with
+    // `npm run sync:snapshots -- <key> --save`
+    frontline: {
+        title: "Microsoft 365 Frontline (F1 / F3)",
+        type: "Frontline",
+        url: "https://www.microsoft.com/en-us/microsoft-365/enterprise/frontline-plans-and-pricing",
+        tiers: ["Microsoft 365 F1", "Microsoft 365 F3"],
+        enabled: false,
+    },
+    education: {
+        title: "Microsoft 365 Education (A1 / A3 / A5)",
+        type: "Education",
+        url: "https://www.microsoft.com/en-us/education/buy-license/microsoft365",
+        tiers: ["Microsoft 365 A1", "Microsoft 365 A3", "Microsoft 365 A5"],
+        enabled: false,
+    },
+    government: {
+        title: "Microsoft 365 Government (G3 / G5)",
+        type: "Government",
+        url: "https://www.microsoft.com/en-us/microsoft-365/government",
+        tiers: ["Microsoft 365 G3", "Microsoft 365 G5"],
+        enabled: false,
+    },
+    teams_essentials: {
+        title: "Microsoft Teams Essentials",
+        type: "Business",
+        url: "https://www.microsoft.com/en-us/microsoft-teams/compare-microsoft-teams-business-options",
+        tiers: ["Microsoft Teams Essentials", "Microsoft 365 Business Basic", "Microsoft 365 Business Standard"],
+        enabled: false,
+    },
+    defender: {
+        title: "Microsoft Defender for Endpoint (Plan 1 / Plan 2)",
+        type: "Security",
+        url: "https://www.microsoft.com/en-us/security/business/endpoint-security/microsoft-defender-endpoint",
+        tiers: ["Defender for Endpoint Plan 1", "Defender for Endpoint Plan 2"],
+        enabled: false,
+    },
+    purview: {
+        title: "Microsoft Purview (E5 Compliance add-ons)",
+        type: "Security",
+        url: "https://www.microsoft.com/en-us/security/business/microsoft-purview",
+        tiers: ["Microsoft 365 E5 Compliance", "Microsoft 365 E5 Information Protection and Governance", "Microsoft 365 E5 eDiscovery and Audit"],
+        enabled: false,
+    },
+    entra: {
+        title: "Microsoft Entra ID (Free / P1 / P2)",
+        type: "Security",
+        url: "https://www.microsoft.com/en-us/security/business/microsoft-entra-pricing",
+        tiers: ["Microsoft Entra ID Free", "Microsoft Entra ID P1", "Microsoft Entra ID P2"],
+        enabled: false,
+    },
+};
+
+const SEED_MARKER = 'sync_sources_seeded';
+
+// Per database handle: one process can open several (tests, migrate-storage.js)
+const registryReady = new WeakSet();
+async function ensureRegistry(db) {
+    if (registryReady.has(db)) return;
+    await db.collection('sync_sources').createIndex({ key: 1 }, { unique: true });
+
+    // The marker makes seeding happen once, so deleted defaults stay deleted
+    const ignoreDuplicates = (err) => {
+        if (err.code !== 11000) throw err;
+    };
+    if (!(await db.collection('migrations').findOne({ _id: SEED_MARKER }))) {
+        const now = new Date().toISOString();
+        const docs = Object.entries(DEFAULT_SYNC_SOURCES).map(([key, s]) => ({ key, ...s, createdAt: now, updatedAt: now }));
+        await db.collection('sync_sources').insertMany(docs, { ordered: false }).catch(ignoreDuplicates);
+        await db.collection('migrations').insertOne({ _id: SEED_MARKER, at: now }).catch(ignoreDuplicates);
+        console.log(`🌱 Seeded ${docs.length} sync sources`);
+    }
+    registryReady.add(db);
+}
+
+const toEntry = ({ _id, key, ...source }) => [key, source];
+
+/**
+ * All sources keyed by `key`, in creation order.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.enabledOnly]
+ */
+export async function getSyncSources(db, { enabledOnly = false } = {}) {
+    await ensureRegistry(db);
+    const docs = await db.collection('sync_sources')
+        .find(enabledOnly ? { enabled: true } : {})
+        .sort({ createdAt: 1, key: 1 })
+        .toArray();
+    return Object.fromEntries(docs.map(toEntry));
+}
+
+/**
+ * Pick the enabled sources to sync. An empty or missing selection means all
+ * enabled sources; unknown and disabled keys are dropped.
+ */
+export async function selectSyncSources(db, requested) {
+    const sources = await getSyncSources(db, { enabledOnly: true });
+    const keys = Array.isArray(requested) && requested.length
+        ? requested.filter(k => typeof k === 'string' && sources[k])
+        : Object.keys(sources);
+    return { keys, sources };
+}
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+
+function validateSource(body, { partial = false } = {}) {
+    const source = {};
+    if (!partial) {
+        const key = clean(body.key);
+        if (!/^[a-z0-9][a-z0-9_-]{1,47}$/.test(key)) {
+            throw badRequest('Key must be 2-48 lowercase letters, digits, "_" or "-"');
+        }
+        source.key = key;
+    }
+    for (const [field, max] of [['title', 120], ['type', 40]]) {
+        if (!partial || body[field] !== undefined) {
+            const value = clean(body[field]);
+            if (!value || value.length > max) throw badRequest(`${field[0].toUpperCase()}${field.slice(1)} is required (at most ${max} characters)`);
+            source[field] = value;
+        }
+    }
+    if (!partial || body.url !== undefined) {
+        const url = clean(body.url);
+        if (!/^https?:\/\/\S+$/.test(url)) throw badRequest('URL must be an http(s) URL');
+        source.url = url;
+    }
+    if (!partial || body.tiers !== undefined) {
+        if (!Array.isArray(body.tiers) || body.tiers.some(t => typeof t !== 'string')) throw badRequest('tiers must be an array of strings');
+        const tiers = [];
+        for (const tier of body.tiers.map(clean).filter(Boolean)) {
+            if (!tiers.some(t => t.toLowerCase() === tier.toLowerCase())) tiers.push(tier);
+        }
+        if (tiers.length === 0) throw badRequest('At least one expected tier is required');
+        source.tiers = tiers;
+    }
+    if (body.enabled !== undefined) source.enabled = !!body.enabled;
+    else if (!partial) source.enabled = true;
+    if (body.extractPricing !== undefined) source.extractPricing = !!body.extractPricing;
+    return source;
+}
+
+export function createSyncSourceRouter(getDB, requireRole) {
+    const router = express.Router();
+
+    // Read by the upload modal and notification settings; writes are admin-only
+    router.get('/sync-sources', async (req, res) => {
+        try {
+            res.json({ sources: await getSyncSources(await getDB()) });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/sync-sources', requireRole('super_admin'), async (req, res) => {
+        try {
+            const now = new Date().toISOString();
+            const source = { ...validateSource(req.body || {}), createdAt: now, updatedAt: now, updatedBy: req.user.username };
+            const db = await getDB();
+            await ensureRegistry(db);
+            await db.collection('sync_sources').insertOne(source);
+            res.status(201).json(Object.fromEntries([toEntry(source)]));
+        } catch (err) {
+            if (err.code === 11000) return res.status(409).json({ error: `A source with key "${req.body.key}" already exists` });
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    router.patch('/sync-sources/:key', requireRole('super_admin'), async (req, res) => {
+        try {
+            if (req.body?.key !== undefined && req.body.key !== req.params.key) {
+                return res.status(400).json({ error: 'The key of a source cannot be changed' });
+            }
+            const update = { ...validateSource(req.body || {}, { partial: true }), updatedAt: new Date().toISOString(), updatedBy: req.user.username };
+            const db = await getDB();
+            await ensureRegistry(db);
+            const saved = await db.collection('sync_sources').findOneAndUpdate({ key: req.params.key }, { $set: update }, { returnDocument: 'after' });
+            if (!saved) return res.status(404).json({ error: 'Sync source not found' });
+            res.json(Object.fromEntries([toEntry(saved)]));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    });
+
+    // Maps already synced from the source are kept
+    router.delete('/sync-sources/:key', requireRole('super_admin'), async (req, res) => {
+        try {
+            const db = await getDB();
+            await ensureRegistry(db);
+            const { deletedCount } = await db.collection('sync_sources').deleteOne({ key: req.params.key });
+            if (!deletedCount) return res.status(404).json({ error: 'Sync source not found' });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
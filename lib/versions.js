@@ -0,0 +1,167 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { diffMapData } from './mapDiff.js';
+import { summarizeReport, validateMapData } from './mapSchema.js';
+
+// --- Map Version History ---
+// Every upload, sync, edit and restore appends an immutable snapshot to
+// `map_versions`; the `maps` document keeps the current data plus its
+// `version` number. Reading the history never writes to it.
+
+const indexesReady = new WeakSet();
+async function ensureIndexes(db) {
+    if (indexesReady.has(db)) return;
+    await db.collection('map_versions').createIndex({ mapId: 1, version: -1 }, { unique: true });
+    indexesReady.add(db);
+}
+
+const countFeatures = (data) => (data?.categories || []).reduce((sum, c) => sum + (c.features?.length || 0), 0);
+
+/**
+ * Append a snapshot of `map` and stamp the map with the new version number.
+ */
+export async function recordVersion(db, map, { source, createdBy = null, restoredFrom } = {}) {
+    await ensureIndexes(db);
+    const versions = db.collection('map_versions');
+    const last = await versions.find({ mapId: map._id }).sort({ version: -1 }).limit(1).next();
+    const doc = {
+        mapId: map._id,
+        version: (last?.version || 0) + 1,
+        title: map.title,
+        type: map.type,
+        data: map.data,
+        source: source || map.source || 'upload',
+        sourceKey: map.sourceKey,
+        sourceUrl: map.sourceUrl,
+        fileName: map.fileName,
+        featureCount: countFeatures(map.data),
+        createdAt: new Date().toISOString(),
+        createdBy,
+        ...(restoredFrom ? { restoredFrom } : {}),
+    };
+    await versions.insertOne(doc);
+    await db.collection('maps').updateOne({ _id: map._id }, { $set: { version: doc.version } });
+    return doc;
+}
+
+/**
+ * Maps created before version history existed get their current data
+ * recorded as version 1 before the first write that replaces it.
+ */
+export async function ensureBaselineVersion(db, map) {
+    await ensureIndexes(db);
+    const existing = await db.collection('map_versions').countDocuments({ mapId: map._id }, { limit: 1 });
+    if (existing === 0) return recordVersion(db, map, { source: map.source === 'auto-sync' ? 'auto-sync' : 'baseline' });
+    return null;
+}
+
+export async function deleteVersions(db, mapId) {
+    await db.collection('map_versions').deleteMany({ mapId });
+}
+
+export function createVersionRouter(getDB, requireRole) {
+    const router = express.Router();
+
+    const loadMap = async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+            res.status(400).json({ error: 'Invalid map id' });
+            return null;
+        }
+        const db = await getDB();
+        const map = await db.collection('maps').findOne({ _id: new ObjectId(req.params.id) });
+        if (!map) {
+            res.status(404).json({ error: 'Map not found' });
+            return null;
+        }
+        return { db, map };
+    };
+
+    const loadVersion = (db, mapId, version) =>
+        db.collection('map_versions').findOne({ mapId, version: Number(version) });
+
+    router.get('/maps/:id/versions', async (req, res) => {
+        try {
+            const ctx = await loadMap(req, res);
+            if (!ctx) return;
+            const list = await ctx.db.collection('map_versions')
+                .find({ mapId: ctx.map._id }, { projection: { data: 0 } })
+                .sort({ version: -1 })
+                .toArray();
+            res.json({ current: ctx.map.version ?? list[0]?.version ?? null, versions: list });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.get('/maps/:id/versions/:version', async (req, res) => {
+        try {
+            const ctx = await loadMap(req, res);
+            if (!ctx) return;
+            const version = await loadVersion(ctx.db, ctx.map._id, req.params.version);
+            if (!version) return res.status(404).json({ error: 'Version not found' });
+            res.json(version);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // ?from=<version>&to=<version|current>; defaults to the two latest versions
+    router.get('/maps/:id/diff', async (req, res) => {
+        try {
+            const ctx = await loadMap(req, res);
+            if (!ctx) return;
+            const { db, map } = ctx;
+            const versions = db.collection('map_versions');
+            const latest = await versions.find({ mapId: map._id }).sort({ version: -1 }).limit(1).next();
+            if (!latest) return res.status(404).json({ error: 'This map has no recorded versions yet' });
+
+            const toParam = String(req.query.to ?? latest.version);
+            const to = toParam === 'current'
+                ? { version: 'current', data: map.data }
+                : await loadVersion(db, map._id, toParam);
+            if (!to) return res.status(404).json({ error: `Version ${toParam} not found` });
+
+            const ceiling = toParam === 'current' ? latest.version + 1 : to.version;
+            const from = req.query.from !== undefined
+                ? await loadVersion(db, map._id, req.query.from)
+                : await versions.find({ mapId: map._id, version: { $lt: ceiling } }).sort({ version: -1 }).limit(1).next();
+            if (!from) return res.status(404).json({ error: 'No earlier version to compare against' });
+
+            res.json({ from: from.version, to: to.version, diff: diffMapData(from.data, to.data) });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/maps/:id/versions/:version/restore', requireRole('editor'), async (req, res) => {
+        try {
+            const ctx = await loadMap(req, res);
+            if (!ctx) return;
+            const { db, map } = ctx;
+            const target = await loadVersion(db, map._id, req.params.version);
+            if (!target) return res.status(404).json({ error: 'Version not found' });
+
+            // Versions recorded before validation existed get normalized on the way back in
+            const { data, report } = validateMapData(target.data);
+            const update = {
+                data,
+                featureCount: report.stats.features,
+                validation: summarizeReport(report),
+                timestamp: Date.now(),
+                updatedAt: new Date().toISOString(),
+            };
+            await db.collection('maps').updateOne({ _id: map._id }, { $set: update });
+            const restored = { ...map, ...update };
+            const version = await recordVersion(db, restored, {
+                source: 'restore',
+                createdBy: req.user?.username || null,
+                restoredFrom: target.version,
+            });
+            res.json({ ...restored, version: version.version });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message, ...(err.report ? { validation: err.report } : {}) });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,96 @@
+
+// Copy every collection from one storage backend to the other (lib/db.js).
+//
+//   node migrate-storage.js --from mongodb --to file            Atlas -> ./data
+//   node migrate-storage.js --from file --to mongodb            ./data -> Atlas
+//   node migrate-storage.js --from file --to mongodb --dir ci-data --force
+//
+// mongodb reads MONGODB_URI (from .env too); file uses --dir, else STORAGE_DIR,
+// else ./data. Collections that already hold documents in the target stop the
+// copy, unless --force replaces them. Stop the server first: the file backend
+// expects a single process per directory.
+
+import * as dotenv from 'dotenv';
+import path from 'node:path';
+import { DEFAULT_STORAGE_DIR, STORAGE_ADAPTERS, createFileStore, createMongoStore } from './lib/db.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : args[i + 1];
+};
+const from = option('from');
+const to = option('to');
+const dir = option('dir') || process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR;
+const force = args.includes('--force');
+
+function open(name) {
+    if (name === 'mongodb') {
+        if (!process.env.MONGODB_URI) throw new Error('MONGODB_URI is not set');
+        return createMongoStore(process.env.MONGODB_URI);
+    }
+    return createFileStore(path.resolve(dir));
+}
+
+async function run() {
+    if (!STORAGE_ADAPTERS.includes(from) || !STORAGE_ADAPTERS.includes(to) || from === to) {
+        console.error(`Usage: node migrate-storage.js --from <${STORAGE_ADAPTERS.join('|')}> --to <${STORAGE_ADAPTERS.join('|')}> [--dir <path>] [--force]`);
+        return 1;
+    }
+
+    const source = open(from);
+    const target = open(to);
+    try {
+        const [sourceDb, targetDb] = [await source.connect(), await target.connect()];
+        console.log(`🚚 ${source.describe()} → ${target.describe()}`);
+
+        const names = (await sourceDb.listCollections().toArray())
+            .map(c => c.name)
+            .filter(name => !name.startsWith('system.'));
+
+        // Never merge two datasets by accident
+        const occupied = [];
+        for (const name of names) {
+            if (await targetDb.collection(name).countDocuments({}, { limit: 1 })) occupied.push(name);
+        }
+        if (occupied.length && !force) {
+            console.error(`❌ The target already holds ${occupied.join(', ')}. Use --force to replace them.`);
+            return 1;
+        }
+
+        for (const name of names) {
+            const into = targetDb.collection(name);
+            if (occupied.includes(name)) await into.deleteMany({});
+            let batch = [];
+            let copied = 0;
+            for await (const doc of sourceDb.collection(name).find({})) {
+                batch.push(doc);
+                if (batch.length === BATCH_SIZE) {
+                    await into.insertMany(batch);
+                    copied += batch.length;
+                    batch = [];
+                }
+            }
+            if (batch.length) await into.insertMany(batch);
+            copied += batch.length;
+            console.log(`📦 ${name}: ${copied} document${copied === 1 ? '' : 's'}`);
+        }
+
+        // Indexes are not copied: every router creates its own on first use
+        console.log(`✅ Copied ${names.length} collection${names.length === 1 ? '' : 's'}`);
+        return 0;
+    } finally {
+        await Promise.all([source.close(), target.close()]);
+    }
+}
+
+run()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    });
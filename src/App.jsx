@@ -13,6 +13,7 @@ import {
     CheckCircle2,
     XCircle,
     MinusCircle,
+    CirclePlus,
     Loader2,
     FileText,
     FileJson,
@@ -55,12 +56,45 @@ import {
     Globe,
     Database,
     RefreshCw,
+    CloudOff,
     CloudDownload,
     Clock,
-    Zap
+    Zap,
+    GitMerge,
+    ScanSearch,
+    Calculator,
+    Split,
+    Package,
+    PackagePlus,
+    X,
+    ClipboardCheck
 } from 'lucide-react';
-import * as XLSX from 'xlsx';
-import { toPng } from 'html-to-image';
+import { toPng, toSvg } from 'html-to-image';
+import { applyFeatureEdit } from '../lib/mapEdits.js';
+import { featureLineage } from '../lib/featureLineage.js';
+import { MAX_FEATURE_NOTE, STATUS, STATUS_VALUES, normalizeStatus, isIncluded, statusLabel } from '../lib/mapSchema.js';
+import { compileMergeRules, mergeComparisonColumns } from '../lib/mapMerge.js';
+import { COMPARISON_VIEWS, MAX_COLUMN_ADDONS, columnKey } from '../lib/comparisonState.js';
+import { combinePrices } from '../lib/pricing.js';
+import { buildMatrixExport, exportFileName, filterMatrixCategories, toCanonicalJson, toCsv } from '../lib/matrixExport.js';
+import { apiFetch, getToken, setToken, watchJob } from './lib/api.js';
+import { buildLocation, parseLocation } from './lib/routes.js';
+import UserAdminPanel from './components/UserAdminPanel.jsx';
+import MapHistoryPanel from './components/MapHistoryPanel.jsx';
+import NotificationSettingsPanel from './components/NotificationSettingsPanel.jsx';
+import SyncSourcesPanel from './components/SyncSourcesPanel.jsx';
+import SavedComparisons from './components/SavedComparisons.jsx';
+import MergeRulesPanel from './components/MergeRulesPanel.jsx';
+import MatchReviewPanel from './components/MatchReviewPanel.jsx';
+import AddonsPanel from './components/AddonsPanel.jsx';
+import PricingEditor from './components/PricingEditor.jsx';
+import CostCalculator from './components/CostCalculator.jsx';
+import RequirementsView from './components/RequirementsView.jsx';
+import SearchView from './components/SearchView.jsx';
+import FeatureDrawer from './components/FeatureDrawer.jsx';
+import InventoryPanel from './components/InventoryPanel.jsx';
+import LibraryImportPanel from './components/LibraryImportPanel.jsx';
+import JobProgress from './components/JobProgress.jsx';
 import './App.css';
 
 // --- Constants ---
@@ -69,42 +103,99 @@ const INITIAL_ZOOM = 0.8;
 const MIN_ZOOM = 0.2;
 const MAX_ZOOM = 2.5;
 const STORAGE_KEY = "licensing_map_collection_v4";
-const ADMIN_STORAGE_KEY = "licensing_admins_v4";
+const STATUS_OPTIONS = STATUS_VALUES;
 
 // --- Helper Functions ---
 
 const safeLower = (s) => String(s || "").toLowerCase();
+const ROLE_RANK = { viewer: 1, editor: 2, super_admin: 3 };
+const hasRole = (user, role) => !!user && (ROLE_RANK[user.role] || 0) >= ROLE_RANK[role];
 const generateId = () => Math.random().toString(36).substr(2, 9);
 
-const getSemanticFingerprint = (str) => {
-    return str.trim().toLowerCase()
-        .replace(/^microsoft\s+365\s+/i, '')
-        .replace(/^m365\s+/i, '')
-        .replace(/^office\s+365\s+/i, '')
-        .replace(/^o365\s+/i, '')
-        .replace(/^ms\s+/i, '')
-        .replace(/^microsoft\s+/i, '')
-        .replace(/\s+for\s+business$/i, '')
-        .replace(/\s+for\s+enterprise$/i, '')
-        .replace(/\s+plan\s+\d+$/i, '')
-        .replace(/[^a-z0-9]/g, '');
-};
-
 const normalizeName = (name) => {
     return name.trim().replace(/\s+/g, ' ');
 };
 
+// Plain-text summary of a validateMapData() report for upload feedback
+const formatValidationReport = (report, limit = 8) => {
+    const lines = [];
+    if (report.stats) lines.push(`${report.stats.features} features in ${report.stats.categories} categories across ${report.stats.tiers} tiers.`);
+    for (const [label, items] of [['Errors', report.errors], ['Warnings', report.warnings], ['Repairs', report.repairs]]) {
+        if (!items?.length) continue;
+        lines.push('', `${label} (${items.length}):`);
+        items.slice(0, limit).forEach(i => lines.push(`- ${i.path}: ${i.message}`));
+        if (items.length > limit) lines.push(`- ...and ${items.length - limit} more`);
+    }
+    return lines.join('\n');
+};
+
 // --- Components ---
 
 const StatusIcon = ({ status }) => {
-    const s = safeLower(status);
-    if (s.includes('included') || s.includes('yes') || s === 'full')
+    const { status: s } = normalizeStatus(status);
+    if (s === STATUS.FULL)
         return <CheckCircle2 className="w-4 h-4 text-emerald-500" />;
-    if (s.includes('partial') || s.includes('limited'))
+    if (s === STATUS.PARTIAL)
         return <MinusCircle className="w-4 h-4 text-amber-500" />;
+    if (s === STATUS.ADD_ON)
+        return <CirclePlus className="w-4 h-4 text-blue-400" />;
     return <XCircle className="w-4 h-4 text-rose-400" />;
 };
 
+// How a comparison row came together: a curated rule, or several names
+// folded by fingerprint
+const MergeBadge = ({ feature }) => {
+    const names = feature.mergedNames || [];
+    const others = names.filter(n => n !== feature.name);
+    if (feature.mergedBy?.type === 'alias') {
+        return <span title={[`Merged by alias rule: ${names.join(' · ')}`, feature.mergedBy.note].filter(Boolean).join('\n')} className="inline-flex items-center gap-1 mt-2 text-[9px] font-black uppercase tracking-widest text-blue-600"><GitMerge className="w-3 h-3" /> Alias rule{others.length ? ` · ${others.join(', ')}` : ''}</span>;
+    }
+    if (feature.mergedBy?.type === 'separate') {
+        return <span title={feature.mergedBy.note || 'Kept apart by a never-merge rule'} className="inline-flex items-center gap-1 mt-2 text-[9px] font-black uppercase tracking-widest text-amber-600"><Split className="w-3 h-3" /> Kept separate</span>;
+    }
+    if (others.length) {
+        return <span title={`Merged by name: ${names.join(' · ')}`} className="inline-flex items-center gap-1 mt-2 text-[9px] font-black uppercase tracking-widest text-slate-400"><GitMerge className="w-3 h-3" /> Also: {others.join(', ')}</span>;
+    }
+    return null;
+};
+
+// Landing sections and sync rows are grouped by map/source type. Tailwind
+// needs complete class names, so each known track spells its own out.
+const TRACK_STYLES = {
+    Enterprise: { icon: ShieldCheck, badge: 'bg-blue-600 shadow-blue-100', selected: 'bg-blue-600 border-blue-600', card: '', titleLink: 'hover:text-blue-500', tierLink: 'hover:text-blue-600', sync: 'text-blue-600 hover:text-blue-800' },
+    Business: { icon: Users, badge: 'bg-emerald-600 shadow-emerald-100', selected: 'bg-emerald-600 border-emerald-600', card: 'hover:border-emerald-400', titleLink: 'hover:text-emerald-500', tierLink: 'hover:text-emerald-600', sync: 'text-emerald-600 hover:text-emerald-800' },
+    other: { icon: Layers, badge: 'bg-indigo-600 shadow-indigo-100', selected: 'bg-indigo-600 border-indigo-600', card: 'hover:border-indigo-400', titleLink: 'hover:text-indigo-500', tierLink: 'hover:text-indigo-600', sync: 'text-indigo-600 hover:text-indigo-800' },
+};
+const PRIMARY_TRACKS = ['Enterprise', 'Business'];
+
+const EXPORT_FORMATS = [
+    { key: 'xlsx', label: 'Excel', icon: FileSpreadsheet },
+    { key: 'csv', label: 'CSV', icon: FileText },
+    { key: 'json', label: 'JSON', icon: FileJson },
+    { key: 'pdf', label: 'PDF Report', icon: Download },
+];
+
+// Pixel ratios offered for PNG snapshots; html-to-image scales very large
+// canvases down to what the browser can allocate
+const IMAGE_SCALES = [1, 2, 3];
+
+const downloadUrl = (url, fileName) => {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+};
+
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    downloadUrl(url, fileName);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+const trackStyle = (type) => TRACK_STYLES[type] || TRACK_STYLES.other;
+
+// "Microsoft 365 E3" -> "E3" for compact source rows
+const shortTierName = (tier) => tier.replace(/^(microsoft|office)\s+365\s+(business\s+)?/i, '');
+
 const getLicenseDocLink = (name) => {
     const lower = name.toLowerCase();
     if (lower.includes('e5')) return 'https://www.microsoft.com/en-us/microsoft-365/enterprise/microsoft365-e5';
@@ -118,21 +209,20 @@ const getLicenseDocLink = (name) => {
     return null;
 };
 
-const FeatureNode = ({ feature, tier, isAdmin, isSelected, onSelect }) => {
-    const status = feature.status?.[tier] || 'Excluded';
-    const sLower = safeLower(status);
-    const isIncluded = sLower.includes('included') || sLower === 'full';
+const FeatureNode = ({ feature, tier, isAdmin, isSelected, onSelect, onOpen }) => {
+    const status = feature.status?.[tier] || STATUS.NOT_INCLUDED;
+    const qualifier = feature.qualifiers?.[tier];
 
     return (
-        <div className={`
+        <div onClick={onOpen} className={`
       feature-node group cursor-pointer
       ${isSelected ? 'border-blue-500 ring-2 ring-blue-500/20' : ''}
-      ${isIncluded ? 'bg-white' : 'bg-slate-50 opacity-60'}
+      ${isIncluded(status) ? 'bg-white' : 'bg-slate-50 opacity-60'}
     `}>
             <div className="flex items-center justify-between gap-2 mb-1">
                 <div className="flex items-center gap-1.5 min-w-0">
                     {isAdmin && onSelect && (
-                        <button onClick={onSelect} className="mr-1 flex-shrink-0">
+                        <button onClick={(e) => { e.stopPropagation(); onSelect(e); }} className="mr-1 flex-shrink-0">
                             {isSelected ? <CheckSquare className="w-3 h-3 text-blue-600" /> : <Square className="w-3 h-3 text-slate-300" />}
                         </button>
                     )}
@@ -151,29 +241,126 @@ const FeatureNode = ({ feature, tier, isAdmin, isSelected, onSelect }) => {
                 </div>
                 <StatusIcon status={status} />
             </div>
+            {qualifier && <span className="text-[9px] font-bold text-blue-600">{qualifier}</span>}
             <p className="text-[10px] text-slate-500 leading-tight line-clamp-2">{feature.description}</p>
         </div>
     );
 };
 
+const FeatureEditorRow = ({ feature, categoryName, categories, tiers, onSave }) => {
+    const [draft, setDraft] = useState({ name: feature.name, description: feature.description || '', link: feature.link || '', note: feature.note || '' });
+
+    // Re-sync the draft when the saved feature changes (server response or rollback)
+    useEffect(() => {
+        setDraft({ name: feature.name, description: feature.description || '', link: feature.link || '', note: feature.note || '' });
+    }, [feature.name, feature.description, feature.link, feature.note]);
+
+    const commit = (field) => {
+        const original = field === 'name' ? feature.name : (feature[field] || '');
+        if (draft[field] === original) return;
+        onSave({ [field]: draft[field] });
+    };
+
+    return (
+        <div className="p-6 bg-slate-50 rounded-3xl border border-slate-100 space-y-4">
+            <div className="flex items-start justify-between gap-8">
+                <div className="flex-1 max-w-md space-y-2">
+                    <input
+                        className="w-full bg-transparent font-bold text-slate-900 outline-none border-b border-transparent focus:border-blue-300"
+                        value={draft.name}
+                        onChange={e => setDraft({ ...draft, name: e.target.value })}
+                        onBlur={() => commit('name')}
+                    />
+                    <textarea
+                        className="w-full bg-transparent text-xs text-slate-500 leading-relaxed outline-none resize-none border-b border-transparent focus:border-blue-300"
+                        rows={2}
+                        value={draft.description}
+                        onChange={e => setDraft({ ...draft, description: e.target.value })}
+                        onBlur={() => commit('description')}
+                    />
+                </div>
+                <div className="flex-1 max-w-sm space-y-2">
+                    <div className="relative">
+                        <Link2 className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
+                        <input
+                            className="w-full pl-10 pr-4 py-3 bg-white border border-slate-200 rounded-xl text-xs font-medium outline-none focus:ring-2 focus:ring-blue-500/20"
+                            value={draft.link}
+                            placeholder="Learn.microsoft.com URL..."
+                            onChange={e => setDraft({ ...draft, link: e.target.value })}
+                            onBlur={() => commit('link')}
+                        />
+                    </div>
+                    <select
+                        className="w-full px-4 py-2.5 bg-white border border-slate-200 rounded-xl text-xs font-medium outline-none"
+                        value={categoryName}
+                        onChange={e => onSave({ category: e.target.value })}
+                    >
+                        {categories.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                </div>
+            </div>
+            <textarea
+                className="w-full px-4 py-3 bg-amber-50/50 border border-amber-100 rounded-xl text-xs text-slate-600 outline-none resize-none focus:ring-2 focus:ring-amber-500/20"
+                rows={1}
+                maxLength={MAX_FEATURE_NOTE}
+                placeholder="Admin note (shown in the feature drawer, kept across syncs)..."
+                value={draft.note}
+                onChange={e => setDraft({ ...draft, note: e.target.value })}
+                onBlur={() => commit('note')}
+            />
+            {feature.sourcePages?.length > 0 && (
+                <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">Source pages: {feature.sourcePages.join(', ')}</p>
+            )}
+            {feature.extractedBy && (
+                <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">Extracted by: {feature.extractedBy === 'table' ? 'comparison table' : 'AI'}</p>
+            )}
+            <div className="flex flex-wrap gap-2">
+                {tiers.map(tier => {
+                    const current = feature.status?.[tier] || '';
+                    const options = current && !STATUS_OPTIONS.includes(current) ? [current, ...STATUS_OPTIONS] : STATUS_OPTIONS;
+                    return (
+                        <label key={tier} className="flex items-center gap-2 bg-white border border-slate-200 rounded-xl px-3 py-1.5">
+                            <StatusIcon status={current} />
+                            <span className="text-[9px] font-black uppercase tracking-widest text-slate-400">{tier}</span>
+                            <select
+                                className="text-[10px] font-bold text-slate-700 bg-transparent outline-none"
+                                value={current}
+                                onChange={e => onSave({ status: { [tier]: e.target.value } })}
+                            >
+                                {!current && <option value="" disabled>—</option>}
+                                {options.map(o => <option key={o} value={o}>{o}</option>)}
+                            </select>
+                        </label>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
 // --- Main App ---
 
 const App = () => {
-    const [view, setView] = useState('landing');
+    const [initialRoute] = useState(() => parseLocation(window.location));
+    const [view, setView] = useState(initialRoute.view);
     const [maps, setMaps] = useState([]);
-    const [comparisonTiers, setComparisonTiers] = useState([]);
-    const [loading, setLoading] = useState(false);
+    const [mapsUnavailable, setMapsUnavailable] = useState(null);
+    const [comparisonTiers, setComparisonTiers] = useState(initialRoute.comparison.tiers);
+    const [costSeats, setCostSeats] = useState({});
+    const [requirements, setRequirements] = useState([]);
+    const [activeJob, setActiveJob] = useState(null);
     const [syncing, setSyncing] = useState(false);
     const [syncStatus, setSyncStatus] = useState('');
     const [lastSyncTime, setLastSyncTime] = useState(null);
-    const [searchQuery, setSearchQuery] = useState('');
-    const [diffOnly, setDiffOnly] = useState(false);
-    const [matrixMode, setMatrixMode] = useState('full'); // 'full' or 'availability'
+    const [searchQuery, setSearchQuery] = useState(initialRoute.comparison.search);
+    const [diffOnly, setDiffOnly] = useState(initialRoute.comparison.diffOnly);
+    const [matrixMode, setMatrixMode] = useState(initialRoute.comparison.mode); // 'full' or 'availability'
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    const [exporting, setExporting] = useState(null);
 
     // Auth State
-    const [isAdmin, setIsAdmin] = useState(false);
-    const [, setCurrentUser] = useState(null);
-    const [admins, setAdmins] = useState([]);
+    const [currentUser, setCurrentUser] = useState(null);
+    const [pendingUserCount, setPendingUserCount] = useState(0);
     const [showAuthModal, setShowAuthModal] = useState(null);
     const [authInputs, setAuthInputs] = useState({ username: '', password: '' });
 
@@ -181,104 +368,225 @@ const App = () => {
     const [, setShowSettings] = useState(false);
     const [showUploadModal, setShowUploadModal] = useState(false);
     const [uploadTrack, setUploadTrack] = useState('Enterprise');
+    const [pagesPerChunk, setPagesPerChunk] = useState('auto');
     const [selectedCategories] = useState([]);
     const [selectedFeatureKeys] = useState(new Set());
-    const [managementMapId, setManagementMapId] = useState(null);
+    const [managementMapId, setManagementMapId] = useState(initialRoute.manageMapId);
+    const [historyMapId, setHistoryMapId] = useState(null);
+    const [drawerNames, setDrawerNames] = useState(null);
+    const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+    const [showSyncSources, setShowSyncSources] = useState(false);
+    const [syncSources, setSyncSources] = useState({});
+    const [showMergeRules, setShowMergeRules] = useState(false);
+    const [mergeRules, setMergeRules] = useState([]);
+    const [showMatchReview, setShowMatchReview] = useState(false);
+    const [showAddons, setShowAddons] = useState(false);
+    const [addons, setAddons] = useState([]);
+    const [addonColumnDraft, setAddonColumnDraft] = useState(null);
+    const [showInventory, setShowInventory] = useState(false);
+    const [showLibraryImport, setShowLibraryImport] = useState(false);
+
+    const isAdmin = hasRole(currentUser, 'editor');
+    const isSuperAdmin = hasRole(currentUser, 'super_admin');
+
+    const enabledSources = Object.entries(syncSources).filter(([, s]) => s.enabled !== false);
+    // Enterprise and Business always show; other tracks once they have maps
+    const trackTypes = useMemo(() => [
+        ...PRIMARY_TRACKS,
+        ...[...new Set(maps.map(m => m.type))].filter(t => t && !PRIMARY_TRACKS.includes(t)).sort(),
+    ], [maps]);
+    const uploadTracks = [...new Set([...PRIMARY_TRACKS, ...Object.values(syncSources).map(s => s.type)])];
 
     // Map interaction state
     const [zoom, setZoom] = useState(INITIAL_ZOOM);
     const [offset, setOffset] = useState({ x: 50, y: 50 });
     const [isDragging, setIsDragging] = useState(false);
     const mapRef = useRef(null);
+    const canvasRef = useRef(null);
+    const [showImageExport, setShowImageExport] = useState(false);
+    const [imageScale, setImageScale] = useState(2);
+    const [imageExport, setImageExport] = useState(null); // 'png' | 'svg' while the title block is shown for capture
     const dragStart = useRef({ x: 0, y: 0 });
+    const pressedAt = useRef({ x: 0, y: 0 });
 
     // Persistence: Fetch from MongoDB on mount
     useEffect(() => {
         const fetchMaps = async () => {
             try {
                 const response = await fetch('/api/maps');
-                if (response.ok) {
-                    const data = await response.json();
-                    // Maps from DB use _id, we'll map them to id for compatibility
-                    setMaps(data.map(m => ({ ...m, id: m._id })));
-                }
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+                // Maps from DB use _id, we'll map them to id for compatibility
+                setMaps(data.map(m => ({ ...m, id: m._id })));
+                setMapsUnavailable(null);
             } catch (err) {
                 console.warn("DB Fetch failed, falling back to localStorage", err);
                 const saved = localStorage.getItem(STORAGE_KEY);
                 if (saved) setMaps(JSON.parse(saved));
+                // Tell the user the browser copy may be stale and edits will not save
+                setMapsUnavailable(err.message);
             }
         };
         fetchMaps();
 
-        const savedAdmins = localStorage.getItem(ADMIN_STORAGE_KEY);
-        let adminList = savedAdmins ? JSON.parse(savedAdmins) : [];
-
-        if (!adminList.some(a => a.username === 'meridian')) {
-            adminList.push({
-                username: 'meridian',
-                password: 'Meridian@#$',
-                isApproved: true,
-                isSuperAdmin: true
-            });
-            localStorage.setItem(ADMIN_STORAGE_KEY, JSON.stringify(adminList));
+        // Restore the server session, if this tab still holds a token
+        if (getToken()) {
+            apiFetch('/api/auth/me')
+                .then(({ user }) => setCurrentUser(user))
+                .catch(() => setToken(null));
         }
 
-        setAdmins(adminList);
+        const onExpired = () => setCurrentUser(null);
+        window.addEventListener('auth:expired', onExpired);
+        return () => window.removeEventListener('auth:expired', onExpired);
+    }, []);
+
+    // --- Routing ---
+    const replaceNextLocation = useRef(false);
 
-        const session = sessionStorage.getItem("admin_session");
-        if (session) {
-            setCurrentUser(JSON.parse(session));
-            setIsAdmin(true);
+    const applyComparison = (comparison) => {
+        setComparisonTiers(comparison.tiers);
+        setSearchQuery(comparison.search);
+        setDiffOnly(comparison.diffOnly);
+        setMatrixMode(comparison.mode);
+    };
+
+    const openShortLink = async (slug) => {
+        try {
+            const { state } = await apiFetch(`/api/short-links/${encodeURIComponent(slug)}`);
+            replaceNextLocation.current = true;
+            applyComparison(state);
+            setView(state.view);
+        } catch (err) {
+            alert(`Could not open shared comparison: ${err.message}`);
         }
+    };
+
+    useEffect(() => {
+        if (initialRoute.shortLink) openShortLink(initialRoute.shortLink);
+
+        const onPopState = () => {
+            const route = parseLocation(window.location);
+            applyComparison(route.comparison);
+            setView(route.view);
+            setManagementMapId(route.manageMapId);
+            if (route.shortLink) openShortLink(route.shortLink);
+        };
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
     }, []);
 
+    // Mirror view and comparison into the address bar. A new path adds a
+    // history entry; filter changes (every keystroke in search) replace it.
+    useEffect(() => {
+        const next = buildLocation({
+            view,
+            manageMapId: managementMapId,
+            comparison: { tiers: comparisonTiers, search: searchQuery, diffOnly, mode: matrixMode },
+        });
+        const { pathname, search } = window.location;
+        const replace = replaceNextLocation.current || next.split('?')[0] === pathname || pathname.startsWith('/s/');
+        replaceNextLocation.current = false;
+        if (next === pathname + search) return;
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', next);
+    }, [view, managementMapId, comparisonTiers, searchQuery, diffOnly, matrixMode]);
+
+    const copyText = async (text, message) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            alert(message);
+        } catch {
+            window.prompt('Copy this link:', text);
+        }
+    };
+
+    const copyComparisonLink = () => copyText(window.location.href, 'Link copied to clipboard');
+
+    const createShortLink = async () => {
+        const name = window.prompt('Name this comparison, e.g. "E3 vs E5, differences"');
+        if (!name?.trim()) return;
+        try {
+            const link = await apiFetch('/api/short-links', {
+                method: 'POST',
+                json: { name, state: { view, tiers: comparisonTiers, search: searchQuery, diffOnly, mode: matrixMode } },
+            });
+            await copyText(`${window.location.origin}/s/${link.slug}`, `Short link for "${link.name}" copied to clipboard`);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
     // Also sync to localStorage as secondary cache
     useEffect(() => {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(maps));
     }, [maps]);
 
+    // Super admins see a badge for access requests awaiting review
     useEffect(() => {
-        localStorage.setItem(ADMIN_STORAGE_KEY, JSON.stringify(admins));
-    }, [admins]);
+        if (!isSuperAdmin) {
+            setPendingUserCount(0);
+            return;
+        }
+        apiFetch('/api/auth/users?status=pending')
+            .then(users => setPendingUserCount(users.length))
+            .catch(() => { });
+    }, [isSuperAdmin, view]);
+
+    // Background jobs (extraction, sync): the upload modal shows live progress
+    const followJob = async (queued) => {
+        setActiveJob(queued);
+        return watchJob(queued._id, setActiveJob);
+    };
+
+    const cancelActiveJob = async () => {
+        if (!activeJob) return;
+        try {
+            setActiveJob(await apiFetch(`/api/jobs/${activeJob._id}/cancel`, { method: 'POST' }));
+        } catch (err) {
+            alert(`Could not cancel: ${err.message}`);
+        }
+    };
+
+    const closeJobProgress = () => {
+        setActiveJob(null);
+        setShowUploadModal(false);
+    };
 
     // Deep AI Extraction via Backend
     const handleFileUpload = async (e) => {
         if (!isAdmin) return;
         const file = e.target.files?.[0];
+        e.target.value = '';
         if (!file) return;
-        setLoading(true);
-        setShowUploadModal(false);
         try {
             const formData = new FormData();
             formData.append('file', file);
             formData.append('track', uploadTrack);
+            formData.append('pagesPerChunk', pagesPerChunk);
 
-            const response = await fetch('/api/extract', {
+            const queued = await apiFetch('/api/extract', {
                 method: 'POST',
                 body: formData
             });
-
-            if (!response.ok) {
-                const contentType = response.headers.get("content-type");
-                if (contentType && contentType.indexOf("application/json") !== -1) {
-                    const errData = await response.json();
-                    throw new Error(errData.error || 'Server error occurred');
-                } else {
-                    const text = await response.text();
-                    throw new Error(`Server returned error (${response.status}): ${text.substring(0, 100)}`);
+            const job = await followJob(queued);
+
+            if (job.status === 'succeeded') {
+                // Assign DB id to local id
+                const { validationReport, ...mapDoc } = job.result;
+                const newMap = { ...mapDoc, id: mapDoc._id };
+                setMaps(prev => [newMap, ...prev]);
+                closeJobProgress();
+                setView('library');
+                if (validationReport && (validationReport.warnings.length || validationReport.repairs.length)) {
+                    alert(formatValidationReport(validationReport));
                 }
+            } else if (job.status === 'failed') {
+                const report = job.error?.validation;
+                alert(`AI Processing Failed: ${job.error?.message}${report ? `\n\n${formatValidationReport(report)}` : ''}`);
             }
-
-            const savedMap = await response.json();
-            // Assign DB id to local id
-            const newMap = { ...savedMap, id: savedMap._id };
-            setMaps(prev => [newMap, ...prev]);
-            setView('library');
         } catch (err) {
             console.error("AI EXTRACTION ERROR:", err);
             alert(`AI Processing Failed: ${err.message}`);
-        } finally {
-            setLoading(false);
         }
     };
 
@@ -286,40 +594,30 @@ const App = () => {
     const handleMicrosoftSync = async (sources = null) => {
         if (!isAdmin) return;
         setSyncing(true);
-        setSyncStatus('Connecting to Microsoft...');
+        setSyncStatus('Queued...');
         try {
             const body = sources ? { sources } : {};
-            setSyncStatus('Fetching official comparison pages...');
-
-            const response = await fetch('/api/sync', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body),
-            });
-
-            if (!response.ok) {
-                const contentType = response.headers.get('content-type');
-                if (contentType && contentType.includes('application/json')) {
-                    const errData = await response.json();
-                    throw new Error(errData.error || 'Sync failed');
-                } else {
-                    throw new Error(`Sync failed with status ${response.status}`);
-                }
+            const queued = await apiFetch('/api/sync', { method: 'POST', json: body });
+            const job = await followJob(queued);
+            const result = job.result;
+
+            if (job.status === 'failed') throw new Error(job.error?.message || 'Sync job failed');
+            if (result) {
+                setSyncStatus(`Synced ${result.totalSynced} sources (${result.totalFailed} failed)${job.status === 'cancelled' ? ' before cancel' : ''}`);
+                setLastSyncTime(result.syncedAt);
             }
 
-            const result = await response.json();
-            setSyncStatus(`Synced ${result.totalSynced} sources (${result.totalFailed} failed)`);
-            setLastSyncTime(result.syncedAt);
-
-            // Refresh maps from DB
+            // Refresh maps from DB (a cancelled sync may still have saved some sources)
             const mapsRes = await fetch('/api/maps');
             if (mapsRes.ok) {
                 const data = await mapsRes.json();
                 setMaps(data.map(m => ({ ...m, id: m._id })));
             }
 
-            setShowUploadModal(false);
-            if (result.totalSynced > 0) setView('library');
+            if (job.status === 'succeeded') {
+                closeJobProgress();
+                if (result.totalSynced > 0) setView('library');
+            }
         } catch (err) {
             console.error('SYNC ERROR:', err);
             setSyncStatus(`Sync failed: ${err.message}`);
@@ -332,6 +630,38 @@ const App = () => {
         }
     };
 
+    // The sync button mirrors the latest step of a running sync job
+    useEffect(() => {
+        if (activeJob?.type === 'sync' && activeJob.status === 'running') {
+            setSyncStatus(activeJob.progress?.[activeJob.progress.length - 1]?.message || 'Syncing...');
+        }
+    }, [activeJob]);
+
+    // The registry drives the sync rows and track options in the upload modal
+    useEffect(() => {
+        if (!showUploadModal) return;
+        fetch('/api/sync-sources')
+            .then(r => r.ok ? r.json() : { sources: {} })
+            .then(({ sources }) => setSyncSources(sources))
+            .catch(() => { });
+    }, [showUploadModal]);
+
+    // Merge rules shape every comparison, so everyone loads them
+    useEffect(() => {
+        fetch('/api/merge-rules')
+            .then(r => r.ok ? r.json() : [])
+            .then(setMergeRules)
+            .catch(() => { });
+    }, []);
+
+    // Add-ons too, for "tier + add-on" columns
+    useEffect(() => {
+        fetch('/api/addons')
+            .then(r => r.ok ? r.json() : [])
+            .then(setAddons)
+            .catch(() => { });
+    }, []);
+
     // Fetch last sync time on mount
     useEffect(() => {
         fetch('/api/sync-history')
@@ -346,114 +676,203 @@ const App = () => {
         if (!window.confirm("Are you sure you want to delete this knowledge source from the cloud?")) return;
 
         try {
-            const response = await fetch(`/api/maps/${mapId}`, { method: 'DELETE' });
-            if (response.ok) {
-                setMaps(prev => prev.filter(m => m.id !== mapId));
-            } else {
-                throw new Error("Failed to delete from server");
-            }
+            await apiFetch(`/api/maps/${mapId}`, { method: 'DELETE' });
+            setMaps(prev => prev.filter(m => m.id !== mapId));
         } catch (err) {
             alert("Error deleting map: " + err.message);
         }
     };
 
-    // Improved Semantic Merging Logic
-    const activeMap = useMemo(() => {
-        if (comparisonTiers.length === 0) return null;
-
-        const configs = comparisonTiers.map(s => {
-            const map = maps.find(m => m.id === s.mapId);
-            return { tier: s.tier, map: map, col: `${map?.title} - ${s.tier}` };
-        }).filter(c => c.map);
-
-        const columnNames = configs.map(c => c.col);
-        const unifiedCategories = new Map();
+    // Everything in the library as one JSON bundle (lib/library.js)
+    const exportLibrary = async () => {
+        try {
+            const bundle = await apiFetch('/api/library/export');
+            downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), `licensing-library-${bundle.exportedAt.slice(0, 10)}.json`);
+        } catch (err) {
+            alert(`Could not export the library: ${err.message}`);
+        }
+    };
 
-        configs.forEach(({ map, tier, col }) => {
-            map.data.categories.forEach(cat => {
-                const catKey = getSemanticFingerprint(cat.name);
-                if (!unifiedCategories.has(catKey)) {
-                    unifiedCategories.set(catKey, { name: cat.name, features: [] });
-                }
+    // An import can touch maps, merge rules and add-ons alike
+    const reloadLibrary = async () => {
+        try {
+            const [mapList, rules, addonList] = await Promise.all([apiFetch('/api/maps'), apiFetch('/api/merge-rules'), apiFetch('/api/addons')]);
+            setMaps(mapList.map(m => ({ ...m, id: m._id })));
+            setMergeRules(rules);
+            setAddons(addonList);
+        } catch (err) {
+            alert(`Could not reload the library: ${err.message}`);
+        }
+    };
 
-                const targetCat = unifiedCategories.get(catKey);
+    // Curated feature edits: optimistic local update, rolled back if the server rejects it
+    const updateFeature = async (mapId, category, name, changes) => {
+        const previous = maps.find(m => m.id === mapId);
+        if (!previous) return;
 
-                cat.features.forEach(feat => {
-                    const featKey = getSemanticFingerprint(feat.name);
-                    let uFeat = targetCat.features.find(uf => getSemanticFingerprint(uf.name) === featKey);
+        let optimisticData;
+        try {
+            optimisticData = applyFeatureEdit(previous.data, { category, name, changes }).data;
+        } catch (err) {
+            alert(`Edit rejected: ${err.message}`);
+            return;
+        }
+        setMaps(prev => prev.map(m => m.id === mapId ? { ...m, data: optimisticData } : m));
 
-                    if (!uFeat) {
-                        uFeat = { ...feat, name: feat.name, status: {} };
-                        columnNames.forEach(cn => uFeat.status[cn] = 'Excluded');
-                        targetCat.features.push(uFeat);
-                    }
+        try {
+            const saved = await apiFetch(`/api/maps/${mapId}/features`, {
+                method: 'PATCH',
+                json: { category, name, changes },
+            });
+            setMaps(prev => prev.map(m => m.id === mapId ? { ...saved, id: saved._id } : m));
+        } catch (err) {
+            console.error('FEATURE UPDATE ERROR:', err);
+            setMaps(prev => prev.map(m => m.id === mapId ? previous : m));
+            alert(`Could not save change: ${err.message}`);
+        }
+    };
 
-                    if (!uFeat.link && feat.link) uFeat.link = feat.link;
-                    if (feat.description.length > (uFeat.description?.length || 0)) uFeat.description = feat.description;
+    // Semantic merging: curated merge rules first, then fingerprints
+    const compiledMergeRules = useMemo(() => compileMergeRules(mergeRules), [mergeRules]);
 
-                    uFeat.status[col] = feat.status[tier] || 'Excluded';
+    // The feature drawer follows the library, so edits and syncs show up while it is open
+    const drawerLineage = useMemo(() => drawerNames && featureLineage(maps, drawerNames, compiledMergeRules), [drawerNames, maps, compiledMergeRules]);
+    const openFeature = (feature) => setDrawerNames([feature.name, ...(feature.mergedNames || [])]);
+    const comparisonColumns = useMemo(() => comparisonTiers.map(s => {
+        const map = maps.find(m => m.id === s.mapId);
+        // Deleted add-ons drop out of the column
+        const columnAddons = (s.addons || []).map(id => addons.find(a => a._id === id)).filter(Boolean);
+        const col = [`${map?.title} - ${s.tier}`, ...columnAddons.map(a => a.name)].join(' + ');
+        return { pair: s, tier: s.tier, map, col, addons: columnAddons };
+    }).filter((c, i, all) => c.map && all.findIndex(o => o.col === c.col) === i), [maps, comparisonTiers, addons]);
 
-                    // Tag as difference if statuses diverge
-                    const sValues = Object.values(uFeat.status);
-                    uFeat.isDiff = new Set(sValues).size > 1;
-                });
-            });
-        });
+    const activeMap = useMemo(() => {
+        if (comparisonColumns.length === 0) return null;
+        return mergeComparisonColumns(comparisonColumns, compiledMergeRules);
+    }, [comparisonColumns, compiledMergeRules]);
 
-        return {
-            tiers: columnNames,
-            categories: Array.from(unifiedCategories.values())
-        };
-    }, [maps, comparisonTiers]);
+    // The same columns with their list prices, for the cost calculator
+    const pricedColumns = useMemo(() => comparisonColumns.map(({ map, tier, col, addons: columnAddons }) => ({
+        col,
+        price: combinePrices(map.data.pricing?.[tier], columnAddons.map(a => a.price)),
+    })), [comparisonColumns]);
 
     const filteredCategories = useMemo(() => {
         if (!activeMap) return [];
-        const base = activeMap.categories.filter(c => selectedCategories.length === 0 || selectedCategories.includes(c.name));
-        const q = searchQuery.toLowerCase();
-
-        return base.map(c => {
-            let feats = c.features;
-            // Filter by search
-            if (q) {
-                feats = feats.filter(f => f.name.toLowerCase().includes(q) || f.description.toLowerCase().includes(q));
-            }
-            // Filter by differences
-            if (diffOnly) {
-                feats = feats.filter(f => f.isDiff);
-            }
-            return { ...c, features: feats };
-        }).filter(c => c.features.length > 0);
+        return filterMatrixCategories(activeMap.categories, { selected: selectedCategories, search: searchQuery, diffOnly });
     }, [activeMap, searchQuery, selectedCategories, diffOnly]);
 
+    const managedMap = maps.find(m => m.id === managementMapId);
+
+    // Exports what the matrix shows: search, differences-only and mode applied
+    const handleMatrixExport = async (format) => {
+        setShowExportMenu(false);
+        setExporting(format);
+        try {
+            const doc = buildMatrixExport(activeMap, filteredCategories, {
+                title: matrixMode === 'full' ? 'LicenseMap Comparison' : 'LicenseMap Availability',
+                mode: matrixMode,
+                search: searchQuery,
+                diffOnly,
+            });
+            const fileName = exportFileName(doc, format);
+            if (format === 'csv') {
+                downloadBlob(new Blob([toCsv(doc)], { type: 'text/csv;charset=utf-8' }), fileName);
+            } else if (format === 'json') {
+                downloadBlob(new Blob([toCanonicalJson(doc)], { type: 'application/json' }), fileName);
+            } else if (format === 'xlsx') {
+                // The spreadsheet and PDF writers are loaded on first use
+                const { buildMatrixWorkbook } = await import('../lib/matrixWorkbook.js');
+                downloadBlob(new Blob([buildMatrixWorkbook(doc)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), fileName);
+            } else {
+                const { buildMatrixPdf } = await import('../lib/matrixReport.js');
+                downloadBlob(new Blob([await buildMatrixPdf(doc)], { type: 'application/pdf' }), fileName);
+            }
+        } catch (err) {
+            alert(`Export failed: ${err.message}`);
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    // The title block only renders while imageExport is set, so capture after
+    // that render and then hide it again
+    useEffect(() => {
+        if (!imageExport || !canvasRef.current) return;
+        const node = canvasRef.current;
+        const fileName = `licensemap-canvas-${new Date().toISOString().slice(0, 10)}.${imageExport}`;
+        const options = { backgroundColor: '#f8fafc', cacheBust: true };
+        const capture = imageExport === 'png'
+            ? toPng(node, { ...options, pixelRatio: imageScale })
+            : toSvg(node, options);
+        capture
+            .then(dataUrl => downloadUrl(dataUrl, fileName))
+            .catch(err => alert(`Image export failed: ${err.message}`))
+            .finally(() => setImageExport(null));
+    }, [imageExport, imageScale]);
+
     // Auth & UI Handlers
-    const handleAuth = (e) => {
+    const handleAuth = async (e) => {
         e.preventDefault();
-        if (showAuthModal === 'login') {
-            const u = admins.find(a => a.username === authInputs.username && a.password === authInputs.password);
-            if (u && u.isApproved) {
-                setIsAdmin(true);
-                setCurrentUser(u);
-                sessionStorage.setItem("admin_session", JSON.stringify(u));
+        try {
+            if (showAuthModal === 'login') {
+                const { token, user } = await apiFetch('/api/auth/login', { method: 'POST', json: authInputs });
+                setToken(token);
+                setCurrentUser(user);
                 setShowAuthModal(null);
-            } else alert("Invalid or pending credentials.");
-        } else {
-            const exists = admins.some(a => a.username === authInputs.username);
-            if (exists) return alert("Username taken.");
-            const isFirst = admins.length === 0;
-            setAdmins(prev => [...prev, { ...authInputs, isApproved: isFirst, isSuperAdmin: isFirst }]);
-            alert(isFirst ? "Super Admin created!" : "Registration requested.");
-            setShowAuthModal('login');
+                setAuthInputs({ username: '', password: '' });
+            } else {
+                const { user } = await apiFetch('/api/auth/register', { method: 'POST', json: authInputs });
+                alert(user.role === 'super_admin' ? "Super Admin created!" : "Registration requested. A super admin must approve your access.");
+                setShowAuthModal('login');
+            }
+        } catch (err) {
+            alert(err.message);
         }
     };
 
+    const handleLogout = async () => {
+        try {
+            await apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (err) {
+            console.warn("Logout request failed", err);
+        }
+        setToken(null);
+        setCurrentUser(null);
+        setView('landing');
+    };
+
+    // Plain tiers only; columns with add-ons are added from the matrix
+    const isSelected = (mapId, tier) => comparisonTiers.some(p => p.mapId === mapId && p.tier === tier && !p.addons);
     const toggleSelection = (mapId, tier) => {
         setComparisonTiers(prev => {
-            const exists = prev.find(p => p.mapId === mapId && p.tier === tier);
-            if (exists) return prev.filter(p => !(p.mapId === mapId && p.tier === tier));
+            const exists = prev.find(p => p.mapId === mapId && p.tier === tier && !p.addons);
+            if (exists) return prev.filter(p => p !== exists);
             return [...prev, { mapId, tier }];
         });
     };
 
+    const addAddonColumn = () => {
+        const [mapId, tier] = addonColumnDraft.base.split('\u0000');
+        const column = { mapId, tier, addons: [...addonColumnDraft.addonIds].sort() };
+        setComparisonTiers(prev => prev.some(p => columnKey(p) === columnKey(column)) ? prev : [...prev, column]);
+        setAddonColumnDraft(null);
+    };
+    const removeColumn = (pair) => setComparisonTiers(prev => prev.filter(p => p !== pair));
+
+    const compareRanked = (entries) => {
+        setComparisonTiers(entries.map(({ mapId, tier, addons: ids }) => ids.length ? { mapId, tier, addons: ids } : { mapId, tier }));
+        setView('matrix');
+    };
+
+    // A global search result: its tiers, filtered down to the feature
+    const compareSearchResult = (pairs, featureName) => {
+        setComparisonTiers(pairs);
+        setSearchQuery(featureName);
+        setDiffOnly(false);
+        setView('matrix');
+    };
+
     const handleWheel = (e) => {
         if (e.ctrlKey) {
             e.preventDefault();
@@ -471,6 +890,13 @@ const App = () => {
         if (e.button !== 0) return;
         setIsDragging(true);
         dragStart.current = { x: e.clientX - offset.x, y: e.clientY - offset.y };
+        pressedAt.current = { x: e.clientX, y: e.clientY };
+    };
+
+    // A click on the canvas that ended a drag does not open a feature
+    const openFeatureOnMap = (e, feature) => {
+        if (Math.hypot(e.clientX - pressedAt.current.x, e.clientY - pressedAt.current.y) > 4) return;
+        openFeature(feature);
     };
 
     const onMouseMove = (e) => {
@@ -498,13 +924,23 @@ const App = () => {
                     <div className="hidden md:flex items-center gap-3 flex-1 max-w-4xl mx-8">
                         <div className="relative flex-1">
                             <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
-                            <input type="text" placeholder="Search capabilities..." className="w-full pl-12 pr-4 py-2.5 bg-slate-100 border-none rounded-2xl text-sm focus:ring-4 focus:ring-blue-500/10 transition-all font-medium" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} />
+                            <input type="text" placeholder={view === 'search' ? 'Search all maps...' : 'Search capabilities...'} className="w-full pl-12 pr-4 py-2.5 bg-slate-100 border-none rounded-2xl text-sm focus:ring-4 focus:ring-blue-500/10 transition-all font-medium" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} />
                         </div>
 
                         <div className="flex bg-slate-100 p-1 rounded-2xl">
                             <button onClick={() => setView('map')} className={`flex items-center gap-2 px-6 py-2.5 rounded-xl text-xs font-black uppercase tracking-widest transition-all ${view === 'map' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}><MapIcon className="w-4 h-4" /> Map</button>
                             <button onClick={() => setView('matrix')} className={`flex items-center gap-2 px-6 py-2.5 rounded-xl text-xs font-black uppercase tracking-widest transition-all ${view === 'matrix' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}><TableIcon className="w-4 h-4" /> Matrix</button>
+                            <button onClick={() => setView('costs')} className={`flex items-center gap-2 px-6 py-2.5 rounded-xl text-xs font-black uppercase tracking-widest transition-all ${view === 'costs' ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}><Calculator className="w-4 h-4" /> Costs</button>
                         </div>
+
+                        {comparisonTiers.length > 0 && COMPARISON_VIEWS.includes(view) && (
+                            <div className="flex items-center gap-1">
+                                <button onClick={copyComparisonLink} title="Copy link to this comparison" className="p-2.5 text-slate-400 hover:text-blue-600 hover:bg-slate-50 rounded-xl transition-all"><Link2 className="w-5 h-5" /></button>
+                                {currentUser && (
+                                    <button onClick={createShortLink} title="Create a named short link" className="px-3 py-2.5 text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-blue-600 hover:bg-slate-50 rounded-xl transition-all">Short Link</button>
+                                )}
+                            </div>
+                        )}
                     </div>
                 )}
 
@@ -515,17 +951,39 @@ const App = () => {
                         </button>
                     )}
 
-                    {isAdmin ? (
+                    <button onClick={() => setView('search')} title="Search all maps" className={`p-2.5 rounded-xl transition-all ${view === 'search' ? 'text-blue-600' : 'text-slate-400 hover:text-blue-600'}`}>
+                        <Search className="w-5 h-5" />
+                    </button>
+
+                    <button onClick={() => setView('requirements')} title="Requirements" className={`p-2.5 rounded-xl transition-all ${view === 'requirements' ? 'text-blue-600' : 'text-slate-400 hover:text-blue-600'}`}>
+                        <ClipboardCheck className="w-5 h-5" />
+                    </button>
+
+                    {currentUser ? (
                         <div className="flex items-center gap-2">
-                            <button onClick={() => setView('library')} className="p-2.5 text-slate-400 hover:text-blue-600"><Library className="w-5 h-5" /></button>
-                            <button onClick={() => { setIsAdmin(false); sessionStorage.clear(); setView('landing'); }} className="p-2.5 text-slate-400 hover:text-rose-500"><LogOut className="w-5 h-5" /></button>
+                            {isSuperAdmin && (
+                                <button onClick={() => setView('users')} title="Access Requests" className="relative p-2.5 text-slate-400 hover:text-blue-600">
+                                    <Bell className="w-5 h-5" />
+                                    {pendingUserCount > 0 && <span className="absolute top-1 right-1 bg-rose-500 text-white text-[8px] font-black rounded-full w-4 h-4 flex items-center justify-center">{pendingUserCount}</span>}
+                                </button>
+                            )}
+                            {isAdmin && <button onClick={() => setView('library')} className="p-2.5 text-slate-400 hover:text-blue-600"><Library className="w-5 h-5" /></button>}
+                            <span className="hidden lg:flex items-center gap-1.5 text-[10px] font-black uppercase tracking-widest text-slate-400"><User className="w-3.5 h-3.5" /> {currentUser.username}</span>
+                            <button onClick={handleLogout} className="p-2.5 text-slate-400 hover:text-rose-500"><LogOut className="w-5 h-5" /></button>
                         </div>
                     ) : (
-                        <button onClick={() => setShowAuthModal('login')} className="flex items-center gap-2 bg-slate-100 text-slate-600 px-5 py-2.5 rounded-2xl text-xs font-black uppercase tracking-widest hover:bg-slate-200 transition-all"><Lock className="w-3.5 h-3.5" /> Admin</button>
+                        <button onClick={() => setShowAuthModal('login')} className="flex items-center gap-2 bg-slate-100 text-slate-600 px-5 py-2.5 rounded-2xl text-xs font-black uppercase tracking-widest hover:bg-slate-200 transition-all"><Lock className="w-3.5 h-3.5" /> Sign In</button>
                     )}
                 </div>
             </header>
 
+            {mapsUnavailable && (
+                <div className="bg-amber-50 border-b border-amber-200 px-6 py-2 flex items-center gap-2 text-xs font-bold text-amber-700 shrink-0">
+                    <CloudOff className="w-4 h-4 shrink-0" />
+                    The server could not load the maps ({mapsUnavailable}). Showing the copy saved in this browser, which may be out of date. Changes will not be saved.
+                </div>
+            )}
+
             <main className="flex-1 relative overflow-hidden">
                 {/* Landing View */}
                 {view === 'landing' && (
@@ -539,78 +997,55 @@ const App = () => {
                                 </p>
                             </div>
 
+                            <SavedComparisons
+                                currentUser={currentUser}
+                                current={{ view: 'matrix', tiers: comparisonTiers, search: searchQuery, diffOnly, mode: matrixMode }}
+                                maps={maps}
+                                onLoad={applyComparison}
+                            />
+
                             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 lg:gap-16">
-                                <section>
-                                    <div className="flex items-center gap-4 mb-8">
-                                        <div className="p-3.5 bg-blue-600 text-white rounded-2xl shadow-xl shadow-blue-100"><ShieldCheck className="w-6 h-6 lg:w-8 lg:h-8" /></div>
-                                        <h3 className="text-2xl lg:text-3xl font-black text-slate-900 tracking-tight text-outfit">Enterprise Tracks</h3>
-                                    </div>
-                                    <div className="grid-responsive-cards">
-                                        {maps.filter(m => m.type === 'Enterprise').map(m => (
-                                            <div key={m.id} className="card-premium p-6 lg:p-8 flex flex-col">
-                                                <div className="flex justify-between items-start mb-6">
-                                                    <h4 className="font-bold text-slate-800 truncate text-lg pr-2">{m.title}</h4>
-                                                    {getLicenseDocLink(m.title) && (
-                                                        <a href={getLicenseDocLink(m.title)} target="_blank" rel="noopener noreferrer" className="text-slate-300 hover:text-blue-500 transition-colors">
-                                                            <ExternalLink className="w-5 h-5" />
-                                                        </a>
-                                                    )}
-                                                </div>
-                                                <div className="space-y-3 mt-auto">
-                                                    {m.data.tiers.map(t => (
-                                                        <div key={t} className="flex gap-2">
-                                                            <button onClick={() => toggleSelection(m.id, t)} className={`flex-1 flex items-center justify-between px-5 py-3.5 rounded-2xl border-2 transition-all font-black text-[10px] uppercase tracking-widest ${comparisonTiers.some(p => p.mapId === m.id && p.tier === t) ? 'bg-blue-600 border-blue-600 text-white shadow-xl translate-y-[-2px]' : 'bg-slate-50/50 border-slate-100 text-slate-500 hover:border-slate-300 hover:bg-white'}`}>
-                                                                {t}
-                                                                {comparisonTiers.some(p => p.mapId === m.id && p.tier === t) ? <CheckCircle2 className="w-4 h-4" /> : <Plus className="w-4 h-4 opacity-20" />}
-                                                            </button>
-                                                            {getLicenseDocLink(t) && (
-                                                                <a href={getLicenseDocLink(t)} target="_blank" rel="noopener noreferrer" className="p-3.5 bg-slate-100 text-slate-400 hover:text-blue-600 rounded-2xl border border-slate-200 transition-all flex items-center justify-center">
-                                                                    <ExternalLink className="w-4 h-4" />
-                                                                </a>
-                                                            )}
-                                                        </div>
-                                                    ))}
-                                                </div>
+                                {trackTypes.map(type => {
+                                    const style = trackStyle(type);
+                                    const TrackIcon = style.icon;
+                                    return (
+                                        <section key={type}>
+                                            <div className="flex items-center gap-4 mb-8">
+                                                <div className={`p-3.5 text-white rounded-2xl shadow-xl ${style.badge}`}><TrackIcon className="w-6 h-6 lg:w-8 lg:h-8" /></div>
+                                                <h3 className="text-2xl lg:text-3xl font-black text-slate-900 tracking-tight text-outfit">{type} Tracks</h3>
                                             </div>
-                                        ))}
-                                    </div>
-                                </section>
-
-                                <section>
-                                    <div className="flex items-center gap-4 mb-8">
-                                        <div className="p-3.5 bg-emerald-600 text-white rounded-2xl shadow-xl shadow-emerald-100"><Users className="w-6 h-6 lg:w-8 lg:h-8" /></div>
-                                        <h3 className="text-2xl lg:text-3xl font-black text-slate-900 tracking-tight text-outfit">Business Tracks</h3>
-                                    </div>
-                                    <div className="grid-responsive-cards">
-                                        {maps.filter(m => m.type === 'Business').map(m => (
-                                            <div key={m.id} className="card-premium p-6 lg:p-8 flex flex-col hover:border-emerald-400">
-                                                <div className="flex justify-between items-start mb-6">
-                                                    <h4 className="font-bold text-slate-800 truncate text-lg pr-2">{m.title}</h4>
-                                                    {getLicenseDocLink(m.title) && (
-                                                        <a href={getLicenseDocLink(m.title)} target="_blank" rel="noopener noreferrer" className="text-slate-300 hover:text-emerald-500 transition-colors">
-                                                            <ExternalLink className="w-5 h-5" />
-                                                        </a>
-                                                    )}
-                                                </div>
-                                                <div className="space-y-3 mt-auto">
-                                                    {m.data.tiers.map(t => (
-                                                        <div key={t} className="flex gap-2">
-                                                            <button key={t} onClick={() => toggleSelection(m.id, t)} className={`flex-1 flex items-center justify-between px-5 py-3.5 rounded-2xl border-2 transition-all font-black text-[10px] uppercase tracking-widest ${comparisonTiers.some(p => p.mapId === m.id && p.tier === t) ? 'bg-emerald-600 border-emerald-600 text-white shadow-xl translate-y-[-2px]' : 'bg-slate-50/50 border-slate-100 text-slate-500 hover:border-slate-300 hover:bg-white'}`}>
-                                                                {t}
-                                                                {comparisonTiers.some(p => p.mapId === m.id && p.tier === t) ? <CheckCircle2 className="w-4 h-4" /> : <Plus className="w-4 h-4 opacity-20" />}
-                                                            </button>
-                                                            {getLicenseDocLink(t) && (
-                                                                <a href={getLicenseDocLink(t)} target="_blank" rel="noopener noreferrer" className="p-3.5 bg-slate-100 text-slate-400 hover:text-emerald-600 rounded-2xl border border-slate-200 transition-all flex items-center justify-center">
-                                                                    <ExternalLink className="w-4 h-4" />
+                                            <div className="grid-responsive-cards">
+                                                {maps.filter(m => m.type === type).map(m => (
+                                                    <div key={m.id} className={`card-premium p-6 lg:p-8 flex flex-col ${style.card}`}>
+                                                        <div className="flex justify-between items-start mb-6">
+                                                            <h4 className="font-bold text-slate-800 truncate text-lg pr-2">{m.title}</h4>
+                                                            {getLicenseDocLink(m.title) && (
+                                                                <a href={getLicenseDocLink(m.title)} target="_blank" rel="noopener noreferrer" className={`text-slate-300 transition-colors ${style.titleLink}`}>
+                                                                    <ExternalLink className="w-5 h-5" />
                                                                 </a>
                                                             )}
                                                         </div>
-                                                    ))}
-                                                </div>
+                                                        <div className="space-y-3 mt-auto">
+                                                            {m.data.tiers.map(t => (
+                                                                <div key={t} className="flex gap-2">
+                                                                    <button onClick={() => toggleSelection(m.id, t)} className={`flex-1 flex items-center justify-between px-5 py-3.5 rounded-2xl border-2 transition-all font-black text-[10px] uppercase tracking-widest ${isSelected(m.id, t) ? `${style.selected} text-white shadow-xl translate-y-[-2px]` : 'bg-slate-50/50 border-slate-100 text-slate-500 hover:border-slate-300 hover:bg-white'}`}>
+                                                                        {t}
+                                                                        {isSelected(m.id, t) ? <CheckCircle2 className="w-4 h-4" /> : <Plus className="w-4 h-4 opacity-20" />}
+                                                                    </button>
+                                                                    {getLicenseDocLink(t) && (
+                                                                        <a href={getLicenseDocLink(t)} target="_blank" rel="noopener noreferrer" className={`p-3.5 bg-slate-100 text-slate-400 rounded-2xl border border-slate-200 transition-all flex items-center justify-center ${style.tierLink}`}>
+                                                                            <ExternalLink className="w-4 h-4" />
+                                                                        </a>
+                                                                    )}
+                                                                </div>
+                                                            ))}
+                                                        </div>
+                                                    </div>
+                                                ))}
                                             </div>
-                                        ))}
-                                    </div>
-                                </section>
+                                        </section>
+                                    );
+                                })}
                             </div>
                         </div>
 
@@ -620,7 +1055,7 @@ const App = () => {
                                 <div className="flex flex-col items-center md:items-start text-center md:text-left">
                                     <span className="text-[9px] font-black uppercase tracking-[0.2em] text-slate-400 mb-1">Architecture Comparison Summary</span>
                                     <div className="flex flex-wrap justify-center md:justify-start gap-2 max-w-md">
-                                        {comparisonTiers.slice(0, 3).map(c => <span key={c.mapId + c.tier} className="text-slate-700 font-bold text-[10px] bg-slate-100 px-3 py-1 rounded-lg border border-slate-200">{c.tier}</span>)}
+                                        {comparisonTiers.slice(0, 3).map(c => <span key={columnKey(c)} className="text-slate-700 font-bold text-[10px] bg-slate-100 px-3 py-1 rounded-lg border border-slate-200">{c.tier}{c.addons ? ` + ${c.addons.length} add-on${c.addons.length > 1 ? 's' : ''}` : ''}</span>)}
                                         {comparisonTiers.length > 3 && <span className="text-slate-400 font-bold text-[10px] py-1">+{comparisonTiers.length - 3} more tracks</span>}
                                     </div>
                                 </div>
@@ -656,50 +1091,73 @@ const App = () => {
 
                         <div
                             ref={mapRef}
-                            className="absolute transition-transform duration-75 origin-top-left flex gap-12 p-[200px]"
+                            className="absolute transition-transform duration-75 origin-top-left p-[152px]"
                             style={{ transform: `translate(${offset.x}px, ${offset.y}px) scale(${zoom})` }}
                         >
-                            {activeMap.tiers.map(tier => (
-                                <div key={tier} className="flex flex-col w-[340px] shrink-0 group/tier">
-                                    <div className="bg-slate-900 text-white p-7 rounded-t-[2.5rem] shadow-2xl relative overflow-hidden">
-                                        <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-blue-500 via-purple-500 to-emerald-500 opacity-50" />
-                                        <div className="flex items-center justify-between gap-4">
-                                            <h3 className="text-xl font-black truncate tracking-tight">{tier}</h3>
-                                            {getLicenseDocLink(tier) && (
-                                                <a href={getLicenseDocLink(tier)} target="_blank" rel="noopener noreferrer" className="text-white/40 hover:text-white transition-colors" title="Official Documentation">
-                                                    <ExternalLink className="w-5 h-5" />
-                                                </a>
+                            <div ref={canvasRef} className="flex flex-col gap-12 p-12">
+                                {imageExport && (
+                                    // w-0 min-w-full: as wide as the tier columns, never wider
+                                    <div className="w-0 min-w-full flex items-end justify-between gap-12 border-b-2 border-slate-200 pb-8">
+                                        <div className="min-w-0">
+                                            <span className="text-xs font-black uppercase tracking-[0.3em] text-blue-600">LicenseMap</span>
+                                            <h2 className="text-4xl font-black text-slate-900 tracking-tight mt-2">Licensing Comparison</h2>
+                                            <div className="flex flex-wrap gap-2 mt-4">
+                                                {activeMap.tiers.map(t => <span key={t} className="text-slate-700 font-bold text-xs bg-white px-3 py-1.5 rounded-lg border border-slate-200">{t}</span>)}
+                                            </div>
+                                            {(searchQuery || diffOnly) && (
+                                                <p className="text-sm font-bold text-slate-500 mt-3">
+                                                    {[searchQuery && `Search "${searchQuery}"`, diffOnly && 'Differences only'].filter(Boolean).join(' · ')}
+                                                </p>
                                             )}
                                         </div>
-                                        <div className="flex items-center gap-2 mt-1">
-                                            <span className="w-2 h-2 rounded-full bg-blue-500 animate-pulse"></span>
-                                            <span className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">Active Infrastructure</span>
-                                        </div>
+                                        <span className="text-sm font-bold text-slate-400 shrink-0">Exported {new Date().toLocaleDateString()}</span>
                                     </div>
-                                    <div className="bg-white/90 backdrop-blur-xl border-x border-b border-slate-200 rounded-b-[2.5rem] p-8 space-y-12 min-h-[700px] shadow-[0_20px_50px_rgba(0,0,0,0.05)] transition-all group-hover/tier:shadow-[0_40px_80px_rgba(0,0,0,0.1)]">
-                                        {filteredCategories.map(cat => (
-                                            <div key={cat.name} className="relative">
-                                                <div className="absolute -left-4 top-0 bottom-0 w-0.5 bg-slate-100 rounded-full" />
-                                                <h4 className="text-[10px] font-black text-slate-900 uppercase tracking-[0.2em] mb-6 flex items-center justify-between">
-                                                    <span>{cat.name}</span>
-                                                    <span className="bg-slate-100 px-2 py-0.5 rounded text-[8px]">{cat.features.length}</span>
-                                                </h4>
-                                                <div className="space-y-3">
-                                                    {cat.features.map(feat => (
-                                                        <FeatureNode
-                                                            key={feat.name}
-                                                            feature={feat}
-                                                            tier={tier}
-                                                            isAdmin={isAdmin}
-                                                            isSelected={selectedFeatureKeys.has(`${cat.name}|${feat.name}`)}
-                                                        />
-                                                    ))}
+                                )}
+                                <div className="flex gap-12">
+                                    {activeMap.tiers.map(tier => (
+                                        <div key={tier} className="flex flex-col w-[340px] shrink-0 group/tier">
+                                            <div className="bg-slate-900 text-white p-7 rounded-t-[2.5rem] shadow-2xl relative overflow-hidden">
+                                                <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-blue-500 via-purple-500 to-emerald-500 opacity-50" />
+                                                <div className="flex items-center justify-between gap-4">
+                                                    <h3 className="text-xl font-black truncate tracking-tight">{tier}</h3>
+                                                    {getLicenseDocLink(tier) && (
+                                                        <a href={getLicenseDocLink(tier)} target="_blank" rel="noopener noreferrer" className="text-white/40 hover:text-white transition-colors" title="Official Documentation">
+                                                            <ExternalLink className="w-5 h-5" />
+                                                        </a>
+                                                    )}
+                                                </div>
+                                                <div className="flex items-center gap-2 mt-1">
+                                                    <span className="w-2 h-2 rounded-full bg-blue-500 animate-pulse"></span>
+                                                    <span className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">Active Infrastructure</span>
                                                 </div>
                                             </div>
-                                        ))}
-                                    </div>
+                                            <div className="bg-white/90 backdrop-blur-xl border-x border-b border-slate-200 rounded-b-[2.5rem] p-8 space-y-12 min-h-[700px] shadow-[0_20px_50px_rgba(0,0,0,0.05)] transition-all group-hover/tier:shadow-[0_40px_80px_rgba(0,0,0,0.1)]">
+                                                {filteredCategories.map(cat => (
+                                                    <div key={cat.name} className="relative">
+                                                        <div className="absolute -left-4 top-0 bottom-0 w-0.5 bg-slate-100 rounded-full" />
+                                                        <h4 className="text-[10px] font-black text-slate-900 uppercase tracking-[0.2em] mb-6 flex items-center justify-between">
+                                                            <span>{cat.name}</span>
+                                                            <span className="bg-slate-100 px-2 py-0.5 rounded text-[8px]">{cat.features.length}</span>
+                                                        </h4>
+                                                        <div className="space-y-3">
+                                                            {cat.features.map(feat => (
+                                                                <FeatureNode
+                                                                    key={feat.name}
+                                                                    feature={feat}
+                                                                    tier={tier}
+                                                                    isAdmin={isAdmin}
+                                                                    isSelected={selectedFeatureKeys.has(`${cat.name}|${feat.name}`)}
+                                                                    onOpen={(e) => openFeatureOnMap(e, feat)}
+                                                                />
+                                                            ))}
+                                                        </div>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    ))}
                                 </div>
-                            ))}
+                            </div>
                         </div>
 
                         {/* Map Controls */}
@@ -709,6 +1167,26 @@ const App = () => {
                                 <div className="h-px bg-slate-100 mx-2" />
                                 <button onClick={() => setZoom(z => Math.max(z - 0.1, MIN_ZOOM))} className="p-4 hover:bg-slate-100 rounded-full transition-all text-slate-600"><MinusCircle className="w-5 h-5" /></button>
                             </div>
+                            <div className="relative" onMouseDown={(e) => e.stopPropagation()}>
+                                {showImageExport && (
+                                    <div className="absolute bottom-0 right-full mr-3 w-56 bg-white rounded-[1.5rem] border border-slate-200 shadow-2xl p-4 space-y-3 cursor-default">
+                                        <span className="text-[9px] font-black uppercase tracking-widest text-slate-400">PNG scale</span>
+                                        <div className="flex bg-slate-100 p-1 rounded-xl">
+                                            {IMAGE_SCALES.map(s => (
+                                                <button key={s} onClick={() => setImageScale(s)} className={`flex-1 py-1.5 rounded-lg text-[10px] font-black transition-all ${imageScale === s ? 'bg-white shadow text-blue-600' : 'text-slate-400 hover:text-slate-600'}`}>{s}x</button>
+                                            ))}
+                                        </div>
+                                        <div className="flex gap-2">
+                                            {['png', 'svg'].map(format => (
+                                                <button key={format} onClick={() => { setShowImageExport(false); setImageExport(format); }} className="flex-1 bg-slate-900 text-white py-2.5 rounded-xl text-[10px] font-black uppercase tracking-widest hover:bg-slate-800 transition-all">{format}</button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+                                <button onClick={() => setShowImageExport(!showImageExport)} disabled={!!imageExport} title="Export as PNG/SVG" className="glass p-4 rounded-full shadow-2xl border border-slate-200 text-slate-600 hover:bg-slate-100 transition-all flex items-center justify-center disabled:opacity-50">
+                                    {imageExport ? <Loader2 className="w-5 h-5 animate-spin" /> : <Camera className="w-5 h-5" />}
+                                </button>
+                            </div>
                             <button onClick={() => { setZoom(INITIAL_ZOOM); setOffset({ x: 50, y: 50 }); }} className="bg-slate-900 text-white p-4 rounded-full shadow-2xl hover:bg-slate-800 transition-all flex items-center justify-center">
                                 <Maximize className="w-5 h-5" />
                             </button>
@@ -748,6 +1226,71 @@ const App = () => {
                                     >
                                         <ArrowLeftRight className="w-4 h-4" /> {diffOnly ? 'Differences' : 'All Feature'}
                                     </button>
+                                    <div className="relative">
+                                        <button
+                                            onClick={() => setAddonColumnDraft(addonColumnDraft ? null : { base: '', addonIds: [] })}
+                                            className={`flex items-center gap-2 px-6 py-3 rounded-2xl font-black text-[10px] uppercase tracking-widest transition-all border-2 ${addonColumnDraft ? 'bg-blue-600 border-blue-600 text-white shadow-lg' : 'bg-white border-slate-200 text-slate-500 hover:border-slate-300'}`}
+                                        >
+                                            <PackagePlus className="w-4 h-4" /> Add-on Column
+                                        </button>
+                                        {addonColumnDraft && (
+                                            <div className="absolute right-0 mt-2 w-80 bg-white rounded-2xl border border-slate-200 shadow-2xl p-5 z-40 space-y-4">
+                                                <select
+                                                    value={addonColumnDraft.base}
+                                                    onChange={e => setAddonColumnDraft({ ...addonColumnDraft, base: e.target.value })}
+                                                    className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-xs font-bold outline-none"
+                                                >
+                                                    <option value="">Base tier...</option>
+                                                    {comparisonColumns.filter(c => !c.pair.addons).map(c => <option key={c.col} value={`${c.pair.mapId}\u0000${c.tier}`}>{c.col}</option>)}
+                                                </select>
+                                                {addons.length === 0 ? (
+                                                    <p className="text-xs text-slate-400">No add-ons yet. Editors define them under Context Library → Add-ons.</p>
+                                                ) : (
+                                                    <div className="max-h-56 overflow-y-auto space-y-1">
+                                                        {addons.map(a => {
+                                                            const checked = addonColumnDraft.addonIds.includes(a._id);
+                                                            return (
+                                                                <label key={a._id} className="flex items-center gap-3 px-3 py-2 rounded-xl text-xs font-bold text-slate-600 hover:bg-slate-50 cursor-pointer">
+                                                                    <input
+                                                                        type="checkbox"
+                                                                        checked={checked}
+                                                                        disabled={!checked && addonColumnDraft.addonIds.length >= MAX_COLUMN_ADDONS}
+                                                                        onChange={() => setAddonColumnDraft({ ...addonColumnDraft, addonIds: checked ? addonColumnDraft.addonIds.filter(id => id !== a._id) : [...addonColumnDraft.addonIds, a._id] })}
+                                                                    />
+                                                                    {a.name}
+                                                                </label>
+                                                            );
+                                                        })}
+                                                    </div>
+                                                )}
+                                                <button
+                                                    onClick={addAddonColumn}
+                                                    disabled={!addonColumnDraft.base || addonColumnDraft.addonIds.length === 0}
+                                                    className="w-full bg-slate-900 text-white py-3 rounded-xl font-black text-[10px] uppercase tracking-widest hover:bg-slate-800 transition-all disabled:opacity-50"
+                                                >
+                                                    Add Column
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                    <div className="relative">
+                                        <button
+                                            onClick={() => setShowExportMenu(!showExportMenu)}
+                                            disabled={!!exporting || filteredCategories.length === 0}
+                                            className="flex items-center gap-2 px-6 py-3 rounded-2xl font-black text-[10px] uppercase tracking-widest transition-all border-2 bg-white border-slate-200 text-slate-500 hover:border-slate-300 disabled:opacity-50"
+                                        >
+                                            {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />} Export <ChevronDown className="w-3 h-3" />
+                                        </button>
+                                        {showExportMenu && (
+                                            <div className="absolute right-0 mt-2 w-48 bg-white rounded-2xl border border-slate-200 shadow-2xl p-2 z-40">
+                                                {EXPORT_FORMATS.map(({ key, label, icon: Icon }) => (
+                                                    <button key={key} onClick={() => handleMatrixExport(key)} className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-xs font-bold text-slate-600 hover:bg-slate-50 hover:text-blue-600 transition-all">
+                                                        <Icon className="w-4 h-4" /> {label}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
                                     <button onClick={() => setView('landing')} className="bg-slate-900 text-white px-6 py-3 rounded-2xl font-black text-[10px] uppercase tracking-widest hover:bg-slate-800 transition-all shadow-xl shadow-slate-900/10">Modify Set</button>
                                 </div>
                             </div>
@@ -757,18 +1300,26 @@ const App = () => {
                                     <thead className="sticky top-0 z-30 bg-white/90 backdrop-blur-xl">
                                         <tr>
                                             <th className="p-8 text-left border-b-2 font-black text-xl lg:text-2xl min-w-[300px]">Capability Area</th>
-                                            {activeMap.tiers.map(t => (
-                                                <th key={t} className="p-8 text-center border-b-2 font-black text-[9px] uppercase tracking-[0.2em] text-slate-400 max-w-[150px]">
-                                                    <div className="flex flex-col items-center gap-2">
-                                                        <span>{t}</span>
-                                                        {getLicenseDocLink(t) && (
-                                                            <a href={getLicenseDocLink(t)} target="_blank" rel="noopener noreferrer" className="text-slate-300 hover:text-blue-500 transition-colors">
-                                                                <ExternalLink className="w-3 h-3" />
-                                                            </a>
-                                                        )}
-                                                    </div>
-                                                </th>
-                                            ))}
+                                            {activeMap.tiers.map(t => {
+                                                const virtual = comparisonColumns.find(c => c.col === t && c.pair.addons);
+                                                return (
+                                                    <th key={t} className="p-8 text-center border-b-2 font-black text-[9px] uppercase tracking-[0.2em] text-slate-400 max-w-[150px]">
+                                                        <div className="flex flex-col items-center gap-2">
+                                                            <span>{t}</span>
+                                                            {virtual && (
+                                                                <button onClick={() => removeColumn(virtual.pair)} title="Remove column" className="text-slate-300 hover:text-rose-500 transition-colors">
+                                                                    <X className="w-3 h-3" />
+                                                                </button>
+                                                            )}
+                                                            {getLicenseDocLink(t) && (
+                                                                <a href={getLicenseDocLink(t)} target="_blank" rel="noopener noreferrer" className="text-slate-300 hover:text-blue-500 transition-colors">
+                                                                    <ExternalLink className="w-3 h-3" />
+                                                                </a>
+                                                            )}
+                                                        </div>
+                                                    </th>
+                                                );
+                                            })}
                                         </tr>
                                     </thead>
                                     <tbody>
@@ -781,26 +1332,27 @@ const App = () => {
                                                     <tr key={f.name} className="hover:bg-slate-50/50 transition-colors group">
                                                         <td className="p-8 border-b border-slate-100">
                                                             <div className="flex items-center gap-3">
-                                                                <span className="font-bold text-base lg:text-lg text-slate-800">{f.name}</span>
+                                                                <button onClick={() => openFeature(f)} className="font-bold text-base lg:text-lg text-slate-800 text-left hover:text-blue-600 transition-colors">{f.name}</button>
                                                                 {f.link && <a href={f.link} target="_blank" className="text-blue-500 hover:text-blue-700 transition-colors"><ExternalLink className="w-4 h-4" /></a>}
                                                             </div>
+                                                            <MergeBadge feature={f} />
                                                             <p className="text-xs text-slate-500 mt-2 leading-relaxed max-w-lg font-medium">{f.description}</p>
                                                         </td>
                                                         {activeMap.tiers.map(t => {
                                                             const status = f.status[t];
-                                                            const sLower = safeLower(status);
-                                                            const isIncluded = sLower.includes('included') || sLower.includes('yes') || sLower === 'full';
+                                                            const included = isIncluded(status);
 
                                                             return (
-                                                                <td key={t} className={`p-8 text-center border-b border-slate-100 ${matrixMode === 'availability' && isIncluded ? 'bg-emerald-50/20' : ''}`}>
+                                                                <td key={t} className={`p-8 text-center border-b border-slate-100 ${matrixMode === 'availability' && included ? 'bg-emerald-50/20' : ''}`}>
                                                                     <div className="flex flex-col items-center gap-2">
                                                                         {matrixMode === 'full' ? (
                                                                             <>
                                                                                 <StatusIcon status={status} />
-                                                                                <span className="text-[8px] font-black uppercase tracking-widest text-slate-400 mt-1">{status}</span>
+                                                                                <span className="text-[8px] font-black uppercase tracking-widest text-slate-400 mt-1">{statusLabel(status, f.qualifiers?.[t])}</span>
+                                                                                {f.grantedBy?.[t] && <span className="flex items-center gap-1 text-[8px] font-bold text-blue-500"><Package className="w-3 h-3" /> via {f.grantedBy[t]}</span>}
                                                                             </>
                                                                         ) : (
-                                                                            isIncluded ? <Check className="w-6 h-6 text-emerald-500 stroke-[3px]" /> : null
+                                                                            included ? <Check className="w-6 h-6 text-emerald-500 stroke-[3px]" /> : null
                                                                         )}
                                                                     </div>
                                                                 </td>
@@ -817,17 +1369,79 @@ const App = () => {
                     </div>
                 )}
 
+                {view === 'costs' && activeMap && (
+                    <CostCalculator activeMap={activeMap} columns={pricedColumns} seats={costSeats} onSeatsChange={setCostSeats} />
+                )}
+
                 {/* Library View */}
                 {view === 'library' && isAdmin && (
                     <div className="h-full overflow-auto p-12 bg-slate-50/50">
                         <div className="max-w-7xl mx-auto">
-                            {!managementMapId ? (
+                            {showSyncSources && isSuperAdmin ? (
+                                <SyncSourcesPanel onBack={() => setShowSyncSources(false)} onChanged={setSyncSources} />
+                            ) : showMergeRules ? (
+                                <MergeRulesPanel rules={mergeRules} onBack={() => setShowMergeRules(false)} onChanged={setMergeRules} />
+                            ) : showMatchReview ? (
+                                <MatchReviewPanel
+                                    onBack={() => setShowMatchReview(false)}
+                                    onRuleSaved={(rule) => setMergeRules(prev => prev.some(r => r._id === rule._id) ? prev.map(r => r._id === rule._id ? rule : r) : [...prev, rule])}
+                                />
+                            ) : showAddons ? (
+                                <AddonsPanel addons={addons} onBack={() => setShowAddons(false)} onChanged={setAddons} />
+                            ) : showInventory ? (
+                                <InventoryPanel
+                                    maps={maps}
+                                    addons={addons}
+                                    mergeRules={compiledMergeRules}
+                                    onBack={() => setShowInventory(false)}
+                                    onCompare={(pairs) => { setComparisonTiers(pairs); setView('matrix'); }}
+                                />
+                            ) : showLibraryImport ? (
+                                <LibraryImportPanel onBack={() => setShowLibraryImport(false)} onImported={reloadLibrary} />
+                            ) : showNotificationSettings ? (
+                                <NotificationSettingsPanel onBack={() => setShowNotificationSettings(false)} />
+                            ) : historyMapId && maps.some(m => m.id === historyMapId) ? (
+                                <MapHistoryPanel
+                                    map={maps.find(m => m.id === historyMapId)}
+                                    canEdit={isAdmin}
+                                    onBack={() => setHistoryMapId(null)}
+                                    onRestored={(saved) => setMaps(prev => prev.map(m => m.id === historyMapId ? { ...saved, id: saved._id } : m))}
+                                />
+                            ) : !managementMapId ? (
                                 <>
                                     <div className="flex justify-between items-center mb-12">
                                         <h2 className="text-4xl font-black text-slate-900 tracking-tight">Context Library</h2>
-                                        <button onClick={() => setShowUploadModal(true)} className="flex items-center gap-2 bg-blue-600 text-white px-6 py-3 rounded-2xl font-bold hover:bg-blue-700 transition-all shadow-lg shadow-blue-200">
-                                            <Plus className="w-5 h-5" /> Add Source
-                                        </button>
+                                        <div className="flex items-center gap-3">
+                                            {isSuperAdmin && (
+                                                <button onClick={() => setShowSyncSources(true)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                                                    <Globe className="w-5 h-5" /> Sync Sources
+                                                </button>
+                                            )}
+                                            <button onClick={() => setShowMergeRules(true)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                                                <GitMerge className="w-5 h-5" /> Merge Rules
+                                            </button>
+                                            <button onClick={() => setShowMatchReview(true)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                                                <ScanSearch className="w-5 h-5" /> Match Review
+                                            </button>
+                                            <button onClick={() => setShowAddons(true)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                                                <Package className="w-5 h-5" /> Add-ons
+                                            </button>
+                                            <button onClick={() => setShowInventory(true)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                                                <FileSpreadsheet className="w-5 h-5" /> Inventory
+                                            </button>
+                                            <button onClick={() => setShowNotificationSettings(true)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                                                <Mail className="w-5 h-5" /> Notifications
+                                            </button>
+                                            <button onClick={exportLibrary} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                                                <Download className="w-5 h-5" /> Export
+                                            </button>
+                                            <button onClick={() => setShowLibraryImport(true)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                                                <Upload className="w-5 h-5" /> Import
+                                            </button>
+                                            <button onClick={() => setShowUploadModal(true)} className="flex items-center gap-2 bg-blue-600 text-white px-6 py-3 rounded-2xl font-bold hover:bg-blue-700 transition-all shadow-lg shadow-blue-200">
+                                                <Plus className="w-5 h-5" /> Add Source
+                                            </button>
+                                        </div>
                                     </div>
                                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
                                         {maps.map(m => (
@@ -841,6 +1455,9 @@ const App = () => {
                                                 <button onClick={() => setManagementMapId(m.id)} className="w-full flex items-center justify-center gap-2 bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all">
                                                     <Settings className="w-4 h-4" /> Manage Documentation
                                                 </button>
+                                                <button onClick={() => setHistoryMapId(m.id)} className="w-full flex items-center justify-center gap-2 mt-3 bg-slate-100 text-slate-600 py-3 rounded-2xl font-bold text-xs hover:bg-slate-200 transition-all">
+                                                    <Clock className="w-4 h-4" /> Version History{m.version ? ` (v${m.version})` : ''}
+                                                </button>
                                             </div>
                                         ))}
                                     </div>
@@ -849,38 +1466,28 @@ const App = () => {
                                 <div className="animate-in slide-in-from-right-8 duration-500">
                                     <div className="flex items-center gap-4 mb-12">
                                         <button onClick={() => setManagementMapId(null)} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><BackIcon className="w-6 h-6" /></button>
-                                        <h2 className="text-3xl font-black text-slate-900 tracking-tight">Managing: {maps.find(m => m.id === managementMapId)?.title}</h2>
+                                        <h2 className="text-3xl font-black text-slate-900 tracking-tight">Managing: {managedMap?.title}</h2>
                                     </div>
+                                    {managedMap && (
+                                        <PricingEditor
+                                            map={managedMap}
+                                            onSaved={(saved) => setMaps(prev => prev.map(m => m.id === managedMap.id ? { ...saved, id: saved._id } : m))}
+                                        />
+                                    )}
                                     <div className="bg-white rounded-[3rem] border border-slate-200 p-8 shadow-sm">
-                                        {maps.find(m => m.id === managementMapId)?.data.categories.map(cat => (
+                                        {managedMap?.data.categories.map(cat => (
                                             <div key={cat.name} className="mb-12">
                                                 <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6 flex items-center gap-2"><span className="w-2 h-2 bg-blue-500 rounded-full"></span> {cat.name}</h3>
                                                 <div className="space-y-4">
                                                     {cat.features.map(feat => (
-                                                        <div key={feat.name} className="flex items-center justify-between p-6 bg-slate-50 rounded-3xl border border-slate-100">
-                                                            <div className="max-w-md">
-                                                                <h4 className="font-bold text-slate-900 mb-1">{feat.name}</h4>
-                                                                <p className="text-xs text-slate-500 leading-relaxed">{feat.description}</p>
-                                                            </div>
-                                                            <div className="flex-1 max-w-sm ml-8">
-                                                                <div className="relative">
-                                                                    <Link2 className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
-                                                                    <input
-                                                                        className="w-full pl-10 pr-4 py-3 bg-white border border-slate-200 rounded-xl text-xs font-medium outline-none focus:ring-2 focus:ring-blue-500/20"
-                                                                        defaultValue={feat.link}
-                                                                        placeholder="Learn.microsoft.com URL..."
-                                                                        onBlur={(e) => {
-                                                                            const updatedMaps = [...maps];
-                                                                            const mIdx = updatedMaps.findIndex(m => m.id === managementMapId);
-                                                                            const cIdx = updatedMaps[mIdx].data.categories.findIndex(c => c.name === cat.name);
-                                                                            const fIdx = updatedMaps[mIdx].data.categories[cIdx].features.findIndex(f => f.name === feat.name);
-                                                                            updatedMaps[mIdx].data.categories[cIdx].features[fIdx].link = e.target.value;
-                                                                            setMaps(updatedMaps);
-                                                                        }}
-                                                                    />
-                                                                </div>
-                                                            </div>
-                                                        </div>
+                                                        <FeatureEditorRow
+                                                            key={feat.name}
+                                                            feature={feat}
+                                                            categoryName={cat.name}
+                                                            categories={managedMap.data.categories.map(c => c.name)}
+                                                            tiers={managedMap.data.tiers}
+                                                            onSave={(changes) => updateFeature(managedMap.id, cat.name, feat.name, changes)}
+                                                        />
                                                     ))}
                                                 </div>
                                             </div>
@@ -892,27 +1499,37 @@ const App = () => {
                     </div>
                 )}
 
-                {/* Loading Overlay */}
-                {loading && (
-                    <div className="absolute inset-0 z-[110] bg-white/95 backdrop-blur-xl flex flex-col items-center justify-center p-12 text-center">
-                        <div className="relative mb-8">
-                            <Loader2 className="w-16 h-16 text-blue-600 animate-spin" />
-                            <div className="absolute inset-0 flex items-center justify-center">
-                                <Globe className="w-6 h-6 text-blue-400 animate-pulse" />
-                            </div>
-                        </div>
-                        <h3 className="text-3xl font-black mb-4">Deep Extraction & Verification</h3>
-                        <p className="text-slate-500 max-w-md mx-auto leading-relaxed">
-                            Syncing with Microsoft Learn to ensure terminology and documentation links are 100% accurate.
-                        </p>
-                    </div>
+                {/* User Administration View */}
+                {view === 'requirements' && (
+                    <RequirementsView
+                        maps={maps}
+                        addons={addons}
+                        mergeRules={compiledMergeRules}
+                        requirements={requirements}
+                        onRequirementsChange={setRequirements}
+                        onCompare={compareRanked}
+                    />
                 )}
 
+                {view === 'search' && (
+                    <SearchView
+                        query={searchQuery}
+                        onCompare={compareSearchResult}
+                        onOpen={(result) => setDrawerNames([result.name, ...result.matches.map(m => m.name)])}
+                    />
+                )}
+
+                {view === 'users' && isSuperAdmin && (
+                    <UserAdminPanel currentUser={currentUser} onQueueChange={setPendingUserCount} />
+                )}
+
+                {drawerLineage && <FeatureDrawer lineage={drawerLineage} onClose={() => setDrawerNames(null)} />}
+
                 {/* Auth Modal */}
                 {showAuthModal && (
                     <div className="absolute inset-0 z-[100] bg-slate-900/60 backdrop-blur-md flex items-center justify-center p-6">
                         <div className="bg-white rounded-[3rem] shadow-2xl p-10 w-full max-sm">
-                            <h2 className="text-2xl font-black mb-8">{showAuthModal === 'login' ? 'Admin Access' : 'Register Admin'}</h2>
+                            <h2 className="text-2xl font-black mb-8">{showAuthModal === 'login' ? 'Sign In' : 'Request Access'}</h2>
                             <form onSubmit={handleAuth} className="space-y-4">
                                 <input type="text" placeholder="Username" className="w-full px-6 py-4 bg-slate-50 rounded-2xl outline-none" value={authInputs.username} onChange={e => setAuthInputs({ ...authInputs, username: e.target.value })} required />
                                 <input type="password" placeholder="Password" className="w-full px-6 py-4 bg-slate-50 rounded-2xl outline-none" value={authInputs.password} onChange={e => setAuthInputs({ ...authInputs, password: e.target.value })} required />
@@ -928,6 +1545,9 @@ const App = () => {
                         <div className="bg-white rounded-[2.5rem] shadow-2xl p-10 w-full max-w-lg animate-in zoom-in duration-300">
                             <h2 className="text-2xl font-bold mb-2 text-center">Add Knowledge Source</h2>
                             <p className="text-xs text-slate-400 text-center mb-8">Sync from official Microsoft pages or upload a PDF manually</p>
+                            {activeJob ? (
+                                <JobProgress job={activeJob} onCancel={cancelActiveJob} onClose={closeJobProgress} onHide={() => setShowUploadModal(false)} />
+                            ) : (
                             <div className="space-y-6">
                                 {/* Auto-Sync Section */}
                                 <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-3xl p-6 border border-blue-100">
@@ -938,32 +1558,23 @@ const App = () => {
                                             <p className="text-[10px] text-slate-500">Auto-fetch from official comparison pages</p>
                                         </div>
                                     </div>
-                                    <div className="space-y-2 mb-4">
-                                        <div className="flex items-center justify-between bg-white/70 rounded-2xl px-4 py-3 border border-blue-100">
-                                            <div>
-                                                <span className="text-xs font-bold text-slate-700">M365 Enterprise</span>
-                                                <span className="text-[9px] text-slate-400 ml-2">E3 / E5 / F3</span>
-                                            </div>
-                                            <button onClick={() => handleMicrosoftSync(['enterprise_m365'])} disabled={syncing} className="text-[9px] font-black text-blue-600 hover:text-blue-800 uppercase tracking-widest disabled:opacity-50">{syncing ? '...' : 'Sync'}</button>
-                                        </div>
-                                        <div className="flex items-center justify-between bg-white/70 rounded-2xl px-4 py-3 border border-blue-100">
-                                            <div>
-                                                <span className="text-xs font-bold text-slate-700">Office 365 Enterprise</span>
-                                                <span className="text-[9px] text-slate-400 ml-2">E1 / E3 / E5</span>
-                                            </div>
-                                            <button onClick={() => handleMicrosoftSync(['enterprise_office365'])} disabled={syncing} className="text-[9px] font-black text-blue-600 hover:text-blue-800 uppercase tracking-widest disabled:opacity-50">{syncing ? '...' : 'Sync'}</button>
-                                        </div>
-                                        <div className="flex items-center justify-between bg-white/70 rounded-2xl px-4 py-3 border border-blue-100">
-                                            <div>
-                                                <span className="text-xs font-bold text-slate-700">M365 Business</span>
-                                                <span className="text-[9px] text-slate-400 ml-2">Basic / Standard / Premium</span>
+                                    <div className="space-y-2 mb-4 max-h-56 overflow-y-auto">
+                                        {enabledSources.length === 0 && (
+                                            <p className="text-[10px] text-slate-400 text-center py-2">No sync sources enabled{isSuperAdmin ? ' – add them under Library → Sync Sources' : ''}.</p>
+                                        )}
+                                        {enabledSources.map(([key, source]) => (
+                                            <div key={key} className="flex items-center justify-between gap-3 bg-white/70 rounded-2xl px-4 py-3 border border-blue-100">
+                                                <div className="min-w-0 truncate">
+                                                    <span className="text-xs font-bold text-slate-700">{source.title.replace(/\s*\(.*\)$/, '')}</span>
+                                                    <span className="text-[9px] text-slate-400 ml-2">{source.tiers.map(shortTierName).join(' / ')}</span>
+                                                </div>
+                                                <button onClick={() => handleMicrosoftSync([key])} disabled={syncing} className={`text-[9px] font-black uppercase tracking-widest disabled:opacity-50 shrink-0 ${trackStyle(source.type).sync}`}>{syncing ? '...' : 'Sync'}</button>
                                             </div>
-                                            <button onClick={() => handleMicrosoftSync(['business'])} disabled={syncing} className="text-[9px] font-black text-emerald-600 hover:text-emerald-800 uppercase tracking-widest disabled:opacity-50">{syncing ? '...' : 'Sync'}</button>
-                                        </div>
+                                        ))}
                                     </div>
                                     <button
                                         onClick={() => handleMicrosoftSync()}
-                                        disabled={syncing}
+                                        disabled={syncing || enabledSources.length === 0}
                                         className="w-full flex items-center justify-center gap-3 bg-blue-600 text-white py-4 rounded-2xl font-black text-sm hover:bg-blue-700 transition-all shadow-xl shadow-blue-200 disabled:opacity-60 disabled:cursor-not-allowed"
                                     >
                                         {syncing ? (
@@ -989,9 +1600,24 @@ const App = () => {
                                 {/* Manual Upload Section */}
                                 <div>
                                     <label className="text-[10px] font-black uppercase text-slate-400 mb-2 block text-center">Manual PDF Upload</label>
-                                    <div className="p-1 bg-slate-100 rounded-2xl flex mb-4">
-                                        <button onClick={() => setUploadTrack('Enterprise')} className={`flex-1 py-3 rounded-xl font-bold text-sm transition-all ${uploadTrack === 'Enterprise' ? 'bg-blue-600 text-white shadow-lg' : 'text-slate-500 hover:bg-slate-200'}`}>Enterprise</button>
-                                        <button onClick={() => setUploadTrack('Business')} className={`flex-1 py-3 rounded-xl font-bold text-sm transition-all ${uploadTrack === 'Business' ? 'bg-emerald-600 text-white shadow-lg' : 'text-slate-500 hover:bg-slate-200'}`}>Business</button>
+                                    <div className="p-1 bg-slate-100 rounded-2xl flex flex-wrap mb-4">
+                                        {uploadTracks.map(type => (
+                                            <button key={type} onClick={() => setUploadTrack(type)} className={`flex-1 py-3 px-3 rounded-xl font-bold text-sm transition-all ${uploadTrack === type ? `${trackStyle(type).selected} text-white shadow-lg` : 'text-slate-500 hover:bg-slate-200'}`}>{type}</button>
+                                        ))}
+                                    </div>
+                                    <div className="flex items-center justify-between gap-4 mb-4 px-1">
+                                        <span className="text-[10px] font-black uppercase text-slate-400 tracking-widest">Page Chunking</span>
+                                        <select
+                                            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-xs font-bold text-slate-700 outline-none"
+                                            value={pagesPerChunk}
+                                            onChange={e => setPagesPerChunk(e.target.value)}
+                                        >
+                                            <option value="auto">Automatic (long PDFs)</option>
+                                            <option value="0">Whole document</option>
+                                            <option value="5">5 pages per chunk</option>
+                                            <option value="10">10 pages per chunk</option>
+                                            <option value="20">20 pages per chunk</option>
+                                        </select>
                                     </div>
                                     <label className="flex items-center justify-center gap-3 bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm cursor-pointer hover:bg-slate-800 transition-all shadow-lg">
                                         <Upload className="w-5 h-5" /> Select PDF File
@@ -1001,6 +1627,7 @@ const App = () => {
 
                                 <button onClick={() => setShowUploadModal(false)} className="w-full text-slate-400 font-bold py-2 hover:text-slate-600 transition-colors">Cancel</button>
                             </div>
+                            )}
                         </div>
                     </div>
                 )}
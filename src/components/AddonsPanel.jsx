@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { ArrowLeft, Package, Pencil, Plus, Trash2 } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+import { DEFAULT_CURRENCY } from '../../lib/mapSchema.js';
+
+const EMPTY_FORM = { name: '', description: '', monthly: '', annual: '', currency: DEFAULT_CURRENCY, features: '' };
+
+// One feature per line: "Name | Category | Partial (qualifier)"; category and status are optional
+const featureLine = (f) => [f.name, f.category || '', f.status === 'Partial' || f.qualifier ? `${f.status}${f.qualifier ? ` (${f.qualifier})` : ''}` : '']
+    .join(' | ').replace(/( \| )+$/, '');
+
+const parseFeatureLine = (line) => {
+    const [name, category, grant] = line.split('|').map(p => p.trim());
+    const match = (grant || '').match(/^([^()]*?)\s*(?:\((.*)\))?$/);
+    return {
+        name,
+        ...(category ? { category } : {}),
+        status: match?.[1] || 'Full',
+        ...(match?.[2] ? { qualifier: match[2] } : {}),
+    };
+};
+
+const toForm = (addon) => ({
+    name: addon.name,
+    description: addon.description || '',
+    monthly: addon.price?.monthly ?? '',
+    annual: addon.price?.annual ?? '',
+    currency: addon.price?.currency || DEFAULT_CURRENCY,
+    features: addon.features.map(featureLine).join('\n'),
+});
+
+const fromForm = (form) => {
+    const hasPrice = String(form.monthly).trim() !== '' || String(form.annual).trim() !== '';
+    return {
+        name: form.name,
+        description: form.description,
+        price: hasPrice ? {
+            currency: form.currency,
+            ...(String(form.monthly).trim() !== '' ? { monthly: Number(form.monthly) } : {}),
+            ...(String(form.annual).trim() !== '' ? { annual: Number(form.annual) } : {}),
+        } : null,
+        features: form.features.split('\n').map(l => l.trim()).filter(Boolean).map(parseFeatureLine),
+    };
+};
+
+// Add-on SKUs and the features each grants, for virtual "tier + add-on" columns
+const AddonsPanel = ({ addons, onBack, onChanged }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+    };
+
+    const save = async (e) => {
+        e.preventDefault();
+        try {
+            const body = fromForm(form);
+            if (editingId) {
+                const saved = await apiFetch(`/api/addons/${editingId}`, { method: 'PATCH', json: body });
+                onChanged(addons.map(a => a._id === editingId ? saved : a));
+            } else {
+                const saved = await apiFetch('/api/addons', { method: 'POST', json: body });
+                onChanged([...addons, saved].sort((a, b) => a.name.localeCompare(b.name)));
+            }
+            resetForm();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const remove = async (addon) => {
+        if (!window.confirm(`Delete the add-on ${addon.name}? Comparisons using it will drop it.`)) return;
+        try {
+            await apiFetch(`/api/addons/${addon._id}`, { method: 'DELETE' });
+            onChanged(addons.filter(a => a._id !== addon._id));
+            if (editingId === addon._id) resetForm();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const inputClass = 'w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20';
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center gap-4 mb-12">
+                <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                <h2 className="text-3xl font-black text-slate-900 tracking-tight">Add-ons</h2>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <form onSubmit={save} className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm space-y-5 h-fit">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2">
+                        {editingId ? <><Pencil className="w-4 h-4" /> Edit Add-on</> : <><Plus className="w-4 h-4" /> New Add-on</>}
+                    </h3>
+                    <input className={inputClass} placeholder="Name, e.g. Microsoft 365 E5 Security" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} required />
+                    <input className={inputClass} placeholder="Description" value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
+                    <div className="grid grid-cols-3 gap-3">
+                        <input type="number" min="0" step="0.01" className={inputClass} placeholder="Monthly" value={form.monthly} onChange={e => setForm({ ...form, monthly: e.target.value })} />
+                        <input type="number" min="0" step="0.01" className={inputClass} placeholder="Annual" value={form.annual} onChange={e => setForm({ ...form, annual: e.target.value })} />
+                        <input className={`${inputClass} uppercase`} maxLength={3} value={form.currency} onChange={e => setForm({ ...form, currency: e.target.value.toUpperCase() })} />
+                    </div>
+                    <div>
+                        <label className="text-[10px] font-black uppercase text-slate-400 tracking-widest block mb-2">Features granted (one per line: name | category | status)</label>
+                        <textarea className={`${inputClass} h-48 resize-none font-mono text-xs`} placeholder={'Defender for Endpoint Plan 2 | Security\nMicrosoft Entra ID P2 | Identity\nDefender for Identity | Security | Partial (no sensors)'} value={form.features} onChange={e => setForm({ ...form, features: e.target.value })} required />
+                        <p className="text-[10px] text-slate-400 mt-2">Names are matched to comparison rows like any other feature, merge rules included. Status is Full unless given.</p>
+                    </div>
+                    <div className="flex gap-3">
+                        {editingId && <button type="button" onClick={resetForm} className="flex-1 border border-slate-200 text-slate-500 py-4 rounded-2xl font-bold text-sm hover:bg-slate-50 transition-all">Cancel</button>}
+                        <button type="submit" className="flex-1 bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all">{editingId ? 'Save Changes' : 'Add Add-on'}</button>
+                    </div>
+                </form>
+
+                <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Catalog</h3>
+                    {addons.length === 0 && <p className="text-sm text-slate-400">No add-ons yet.</p>}
+                    <div className="space-y-3">
+                        {addons.map(addon => (
+                            <div key={addon._id} className="p-4 rounded-2xl border border-slate-200 bg-slate-50">
+                                <div className="flex items-start justify-between gap-4">
+                                    <div className="min-w-0">
+                                        <span className="flex items-center gap-1.5 text-[9px] font-black uppercase tracking-widest text-blue-600">
+                                            <Package className="w-3 h-3" /> {addon.features.length} features{addon.price ? ` · ${addon.price.monthly ?? addon.price.annual} ${addon.price.currency} ${addon.price.monthly !== undefined ? 'per month' : 'per year'}` : ''}
+                                        </span>
+                                        <p className="text-sm font-bold text-slate-800 mt-1">{addon.name}</p>
+                                        {addon.description && <p className="text-[10px] text-slate-400 mt-1">{addon.description}</p>}
+                                        <p className="text-xs text-slate-600 mt-1">{addon.features.slice(0, 6).map(f => f.name).join(' · ')}{addon.features.length > 6 ? ` +${addon.features.length - 6} more` : ''}</p>
+                                    </div>
+                                    <div className="flex items-center gap-1 shrink-0">
+                                        <button onClick={() => { setEditingId(addon._id); setForm(toForm(addon)); }} title="Edit" className="p-2 text-slate-400 hover:text-blue-600"><Pencil className="w-4 h-4" /></button>
+                                        <button onClick={() => remove(addon)} title="Delete" className="p-2 text-slate-300 hover:text-rose-500"><Trash2 className="w-4 h-4" /></button>
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AddonsPanel;
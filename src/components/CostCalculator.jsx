@@ -0,0 +1,153 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowRight, Calculator, ChevronDown, ChevronUp } from 'lucide-react';
+import { BILLING_PERIODS, calculateCosts } from '../../lib/pricing.js';
+
+const PERIOD_LABELS = { monthly: 'per month', annual: 'per year' };
+
+const formatMoney = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch {
+        return `${amount.toFixed(2)} ${currency}`;
+    }
+};
+
+const signed = (amount, currency) => `${amount > 0 ? '+' : ''}${formatMoney(amount, currency)}`;
+
+const UpgradeRow = ({ baseline, row, period }) => {
+    const [open, setOpen] = useState(false);
+    const { upgrade, currency } = row;
+    return (
+        <div className="p-5 rounded-2xl border border-slate-200 bg-slate-50">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <div className="flex items-center gap-3 text-sm font-bold text-slate-800 min-w-0">
+                    <span className="truncate">{baseline}</span>
+                    <ArrowRight className="w-4 h-4 text-slate-400 shrink-0" />
+                    <span className="truncate">{row.col}</span>
+                </div>
+                <div className="flex items-center gap-8 text-right">
+                    <div>
+                        <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">Per seat</p>
+                        <p className={`text-sm font-black ${row.delta > 0 ? 'text-rose-600' : 'text-emerald-600'}`}>{signed(row.delta, currency)}</p>
+                    </div>
+                    <div>
+                        <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">{upgrade.seats} seats</p>
+                        <p className={`text-sm font-black ${upgrade.total > 0 ? 'text-rose-600' : 'text-emerald-600'}`}>{signed(upgrade.total, currency)}</p>
+                    </div>
+                    <div>
+                        <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">Per gained feature</p>
+                        <p className="text-sm font-black text-slate-800">{upgrade.perGainedFeature === null ? '—' : formatMoney(upgrade.perGainedFeature, currency)}</p>
+                    </div>
+                </div>
+            </div>
+            <button onClick={() => setOpen(!open)} className="mt-3 flex items-center gap-1 text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-blue-600">
+                {open ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                {upgrade.gained.length} gained · {upgrade.lost.length} lost
+            </button>
+            {open && (
+                <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4 text-xs">
+                    <ul className="space-y-1">
+                        {upgrade.gained.map(f => <li key={`${f.category}:${f.name}`} className="text-emerald-700"><span className="font-bold">+</span> {f.name} <span className="text-slate-400">· {f.category}</span></li>)}
+                    </ul>
+                    <ul className="space-y-1">
+                        {upgrade.lost.map(f => <li key={`${f.category}:${f.name}`} className="text-rose-700"><span className="font-bold">−</span> {f.name} <span className="text-slate-400">· {f.category}</span></li>)}
+                    </ul>
+                </div>
+            )}
+            <p className="mt-2 text-[10px] text-slate-400">Moving the {upgrade.seats} {baseline} seats, {PERIOD_LABELS[period]}. Per gained feature is per seat.</p>
+        </div>
+    );
+};
+
+// Seat counts per compared tier -> totals, deltas and the price of an upgrade
+const CostCalculator = ({ activeMap, columns, seats, onSeatsChange }) => {
+    const [period, setPeriod] = useState('monthly');
+    const [baseline, setBaseline] = useState(columns[0]?.col);
+    const baselineCol = columns.some(c => c.col === baseline) ? baseline : columns[0]?.col;
+
+    const { rows, totals } = useMemo(() => calculateCosts(
+        columns.map(c => ({ col: c.col, price: c.price, seats: seats[c.col] ?? 1 })),
+        { period, baseline: baselineCol, categories: activeMap.categories },
+    ), [columns, seats, period, baselineCol, activeMap]);
+
+    const base = rows.find(r => r.col === baselineCol);
+    const upgrades = rows.filter(r => r.upgrade);
+    const unpriced = rows.filter(r => r.perSeat === null);
+    const otherCurrency = base && base.perSeat !== null ? rows.filter(r => r.perSeat !== null && r.currency !== base.currency) : [];
+
+    return (
+        <div className="h-full overflow-auto p-6 lg:p-12 bg-slate-50/50">
+            <div className="max-w-6xl mx-auto space-y-8">
+                <div className="flex flex-wrap items-end justify-between gap-6">
+                    <div>
+                        <h2 className="text-3xl lg:text-4xl font-black text-slate-900 tracking-tight flex items-center gap-3"><Calculator className="w-8 h-8 text-blue-600" /> Cost Calculator</h2>
+                        <p className="text-slate-500 mt-3 font-medium text-sm">List prices per user. Enter the seats you license for each tier.</p>
+                    </div>
+                    <div className="flex bg-slate-100 p-1 rounded-2xl">
+                        {BILLING_PERIODS.map(p => (
+                            <button key={p} onClick={() => setPeriod(p)} className={`px-6 py-2.5 rounded-xl text-xs font-black uppercase tracking-widest transition-all ${period === p ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>{p}</button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm overflow-x-auto">
+                    <table className="w-full text-left">
+                        <thead>
+                            <tr className="text-[9px] font-black uppercase tracking-widest text-slate-400">
+                                <th className="pb-4 pr-4">Tier</th>
+                                <th className="pb-4 pr-4">Baseline</th>
+                                <th className="pb-4 pr-4 text-right">Per seat, {PERIOD_LABELS[period]}</th>
+                                <th className="pb-4 pr-4 w-32">Seats</th>
+                                <th className="pb-4 text-right">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-100">
+                            {rows.map(row => (
+                                <tr key={row.col}>
+                                    <td className="py-3 pr-4 text-sm font-bold text-slate-800">{row.col}</td>
+                                    <td className="py-3 pr-4"><input type="radio" name="cost-baseline" checked={row.col === baselineCol} onChange={() => setBaseline(row.col)} /></td>
+                                    <td className="py-3 pr-4 text-right text-sm">
+                                        {row.perSeat === null ? <span className="text-slate-300">No price</span> : (
+                                            <>
+                                                <span className="font-bold text-slate-800">{formatMoney(row.perSeat, row.currency)}</span>
+                                                <span className="block text-[9px] font-black uppercase tracking-widest text-slate-400">{row.commitment} commitment{row.derived ? ' · converted' : ''}</span>
+                                            </>
+                                        )}
+                                    </td>
+                                    <td className="py-3 pr-4">
+                                        <input type="number" min="0" step="1" className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-sm font-bold outline-none focus:ring-2 focus:ring-blue-500/20" value={seats[row.col] ?? 1} onChange={e => onSeatsChange({ ...seats, [row.col]: e.target.value })} />
+                                    </td>
+                                    <td className="py-3 text-right text-sm font-black text-slate-900">{row.total === null ? '—' : formatMoney(row.total, row.currency)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            {Object.entries(totals).map(([currency, total]) => (
+                                <tr key={currency}>
+                                    <td colSpan={4} className="pt-4 text-[10px] font-black uppercase tracking-widest text-slate-400">Total {PERIOD_LABELS[period]}{Object.keys(totals).length > 1 ? ` (${currency})` : ''}</td>
+                                    <td className="pt-4 text-right text-xl font-black text-blue-600">{formatMoney(total, currency)}</td>
+                                </tr>
+                            ))}
+                        </tfoot>
+                    </table>
+                    {unpriced.length > 0 && (
+                        <p className="mt-6 text-xs text-amber-600">No list price for {unpriced.map(r => r.col).join(', ')}. Editors can add one under Context Library → Manage Documentation.</p>
+                    )}
+                </div>
+
+                <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Upgrades from {baselineCol}</h3>
+                    {upgrades.length === 0 && <p className="text-sm text-slate-400">Pick a priced baseline and compare it with at least one other priced tier in the same currency.</p>}
+                    <div className="space-y-3">
+                        {upgrades.map(row => <UpgradeRow key={row.col} baseline={baselineCol} row={row} period={period} />)}
+                    </div>
+                    {otherCurrency.length > 0 && (
+                        <p className="mt-4 text-xs text-slate-400">{otherCurrency.map(r => r.col).join(', ')} {otherCurrency.length === 1 ? 'is' : 'are'} priced in another currency than the baseline and left out.</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CostCalculator;
@@ -0,0 +1,120 @@
+import React, { useEffect } from 'react';
+import { CheckCircle2, CirclePlus, ExternalLink, FileText, GitMerge, Globe, MinusCircle, Split, StickyNote, X, XCircle } from 'lucide-react';
+import { STATUS } from '../../lib/mapSchema.js';
+
+const STATUS_ICONS = {
+    [STATUS.FULL]: <CheckCircle2 className="w-4 h-4 text-emerald-500 shrink-0" />,
+    [STATUS.PARTIAL]: <MinusCircle className="w-4 h-4 text-amber-500 shrink-0" />,
+    [STATUS.ADD_ON]: <CirclePlus className="w-4 h-4 text-blue-400 shrink-0" />,
+    [STATUS.NOT_INCLUDED]: <XCircle className="w-4 h-4 text-rose-400 shrink-0" />,
+};
+
+const formatDate = (iso) => iso ? new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : null;
+
+// Everything known about one feature across the library (lib/featureLineage.js)
+const FeatureDrawer = ({ lineage, onClose }) => {
+    useEffect(() => {
+        const onKey = (e) => e.key === 'Escape' && onClose();
+        window.addEventListener('keydown', onKey);
+        return () => window.removeEventListener('keydown', onKey);
+    }, [onClose]);
+
+    const notes = lineage.appearances.filter(a => a.note);
+
+    return (
+        <div className="fixed inset-0 z-[90] flex justify-end" onMouseDown={e => e.stopPropagation()}>
+            <div className="absolute inset-0 bg-slate-900/30" onClick={onClose} />
+            <aside className="relative w-full max-w-xl h-full bg-white shadow-2xl overflow-y-auto animate-in slide-in-from-right-8 duration-300 select-text">
+                <div className="sticky top-0 bg-white/95 backdrop-blur border-b border-slate-100 px-8 py-6 flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                        <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">In {lineage.appearances.length} map{lineage.appearances.length === 1 ? '' : 's'}</p>
+                        <h2 className="text-2xl font-black text-slate-900 tracking-tight">{lineage.name}</h2>
+                    </div>
+                    <button onClick={onClose} className="p-2 text-slate-400 hover:text-slate-700"><X className="w-5 h-5" /></button>
+                </div>
+
+                <div className="px-8 py-6 space-y-8">
+                    <div className="space-y-3">
+                        {lineage.description && <p className="text-sm text-slate-600 leading-relaxed">{lineage.description}</p>}
+                        {lineage.link && (
+                            <a href={lineage.link} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-2 text-xs font-bold text-blue-600 hover:text-blue-800">
+                                <ExternalLink className="w-4 h-4" /> Documentation
+                            </a>
+                        )}
+                    </div>
+
+                    {(notes.length > 0 || lineage.rule?.note) && (
+                        <div className="space-y-2">
+                            <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2"><StickyNote className="w-4 h-4" /> Admin Notes</h3>
+                            {notes.map(a => (
+                                <div key={a.mapId} className="p-4 rounded-2xl bg-amber-50 border border-amber-200 text-sm text-slate-700">
+                                    <p className="whitespace-pre-wrap">{a.note}</p>
+                                    <p className="mt-1 text-[10px] font-bold text-amber-700">{a.mapTitle}</p>
+                                </div>
+                            ))}
+                            {lineage.rule?.note && (
+                                <div className="p-4 rounded-2xl bg-blue-50 border border-blue-200 text-sm text-slate-700">
+                                    <p>{lineage.rule.note}</p>
+                                    <p className="mt-1 text-[10px] font-bold text-blue-700">Merge rule</p>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {lineage.rule && (
+                        <p className="flex items-center gap-2 text-xs text-slate-500">
+                            {lineage.rule.type === 'alias' ? <GitMerge className="w-4 h-4 text-blue-600" /> : <Split className="w-4 h-4 text-amber-600" />}
+                            {lineage.rule.type === 'alias' ? `Merged by alias rule: ${lineage.rule.names.join(' · ')}` : 'Kept apart from similar names by a never-merge rule'}
+                        </p>
+                    )}
+
+                    <div className="space-y-4">
+                        <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest">Where It Appears</h3>
+                        {lineage.appearances.map((a, i) => (
+                            <div key={`${a.mapId}:${i}`} className="p-5 rounded-2xl border border-slate-200 space-y-3">
+                                <div>
+                                    <p className="text-sm font-bold text-slate-800">{a.mapTitle}</p>
+                                    <p className="text-[10px] text-slate-400 font-bold">{a.category}{a.name !== lineage.name ? ` · listed as "${a.name}"` : ''}</p>
+                                </div>
+                                <div className="space-y-1.5">
+                                    {a.tiers.map(t => (
+                                        <div key={t.tier} className="flex items-center gap-2 text-xs">
+                                            {STATUS_ICONS[t.status]}
+                                            <span className="font-bold text-slate-700">{t.tier}</span>
+                                            <span className="text-slate-400">{t.status}{t.qualifier ? ` (${t.qualifier})` : ''}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="pt-3 border-t border-slate-100 text-[10px] text-slate-500 space-y-1">
+                                    <p className="flex items-center gap-1.5 min-w-0">
+                                        {a.source.kind === 'sync' ? <Globe className="w-3.5 h-3.5 shrink-0" /> : <FileText className="w-3.5 h-3.5 shrink-0" />}
+                                        {a.source.kind === 'sync'
+                                            ? <a href={a.source.url} target="_blank" rel="noopener noreferrer" className="truncate text-blue-600 hover:text-blue-800">{a.source.url}</a>
+                                            : <span className="truncate">{a.source.fileName || 'PDF upload'}</span>}
+                                    </p>
+                                    <p>
+                                        {[
+                                            a.source.version != null && `Version ${a.source.version}`,
+                                            a.source.extractedAt && `${a.source.kind === 'sync' ? 'Synced' : 'Extracted'} ${formatDate(a.source.extractedAt)}`,
+                                            a.source.updatedAt && `Edited ${formatDate(a.source.updatedAt)}`,
+                                        ].filter(Boolean).join(' · ')}
+                                    </p>
+                                    {(a.sourcePages.length > 0 || a.extractedBy) && (
+                                        <p>
+                                            {[
+                                                a.sourcePages.length > 0 && `Pages ${a.sourcePages.join(', ')}`,
+                                                a.extractedBy && `Read by ${a.extractedBy === 'table' ? 'the table parser' : 'AI'}`,
+                                            ].filter(Boolean).join(' · ')}
+                                        </p>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </aside>
+        </div>
+    );
+};
+
+export default FeatureDrawer;
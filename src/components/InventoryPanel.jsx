@@ -0,0 +1,254 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ArrowLeft, ChevronDown, ChevronRight, Copy, FileSpreadsheet, Loader2, PiggyBank, Settings, Trash2, Upload, UserMinus } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+import { STATUS } from '../../lib/mapSchema.js';
+import { tierKey } from '../../lib/mapMerge.js';
+import { MAX_COMPARED_TIERS } from '../../lib/comparisonState.js';
+import { analyzeInventory } from '../../lib/licenseInventory.js';
+import SkuMappingsPanel, { TargetOptions, fromTarget } from './SkuMappingsPanel.jsx';
+
+const formatMoney = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch {
+        return `${amount.toFixed(2)} ${currency}`;
+    }
+};
+
+const Finding = ({ finding }) => {
+    if (finding.type === 'consolidate') {
+        return (
+            <div className="flex items-start gap-3 p-4 rounded-2xl border border-emerald-200 bg-emerald-50/50">
+                <PiggyBank className="w-5 h-5 text-emerald-600 shrink-0" />
+                <p className="text-sm text-slate-700">
+                    <span className="font-bold">{finding.users} user{finding.users === 1 ? '' : 's'}</span> hold {finding.licenses.join(' + ')}. <span className="font-bold">{finding.into.col}</span> covers all of it for {formatMoney(finding.perSeat, finding.currency)} less per seat: <span className="font-bold text-emerald-700">{formatMoney(finding.saving, finding.currency)} per month</span>.
+                </p>
+            </div>
+        );
+    }
+    if (finding.type === 'redundant') {
+        return (
+            <div className="flex items-start gap-3 p-4 rounded-2xl border border-amber-200 bg-amber-50/50">
+                <Copy className="w-5 h-5 text-amber-600 shrink-0" />
+                <p className="text-sm text-slate-700">
+                    Everything in <span className="font-bold">{finding.license}</span> is also in <span className="font-bold">{finding.coveredBy}</span>.{' '}
+                    {finding.users === null ? 'Users who hold both do not need the first.' : <><span className="font-bold">{finding.users} user{finding.users === 1 ? '' : 's'}</span> hold both.</>}
+                </p>
+            </div>
+        );
+    }
+    return (
+        <div className="flex items-start gap-3 p-4 rounded-2xl border border-slate-200 bg-slate-50">
+            <UserMinus className="w-5 h-5 text-slate-400 shrink-0" />
+            <p className="text-sm text-slate-700"><span className="font-bold">{finding.units}</span> unassigned {finding.license} license{finding.units === 1 ? '' : 's'}.</p>
+        </div>
+    );
+};
+
+// Uploaded tenant license exports: what the tenant owns and where licenses overlap
+const InventoryPanel = ({ maps, addons, mergeRules, onBack, onCompare }) => {
+    const [inventories, setInventories] = useState([]);
+    const [inventory, setInventory] = useState(null);
+    const [form, setForm] = useState({ name: '', file: null });
+    const [uploading, setUploading] = useState(false);
+    const [showMappings, setShowMappings] = useState(false);
+    const [openCategories, setOpenCategories] = useState([]);
+
+    const tierNames = useMemo(() => [...new Set(maps.flatMap(m => m.data.tiers))].sort(), [maps]);
+    const analysis = useMemo(() => inventory && analyzeInventory(inventory, { maps, addons, rules: mergeRules }), [inventory, maps, addons, mergeRules]);
+
+    useEffect(() => {
+        apiFetch('/api/inventories').then(setInventories).catch(err => alert(err.message));
+    }, []);
+
+    const open = async (id) => {
+        try {
+            setInventory(await apiFetch(`/api/inventories/${id}`));
+            setOpenCategories([]);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const upload = async (e) => {
+        e.preventDefault();
+        setUploading(true);
+        try {
+            const formData = new FormData();
+            formData.append('file', form.file);
+            formData.append('name', form.name);
+            const saved = await apiFetch('/api/inventories', { method: 'POST', body: formData });
+            setInventories(prev => [{ ...saved, licenseCount: saved.licenses.length }, ...prev]);
+            setInventory(saved);
+            setForm({ name: '', file: null });
+        } catch (err) {
+            alert(`Could not import the file: ${err.message}`);
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const remove = async (inv) => {
+        if (!window.confirm(`Delete the inventory ${inv.name}?`)) return;
+        try {
+            await apiFetch(`/api/inventories/${inv._id}`, { method: 'DELETE' });
+            setInventories(prev => prev.filter(i => i._id !== inv._id));
+            if (inventory?._id === inv._id) setInventory(null);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const mapLicense = async (license, value) => {
+        try {
+            await apiFetch('/api/sku-mappings', { method: 'POST', json: { sku: license.id, productName: license.label, ...fromTarget(value) } });
+            await open(inventory._id);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const compareOwned = () => {
+        const pairs = analysis.licenses.filter(l => l.tier).flatMap(l => maps.flatMap(m => {
+            const tier = m.data.tiers.find(t => tierKey(t) === tierKey(l.tier));
+            return tier ? [{ mapId: m.id, tier }] : [];
+        }));
+        onCompare(pairs.slice(0, MAX_COMPARED_TIERS));
+    };
+
+    if (showMappings) {
+        return <SkuMappingsPanel tierNames={tierNames} addons={addons} onBack={() => setShowMappings(false)} onChanged={() => inventory && open(inventory._id)} />;
+    }
+
+    const inputClass = 'w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20';
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center justify-between gap-4 mb-12">
+                <div className="flex items-center gap-4">
+                    <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                    <h2 className="text-3xl font-black text-slate-900 tracking-tight">License Inventory</h2>
+                </div>
+                <button onClick={() => setShowMappings(true)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold border border-slate-200 hover:border-slate-300 transition-all">
+                    <Settings className="w-5 h-5" /> SKU Mappings
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="space-y-8">
+                    <form onSubmit={upload} className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm space-y-4">
+                        <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2"><Upload className="w-4 h-4" /> Import Export</h3>
+                        <input className={inputClass} placeholder="Customer" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+                        <input type="file" accept=".csv" onChange={e => setForm({ ...form, file: e.target.files?.[0] || null })} className="block w-full text-xs text-slate-500 file:mr-4 file:py-2.5 file:px-4 file:rounded-xl file:border-0 file:bg-slate-100 file:text-slate-600 file:font-bold" required />
+                        <p className="text-[10px] text-slate-400">A subscriptions CSV (SKU part number, consumed and prepaid units) or the admin center's user export with assigned licenses. User names are not stored.</p>
+                        <button type="submit" disabled={uploading || !form.file} className="w-full flex items-center justify-center gap-2 bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all disabled:opacity-50">
+                            {uploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileSpreadsheet className="w-4 h-4" />} Import
+                        </button>
+                    </form>
+
+                    <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                        <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-4">Inventories</h3>
+                        {inventories.length === 0 && <p className="text-sm text-slate-400">Nothing imported yet.</p>}
+                        <div className="space-y-2">
+                            {inventories.map(inv => (
+                                <div key={inv._id} className={`flex items-center justify-between gap-3 p-3 rounded-2xl border cursor-pointer transition-all ${inventory?._id === inv._id ? 'border-blue-300 bg-blue-50/50' : 'border-slate-200 hover:bg-slate-50'}`} onClick={() => open(inv._id)}>
+                                    <div className="min-w-0">
+                                        <p className="text-sm font-bold text-slate-800 truncate">{inv.name}</p>
+                                        <p className="text-[10px] text-slate-400">{inv.licenseCount} licenses{inv.userCount !== null ? ` · ${inv.userCount} users` : ''} · {new Date(inv.createdAt).toLocaleDateString()}</p>
+                                    </div>
+                                    <button onClick={(e) => { e.stopPropagation(); remove(inv); }} title="Delete" className="p-2 text-slate-300 hover:text-rose-500 shrink-0"><Trash2 className="w-4 h-4" /></button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="lg:col-span-2 space-y-8">
+                    {!analysis && <div className="bg-white rounded-[2.5rem] border border-dashed border-slate-200 p-12 text-center text-sm text-slate-400">Import or open an inventory.</div>}
+                    {analysis && (
+                        <>
+                            <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                                <div className="flex items-center justify-between mb-6">
+                                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest">{inventory.name} · {inventory.format === 'users' ? `${inventory.userCount} users` : 'subscriptions'}</h3>
+                                    <button onClick={compareOwned} disabled={!analysis.licenses.some(l => l.tier && l.cols.length)} className="flex items-center gap-2 bg-blue-600 text-white px-5 py-2.5 rounded-2xl font-black text-[10px] uppercase tracking-widest hover:bg-blue-700 transition-all disabled:opacity-50">
+                                        Compare Owned Tiers <ChevronRight className="w-4 h-4" />
+                                    </button>
+                                </div>
+                                <table className="w-full text-left">
+                                    <thead>
+                                        <tr className="text-[9px] font-black uppercase tracking-widest text-slate-400">
+                                            <th className="pb-3 pr-4">License</th>
+                                            <th className="pb-3 pr-4 text-right">Assigned</th>
+                                            <th className="pb-3 pr-4 text-right">Total</th>
+                                            <th className="pb-3">Maps to</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-slate-100">
+                                        {analysis.licenses.map(l => (
+                                            <tr key={l.id}>
+                                                <td className="py-2.5 pr-4">
+                                                    <p className="text-sm font-bold text-slate-800">{l.label}</p>
+                                                    {l.label !== l.id && <p className="text-[10px] font-mono text-slate-400">{l.id}</p>}
+                                                </td>
+                                                <td className="py-2.5 pr-4 text-right text-sm text-slate-700">{l.consumed}</td>
+                                                <td className="py-2.5 pr-4 text-right text-sm text-slate-700">{l.total ?? '—'}</td>
+                                                <td className="py-2.5 text-xs">
+                                                    {l.ignored ? <span className="text-slate-400">Nothing to compare</span>
+                                                        : l.mappedBy ? (
+                                                            <span className={l.cols.length ? 'font-bold text-slate-700' : 'text-amber-600'} title={l.cols.length ? l.cols.join('\n') : 'No map or add-on has this yet'}>
+                                                                {l.tier || l.addon}{l.cols.length ? '' : ' (not in any map)'}
+                                                            </span>
+                                                        ) : (
+                                                            <select defaultValue="" onChange={e => e.target.value && mapLicense(l, e.target.value)} className="w-full px-3 py-2 bg-amber-50 border border-amber-200 rounded-xl text-xs text-amber-700 outline-none">
+                                                                <option value="" disabled>Unmapped: map to...</option>
+                                                                <TargetOptions tierNames={tierNames} addonNames={addons.map(a => a.name)} />
+                                                            </select>
+                                                        )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                                <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Findings</h3>
+                                {analysis.findings.length === 0 && <p className="text-sm text-slate-400">No overlapping, redundant or unassigned licenses found.</p>}
+                                <div className="space-y-3">
+                                    {analysis.findings.map((f, i) => <Finding key={i} finding={f} />)}
+                                </div>
+                                {inventory.format === 'subscriptions' && <p className="mt-4 text-[10px] text-slate-400">Consolidation needs to know who holds what: import the user export for per-user suggestions.</p>}
+                            </div>
+
+                            <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                                <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Owned Capabilities · {analysis.owned.reduce((n, c) => n + c.features.length, 0)}</h3>
+                                <div className="space-y-2">
+                                    {analysis.owned.map(cat => {
+                                        const isOpen = openCategories.includes(cat.name);
+                                        return (
+                                            <div key={cat.name} className="border border-slate-100 rounded-2xl">
+                                                <button onClick={() => setOpenCategories(isOpen ? openCategories.filter(c => c !== cat.name) : [...openCategories, cat.name])} className="w-full flex items-center justify-between px-5 py-3 text-sm font-bold text-slate-700">
+                                                    <span className="flex items-center gap-2">{isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />} {cat.name}</span>
+                                                    <span className="text-[10px] font-black text-slate-400">{cat.features.length}</span>
+                                                </button>
+                                                {isOpen && (
+                                                    <div className="px-5 pb-4 flex flex-wrap gap-2">
+                                                        {cat.features.map(f => (
+                                                            <span key={f.name} title={`From ${f.licenses.join(', ')}`} className={`text-[10px] font-bold px-2.5 py-1 rounded-lg border ${f.status === STATUS.FULL ? 'bg-emerald-50 text-emerald-700 border-emerald-200' : 'bg-amber-50 text-amber-700 border-amber-200'}`}>{f.name}</span>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default InventoryPanel;
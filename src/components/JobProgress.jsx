@@ -0,0 +1,68 @@
+import React from 'react';
+import { CheckCircle2, Loader2, XCircle, Ban } from 'lucide-react';
+import { isJobFinished } from '../lib/api.js';
+
+const JOB_LABELS = { extract: 'PDF Extraction', sync: 'Microsoft Sync', 'match-scan': 'Match Scan' };
+
+const STATUS_STYLES = {
+    queued: { text: 'text-slate-500', bar: 'bg-slate-400' },
+    running: { text: 'text-blue-600', bar: 'bg-blue-600' },
+    succeeded: { text: 'text-emerald-600', bar: 'bg-emerald-500' },
+    failed: { text: 'text-rose-600', bar: 'bg-rose-500' },
+    cancelled: { text: 'text-amber-600', bar: 'bg-amber-500' },
+};
+
+const StatusGlyph = ({ status }) => {
+    if (status === 'succeeded') return <CheckCircle2 className="w-5 h-5 text-emerald-500" />;
+    if (status === 'failed') return <XCircle className="w-5 h-5 text-rose-500" />;
+    if (status === 'cancelled') return <Ban className="w-5 h-5 text-amber-500" />;
+    return <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />;
+};
+
+// Live view of a background job: status, percentage and the step log
+const JobProgress = ({ job, onCancel, onClose, onHide }) => {
+    const finished = isJobFinished(job);
+    const style = STATUS_STYLES[job.status] || STATUS_STYLES.queued;
+    const steps = (job.progress || []).slice(-8);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <StatusGlyph status={job.status} />
+                    <div>
+                        <h3 className="font-bold text-sm text-slate-800">{JOB_LABELS[job.type] || job.type}</h3>
+                        <span className={`text-[9px] font-black uppercase tracking-widest ${style.text}`}>{job.cancelRequested && !finished ? 'cancelling' : job.status}</span>
+                    </div>
+                </div>
+                <span className="text-2xl font-black text-slate-800">{job.percent || 0}%</span>
+            </div>
+
+            <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                <div className={`h-full rounded-full transition-all duration-500 ${style.bar}`} style={{ width: `${job.percent || 0}%` }} />
+            </div>
+
+            <ol className="space-y-2 max-h-56 overflow-y-auto">
+                {steps.map((step, i) => (
+                    <li key={`${step.at}-${i}`} className={`flex items-start gap-3 text-xs ${i === steps.length - 1 ? 'text-slate-800 font-semibold' : 'text-slate-400'}`}>
+                        <span className="text-[9px] font-mono text-slate-300 mt-0.5 shrink-0">{new Date(step.at).toLocaleTimeString()}</span>
+                        <span>{step.message}</span>
+                    </li>
+                ))}
+            </ol>
+
+            {finished ? (
+                <button onClick={onClose} className="w-full bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all">Close</button>
+            ) : (
+                <div className="space-y-2">
+                    <button onClick={onCancel} disabled={job.cancelRequested} className="w-full border border-rose-200 text-rose-600 py-4 rounded-2xl font-bold text-sm hover:bg-rose-50 transition-all disabled:opacity-50">
+                        {job.cancelRequested ? 'Cancelling...' : 'Cancel Job'}
+                    </button>
+                    {onHide && <button onClick={onHide} className="w-full text-slate-400 font-bold py-2 hover:text-slate-600 transition-colors">Keep running in background</button>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default JobProgress;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { ArrowLeft, Eye, Loader2, Upload } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+
+const STRATEGIES = [
+    { value: 'merge', label: 'Merge', hint: 'Entries already in the library are combined with the bundle; the bundle wins where both set a value.' },
+    { value: 'replace', label: 'Replace', hint: 'Entries already in the library are overwritten by the bundle.' },
+    { value: 'skip', label: 'Skip duplicates', hint: 'Only entries the library does not have yet are added.' },
+];
+
+const KIND_LABELS = { map: 'Map', mergeRule: 'Merge rule', addon: 'Add-on', skuMapping: 'SKU mapping' };
+
+const ACTION_STYLES = {
+    create: 'bg-emerald-50 text-emerald-700',
+    merge: 'bg-blue-50 text-blue-700',
+    replace: 'bg-amber-50 text-amber-700',
+    skip: 'bg-slate-100 text-slate-500',
+    invalid: 'bg-rose-50 text-rose-700',
+    conflict: 'bg-rose-50 text-rose-700',
+};
+
+// Import a bundle from GET /api/library/export (lib/library.js): preview first, then apply
+const LibraryImportPanel = ({ onBack, onImported }) => {
+    const [file, setFile] = useState(null);
+    const [strategy, setStrategy] = useState('merge');
+    const [result, setResult] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const run = async (dryRun) => {
+        if (!dryRun && !window.confirm(`Import ${file.name} with the "${STRATEGIES.find(s => s.value === strategy).label}" strategy?`)) return;
+        setBusy(true);
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('strategy', strategy);
+            formData.append('dryRun', String(dryRun));
+            const response = await apiFetch('/api/library/import', { method: 'POST', body: formData });
+            setResult(response);
+            if (!dryRun) onImported();
+        } catch (err) {
+            alert(`Could not import the library: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // A preview only holds for the file and strategy it was made with
+    const reset = (update) => {
+        update();
+        setResult(null);
+    };
+
+    const inputClass = 'w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20';
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center gap-4 mb-12">
+                <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                <h2 className="text-3xl font-black text-slate-900 tracking-tight">Import Library</h2>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm space-y-4 h-fit">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2"><Upload className="w-4 h-4" /> Bundle</h3>
+                    <input type="file" accept=".json,application/json" onChange={e => reset(() => setFile(e.target.files?.[0] || null))} className="block w-full text-xs text-slate-500 file:mr-4 file:py-2.5 file:px-4 file:rounded-xl file:border-0 file:bg-slate-100 file:text-slate-600 file:font-bold" />
+                    <select className={inputClass} value={strategy} onChange={e => reset(() => setStrategy(e.target.value))}>
+                        {STRATEGIES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                    </select>
+                    <p className="text-[10px] text-slate-400">{STRATEGIES.find(s => s.value === strategy).hint} Every imported map gets a new version, so it can be restored from its history.</p>
+                    <button onClick={() => run(true)} disabled={busy || !file} className="w-full flex items-center justify-center gap-2 bg-white text-slate-600 py-4 rounded-2xl font-bold text-sm border border-slate-200 hover:border-slate-300 transition-all disabled:opacity-50">
+                        {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />} Preview
+                    </button>
+                    <button onClick={() => run(false)} disabled={busy || !result?.dryRun} className="w-full flex items-center justify-center gap-2 bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all disabled:opacity-50">
+                        {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />} Import
+                    </button>
+                </div>
+
+                <div className="lg:col-span-2 bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                    {!result ? (
+                        <p className="text-sm text-slate-400">Choose an exported library file and preview what the import would change.</p>
+                    ) : (
+                        <>
+                            <div className="flex flex-wrap items-center gap-2 mb-6">
+                                <span className="text-xs font-black uppercase text-slate-400 tracking-widest mr-2">{result.dryRun ? 'Preview' : 'Imported'}</span>
+                                {Object.entries(result.summary).filter(([, count]) => count > 0).map(([action, count]) => (
+                                    <span key={action} className={`px-3 py-1 rounded-full text-[10px] font-black uppercase tracking-widest ${ACTION_STYLES[action]}`}>{count} {action}</span>
+                                ))}
+                            </div>
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-[10px] font-black uppercase text-slate-400 tracking-widest">
+                                        <th className="pb-3">Type</th>
+                                        <th className="pb-3">Entry</th>
+                                        <th className="pb-3">Action</th>
+                                        <th className="pb-3">Details</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.items.map((item, i) => (
+                                        <tr key={i} className="border-t border-slate-100 align-top">
+                                            <td className="py-3 pr-4 text-slate-400 whitespace-nowrap">{KIND_LABELS[item.kind]}</td>
+                                            <td className="py-3 pr-4 font-bold text-slate-700">{item.label}</td>
+                                            <td className="py-3 pr-4"><span className={`px-2 py-0.5 rounded-full text-[10px] font-black uppercase tracking-widest ${ACTION_STYLES[item.action]}`}>{item.action}</span></td>
+                                            <td className="py-3 text-xs text-slate-500">
+                                                {item.error || (item.features && item.features.after !== undefined
+                                                    ? `${item.features.before} → ${item.features.after} features`
+                                                    : item.features ? `${item.features.before} features kept` : '')}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LibraryImportPanel;
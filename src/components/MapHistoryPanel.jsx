@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, ArrowRight, Clock, GitCompare, Loader2, MinusCircle, PlusCircle, RotateCcw } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+
+const SOURCE_LABELS = { upload: 'PDF Upload', 'auto-sync': 'Microsoft Sync', edit: 'Manual Edit', restore: 'Restore', baseline: 'Baseline', import: 'Library Import' };
+
+const TONE_CLASSES = { slate: 'text-slate-600', emerald: 'text-emerald-600', rose: 'text-rose-600', amber: 'text-amber-600', blue: 'text-blue-600' };
+
+const DiffSection = ({ title, items, render, tone = 'slate' }) => {
+    if (!items.length) return null;
+    return (
+        <div className="mb-10">
+            <h4 className={`text-[10px] font-black uppercase tracking-[0.2em] mb-4 ${TONE_CLASSES[tone]}`}>{title} ({items.length})</h4>
+            <div className="space-y-2">
+                {items.map((item, i) => (
+                    <div key={i} className="p-4 bg-slate-50 rounded-2xl border border-slate-100 text-xs text-slate-600">{render(item)}</div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Version list for one map, a diff between any two versions and restore
+const MapHistoryPanel = ({ map, canEdit, onBack, onRestored }) => {
+    const [versions, setVersions] = useState([]);
+    const [current, setCurrent] = useState(null);
+    const [from, setFrom] = useState(null);
+    const [to, setTo] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const loadVersions = async () => {
+        setLoading(true);
+        try {
+            const result = await apiFetch(`/api/maps/${map.id}/versions`);
+            setVersions(result.versions);
+            setCurrent(result.current);
+            setTo(result.versions[0]?.version ?? null);
+            setFrom(result.versions[1]?.version ?? null);
+        } catch (err) {
+            alert(`Could not load history: ${err.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { loadVersions(); }, [map.id]);
+
+    useEffect(() => {
+        if (from == null || to == null) {
+            setDiff(null);
+            return;
+        }
+        apiFetch(`/api/maps/${map.id}/diff?from=${from}&to=${to}`)
+            .then(result => setDiff(result.diff))
+            .catch(err => alert(`Could not compare versions: ${err.message}`));
+    }, [map.id, from, to]);
+
+    const restore = async (version) => {
+        if (!window.confirm(`Restore version ${version} as the current data for "${map.title}"?`)) return;
+        try {
+            const saved = await apiFetch(`/api/maps/${map.id}/versions/${version}/restore`, { method: 'POST' });
+            onRestored?.(saved);
+            await loadVersions();
+        } catch (err) {
+            alert(`Restore failed: ${err.message}`);
+        }
+    };
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center gap-4 mb-12">
+                <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                <h2 className="text-3xl font-black text-slate-900 tracking-tight">History: {map.title}</h2>
+                {loading && <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="bg-white rounded-[2.5rem] border border-slate-200 p-6 shadow-sm h-fit">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-4 flex items-center gap-2"><Clock className="w-4 h-4" /> Versions</h3>
+                    <div className="space-y-2">
+                        {versions.map(v => (
+                            <div key={v.version} className={`p-4 rounded-2xl border transition-all ${v.version === to || v.version === from ? 'border-blue-300 bg-blue-50/50' : 'border-slate-100 bg-slate-50'}`}>
+                                <div className="flex items-center justify-between">
+                                    <span className="font-black text-slate-800">v{v.version}{v.version === current && <span className="ml-2 text-[8px] uppercase tracking-widest text-emerald-600">Current</span>}</span>
+                                    <span className="text-[9px] font-black uppercase tracking-widest text-slate-400">{SOURCE_LABELS[v.source] || v.source}</span>
+                                </div>
+                                <p className="text-[10px] text-slate-500 mt-1">
+                                    {new Date(v.createdAt).toLocaleString()} · {v.featureCount} features{v.createdBy ? ` · ${v.createdBy}` : ''}
+                                    {v.restoredFrom ? ` · from v${v.restoredFrom}` : ''}
+                                </p>
+                                <div className="flex items-center gap-3 mt-3">
+                                    <button onClick={() => setFrom(v.version)} className={`text-[9px] font-black uppercase tracking-widest ${v.version === from ? 'text-blue-600' : 'text-slate-400 hover:text-slate-600'}`}>Base</button>
+                                    <button onClick={() => setTo(v.version)} className={`text-[9px] font-black uppercase tracking-widest ${v.version === to ? 'text-blue-600' : 'text-slate-400 hover:text-slate-600'}`}>Compare</button>
+                                    {canEdit && v.version !== current && (
+                                        <button onClick={() => restore(v.version)} className="ml-auto flex items-center gap-1 text-[9px] font-black uppercase tracking-widest text-amber-600 hover:text-amber-800"><RotateCcw className="w-3 h-3" /> Restore</button>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="lg:col-span-2 bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-8 flex items-center gap-2">
+                        <GitCompare className="w-4 h-4" /> v{from ?? '—'} <ArrowRight className="w-3 h-3" /> v{to ?? '—'}
+                    </h3>
+                    {!diff && <p className="text-sm text-slate-400">{versions.length === 0 ? 'No versions recorded yet. The next edit or sync records one.' : versions.length < 2 ? 'Only one version recorded so far.' : 'Select two versions to compare.'}</p>}
+                    {diff && !diff.hasChanges && <p className="text-sm text-slate-400">No differences between these versions.</p>}
+                    {diff && diff.hasChanges && (
+                        <>
+                            {(diff.tiers.added.length > 0 || diff.tiers.removed.length > 0) && (
+                                <div className="mb-10 flex flex-wrap gap-2">
+                                    {diff.tiers.added.map(t => <span key={t} className="text-[10px] font-bold bg-emerald-50 text-emerald-700 px-3 py-1 rounded-lg">+ {t}</span>)}
+                                    {diff.tiers.removed.map(t => <span key={t} className="text-[10px] font-bold bg-rose-50 text-rose-700 px-3 py-1 rounded-lg">− {t}</span>)}
+                                </div>
+                            )}
+                            <DiffSection title="Features Added" tone="emerald" items={diff.added} render={f => (
+                                <span className="flex items-center gap-2"><PlusCircle className="w-4 h-4 text-emerald-500" /><b className="text-slate-800">{f.name}</b> in {f.category}</span>
+                            )} />
+                            <DiffSection title="Features Removed" tone="rose" items={diff.removed} render={f => (
+                                <span className="flex items-center gap-2"><MinusCircle className="w-4 h-4 text-rose-400" /><b className="text-slate-800">{f.name}</b> from {f.category}</span>
+                            )} />
+                            <DiffSection title="Status Changes" tone="amber" items={diff.statusChanges} render={c => (
+                                <span><b className="text-slate-800">{c.name}</b> · {c.tier}: <span className="line-through text-slate-400">{c.from || 'none'}</span> → <b>{c.to || 'none'}</b></span>
+                            )} />
+                            <DiffSection title="Category Moves" tone="blue" items={diff.categoryMoves} render={m => (
+                                <span><b className="text-slate-800">{m.name}</b>: {m.from} → {m.to}</span>
+                            )} />
+                            <DiffSection title="Description Edits" items={diff.descriptionChanges} render={d => (
+                                <div>
+                                    <b className="text-slate-800">{d.name}</b>
+                                    <p className="mt-2 text-rose-500/80 line-through">{d.from}</p>
+                                    <p className="mt-1 text-emerald-700">{d.to}</p>
+                                </div>
+                            )} />
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MapHistoryPanel;
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, Check, Loader2, ScanSearch, X } from 'lucide-react';
+import { apiFetch, isJobFinished, watchJob } from '../lib/api.js';
+
+const METHOD_LABELS = { tokens: 'Name overlap', embedding: 'Embeddings' };
+
+const scoreColor = (score) => score >= 0.75 ? 'bg-emerald-500' : score >= 0.6 ? 'bg-blue-500' : 'bg-amber-400';
+
+const Side = ({ entry }) => (
+    <div className="min-w-0 flex-1">
+        <p className="text-sm font-bold text-slate-800 break-words">{entry.name}</p>
+        <p className="text-[10px] text-slate-400 mt-1 truncate">{entry.mapTitle} · {entry.category}</p>
+    </div>
+);
+
+// Review the similarity matcher's proposals; accepted pairs become alias rules
+const MatchReviewPanel = ({ onBack, onRuleSaved }) => {
+    const [proposals, setProposals] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [scan, setScan] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    const load = async () => {
+        try {
+            setProposals(await apiFetch('/api/match-proposals?status=pending'));
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { load(); }, []);
+
+    const runScan = async () => {
+        try {
+            const queued = await apiFetch('/api/match-proposals/scan', { method: 'POST' });
+            setScan(queued);
+            const job = isJobFinished(queued) ? queued : await watchJob(queued._id, setScan);
+            if (job.status === 'failed') alert(`Scan failed: ${job.error}`);
+            await load();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const review = async (proposal, action) => {
+        setBusyId(proposal._id);
+        try {
+            const result = await apiFetch(`/api/match-proposals/${proposal._id}/${action}`, { method: 'POST' });
+            if (action === 'accept') onRuleSaved(result.rule);
+            setProposals(prev => prev.filter(p => p._id !== proposal._id));
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const scanning = scan && !isJobFinished(scan);
+    const lastMessage = scan?.progress?.[scan.progress.length - 1]?.message;
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center justify-between gap-4 mb-12">
+                <div className="flex items-center gap-4">
+                    <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                    <h2 className="text-3xl font-black text-slate-900 tracking-tight">Match Review</h2>
+                </div>
+                <div className="flex items-center gap-4">
+                    {scan && <span className="text-xs text-slate-400">{lastMessage}</span>}
+                    <button onClick={runScan} disabled={scanning} className="flex items-center gap-2 bg-slate-900 text-white px-6 py-3 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all disabled:opacity-50">
+                        {scanning ? <Loader2 className="w-5 h-5 animate-spin" /> : <ScanSearch className="w-5 h-5" />} Scan Maps
+                    </button>
+                </div>
+            </div>
+
+            <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Pending ({proposals.length})</h3>
+                {loading && <Loader2 className="w-6 h-6 animate-spin text-slate-300" />}
+                {!loading && proposals.length === 0 && <p className="text-sm text-slate-400">Nothing to review. Scan the maps to look for names that probably mean the same thing.</p>}
+                <div className="space-y-3">
+                    {proposals.map(p => (
+                        <div key={p._id} className="p-4 rounded-2xl border border-slate-200 bg-slate-50">
+                            <div className="flex items-center gap-3 mb-3">
+                                <div className="w-24 h-1.5 bg-slate-200 rounded-full overflow-hidden">
+                                    <div className={`h-full ${scoreColor(p.score)}`} style={{ width: `${Math.round(p.score * 100)}%` }} />
+                                </div>
+                                <span className="text-xs font-black text-slate-700">{Math.round(p.score * 100)}%</span>
+                                <span className="text-[9px] font-black uppercase tracking-widest text-slate-400">{METHOD_LABELS[p.method] || p.method} · {p.scope}</span>
+                            </div>
+                            <div className="flex items-start gap-4">
+                                <Side entry={p.a} />
+                                <span className="text-slate-300 font-black pt-0.5">≈</span>
+                                <Side entry={p.b} />
+                                <div className="flex items-center gap-1 shrink-0">
+                                    <button onClick={() => review(p, 'accept')} disabled={busyId === p._id} title="Same capability: merge" className="p-2 text-slate-400 hover:text-emerald-600 disabled:opacity-50"><Check className="w-5 h-5" /></button>
+                                    <button onClick={() => review(p, 'reject')} disabled={busyId === p._id} title="Different: don't propose again" className="p-2 text-slate-300 hover:text-rose-500 disabled:opacity-50"><X className="w-5 h-5" /></button>
+                                </div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MatchReviewPanel;
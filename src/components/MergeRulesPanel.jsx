@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { ArrowLeft, GitMerge, Pencil, Plus, Split, Trash2 } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+
+const EMPTY_FORM = { scope: 'feature', type: 'alias', names: '', canonical: '', note: '' };
+
+const TYPE_LABELS = { alias: 'Same capability', separate: 'Never merge' };
+
+const toForm = (rule) => ({ scope: rule.scope, type: rule.type, names: rule.names.join('\n'), canonical: rule.canonical || '', note: rule.note || '' });
+const fromForm = (form) => ({ ...form, names: form.names.split('\n').map(n => n.trim()).filter(Boolean) });
+
+// Curate the alias dictionary the comparison view merges with
+const MergeRulesPanel = ({ rules, onBack, onChanged }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+    };
+
+    const save = async (e) => {
+        e.preventDefault();
+        try {
+            const body = fromForm(form);
+            if (editingId) {
+                const saved = await apiFetch(`/api/merge-rules/${editingId}`, { method: 'PATCH', json: body });
+                onChanged(rules.map(r => r._id === editingId ? saved : r));
+            } else {
+                const saved = await apiFetch('/api/merge-rules', { method: 'POST', json: body });
+                onChanged([...rules, saved]);
+            }
+            resetForm();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const remove = async (rule) => {
+        if (!window.confirm(`Delete the rule for ${rule.names.join(' / ')}?`)) return;
+        try {
+            await apiFetch(`/api/merge-rules/${rule._id}`, { method: 'DELETE' });
+            onChanged(rules.filter(r => r._id !== rule._id));
+            if (editingId === rule._id) resetForm();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const inputClass = 'w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20';
+    const segment = (active) => `flex-1 py-2.5 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${active ? 'bg-white shadow text-blue-600' : 'text-slate-400 hover:text-slate-600'}`;
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center gap-4 mb-12">
+                <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                <h2 className="text-3xl font-black text-slate-900 tracking-tight">Merge Rules</h2>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <form onSubmit={save} className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm space-y-5 h-fit">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2">
+                        {editingId ? <><Pencil className="w-4 h-4" /> Edit Rule</> : <><Plus className="w-4 h-4" /> New Rule</>}
+                    </h3>
+                    <div className="flex bg-slate-100 p-1 rounded-2xl">
+                        <button type="button" onClick={() => setForm({ ...form, scope: 'feature' })} className={segment(form.scope === 'feature')}>Features</button>
+                        <button type="button" onClick={() => setForm({ ...form, scope: 'category' })} className={segment(form.scope === 'category')}>Categories</button>
+                    </div>
+                    <div className="flex bg-slate-100 p-1 rounded-2xl">
+                        {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                            <button key={type} type="button" onClick={() => setForm({ ...form, type })} className={segment(form.type === type)}>{label}</button>
+                        ))}
+                    </div>
+                    <div>
+                        <label className="text-[10px] font-black uppercase text-slate-400 tracking-widest block mb-2">Names (one per line)</label>
+                        <textarea className={`${inputClass} h-32 resize-none`} placeholder={form.type === 'alias' ? 'Exchange Online (Plan 2)\nExchange Online mailbox 100 GB' : 'Defender for Endpoint Plan 1\nDefender for Endpoint Plan 2'} value={form.names} onChange={e => setForm({ ...form, names: e.target.value })} required />
+                    </div>
+                    {form.type === 'alias' && (
+                        <input className={inputClass} placeholder="Row name (defaults to the first name)" value={form.canonical} onChange={e => setForm({ ...form, canonical: e.target.value })} />
+                    )}
+                    <input className={inputClass} placeholder="Why (shown on merged rows)" value={form.note} onChange={e => setForm({ ...form, note: e.target.value })} />
+                    <div className="flex gap-3">
+                        {editingId && <button type="button" onClick={resetForm} className="flex-1 border border-slate-200 text-slate-500 py-4 rounded-2xl font-bold text-sm hover:bg-slate-50 transition-all">Cancel</button>}
+                        <button type="submit" className="flex-1 bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all">{editingId ? 'Save Changes' : 'Add Rule'}</button>
+                    </div>
+                </form>
+
+                <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Dictionary</h3>
+                    {rules.length === 0 && <p className="text-sm text-slate-400">No rules yet. Rows are merged by name fingerprint only.</p>}
+                    <div className="space-y-3">
+                        {rules.map(rule => (
+                            <div key={rule._id} className="p-4 rounded-2xl border border-slate-200 bg-slate-50">
+                                <div className="flex items-start justify-between gap-4">
+                                    <div className="min-w-0">
+                                        <span className={`flex items-center gap-1.5 text-[9px] font-black uppercase tracking-widest ${rule.type === 'alias' ? 'text-blue-600' : 'text-amber-600'}`}>
+                                            {rule.type === 'alias' ? <GitMerge className="w-3 h-3" /> : <Split className="w-3 h-3" />} {TYPE_LABELS[rule.type]} · {rule.scope}
+                                        </span>
+                                        {rule.type === 'alias' && rule.canonical && <p className="text-sm font-bold text-slate-800 mt-1">{rule.canonical}</p>}
+                                        <p className="text-xs text-slate-600 mt-1">{rule.names.join(' · ')}</p>
+                                        {rule.note && <p className="text-[10px] text-slate-400 mt-1">{rule.note}</p>}
+                                    </div>
+                                    <div className="flex items-center gap-1 shrink-0">
+                                        <button onClick={() => { setEditingId(rule._id); setForm(toForm(rule)); }} title="Edit" className="p-2 text-slate-400 hover:text-blue-600"><Pencil className="w-4 h-4" /></button>
+                                        <button onClick={() => remove(rule)} title="Delete" className="p-2 text-slate-300 hover:text-rose-500"><Trash2 className="w-4 h-4" /></button>
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MergeRulesPanel;
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, Bell, Loader2, Plus, Send, Trash2 } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+
+const CHANNELS = [
+    { value: 'email', label: 'Email (SMTP)', placeholder: 'team@example.com' },
+    { value: 'webhook', label: 'Webhook (JSON)', placeholder: 'https://example.com/hooks/licensing' },
+    { value: 'teams', label: 'Microsoft Teams', placeholder: 'https://outlook.office.com/webhook/...' },
+    { value: 'slack', label: 'Slack', placeholder: 'https://hooks.slack.com/services/...' },
+];
+
+const EMPTY_FORM = { channel: 'email', target: '', sourceKeys: [], tiers: [] };
+
+// Manage who hears about tiers gaining or losing features after a sync
+const NotificationSettingsPanel = ({ onBack }) => {
+    const [subscriptions, setSubscriptions] = useState([]);
+    const [sources, setSources] = useState({});
+    const [log, setLog] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [loading, setLoading] = useState(true);
+
+    const load = async () => {
+        setLoading(true);
+        try {
+            const [subs, src, entries] = await Promise.all([
+                apiFetch('/api/notifications/subscriptions'),
+                apiFetch('/api/sync-sources'),
+                apiFetch('/api/notifications/log'),
+            ]);
+            setSubscriptions(subs);
+            setSources(src.sources);
+            setLog(entries);
+        } catch (err) {
+            alert(`Could not load notification settings: ${err.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { load(); }, []);
+
+    const availableTiers = [...new Set(
+        Object.entries(sources)
+            .filter(([key]) => form.sourceKeys.length === 0 || form.sourceKeys.includes(key))
+            .flatMap(([, s]) => s.tiers || [])
+    )];
+
+    const toggleIn = (field, value) => setForm(f => ({
+        ...f,
+        [field]: f[field].includes(value) ? f[field].filter(v => v !== value) : [...f[field], value],
+    }));
+
+    const create = async (e) => {
+        e.preventDefault();
+        try {
+            const saved = await apiFetch('/api/notifications/subscriptions', { method: 'POST', json: form });
+            setSubscriptions(prev => [saved, ...prev]);
+            setForm(EMPTY_FORM);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const toggleEnabled = async (sub) => {
+        try {
+            const saved = await apiFetch(`/api/notifications/subscriptions/${sub._id}`, { method: 'PATCH', json: { enabled: !sub.enabled } });
+            setSubscriptions(prev => prev.map(s => s._id === saved._id ? saved : s));
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const remove = async (sub) => {
+        if (!window.confirm(`Remove the ${sub.channel} subscription for ${sub.target}?`)) return;
+        try {
+            await apiFetch(`/api/notifications/subscriptions/${sub._id}`, { method: 'DELETE' });
+            setSubscriptions(prev => prev.filter(s => s._id !== sub._id));
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const sendTest = async (sub) => {
+        try {
+            await apiFetch(`/api/notifications/subscriptions/${sub._id}/test`, { method: 'POST' });
+            alert(`Test digest sent to ${sub.target}`);
+        } catch (err) {
+            alert(`Test failed: ${err.message}`);
+        }
+    };
+
+    const channel = CHANNELS.find(c => c.value === form.channel);
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center gap-4 mb-12">
+                <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                <h2 className="text-3xl font-black text-slate-900 tracking-tight">Change Notifications</h2>
+                {loading && <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <form onSubmit={create} className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm space-y-6 h-fit">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2"><Plus className="w-4 h-4" /> New Subscription</h3>
+                    <div className="grid grid-cols-2 gap-2">
+                        {CHANNELS.map(c => (
+                            <button type="button" key={c.value} onClick={() => setForm({ ...form, channel: c.value })} className={`py-3 rounded-xl text-xs font-bold transition-all ${form.channel === c.value ? 'bg-blue-600 text-white shadow-lg' : 'bg-slate-100 text-slate-500 hover:bg-slate-200'}`}>{c.label}</button>
+                        ))}
+                    </div>
+                    <input className="w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20" placeholder={channel.placeholder} value={form.target} onChange={e => setForm({ ...form, target: e.target.value })} required />
+                    <div>
+                        <label className="text-[10px] font-black uppercase text-slate-400 tracking-widest block mb-2">Sources (none = all)</label>
+                        <div className="flex flex-wrap gap-2">
+                            {Object.entries(sources).map(([key, s]) => (
+                                <button type="button" key={key} onClick={() => toggleIn('sourceKeys', key)} className={`px-3 py-1.5 rounded-lg text-[10px] font-bold border transition-all ${form.sourceKeys.includes(key) ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-slate-200 text-slate-500'}`}>{s.title}</button>
+                            ))}
+                        </div>
+                    </div>
+                    <div>
+                        <label className="text-[10px] font-black uppercase text-slate-400 tracking-widest block mb-2">Tiers (none = all)</label>
+                        <div className="flex flex-wrap gap-2">
+                            {availableTiers.map(t => (
+                                <button type="button" key={t} onClick={() => toggleIn('tiers', t)} className={`px-3 py-1.5 rounded-lg text-[10px] font-bold border transition-all ${form.tiers.includes(t) ? 'bg-emerald-50 border-emerald-300 text-emerald-700' : 'border-slate-200 text-slate-500'}`}>{t}</button>
+                            ))}
+                        </div>
+                    </div>
+                    <button type="submit" className="w-full bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all">Subscribe</button>
+                </form>
+
+                <div className="space-y-8">
+                    <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                        <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6 flex items-center gap-2"><Bell className="w-4 h-4" /> Subscriptions</h3>
+                        {subscriptions.length === 0 && !loading && <p className="text-sm text-slate-400">Nobody is subscribed yet.</p>}
+                        <div className="space-y-3">
+                            {subscriptions.map(sub => (
+                                <div key={sub._id} className={`p-4 rounded-2xl border ${sub.enabled ? 'border-slate-200 bg-slate-50' : 'border-slate-100 bg-white opacity-60'}`}>
+                                    <div className="flex items-center justify-between gap-4">
+                                        <div className="min-w-0">
+                                            <span className="text-[9px] font-black uppercase tracking-widest text-blue-600">{sub.channel}</span>
+                                            <p className="text-sm font-bold text-slate-800 truncate">{sub.target}</p>
+                                        </div>
+                                        <div className="flex items-center gap-2 shrink-0">
+                                            <button onClick={() => toggleEnabled(sub)} className="text-[9px] font-black uppercase tracking-widest text-slate-400 hover:text-slate-700">{sub.enabled ? 'Pause' : 'Resume'}</button>
+                                            <button onClick={() => sendTest(sub)} title="Send test digest" className="p-2 text-slate-400 hover:text-blue-600"><Send className="w-4 h-4" /></button>
+                                            <button onClick={() => remove(sub)} className="p-2 text-slate-300 hover:text-rose-500"><Trash2 className="w-4 h-4" /></button>
+                                        </div>
+                                    </div>
+                                    <p className="text-[10px] text-slate-400 mt-2">
+                                        {sub.sourceKeys.length ? sub.sourceKeys.map(k => sources[k]?.title || k).join(', ') : 'All sources'} · {sub.tiers.length ? sub.tiers.join(', ') : 'All tiers'}
+                                    </p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                        <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Recent Deliveries</h3>
+                        {log.length === 0 && <p className="text-sm text-slate-400">No digests sent yet.</p>}
+                        <div className="space-y-2">
+                            {log.map(entry => (
+                                <div key={entry._id} className="flex items-center justify-between text-xs">
+                                    <span className="text-slate-600 truncate">{entry.channel} · {entry.target}</span>
+                                    <span className={`font-black uppercase tracking-widest text-[9px] ${entry.status === 'sent' ? 'text-emerald-600' : 'text-rose-500'}`} title={entry.error}>{entry.status} · {new Date(entry.timestamp).toLocaleDateString()}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default NotificationSettingsPanel;
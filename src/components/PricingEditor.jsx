@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import { DollarSign } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+import { DEFAULT_CURRENCY, PRICE_COMMITMENTS } from '../../lib/mapSchema.js';
+
+const toRow = (price) => ({
+    monthly: price?.monthly ?? '',
+    annual: price?.annual ?? '',
+    currency: price?.currency || DEFAULT_CURRENCY,
+    commitment: price?.commitment || 'annual',
+    note: price?.note || '',
+});
+
+const toDraft = (map) => Object.fromEntries(map.data.tiers.map(tier => [tier, toRow(map.data.pricing?.[tier])]));
+
+// Rows without an amount mean "no price for this tier"
+const fromDraft = (draft) => Object.fromEntries(Object.entries(draft)
+    .filter(([, row]) => String(row.monthly).trim() !== '' || String(row.annual).trim() !== '')
+    .map(([tier, { monthly, annual, ...rest }]) => [tier, {
+        ...rest,
+        ...(String(monthly).trim() !== '' ? { monthly: Number(monthly) } : {}),
+        ...(String(annual).trim() !== '' ? { annual: Number(annual) } : {}),
+    }]));
+
+// List prices per tier of one map, as used by the cost calculator
+const PricingEditor = ({ map, onSaved }) => {
+    const [draft, setDraft] = useState(() => toDraft(map));
+    const [saving, setSaving] = useState(false);
+
+    // Reset when the saved prices change, not on every edit to the map
+    const savedKey = JSON.stringify([map.data.tiers, map.data.pricing]);
+    useEffect(() => { setDraft(toDraft(map)); }, [savedKey]);
+
+    const setField = (tier, field, value) => setDraft(prev => ({ ...prev, [tier]: { ...prev[tier], [field]: value } }));
+
+    const save = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const saved = await apiFetch(`/api/maps/${map.id}/pricing`, { method: 'PUT', json: { pricing: fromDraft(draft) } });
+            onSaved(saved);
+        } catch (err) {
+            alert(`Could not save prices: ${err.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const cellClass = 'w-full px-3 py-2.5 bg-white border border-slate-200 rounded-xl text-xs font-medium outline-none focus:ring-2 focus:ring-blue-500/20';
+
+    return (
+        <form onSubmit={save} className="bg-white rounded-[3rem] border border-slate-200 p-8 shadow-sm mb-8">
+            <div className="flex items-center justify-between mb-6">
+                <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2"><DollarSign className="w-4 h-4" /> List Prices (per user)</h3>
+                <button type="submit" disabled={saving} className="bg-slate-900 text-white px-6 py-3 rounded-2xl font-bold text-xs hover:bg-slate-800 transition-all disabled:opacity-50">{saving ? 'Saving...' : 'Save Prices'}</button>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-left">
+                    <thead>
+                        <tr className="text-[9px] font-black uppercase tracking-widest text-slate-400">
+                            <th className="pb-3 pr-4">Tier</th>
+                            <th className="pb-3 pr-3 w-32">Monthly</th>
+                            <th className="pb-3 pr-3 w-32">Annual</th>
+                            <th className="pb-3 pr-3 w-24">Currency</th>
+                            <th className="pb-3 pr-3 w-36">Commitment</th>
+                            <th className="pb-3">Note</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {map.data.tiers.map(tier => (
+                            <tr key={tier}>
+                                <td className="py-1.5 pr-4 text-sm font-bold text-slate-800">{tier}</td>
+                                <td className="py-1.5 pr-3"><input type="number" min="0" step="0.01" className={cellClass} placeholder="—" value={draft[tier]?.monthly ?? ''} onChange={e => setField(tier, 'monthly', e.target.value)} /></td>
+                                <td className="py-1.5 pr-3"><input type="number" min="0" step="0.01" className={cellClass} placeholder="—" value={draft[tier]?.annual ?? ''} onChange={e => setField(tier, 'annual', e.target.value)} /></td>
+                                <td className="py-1.5 pr-3"><input className={`${cellClass} uppercase`} maxLength={3} value={draft[tier]?.currency ?? ''} onChange={e => setField(tier, 'currency', e.target.value.toUpperCase())} /></td>
+                                <td className="py-1.5 pr-3">
+                                    <select className={cellClass} value={draft[tier]?.commitment ?? 'annual'} onChange={e => setField(tier, 'commitment', e.target.value)}>
+                                        {PRICE_COMMITMENTS.map(c => <option key={c} value={c}>{c}</option>)}
+                                    </select>
+                                </td>
+                                <td className="py-1.5"><input className={cellClass} placeholder="e.g. without Teams" value={draft[tier]?.note ?? ''} onChange={e => setField(tier, 'note', e.target.value)} /></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </form>
+    );
+};
+
+export default PricingEditor;
@@ -0,0 +1,199 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { AlertTriangle, ChevronRight, ClipboardCheck, FileSpreadsheet, Package, Plus, RefreshCw, Search, Trash2, Trophy } from 'lucide-react';
+import { STATUS, normalizeStatus } from '../../lib/mapSchema.js';
+import {
+    MAX_REQUIREMENTS,
+    buildRequirementCatalog,
+    matchRequirement,
+    parseRequirementCsv,
+    parseRequirementList,
+    rankCoverage,
+    rowKey,
+} from '../../lib/requirements.js';
+
+const STATUS_CHIP = {
+    [STATUS.FULL]: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+    [STATUS.PARTIAL]: 'bg-amber-50 text-amber-700 border-amber-200',
+    [STATUS.ADD_ON]: 'bg-blue-50 text-blue-700 border-blue-200',
+    [STATUS.NOT_INCLUDED]: 'bg-rose-50 text-rose-700 border-rose-200',
+};
+
+const formatMonthly = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch {
+        return `${amount.toFixed(2)} ${currency}`;
+    }
+};
+
+const COMPARE_TOP = 3;
+
+// Requirements mode: a customer's capability list -> every tier (and tier +
+// add-ons) ranked by coverage, with what each still lacks
+const RequirementsView = ({ maps, addons, mergeRules, requirements, onRequirementsChange, onCompare }) => {
+    const [text, setText] = useState('');
+    const [pickQuery, setPickQuery] = useState('');
+    const fileInput = useRef(null);
+
+    const catalog = useMemo(() => buildRequirementCatalog(maps, addons, mergeRules), [maps, addons, mergeRules]);
+    const rows = useMemo(() => catalog.categories.flatMap(cat => cat.features.map(f => ({ key: rowKey(cat.name, f.name), category: cat.name, name: f.name }))), [catalog]);
+    const ranking = useMemo(() => rankCoverage(catalog, requirements), [catalog, requirements]);
+
+    const addNames = (names) => {
+        const fresh = names
+            .filter(name => !requirements.some(r => r.name.toLowerCase() === name.toLowerCase()))
+            .map(name => ({ name, ...matchRequirement(name, catalog.categories) }));
+        const next = [...requirements, ...fresh].slice(0, MAX_REQUIREMENTS);
+        if (requirements.length + fresh.length > MAX_REQUIREMENTS) alert(`Only the first ${MAX_REQUIREMENTS} requirements are kept.`);
+        onRequirementsChange(next);
+    };
+
+    const addPasted = (e) => {
+        e.preventDefault();
+        addNames(parseRequirementList(text));
+        setText('');
+    };
+
+    const uploadCsv = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const content = await file.text();
+            const names = /\.csv$/i.test(file.name) ? parseRequirementCsv(content) : parseRequirementList(content);
+            if (!names.length) throw new Error('No requirement names found in the file');
+            addNames(names);
+        } catch (err) {
+            alert(`Could not read ${file.name}: ${err.message}`);
+        }
+    };
+
+    // Picking a feature is an exact match, so it skips fuzzy matching
+    const pick = (row) => {
+        if (!requirements.some(r => r.key === row.key)) {
+            onRequirementsChange([...requirements, { name: row.name, key: row.key, score: 1, candidates: [{ ...row, score: 1 }] }]);
+        }
+        setPickQuery('');
+    };
+    const picks = pickQuery.trim().length < 2 ? [] : rows.filter(r => r.name.toLowerCase().includes(pickQuery.trim().toLowerCase())).slice(0, 8);
+
+    const setMatch = (index, key) => onRequirementsChange(requirements.map((r, i) => i === index ? { ...r, key: key || null } : r));
+    const rematch = () => onRequirementsChange(requirements.map(r => ({ name: r.name, ...matchRequirement(r.name, catalog.categories) })));
+
+    const unmatched = requirements.filter(r => !r.key);
+    const inputClass = 'w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20';
+
+    return (
+        <div className="h-full overflow-auto p-6 lg:p-12 bg-slate-50/50">
+            <div className="max-w-6xl mx-auto space-y-8">
+                <div>
+                    <h2 className="text-3xl lg:text-4xl font-black text-slate-900 tracking-tight flex items-center gap-3"><ClipboardCheck className="w-8 h-8 text-blue-600" /> Requirements</h2>
+                    <p className="text-slate-500 mt-3 font-medium text-sm">Paste a customer's required capabilities, upload them as CSV or pick features. Every tier is ranked by how much it covers.</p>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                    <form onSubmit={addPasted} className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm space-y-4">
+                        <textarea className={`${inputClass} h-32 resize-none`} placeholder={'need DLP, eDiscovery Premium, Intune, conditional access'} value={text} onChange={e => setText(e.target.value)} />
+                        <div className="flex gap-3">
+                            <button type="button" onClick={() => fileInput.current?.click()} className="flex items-center gap-2 border border-slate-200 text-slate-500 px-5 py-3 rounded-2xl font-bold text-xs hover:bg-slate-50 transition-all">
+                                <FileSpreadsheet className="w-4 h-4" /> Upload CSV
+                            </button>
+                            <input ref={fileInput} type="file" accept=".csv,.txt" className="hidden" onChange={uploadCsv} />
+                            <button type="submit" disabled={!text.trim()} className="flex-1 flex items-center justify-center gap-2 bg-slate-900 text-white py-3 rounded-2xl font-bold text-xs hover:bg-slate-800 transition-all disabled:opacity-50">
+                                <Plus className="w-4 h-4" /> Add Requirements
+                            </button>
+                        </div>
+                    </form>
+
+                    <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                        <div className="relative">
+                            <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 w-4 h-4" />
+                            <input className={`${inputClass} pl-11`} placeholder="Pick a feature..." value={pickQuery} onChange={e => setPickQuery(e.target.value)} />
+                        </div>
+                        <div className="mt-3 space-y-1">
+                            {picks.map(row => (
+                                <button key={row.key} onClick={() => pick(row)} className="w-full text-left px-4 py-2.5 rounded-xl text-xs hover:bg-slate-50 transition-all">
+                                    <span className="font-bold text-slate-700">{row.name}</span> <span className="text-slate-400">· {row.category}</span>
+                                </button>
+                            ))}
+                            {pickQuery.trim().length >= 2 && picks.length === 0 && <p className="px-4 py-2.5 text-xs text-slate-400">No feature matches.</p>}
+                        </div>
+                    </div>
+                </div>
+
+                {requirements.length > 0 && (
+                    <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                        <div className="flex items-center justify-between mb-6">
+                            <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest">{requirements.length} Requirements</h3>
+                            <div className="flex items-center gap-2">
+                                <button onClick={rematch} title="Match all again" className="flex items-center gap-1.5 px-3 py-2 text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-blue-600"><RefreshCw className="w-3.5 h-3.5" /> Rematch</button>
+                                <button onClick={() => onRequirementsChange([])} className="px-3 py-2 text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-rose-500">Clear</button>
+                            </div>
+                        </div>
+                        <div className="space-y-2">
+                            {requirements.map((r, i) => (
+                                <div key={r.name} className="flex items-center gap-4">
+                                    <span className="w-1/3 text-sm font-bold text-slate-800 truncate" title={r.name}>{r.name}</span>
+                                    <select value={r.key || ''} onChange={e => setMatch(i, e.target.value)} className={`flex-1 min-w-0 px-3 py-2 border rounded-xl text-xs font-medium outline-none ${r.key ? 'bg-slate-50 border-slate-200 text-slate-700' : 'bg-amber-50 border-amber-200 text-amber-700'}`}>
+                                        <option value="">No match</option>
+                                        {r.candidates.map(c => <option key={c.key} value={c.key}>{c.name} · {c.category} ({Math.round(c.score * 100)}%)</option>)}
+                                    </select>
+                                    <button onClick={() => onRequirementsChange(requirements.filter((_, j) => j !== i))} title="Remove" className="p-2 text-slate-300 hover:text-rose-500"><Trash2 className="w-4 h-4" /></button>
+                                </div>
+                            ))}
+                        </div>
+                        {unmatched.length > 0 && (
+                            <p className="mt-4 flex items-center gap-2 text-xs text-amber-600"><AlertTriangle className="w-4 h-4" /> {unmatched.length} without a matching feature, left out of the ranking.</p>
+                        )}
+                    </div>
+                )}
+
+                {ranking.length > 0 && (
+                    <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                        <div className="flex items-center justify-between mb-6">
+                            <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest">Coverage by Tier</h3>
+                            <button onClick={() => onCompare(ranking.slice(0, COMPARE_TOP))} className="flex items-center gap-2 bg-blue-600 text-white px-5 py-2.5 rounded-2xl font-black text-[10px] uppercase tracking-widest hover:bg-blue-700 transition-all">
+                                Compare Top {COMPARE_TOP} <ChevronRight className="w-4 h-4" />
+                            </button>
+                        </div>
+                        <div className="space-y-3">
+                            {ranking.map(entry => (
+                                <div key={entry.col} className={`p-5 rounded-2xl border ${entry.minimal ? 'border-emerald-300 bg-emerald-50/50' : 'border-slate-200 bg-slate-50'}`}>
+                                    <div className="flex flex-wrap items-center justify-between gap-4">
+                                        <div className="min-w-0">
+                                            {entry.minimal && <span className="flex items-center gap-1.5 text-[9px] font-black uppercase tracking-widest text-emerald-600 mb-1"><Trophy className="w-3 h-3" /> Minimal qualifying tier</span>}
+                                            <p className="text-sm font-bold text-slate-800 flex items-center gap-2">{entry.addons.length > 0 && <Package className="w-4 h-4 text-blue-500 shrink-0" />}{entry.col}</p>
+                                        </div>
+                                        <div className="flex items-center gap-8 text-right">
+                                            <div>
+                                                <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">Per seat, per month</p>
+                                                <p className="text-sm font-black text-slate-800">{entry.monthly === null ? '—' : formatMonthly(entry.monthly, entry.price.currency)}</p>
+                                            </div>
+                                            <div className="w-40">
+                                                <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">Coverage {Math.round(entry.coverage * 100)}%</p>
+                                                <div className="mt-2 h-2 rounded-full bg-slate-200 overflow-hidden">
+                                                    <div className={`h-full rounded-full ${entry.coverage === 1 ? 'bg-emerald-500' : 'bg-blue-500'}`} style={{ width: `${entry.coverage * 100}%` }} />
+                                                </div>
+                                            </div>
+                                        </div>
+                                    </div>
+                                    {(entry.missing.length > 0 || entry.partial.length > 0 || entry.results.some(r => r.via)) && (
+                                        <div className="mt-3 flex flex-wrap gap-2">
+                                            {[...entry.missing, ...entry.partial].map(r => {
+                                                const status = normalizeStatus(r.status || STATUS.NOT_INCLUDED).status;
+                                                return <span key={r.name} title={r.feature} className={`text-[10px] font-bold px-2.5 py-1 rounded-lg border ${STATUS_CHIP[status]}`}>{status === STATUS.PARTIAL ? 'Partial' : status === STATUS.ADD_ON ? 'Add-on' : 'Missing'}: {r.name}</span>;
+                                            })}
+                                            {entry.results.filter(r => r.via).map(r => <span key={r.name} className="text-[10px] font-bold px-2.5 py-1 rounded-lg border border-blue-200 bg-blue-50 text-blue-700">{r.name} via {r.via}</span>)}
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default RequirementsView;
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { Bookmark, Loader2, Lock, Save, Trash2, Users } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+import { columnKey } from '../../lib/comparisonState.js';
+
+const EMPTY_FORM = { name: '', notes: '', shared: false };
+
+// Landing section: named comparisons of the signed-in user and their team.
+// `current` is the comparison on screen; `onLoad` receives a saved state.
+const SavedComparisons = ({ currentUser, current, maps, onLoad }) => {
+    const [comparisons, setComparisons] = useState([]);
+    const [form, setForm] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        if (!currentUser) return;
+        setLoading(true);
+        apiFetch('/api/comparisons')
+            .then(setComparisons)
+            .catch(err => console.warn('Could not load saved comparisons', err))
+            .finally(() => setLoading(false));
+    }, [currentUser]);
+
+    if (!currentUser) return null;
+
+    const mapIds = new Set(maps.map(m => m.id));
+
+    const save = async (e) => {
+        e.preventDefault();
+        try {
+            const saved = await apiFetch('/api/comparisons', {
+                method: 'POST',
+                json: { name: form.name, notes: form.notes, visibility: form.shared ? 'team' : 'private', state: current },
+            });
+            setComparisons(prev => [saved, ...prev]);
+            setForm(null);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const toggleShared = async (c) => {
+        try {
+            const saved = await apiFetch(`/api/comparisons/${c._id}`, { method: 'PATCH', json: { visibility: c.visibility === 'team' ? 'private' : 'team' } });
+            setComparisons(prev => prev.map(p => p._id === c._id ? saved : p));
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const remove = async (c) => {
+        if (!window.confirm(`Delete the saved comparison "${c.name}"?`)) return;
+        try {
+            await apiFetch(`/api/comparisons/${c._id}`, { method: 'DELETE' });
+            setComparisons(prev => prev.filter(p => p._id !== c._id));
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    return (
+        <section className="mb-16 lg:mb-24">
+            <div className="flex items-center justify-between gap-4 mb-8">
+                <div className="flex items-center gap-4">
+                    <div className="p-3.5 text-white rounded-2xl shadow-xl bg-slate-900 shadow-slate-200"><Bookmark className="w-6 h-6 lg:w-8 lg:h-8" /></div>
+                    <h3 className="text-2xl lg:text-3xl font-black text-slate-900 tracking-tight text-outfit">Saved Comparisons</h3>
+                    {loading && <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />}
+                </div>
+                {current.tiers.length > 0 && !form && (
+                    <button onClick={() => setForm(EMPTY_FORM)} className="flex items-center gap-2 bg-white text-slate-600 px-6 py-3 rounded-2xl font-bold text-sm border border-slate-200 hover:border-slate-300 transition-all">
+                        <Save className="w-4 h-4" /> Save Current Selection
+                    </button>
+                )}
+            </div>
+
+            {form && (
+                <form onSubmit={save} className="card-premium p-6 lg:p-8 mb-8 space-y-4">
+                    <input className="w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20" placeholder="Name, e.g. Frontline upgrade path" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} required autoFocus />
+                    <textarea className="w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20 h-24 resize-none" placeholder="Notes (optional)" value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })} />
+                    <div className="flex flex-wrap items-center justify-between gap-4">
+                        <label className="flex items-center gap-3 text-sm font-bold text-slate-600">
+                            <input type="checkbox" checked={form.shared} onChange={e => setForm({ ...form, shared: e.target.checked })} /> Share with the team
+                        </label>
+                        <div className="flex gap-3">
+                            <button type="button" onClick={() => setForm(null)} className="px-6 py-3 rounded-2xl border border-slate-200 text-slate-500 font-bold text-sm hover:bg-slate-50 transition-all">Cancel</button>
+                            <button type="submit" className="px-6 py-3 rounded-2xl bg-slate-900 text-white font-bold text-sm hover:bg-slate-800 transition-all">Save {current.tiers.length} Tiers</button>
+                        </div>
+                    </div>
+                </form>
+            )}
+
+            {!loading && comparisons.length === 0 && !form && (
+                <p className="text-sm text-slate-400">Nothing saved yet. Select tiers below, then save them to reopen the comparison in one click.</p>
+            )}
+
+            <div className="grid-responsive-cards">
+                {comparisons.map(c => {
+                    const missing = c.state.tiers.filter(p => !mapIds.has(p.mapId)).length;
+                    return (
+                        <div key={c._id} className="card-premium p-6 lg:p-8 flex flex-col">
+                            <div className="flex justify-between items-start gap-3 mb-3">
+                                <h4 className="font-bold text-slate-800 text-lg">{c.name}</h4>
+                                <span className="flex items-center gap-1 text-[9px] font-black uppercase tracking-widest text-slate-400 shrink-0">
+                                    {c.visibility === 'team' ? <><Users className="w-3 h-3" /> Team</> : <><Lock className="w-3 h-3" /> Private</>}
+                                </span>
+                            </div>
+                            {c.notes && <p className="text-xs text-slate-500 leading-relaxed mb-4 whitespace-pre-line">{c.notes}</p>}
+                            <div className="flex flex-wrap gap-2 mb-4">
+                                {c.state.tiers.map(p => <span key={columnKey(p)} className={`font-bold text-[10px] px-3 py-1 rounded-lg border ${mapIds.has(p.mapId) ? 'text-slate-700 bg-slate-100 border-slate-200' : 'text-slate-400 bg-white border-dashed border-slate-200 line-through'}`}>{p.tier}{p.addons ? ` + ${p.addons.length} add-on${p.addons.length > 1 ? 's' : ''}` : ''}</span>)}
+                            </div>
+                            {missing > 0 && <p className="text-[10px] font-bold text-amber-600 mb-4">{missing} tier{missing === 1 ? '' : 's'} from deleted maps will be skipped</p>}
+                            <div className="flex items-center gap-2 mt-auto">
+                                <button onClick={() => onLoad({ ...c.state, tiers: c.state.tiers.filter(p => mapIds.has(p.mapId)) })} className="flex-1 bg-blue-600 text-white py-3 rounded-2xl font-black text-[10px] uppercase tracking-widest hover:bg-blue-700 transition-all">Load</button>
+                                {c.canEdit && (
+                                    <>
+                                        <button onClick={() => toggleShared(c)} className="px-3 py-3 text-[9px] font-black uppercase tracking-widest text-slate-400 hover:text-slate-700">{c.visibility === 'team' ? 'Make Private' : 'Share'}</button>
+                                        <button onClick={() => remove(c)} title="Delete" className="p-3 text-slate-300 hover:text-rose-500"><Trash2 className="w-4 h-4" /></button>
+                                    </>
+                                )}
+                            </div>
+                            {c.owner !== currentUser.username && <span className="text-[9px] font-bold text-slate-400 mt-3">Saved by {c.owner}</span>}
+                        </div>
+                    );
+                })}
+            </div>
+        </section>
+    );
+};
+
+export default SavedComparisons;
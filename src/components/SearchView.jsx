@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronRight, ExternalLink, Loader2, Search, X } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+import { STATUS, isIncluded } from '../../lib/mapSchema.js';
+import { MAX_COMPARED_TIERS } from '../../lib/comparisonState.js';
+
+const STATUS_CHIP = {
+    [STATUS.FULL]: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+    [STATUS.PARTIAL]: 'bg-amber-50 text-amber-700 border-amber-200',
+    [STATUS.ADD_ON]: 'bg-blue-50 text-blue-700 border-blue-200',
+    [STATUS.NOT_INCLUDED]: 'bg-rose-50 text-rose-700 border-rose-200',
+};
+
+const FACET_LABELS = { type: 'Track', tier: 'Tier', category: 'Category', status: 'Status' };
+const FACET_PREVIEW = 8;
+const EMPTY_FILTERS = { type: null, tier: null, category: null, status: null };
+
+// The tiers that have the feature; with none (a "Not Included" filter) every listed one
+const comparedTiers = (result) => {
+    const cells = result.matches.flatMap(m => m.tiers.map(t => ({ mapId: m.mapId, tier: t.tier, status: t.status })));
+    const included = cells.filter(c => isIncluded(c.status));
+    return (included.length ? included : cells).map(({ mapId, tier }) => ({ mapId, tier })).slice(0, MAX_COMPARED_TIERS);
+};
+
+// Search every feature of every map (GET /api/search), narrowed by facets.
+// The query is the header search box; a result's name opens the feature
+// drawer, Compare opens its tiers.
+const SearchView = ({ query, onCompare, onOpen }) => {
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [response, setResponse] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [expanded, setExpanded] = useState([]);
+
+    const active = Object.entries(filters).filter(([, value]) => value);
+
+    useEffect(() => {
+        if (!query.trim() && !active.length) {
+            setResponse(null);
+            return;
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            setLoading(true);
+            try {
+                const params = new URLSearchParams({ q: query.trim(), ...Object.fromEntries(active) });
+                setResponse(await apiFetch(`/api/search?${params}`, { signal: controller.signal }));
+                setError(null);
+            } catch (err) {
+                if (err.name !== 'AbortError') setError(err.message);
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        }, 250);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [query, filters]);
+
+    const toggle = (facet, value) => setFilters(prev => ({ ...prev, [facet]: prev[facet] === value ? null : value }));
+
+    return (
+        <div className="h-full overflow-auto p-6 lg:p-12 bg-slate-50/50">
+            <div className="max-w-6xl mx-auto space-y-8">
+                <div>
+                    <h2 className="text-3xl lg:text-4xl font-black text-slate-900 tracking-tight flex items-center gap-3"><Search className="w-8 h-8 text-blue-600" /> Search All Maps</h2>
+                    <p className="text-slate-500 mt-3 font-medium text-sm">Type in the search box above to find a capability in every map, then narrow by track, tier, category or status.</p>
+                </div>
+
+                {active.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2">
+                        {active.map(([facet, value]) => (
+                            <button key={facet} onClick={() => toggle(facet, value)} className="flex items-center gap-1.5 px-3 py-1.5 rounded-xl bg-blue-50 text-blue-700 text-xs font-bold border border-blue-200">
+                                {FACET_LABELS[facet]}: {value} <X className="w-3.5 h-3.5" />
+                            </button>
+                        ))}
+                        <button onClick={() => setFilters(EMPTY_FILTERS)} className="px-3 py-1.5 text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-rose-500">Clear</button>
+                    </div>
+                )}
+
+                {error && <p className="text-sm text-rose-600">{error}</p>}
+
+                {response && (
+                    <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+                        <div className="space-y-6">
+                            {Object.entries(response.facets).filter(([, values]) => values.length > 0).map(([facet, values]) => {
+                                const shown = expanded.includes(facet) ? values : values.slice(0, FACET_PREVIEW);
+                                return (
+                                    <div key={facet} className="bg-white rounded-[2rem] border border-slate-200 p-6 shadow-sm">
+                                        <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-3">{FACET_LABELS[facet]}</h3>
+                                        <div className="space-y-1">
+                                            {shown.map(({ value, count }) => (
+                                                <button key={value} onClick={() => toggle(facet, value)} className={`w-full flex items-center justify-between gap-2 px-3 py-1.5 rounded-lg text-xs text-left transition-all ${filters[facet] === value ? 'bg-blue-50 text-blue-700 font-bold' : 'text-slate-600 hover:bg-slate-50'}`}>
+                                                    <span className="truncate" title={value}>{value}</span>
+                                                    <span className="text-slate-400 shrink-0">{count}</span>
+                                                </button>
+                                            ))}
+                                        </div>
+                                        {values.length > FACET_PREVIEW && !expanded.includes(facet) && (
+                                            <button onClick={() => setExpanded(prev => [...prev, facet])} className="mt-2 px-3 text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-blue-600">Show all {values.length}</button>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+
+                        <div className="lg:col-span-3 space-y-4">
+                            <p className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2">
+                                {loading && <Loader2 className="w-3.5 h-3.5 animate-spin" />}
+                                {response.total} feature{response.total === 1 ? '' : 's'}{response.results.length < response.total ? `, showing the first ${response.results.length}` : ''}
+                            </p>
+                            {response.results.map(result => {
+                                const pairs = comparedTiers(result);
+                                return (
+                                    <div key={result.key} className="bg-white rounded-[2rem] border border-slate-200 p-6 shadow-sm">
+                                        <div className="flex items-start justify-between gap-4">
+                                            <div className="min-w-0">
+                                                <p className="text-[9px] font-black uppercase tracking-widest text-slate-400">{result.category}</p>
+                                                <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                                                    <button onClick={() => onOpen(result)} className="text-left hover:text-blue-600 transition-colors">{result.name}</button>
+                                                    {result.link && <a href={result.link} target="_blank" rel="noreferrer" className="text-slate-300 hover:text-blue-600"><ExternalLink className="w-4 h-4" /></a>}
+                                                </h3>
+                                                {result.description && <p className="text-xs text-slate-500 mt-1 line-clamp-2">{result.description}</p>}
+                                            </div>
+                                            <button onClick={() => onCompare(pairs, result.name)} disabled={!pairs.length} className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2.5 rounded-2xl font-black text-[10px] uppercase tracking-widest hover:bg-blue-700 transition-all shrink-0 disabled:opacity-50">
+                                                Compare {pairs.length} <ChevronRight className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                        <div className="mt-4 space-y-2">
+                                            {result.matches.map((match, i) => (
+                                                <div key={`${match.mapId}:${i}`} className="flex flex-wrap items-center gap-2">
+                                                    <span className="text-xs font-bold text-slate-600 mr-1">{match.mapTitle}</span>
+                                                    {match.tiers.map(t => (
+                                                        <span key={t.tier} title={t.qualifier || t.status} className={`text-[10px] font-bold px-2.5 py-1 rounded-lg border ${STATUS_CHIP[t.status]}`}>{t.tier}</span>
+                                                    ))}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                            {response.total === 0 && <p className="text-sm text-slate-400">No feature matches. Try fewer words or clear a filter.</p>}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SearchView;
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, Loader2, Plus, Trash2 } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+
+const EMPTY_FORM = { sku: '', productName: '', target: '' };
+
+// "tier:<name>" / "addon:<name>" / "" for a mapping's target select
+export const targetValue = (m) => m.tier ? `tier:${m.tier}` : m.addon ? `addon:${m.addon}` : '';
+export const fromTarget = (value) => {
+    const [kind, ...rest] = value.split(':');
+    const name = rest.join(':');
+    return { tier: kind === 'tier' ? name : null, addon: kind === 'addon' ? name : null };
+};
+
+export const TargetOptions = ({ tierNames, addonNames }) => (
+    <>
+        <option value="">Nothing to compare</option>
+        <optgroup label="Tiers">
+            {tierNames.map(t => <option key={t} value={`tier:${t}`}>{t}</option>)}
+        </optgroup>
+        {addonNames.length > 0 && (
+            <optgroup label="Add-ons">
+                {addonNames.map(a => <option key={a} value={`addon:${a}`}>{a}</option>)}
+            </optgroup>
+        )}
+    </>
+);
+
+// The SKU -> tier / add-on table license inventories are read through
+const SkuMappingsPanel = ({ tierNames, addons, onBack, onChanged }) => {
+    const [mappings, setMappings] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState(EMPTY_FORM);
+
+    useEffect(() => {
+        apiFetch('/api/sku-mappings')
+            .then(setMappings)
+            .catch(err => alert(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const changed = (next) => {
+        setMappings(next);
+        onChanged?.();
+    };
+
+    const add = async (e) => {
+        e.preventDefault();
+        try {
+            const saved = await apiFetch('/api/sku-mappings', { method: 'POST', json: { sku: form.sku, productName: form.productName, ...fromTarget(form.target) } });
+            changed([...mappings, saved].sort((a, b) => a.sku.localeCompare(b.sku)));
+            setForm(EMPTY_FORM);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const retarget = async (mapping, value) => {
+        try {
+            const saved = await apiFetch(`/api/sku-mappings/${encodeURIComponent(mapping.sku)}`, { method: 'PATCH', json: fromTarget(value) });
+            changed(mappings.map(m => m.sku === saved.sku ? saved : m));
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const remove = async (mapping) => {
+        if (!window.confirm(`Remove the mapping for ${mapping.sku}?`)) return;
+        try {
+            await apiFetch(`/api/sku-mappings/${encodeURIComponent(mapping.sku)}`, { method: 'DELETE' });
+            changed(mappings.filter(m => m.sku !== mapping.sku));
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const inputClass = 'w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-xs font-medium outline-none focus:ring-2 focus:ring-blue-500/20';
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center gap-4 mb-12">
+                <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                <h2 className="text-3xl font-black text-slate-900 tracking-tight">SKU Mappings</h2>
+            </div>
+
+            <form onSubmit={add} className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm mb-8 grid grid-cols-1 md:grid-cols-4 gap-3 items-center">
+                <input className={inputClass} placeholder="SKU part number, e.g. SPE_E3" value={form.sku} onChange={e => setForm({ ...form, sku: e.target.value })} required />
+                <input className={inputClass} placeholder="Product name" value={form.productName} onChange={e => setForm({ ...form, productName: e.target.value })} />
+                <select className={inputClass} value={form.target} onChange={e => setForm({ ...form, target: e.target.value })}>
+                    <TargetOptions tierNames={tierNames} addonNames={addons.map(a => a.name)} />
+                </select>
+                <button type="submit" className="flex items-center justify-center gap-2 bg-slate-900 text-white py-3 rounded-xl font-bold text-xs hover:bg-slate-800 transition-all"><Plus className="w-4 h-4" /> Add Mapping</button>
+            </form>
+
+            <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                {loading ? <Loader2 className="w-6 h-6 animate-spin text-slate-300 mx-auto" /> : (
+                    <table className="w-full text-left">
+                        <thead>
+                            <tr className="text-[9px] font-black uppercase tracking-widest text-slate-400">
+                                <th className="pb-3 pr-4">SKU</th>
+                                <th className="pb-3 pr-4">Product</th>
+                                <th className="pb-3 pr-4">Maps to</th>
+                                <th className="pb-3" />
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-100">
+                            {mappings.map(m => (
+                                <tr key={m.sku}>
+                                    <td className="py-2 pr-4 text-xs font-mono font-bold text-slate-700">{m.sku}</td>
+                                    <td className="py-2 pr-4 text-xs text-slate-500">{m.productName}</td>
+                                    <td className="py-2 pr-4">
+                                        <select className={inputClass} value={targetValue(m)} onChange={e => retarget(m, e.target.value)}>
+                                            {/* Targets no map or add-on has (yet) stay selectable */}
+                                            <TargetOptions
+                                                tierNames={[...new Set([...tierNames, ...(m.tier ? [m.tier] : [])])]}
+                                                addonNames={[...new Set([...addons.map(a => a.name), ...(m.addon ? [m.addon] : [])])]}
+                                            />
+                                        </select>
+                                    </td>
+                                    <td className="py-2 text-right">
+                                        <button onClick={() => remove(m)} title="Remove" className="p-2 text-slate-300 hover:text-rose-500"><Trash2 className="w-4 h-4" /></button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SkuMappingsPanel;
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, Globe, Loader2, Pencil, Plus, Trash2 } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+
+const TYPE_SUGGESTIONS = ['Enterprise', 'Business', 'Frontline', 'Education', 'Government', 'Security'];
+
+const EMPTY_FORM = { key: '', title: '', type: 'Enterprise', url: '', tiers: '', enabled: true, extractPricing: false };
+
+const toForm = (key, s) => ({ key, title: s.title, type: s.type, url: s.url, tiers: s.tiers.join('\n'), enabled: s.enabled !== false, extractPricing: !!s.extractPricing });
+const fromForm = (form) => ({ ...form, tiers: form.tiers.split(/[\n,]/).map(t => t.trim()).filter(Boolean) });
+
+// Manage the official comparison pages the sync job reads
+const SyncSourcesPanel = ({ onBack, onChanged }) => {
+    const [sources, setSources] = useState({});
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingKey, setEditingKey] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const load = async () => {
+        setLoading(true);
+        try {
+            setSources((await apiFetch('/api/sync-sources')).sources);
+        } catch (err) {
+            alert(`Could not load sync sources: ${err.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { load(); }, []);
+
+    const apply = (next) => {
+        setSources(next);
+        onChanged?.(next);
+    };
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingKey(null);
+    };
+
+    const save = async (e) => {
+        e.preventDefault();
+        try {
+            const { key, ...body } = fromForm(form);
+            const saved = editingKey
+                ? await apiFetch(`/api/sync-sources/${encodeURIComponent(editingKey)}`, { method: 'PATCH', json: body })
+                : await apiFetch('/api/sync-sources', { method: 'POST', json: { key, ...body } });
+            apply({ ...sources, ...saved });
+            resetForm();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const toggleEnabled = async (key) => {
+        try {
+            const saved = await apiFetch(`/api/sync-sources/${encodeURIComponent(key)}`, { method: 'PATCH', json: { enabled: !sources[key].enabled } });
+            apply({ ...sources, ...saved });
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const remove = async (key) => {
+        if (!window.confirm(`Remove "${sources[key].title}"? Maps already synced from it are kept.`)) return;
+        try {
+            await apiFetch(`/api/sync-sources/${encodeURIComponent(key)}`, { method: 'DELETE' });
+            const { [key]: _removed, ...rest } = sources;
+            apply(rest);
+            if (editingKey === key) resetForm();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const inputClass = 'w-full px-5 py-3.5 bg-slate-50 border border-slate-200 rounded-2xl text-sm outline-none focus:ring-2 focus:ring-blue-500/20';
+
+    return (
+        <div className="animate-in slide-in-from-right-8 duration-500">
+            <div className="flex items-center gap-4 mb-12">
+                <button onClick={onBack} className="p-3 bg-white rounded-2xl border border-slate-200 text-slate-500 hover:text-blue-600 shadow-sm"><ArrowLeft className="w-6 h-6" /></button>
+                <h2 className="text-3xl font-black text-slate-900 tracking-tight">Sync Sources</h2>
+                {loading && <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <form onSubmit={save} className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm space-y-5 h-fit">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest flex items-center gap-2">
+                        {editingKey ? <><Pencil className="w-4 h-4" /> Edit {editingKey}</> : <><Plus className="w-4 h-4" /> New Source</>}
+                    </h3>
+                    <input className={`${inputClass} disabled:opacity-50`} placeholder="Key, e.g. frontline" value={form.key} onChange={e => setForm({ ...form, key: e.target.value.toLowerCase() })} disabled={!!editingKey} required />
+                    <input className={inputClass} placeholder="Title" value={form.title} onChange={e => setForm({ ...form, title: e.target.value })} required />
+                    <input className={inputClass} placeholder="Type" list="sync-source-types" value={form.type} onChange={e => setForm({ ...form, type: e.target.value })} required />
+                    <datalist id="sync-source-types">
+                        {TYPE_SUGGESTIONS.map(t => <option key={t} value={t} />)}
+                    </datalist>
+                    <input className={inputClass} placeholder="https://www.microsoft.com/..." type="url" value={form.url} onChange={e => setForm({ ...form, url: e.target.value })} required />
+                    <div>
+                        <label className="text-[10px] font-black uppercase text-slate-400 tracking-widest block mb-2">Expected tiers (one per line)</label>
+                        <textarea className={`${inputClass} h-28 resize-none`} placeholder={'Microsoft 365 F1\nMicrosoft 365 F3'} value={form.tiers} onChange={e => setForm({ ...form, tiers: e.target.value })} required />
+                    </div>
+                    <label className="flex items-center gap-3 text-sm font-bold text-slate-600">
+                        <input type="checkbox" checked={form.enabled} onChange={e => setForm({ ...form, enabled: e.target.checked })} /> Include in syncs
+                    </label>
+                    <label className="flex items-center gap-3 text-sm font-bold text-slate-600">
+                        <input type="checkbox" checked={form.extractPricing} onChange={e => setForm({ ...form, extractPricing: e.target.checked })} /> Extract list prices
+                    </label>
+                    <div className="flex gap-3">
+                        {editingKey && <button type="button" onClick={resetForm} className="flex-1 border border-slate-200 text-slate-500 py-4 rounded-2xl font-bold text-sm hover:bg-slate-50 transition-all">Cancel</button>}
+                        <button type="submit" className="flex-1 bg-slate-900 text-white py-4 rounded-2xl font-bold text-sm hover:bg-slate-800 transition-all">{editingKey ? 'Save Changes' : 'Add Source'}</button>
+                    </div>
+                </form>
+
+                <div className="bg-white rounded-[2.5rem] border border-slate-200 p-8 shadow-sm">
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6 flex items-center gap-2"><Globe className="w-4 h-4" /> Registry</h3>
+                    {Object.keys(sources).length === 0 && !loading && <p className="text-sm text-slate-400">No sources configured.</p>}
+                    <div className="space-y-3">
+                        {Object.entries(sources).map(([key, s]) => (
+                            <div key={key} className={`p-4 rounded-2xl border ${s.enabled ? 'border-slate-200 bg-slate-50' : 'border-slate-100 bg-white opacity-60'}`}>
+                                <div className="flex items-center justify-between gap-4">
+                                    <div className="min-w-0">
+                                        <span className="text-[9px] font-black uppercase tracking-widest text-blue-600">{s.type} · {key}{s.extractPricing ? ' · prices' : ''}</span>
+                                        <p className="text-sm font-bold text-slate-800 truncate">{s.title}</p>
+                                    </div>
+                                    <div className="flex items-center gap-2 shrink-0">
+                                        <button onClick={() => toggleEnabled(key)} className="text-[9px] font-black uppercase tracking-widest text-slate-400 hover:text-slate-700">{s.enabled ? 'Disable' : 'Enable'}</button>
+                                        <button onClick={() => { setEditingKey(key); setForm(toForm(key, s)); }} title="Edit" className="p-2 text-slate-400 hover:text-blue-600"><Pencil className="w-4 h-4" /></button>
+                                        <button onClick={() => remove(key)} title="Remove" className="p-2 text-slate-300 hover:text-rose-500"><Trash2 className="w-4 h-4" /></button>
+                                    </div>
+                                </div>
+                                <a href={s.url} target="_blank" rel="noopener noreferrer" className="text-[10px] text-blue-500 hover:underline break-all">{s.url}</a>
+                                <p className="text-[10px] text-slate-400 mt-1">{s.tiers.join(', ')}</p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SyncSourcesPanel;
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2, ShieldCheck, UserCheck, UserMinus, Users } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+
+const ROLE_LABELS = { viewer: 'Viewer', editor: 'Editor', super_admin: 'Super Admin' };
+
+// Super-admin view: approve or reject access requests and manage roles
+const UserAdminPanel = ({ currentUser, onQueueChange }) => {
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [requestedRoles, setRequestedRoles] = useState({});
+
+    const load = async () => {
+        setLoading(true);
+        try {
+            const list = await apiFetch('/api/auth/users');
+            setUsers(list);
+            onQueueChange?.(list.filter(u => u.status === 'pending').length);
+        } catch (err) {
+            alert(`Could not load users: ${err.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { load(); }, []);
+
+    const review = async (user, action) => {
+        try {
+            await apiFetch(`/api/auth/users/${user.id}/${action}`, {
+                method: 'POST',
+                json: action === 'approve' ? { role: requestedRoles[user.id] || 'viewer' } : {},
+            });
+            await load();
+        } catch (err) {
+            alert(`Could not ${action} ${user.username}: ${err.message}`);
+        }
+    };
+
+    const changeRole = async (user, role) => {
+        try {
+            const updated = await apiFetch(`/api/auth/users/${user.id}`, { method: 'PATCH', json: { role } });
+            setUsers(prev => prev.map(u => u.id === updated.id ? updated : u));
+        } catch (err) {
+            alert(`Could not change role: ${err.message}`);
+        }
+    };
+
+    const pending = users.filter(u => u.status === 'pending');
+    const others = users.filter(u => u.status !== 'pending');
+
+    return (
+        <div className="h-full overflow-auto p-12 bg-slate-50/50">
+            <div className="max-w-5xl mx-auto space-y-12">
+                <div className="flex items-center gap-4">
+                    <div className="p-3.5 bg-blue-600 text-white rounded-2xl shadow-xl shadow-blue-100"><Users className="w-6 h-6" /></div>
+                    <h2 className="text-4xl font-black text-slate-900 tracking-tight">Access Control</h2>
+                    {loading && <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />}
+                </div>
+
+                <section>
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Pending Requests ({pending.length})</h3>
+                    {pending.length === 0 && !loading && (
+                        <p className="text-sm text-slate-400 bg-white rounded-3xl border border-slate-200 p-8 text-center">No access requests waiting for review.</p>
+                    )}
+                    <div className="space-y-4">
+                        {pending.map(u => (
+                            <div key={u.id} className="flex items-center justify-between p-6 bg-white rounded-3xl border border-slate-200 shadow-sm">
+                                <div>
+                                    <h4 className="font-bold text-slate-900">{u.username}</h4>
+                                    <p className="text-[10px] text-slate-400 font-black uppercase tracking-widest">Requested {new Date(u.createdAt).toLocaleString()}</p>
+                                </div>
+                                <div className="flex items-center gap-3">
+                                    <select
+                                        className="px-4 py-2.5 bg-slate-50 border border-slate-200 rounded-xl text-xs font-bold outline-none"
+                                        value={requestedRoles[u.id] || 'viewer'}
+                                        onChange={e => setRequestedRoles({ ...requestedRoles, [u.id]: e.target.value })}
+                                    >
+                                        {Object.entries(ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                    </select>
+                                    <button onClick={() => review(u, 'approve')} className="flex items-center gap-2 bg-emerald-600 text-white px-4 py-2.5 rounded-xl text-xs font-black hover:bg-emerald-700 transition-all"><UserCheck className="w-4 h-4" /> Approve</button>
+                                    <button onClick={() => review(u, 'reject')} className="flex items-center gap-2 bg-slate-100 text-slate-500 px-4 py-2.5 rounded-xl text-xs font-black hover:bg-rose-50 hover:text-rose-600 transition-all"><UserMinus className="w-4 h-4" /> Reject</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </section>
+
+                <section>
+                    <h3 className="text-xs font-black uppercase text-slate-400 tracking-widest mb-6">Members</h3>
+                    <div className="bg-white rounded-[2.5rem] border border-slate-200 shadow-sm divide-y divide-slate-100">
+                        {others.map(u => (
+                            <div key={u.id} className="flex items-center justify-between p-6">
+                                <div className="flex items-center gap-3">
+                                    {u.role === 'super_admin' && <ShieldCheck className="w-4 h-4 text-blue-600" />}
+                                    <span className="font-bold text-slate-800">{u.username}</span>
+                                    {u.status === 'rejected' && <span className="text-[9px] font-black uppercase tracking-widest text-rose-500 bg-rose-50 px-2 py-0.5 rounded">Rejected</span>}
+                                </div>
+                                {u.status === 'approved' ? (
+                                    <select
+                                        className="px-4 py-2 bg-slate-50 border border-slate-200 rounded-xl text-xs font-bold outline-none disabled:opacity-50"
+                                        value={u.role}
+                                        disabled={u.id === currentUser?.id}
+                                        onChange={e => changeRole(u, e.target.value)}
+                                    >
+                                        {Object.entries(ROLE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                    </select>
+                                ) : (
+                                    <button onClick={() => review(u, 'approve')} className="text-[10px] font-black uppercase tracking-widest text-blue-600 hover:text-blue-800">Approve as viewer</button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+export default UserAdminPanel;
@@ -0,0 +1,86 @@
+// --- API Client ---
+// Thin wrapper around fetch that attaches the session token and turns
+// non-2xx responses into Errors carrying the server's message and status.
+
+const TOKEN_KEY = "licensemap_session_token";
+
+export const getToken = () => sessionStorage.getItem(TOKEN_KEY);
+export const setToken = (token) => token ? sessionStorage.setItem(TOKEN_KEY, token) : sessionStorage.removeItem(TOKEN_KEY);
+
+export async function apiFetch(path, { json, headers, ...options } = {}) {
+    const token = getToken();
+    const response = await fetch(path, {
+        ...options,
+        headers: {
+            ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers,
+        },
+        ...(json !== undefined ? { body: JSON.stringify(json) } : {}),
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    const body = contentType.includes('application/json') ? await response.json() : await response.text();
+
+    if (!response.ok) {
+        if (response.status === 401 && token) {
+            setToken(null);
+            window.dispatchEvent(new Event('auth:expired'));
+        }
+        const message = typeof body === 'string'
+            ? `Server returned error (${response.status}): ${body.substring(0, 100)}`
+            : body.error || `Request failed with status ${response.status}`;
+        const error = new Error(message);
+        error.status = response.status;
+        error.details = typeof body === 'object' ? body : undefined;
+        throw error;
+    }
+    return body;
+}
+
+const FINISHED_JOB_STATES = ['succeeded', 'failed', 'cancelled'];
+export const isJobFinished = (job) => FINISHED_JOB_STATES.includes(job?.status);
+
+// Follow a background job (see lib/jobs.js) until it finishes, calling
+// onUpdate with every new snapshot. Reads the SSE stream with fetch so the
+// session token travels in the header; falls back to polling if the stream
+// is unavailable or cut off.
+export async function watchJob(jobId, onUpdate) {
+    let job = null;
+    try {
+        const token = getToken();
+        const response = await fetch(`/api/jobs/${jobId}/events`, {
+            headers: { Accept: 'text/event-stream', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        });
+        if (response.ok && response.body) {
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            while (!isJobFinished(job)) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const data = buffer.slice(0, boundary).split('\n')
+                        .filter(line => line.startsWith('data:'))
+                        .map(line => line.slice(5).trimStart())
+                        .join('\n');
+                    buffer = buffer.slice(boundary + 2);
+                    if (!data) continue;
+                    job = JSON.parse(data);
+                    onUpdate(job);
+                }
+            }
+            reader.cancel().catch(() => { });
+        }
+    } catch (err) {
+        console.warn('Job stream interrupted, polling instead:', err.message);
+    }
+
+    while (!isJobFinished(job)) {
+        if (job) await new Promise(r => setTimeout(r, 1500));
+        job = await apiFetch(`/api/jobs/${jobId}`);
+        onUpdate(job);
+    }
+    return job;
+}
@@ -0,0 +1,66 @@
+// --- Client Routes ---
+// The address bar mirrors the app's view and comparison so a refresh or a
+// pasted link restores both:
+//
+//   /                     landing       /library              library
+//   /map, /matrix,        comparison    /library/<mapId>      manage a map
+//   /costs
+//   /requirements         requirements gap analysis
+//   /search?q=<text>      search across every map
+//   /users                access requests
+//   /s/<slug>             short link, resolved through /api/short-links
+//
+// The comparison rides along in the query on every path:
+//   ?t=<mapId>:<tier>&t=...&q=<search>&diff=1&mode=availability
+//
+// A virtual column appends its add-on ids: t=<mapId>:<tier>|<addonId>,<addonId>
+
+import { COMPARISON_VIEWS, sanitizeComparisonState } from '../../lib/comparisonState.js';
+
+const readPair = (value) => {
+    const i = value.indexOf(':');
+    if (i <= 0) return null;
+    // Only a trailing list of ids counts as add-ons, so tier names may hold "|"
+    const [, tier, addons] = value.slice(i + 1).match(/^(.*?)(?:\|([a-f0-9]{24}(?:,[a-f0-9]{24})*))?$/s);
+    return { mapId: value.slice(0, i), tier, addons: addons ? addons.split(',') : [] };
+};
+
+const writePair = ({ mapId, tier, addons }) => `${mapId}:${tier}${addons?.length ? `|${addons.join(',')}` : ''}`;
+
+/**
+ * @returns {{ view: string, manageMapId: string|null, shortLink: string|null, comparison: object }}
+ */
+export function parseLocation({ pathname, search }) {
+    const [section, id] = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const params = new URLSearchParams(search);
+    const comparison = sanitizeComparisonState({
+        view: section,
+        tiers: params.getAll('t').map(readPair),
+        search: params.get('q') || '',
+        diffOnly: params.get('diff') === '1',
+        mode: params.get('mode') || 'full',
+    });
+    const route = { view: 'landing', manageMapId: null, shortLink: null, comparison };
+
+    // A comparison view without tiers has nothing to show
+    if (COMPARISON_VIEWS.includes(section) && comparison.tiers.length) route.view = section;
+    else if (section === 'library') Object.assign(route, { view: 'library', manageMapId: id || null });
+    else if (section === 'users') route.view = 'users';
+    else if (section === 'requirements') route.view = 'requirements';
+    else if (section === 'search') route.view = 'search';
+    else if (section === 's' && id) route.shortLink = id;
+    return route;
+}
+
+export function buildLocation({ view, manageMapId, comparison }) {
+    let path = view === 'landing' ? '/' : `/${view}`;
+    if (view === 'library' && manageMapId) path += `/${encodeURIComponent(manageMapId)}`;
+
+    const params = new URLSearchParams();
+    for (const pair of comparison.tiers) params.append('t', writePair(pair));
+    if (comparison.search) params.set('q', comparison.search);
+    if (comparison.diffOnly) params.set('diff', '1');
+    if (comparison.mode !== 'full') params.set('mode', comparison.mode);
+    const query = params.toString();
+    return query ? `${path}?${query}` : path;
+}
@@ -0,0 +1,64 @@
+
+// Save or check the HTML snapshots the table parser is tested against.
+//
+//   node sync-snapshots.js                  parse fixtures/html/<key>.html and print what was found
+//   node sync-snapshots.js --save           fetch the live pages into fixtures/html first
+//   node sync-snapshots.js business --save  limit either mode to some source keys
+//
+// Sources come from the built-in defaults (lib/syncSources.js), not the
+// database; without keys only the defaults that are enabled are checked.
+// SYNC_HTML_SNAPSHOTS points at another snapshot directory.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseComparisonHtml } from './lib/comparisonTable.js';
+import { DEFAULT_SNAPSHOT_DIR } from './lib/pageExtraction.js';
+import { DEFAULT_SYNC_SOURCES } from './lib/syncSources.js';
+
+const args = process.argv.slice(2);
+const save = args.includes('--save');
+const keys = args.filter(a => !a.startsWith('--'));
+const dir = process.env.SYNC_HTML_SNAPSHOTS || DEFAULT_SNAPSHOT_DIR;
+
+async function run() {
+    const selected = keys.length ? keys : Object.keys(DEFAULT_SYNC_SOURCES).filter(k => DEFAULT_SYNC_SOURCES[k].enabled);
+    let failed = 0;
+
+    for (const key of selected) {
+        const source = DEFAULT_SYNC_SOURCES[key];
+        if (!source) {
+            console.error(`❌ Unknown source: ${key}`);
+            failed++;
+            continue;
+        }
+        const file = path.join(dir, `${key}.html`);
+
+        try {
+            if (save) {
+                const response = await fetch(source.url, {
+                    headers: {
+                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                        'Accept-Language': 'en-US,en;q=0.9',
+                    },
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                await fs.mkdir(dir, { recursive: true });
+                await fs.writeFile(file, await response.text());
+                console.log(`💾 Saved ${source.url} to ${file}`);
+            }
+
+            const { data, stats } = parseComparisonHtml(await fs.readFile(file, 'utf8'), source);
+            const missingTiers = source.tiers.filter(t => !data.tiers.includes(t));
+            console.log(`📊 ${key}: ${stats.features} features in ${data.categories.length} categories from ${stats.grids} grid(s)`);
+            for (const cat of data.categories) console.log(`   ${cat.name}: ${cat.features.length}`);
+            if (missingTiers.length) console.warn(`⚠️ ${key}: no column found for ${missingTiers.join(', ')}`);
+            if (!stats.features) failed++;
+        } catch (err) {
+            console.error(`❌ ${key}: ${err.message}`);
+            failed++;
+        }
+    }
+
+    process.exitCode = failed ? 1 : 0;
+}
+run();
@@ -0,0 +1,421 @@
+// Route tests for the shared backend (lib/app.js). The suite runs once per
+// deployment mode: as server.js runs it (jobs answer 202 and finish in the
+// background) and as the Vercel functions run it (jobs finish inside the
+// request), each against an in-memory MongoDB and on file storage
+// (lib/fileStore.js). All modes share one process, so nothing may be set up
+// for the first database only. AI calls go to the mock provider, sync pages
+// come from fixtures/html.
+//
+//   npm test
+
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ObjectId } from 'mongodb';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { PDFDocument } from 'pdf-lib';
+import { createApp } from '../lib/app.js';
+import { createDatabase, createFileStore, createMongoStore } from '../lib/db.js';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.CRON_SECRET = 'test-cron-secret';
+
+const MODES = [
+    { name: 'local server, MongoDB', storage: 'mongodb', waitForJobs: false },
+    { name: 'serverless, MongoDB', storage: 'mongodb', waitForJobs: true },
+    { name: 'local server, file storage', storage: 'file', waitForJobs: false },
+    { name: 'serverless, file storage', storage: 'file', waitForJobs: true },
+];
+
+// Started on first use, so the file storage run needs no mongod binary
+let mongo;
+const tempDirs = [];
+before(() => {
+    // The server's progress log; Node 20's runner can garble a long one. Errors still print.
+    for (const level of ['log', 'info', 'warn']) mock.method(console, level, () => { });
+});
+after(async () => {
+    mock.restoreAll();
+    await mongo?.stop();
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function openStore(mode, i) {
+    if (mode.storage === 'file') {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'licensing-test-'));
+        tempDirs.push(dir);
+        return createFileStore(dir);
+    }
+    mongo ||= await MongoMemoryServer.create();
+    return createMongoStore(mongo.getUri(), { dbName: `licensing_test_${i}` });
+}
+
+async function samplePdf(pages = 1) {
+    const pdf = await PDFDocument.create();
+    for (let page = 1; page <= pages; page++) pdf.addPage().drawText(`Plan comparison, page ${page}`);
+    return pdf.save();
+}
+
+for (const [i, mode] of MODES.entries()) {
+    describe(`API (${mode.name})`, () => {
+        let database;
+        let db;
+        let server;
+        let baseUrl;
+        let token;
+
+        const api = async (path, { method = 'GET', json, body, auth = token, headers = {} } = {}) => {
+            const res = await fetch(`${baseUrl}${path}`, {
+                method,
+                headers: {
+                    ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...(auth ? { Authorization: `Bearer ${auth}` } : {}),
+                    ...headers,
+                },
+                body: json !== undefined ? JSON.stringify(json) : body,
+            });
+            return { status: res.status, body: await res.json() };
+        };
+
+        // 202 means the job is still running in this process
+        const settle = async ({ status, body: job }) => {
+            if (status !== 202) return job;
+            for (let tries = 0; tries < 100; tries++) {
+                const { body: current } = await api(`/api/jobs/${job._id}`);
+                if (['succeeded', 'failed', 'cancelled'].includes(current.status)) return current;
+                await new Promise(r => setTimeout(r, 100));
+            }
+            throw new Error(`Job ${job._id} did not finish`);
+        };
+
+        before(async () => {
+            database = createDatabase(await openStore(mode, i));
+            db = await database.getDB();
+            server = createApp({ getDB: database.getDB, waitForJobs: mode.waitForJobs }).listen(0);
+            await new Promise(r => server.once('listening', r));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+        after(async () => {
+            await new Promise(r => server.close(r));
+            await database.close();
+        });
+
+        test('health check answers without a database round-trip', async () => {
+            const { status, body } = await api('/api/health');
+            assert.equal(status, 200);
+            assert.equal(body.status, 'ok');
+        });
+
+        test('the first account becomes super admin and can log in', async () => {
+            // Two registrations racing for an empty instance: one admin, one access request
+            const registered = await Promise.all(['owner', 'rival'].map(username => api('/api/auth/register', { method: 'POST', json: { username, password: 'correct horse' } })));
+            assert.deepEqual(registered.map(r => r.status), [201, 201]);
+            const admins = registered.map(r => r.body.user).filter(u => u.role === 'super_admin');
+            assert.equal(admins.length, 1);
+            assert.deepEqual(registered.map(r => r.body.user).filter(u => u !== admins[0]).map(u => [u.role, u.status]), [['viewer', 'pending']]);
+
+            const login = await api('/api/auth/login', { method: 'POST', json: { username: admins[0].username, password: 'correct horse' } });
+            assert.equal(login.status, 200);
+            token = login.body.token;
+        });
+
+        test('editor routes reject anonymous requests', async () => {
+            for (const [method, path] of [['PUT', '/api/maps/000000000000000000000000'], ['POST', '/api/extract'], ['POST', '/api/sync'], ['GET', '/api/sync']]) {
+                const { status } = await api(path, { method, json: method === 'GET' ? undefined : {}, auth: null });
+                assert.equal(status, 401, `${method} ${path}`);
+            }
+        });
+
+        test('maps are listed without signing in', async () => {
+            const { status, body } = await api('/api/maps', { auth: null });
+            assert.equal(status, 200);
+            assert.deepEqual(body, []);
+        });
+
+        let mapId;
+        test('an uploaded PDF is extracted into a map', async () => {
+            const form = new FormData();
+            form.append('file', new Blob([await samplePdf()], { type: 'application/pdf' }), 'Enterprise Plans.pdf');
+            form.append('track', 'enterprise');
+            form.append('pagesPerChunk', '0');
+
+            const response = await api('/api/extract', { method: 'POST', body: form });
+            assert.equal(response.status, mode.waitForJobs ? 200 : 202);
+            const job = await settle(response);
+            assert.equal(job.status, 'succeeded', job.error?.message);
+            assert.equal(job.result.title, 'Enterprise Plans');
+            assert.equal(job.result.version, 1);
+
+            const { body: maps } = await api('/api/maps');
+            assert.equal(maps.length, 1);
+            assert.ok(maps[0].featureCount > 0);
+            mapId = maps[0]._id;
+        });
+
+        test('an upload without a file is rejected', async () => {
+            const { status } = await api('/api/extract', { method: 'POST', body: new FormData() });
+            assert.equal(status, 400);
+        });
+
+        test('a map is renamed, and invalid or unknown ids are told apart', async () => {
+            const renamed = await api(`/api/maps/${mapId}`, { method: 'PUT', json: { title: 'Enterprise' } });
+            assert.equal(renamed.status, 200);
+            assert.equal(renamed.body.title, 'Enterprise');
+
+            assert.equal((await api(`/api/maps/${mapId}`, { method: 'PUT', json: { title: ' ' } })).status, 400);
+            assert.equal((await api('/api/maps/not-an-id', { method: 'PUT', json: { title: 'x' } })).status, 400);
+            assert.equal((await api('/api/maps/000000000000000000000000', { method: 'PUT', json: { title: 'x' } })).status, 404);
+        });
+
+        test('list prices are validated per tier', async () => {
+            const { body: [map] } = await api('/api/maps');
+            const [tier] = map.data.tiers;
+
+            const saved = await api(`/api/maps/${mapId}/pricing`, { method: 'PUT', json: { pricing: { [tier]: { monthly: 36, currency: 'USD' } } } });
+            assert.equal(saved.status, 200);
+            assert.equal(saved.body.data.pricing[tier].monthly, 36);
+
+            const rejected = await api(`/api/maps/${mapId}/pricing`, { method: 'PUT', json: { pricing: { 'No such tier': { monthly: 1, currency: 'USD' } } } });
+            assert.equal(rejected.status, 400);
+        });
+
+        test('a feature is edited in place', async () => {
+            const { body: [map] } = await api('/api/maps');
+            const [category] = map.data.categories;
+            const [feature] = category.features;
+
+            const edited = await api(`/api/maps/${mapId}/features`, { method: 'PATCH', json: { category: category.name, name: feature.name, changes: { description: 'Edited' } } });
+            assert.equal(edited.status, 200, edited.body.error);
+            assert.equal(edited.body.data.categories[0].features[0].description, 'Edited');
+            assert.notEqual(edited.body.updatedAt, map.updatedAt);
+
+            // A new status replaces the tier's qualifier rather than keeping the old one
+            const [tier] = map.data.tiers;
+            const qualified = await api(`/api/maps/${mapId}/features`, { method: 'PATCH', json: { category: category.name, name: feature.name, changes: { status: { [tier]: 'Full (Plan 2)' } } } });
+            assert.equal(qualified.body.data.categories[0].features[0].qualifiers[tier], 'Plan 2');
+            const plain = await api(`/api/maps/${mapId}/features`, { method: 'PATCH', json: { category: category.name, name: feature.name, changes: { status: { [tier]: 'Full' } } } });
+            assert.equal(plain.status, 200, plain.body.error);
+            assert.equal(plain.body.data.categories[0].features[0].status[tier], 'Full');
+            assert.equal(plain.body.data.categories[0].features[0].qualifiers?.[tier], undefined);
+
+            const missing = await api(`/api/maps/${mapId}/features`, { method: 'PATCH', json: { category: category.name, name: 'No such feature', changes: { description: 'x' } } });
+            assert.equal(missing.status, 404);
+
+            // Every edit is a version of its own, the rename and prices included
+            const { body: history } = await api(`/api/maps/${mapId}/versions`);
+            assert.deepEqual(history.versions.map(v => v.source), ['edit', 'edit', 'edit', 'edit', 'edit', 'upload']);
+            assert.equal(history.current, plain.body.version);
+            const { body: diff } = await api(`/api/maps/${mapId}/diff?from=${edited.body.version - 1}&to=${edited.body.version}`);
+            assert.deepEqual(diff.diff.descriptionChanges.map(c => [c.name, c.to]), [[feature.name, 'Edited']]);
+        });
+
+        test('a map saved before version history gets a baseline on its first edit only', async () => {
+            const { insertedId } = await db.collection('maps').insertOne({ title: 'Legacy', type: 'pdf', source: 'upload', data: { tiers: ['E3'], categories: [{ name: 'Apps', features: [{ name: 'Word', description: '', status: { E3: 'Full' } }] }] } });
+            const countVersions = () => db.collection('map_versions').countDocuments({ mapId: insertedId });
+
+            const { body: empty } = await api(`/api/maps/${insertedId}/versions`, { auth: null });
+            assert.deepEqual(empty, { current: null, versions: [] });
+            assert.equal((await api(`/api/maps/${insertedId}/diff`, { auth: null })).status, 404);
+            assert.equal(await countVersions(), 0);
+
+            const priced = await api(`/api/maps/${insertedId}/pricing`, { method: 'PUT', json: { pricing: { E3: { monthly: 36, currency: 'USD' } } } });
+            assert.equal(priced.status, 200, priced.body.error);
+            const { body: history } = await api(`/api/maps/${insertedId}/versions`);
+            assert.deepEqual(history.versions.map(v => [v.version, v.source]), [[2, 'edit'], [1, 'baseline']]);
+            assert.equal((await api(`/api/maps/${insertedId}`, { method: 'DELETE' })).status, 200);
+        });
+
+        test('a manual sync creates a map per source and logs the run', async () => {
+            const response = await api('/api/sync', { method: 'POST', json: { sources: ['business'] } });
+            assert.equal(response.status, mode.waitForJobs ? 200 : 202);
+            const job = await settle(response);
+            assert.equal(job.status, 'succeeded', job.error?.message);
+            assert.equal(job.result.totalSynced, 1, JSON.stringify(job.result.errors));
+            assert.equal(job.result.results[0].action, 'CREATED');
+
+            const { body: history } = await api('/api/sync-history');
+            assert.equal(history.length, 1);
+            assert.equal(history[0].triggeredBy, 'manual');
+        });
+
+        test('a second sync updates the map and records a new version', async () => {
+            // An admin note is curated, so it outlives the fresh extraction
+            const { body: maps } = await api('/api/maps');
+            const synced = maps.find(m => m.sourceKey === 'business');
+            const [category] = synced.data.categories;
+            const [feature] = category.features;
+            const noted = await api(`/api/maps/${synced._id}/features`, { method: 'PATCH', json: { category: category.name, name: feature.name, changes: { note: 'Confirmed with the licensing desk' } } });
+            assert.equal(noted.status, 200, noted.body.error);
+
+            const job = await settle(await api('/api/sync', { method: 'POST', json: { sources: ['business'] } }));
+            assert.equal(job.result.results[0].action, 'UPDATED');
+            // The note was version 2
+            assert.equal(job.result.results[0].version, 3);
+            const { body: after } = await api('/api/maps');
+            const resynced = after.find(m => m.sourceKey === 'business');
+            assert.equal(resynced.data.categories.flatMap(c => c.features).find(f => f.name === feature.name).note, 'Confirmed with the licensing desk');
+        });
+
+        test('curated feature edits outlive a sync', async () => {
+            const { body: maps } = await api('/api/maps');
+            const synced = maps.find(m => m.sourceKey === 'business');
+            const category = synced.data.categories.at(-1);
+            const [linked, renamed] = category.features;
+            const link = 'https://learn.microsoft.com/microsoft-365/business-premium';
+            const edit = (name, changes) => api(`/api/maps/${synced._id}/features`, { method: 'PATCH', json: { category: category.name, name, changes } });
+            assert.equal((await edit(linked.name, { link })).status, 200);
+            assert.equal((await edit(renamed.name, { name: 'Curated name' })).status, 200);
+            assert.equal((await edit('Curated name', { description: 'Curated description' })).status, 200);
+
+            const job = await settle(await api('/api/sync', { method: 'POST', json: { sources: ['business'] } }));
+            assert.equal(job.status, 'succeeded', job.error?.message);
+            const { body: after } = await api('/api/maps');
+            const features = after.find(m => m.sourceKey === 'business').data.categories.flatMap(c => c.features);
+            assert.equal(features.find(f => f.name === linked.name).link, link);
+            assert.equal(features.find(f => f.name === 'Curated name').description, 'Curated description');
+            assert.ok(!features.some(f => f.name === renamed.name));
+        });
+
+        test('webhook subscriptions cannot target the internal network', async () => {
+            const subscribe = (target) => api('/api/notifications/subscriptions', { method: 'POST', json: { channel: 'webhook', target } });
+            const refused = await subscribe('http://169.254.169.254/latest/meta-data');
+            assert.equal(refused.status, 400);
+            assert.match(refused.body.error, /not a public address/);
+
+            const saved = await subscribe('https://203.0.113.7/hook');
+            assert.equal(saved.status, 201, saved.body.error);
+            const moved = await api(`/api/notifications/subscriptions/${saved.body._id}`, { method: 'PATCH', json: { target: 'http://127.0.0.1:27017/' } });
+            assert.equal(moved.status, 400);
+            assert.equal((await api(`/api/notifications/subscriptions/${saved.body._id}`, { method: 'DELETE' })).status, 200);
+        });
+
+        test('the cron authenticates with its secret only', async () => {
+            assert.equal((await api('/api/sync', { auth: 'wrong' })).status, 401);
+
+            // Leave one source enabled so the run stays short
+            const { body: { sources } } = await api('/api/sync-sources');
+            for (const key of Object.keys(sources).filter(k => k !== 'business' && sources[k].enabled)) {
+                assert.equal((await api(`/api/sync-sources/${key}`, { method: 'PATCH', json: { enabled: false } })).status, 200);
+            }
+
+            const response = await api('/api/sync', { auth: process.env.CRON_SECRET });
+            assert.equal(response.status, 200);
+            assert.equal(response.body.createdBy, 'cron');
+            assert.deepEqual(response.body.params.sources, ['business']);
+
+            const { body: history } = await api('/api/sync-history');
+            assert.equal(history[0].triggeredBy, 'cron');
+        });
+
+        test('search finds a feature in every map and facets its tiers', async () => {
+            const { body: maps } = await api('/api/maps');
+            const synced = maps.find(m => m.sourceKey === 'business');
+            const feature = synced.data.categories[0].features.find(f => Object.values(f.status).includes('Full'));
+
+            const { status, body } = await api(`/api/search?q=${encodeURIComponent(feature.name)}`, { auth: null });
+            assert.equal(status, 200);
+            assert.equal(body.results[0].name, feature.name);
+            assert.ok(body.results[0].matches.some(m => m.mapId === synced._id));
+            assert.deepEqual(body.facets.tier.map(t => t.value).sort(), [...new Set(body.results.flatMap(r => r.matches.flatMap(m => m.tiers.map(t => t.tier))))].sort());
+
+            // "Which tiers include it?": a status filter keeps only those cells
+            const included = synced.data.tiers.filter(t => feature.status[t] === 'Full');
+            const { body: full } = await api(`/api/search?q=${encodeURIComponent(feature.name)}&status=Full`);
+            const hit = full.results.find(r => r.name === feature.name).matches.find(m => m.mapId === synced._id);
+            assert.deepEqual(hit.tiers.map(t => t.tier), included);
+
+            assert.equal((await api('/api/search')).status, 400);
+        });
+
+        test('the library round-trips through export and import', async () => {
+            const exported = await api('/api/library/export');
+            assert.equal(exported.status, 200);
+            const bundle = exported.body;
+            assert.equal(bundle.format, 'licensing-library');
+            assert.equal(bundle.maps.length, 2);
+            assert.ok(bundle.maps.every(m => m._id === undefined && m.featureCount > 0));
+
+            const importBundle = (b, fields) => {
+                const form = new FormData();
+                form.append('file', new Blob([JSON.stringify(b)], { type: 'application/json' }), 'library.json');
+                for (const [key, value] of Object.entries(fields)) form.append(key, value);
+                return api('/api/library/import', { method: 'POST', body: form });
+            };
+
+            // Everything is already there, and a preview writes nothing
+            const versionsBefore = await db.collection('map_versions').countDocuments({});
+            const preview = await importBundle({ ...bundle, maps: [...bundle.maps, { ...bundle.maps[0], sourceKey: undefined, title: 'Imported Plans' }] }, { strategy: 'skip', dryRun: 'true' });
+            assert.equal(preview.status, 200);
+            assert.deepEqual(preview.body.items.filter(i => i.kind === 'map').map(i => i.action), ['skip', 'skip', 'create']);
+            assert.equal((await api('/api/maps')).body.length, 2);
+            assert.equal(await db.collection('map_versions').countDocuments({}), versionsBefore);
+
+            const rule = { scope: 'feature', type: 'alias', names: ['Exchange Online', 'Business Email'], canonical: 'Exchange Online', note: '' };
+            const applied = await importBundle({ ...bundle, maps: [...bundle.maps, { ...bundle.maps[0], sourceKey: undefined, title: 'Imported Plans' }], mergeRules: [rule] }, { strategy: 'merge' });
+            assert.equal(applied.status, 200);
+            assert.deepEqual(applied.body.items.filter(i => i.kind === 'map').map(i => i.action), ['merge', 'merge', 'create']);
+            assert.equal(applied.body.summary.create, 2);
+
+            const { body: maps } = await api('/api/maps');
+            const imported = maps.find(m => m.title === 'Imported Plans');
+            assert.equal(imported.featureCount, bundle.maps[0].featureCount);
+            const { body: history } = await api(`/api/maps/${imported._id}/versions`);
+            assert.equal(history.versions[0].source, 'import');
+            assert.equal((await api('/api/merge-rules')).body.length, 1);
+
+            assert.equal((await importBundle({ format: 'something-else' }, {})).status, 400);
+            assert.equal((await importBundle(bundle, { strategy: 'overwrite' })).status, 400);
+        });
+
+        test('a match scan runs against this app\'s database', async () => {
+            const response = await api('/api/match-proposals/scan', { method: 'POST' });
+            assert.equal(response.status, mode.waitForJobs ? 200 : 202);
+            const job = await settle(response);
+            assert.equal(job.status, 'succeeded', job.error?.message);
+
+            const { status, body } = await api('/api/match-proposals');
+            assert.equal(status, 200);
+            assert.equal(body.length, job.result.proposals);
+        });
+
+        test('a long PDF is extracted in page ranges and merged', async () => {
+            // One mock fixture per range: fixtures/llm/chunked-plans.p1-2.json and .p3-4.json
+            const form = new FormData();
+            form.append('file', new Blob([await samplePdf(4)], { type: 'application/pdf' }), 'chunked-plans.pdf');
+            form.append('track', 'enterprise');
+            form.append('pagesPerChunk', '2');
+
+            const job = await settle(await api('/api/extract', { method: 'POST', body: form }));
+            assert.equal(job.status, 'succeeded', job.error?.message);
+            const map = job.result;
+            assert.equal(map.extraction.mode, 'chunked');
+            assert.deepEqual(map.extraction.chunks.map(c => [c.from, c.to, c.features]), [[1, 2, 2], [3, 4, 2]]);
+
+            // The second range's tier and feature spellings fold into the first one's
+            assert.deepEqual(map.data.tiers, ['M365 E3', 'M365 E5']);
+            const features = map.data.categories.flatMap(c => c.features.map(f => ({ category: c.name, ...f })));
+            assert.deepEqual(features.map(f => [f.category, f.name, f.sourcePages]), [
+                ['Security', 'Defender for Endpoint', [2, 3]],
+                ['Security', 'Entra ID Plan 2', [1, 2]],
+                ['Identity', 'Entra ID Plan 1', [4]],
+            ]);
+            const [defender] = features;
+            assert.deepEqual(defender.status, { 'M365 E3': 'Full', 'M365 E5': 'Full' });
+            assert.deepEqual(defender.qualifiers, { 'M365 E3': 'Plan 2' });
+            assert.equal(defender.link, 'https://learn.microsoft.com/defender-endpoint/');
+            assert.equal(defender.description, 'Endpoint protection with automated investigation and response.');
+
+            assert.equal((await api(`/api/maps/${map._id}`, { method: 'DELETE' })).status, 200);
+        });
+
+        test('deleting a map removes its versions', async () => {
+            const { status } = await api(`/api/maps/${mapId}`, { method: 'DELETE' });
+            assert.equal(status, 200);
+            const { body: maps } = await api('/api/maps');
+            assert.ok(!maps.some(m => m._id === mapId));
+            assert.equal(await db.collection('map_versions').countDocuments({ mapId: new ObjectId(mapId) }), 0);
+        });
+    });
+}
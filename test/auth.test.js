@@ -0,0 +1,78 @@
+// Unit tests for the super admin bootstrap (lib/auth.js), on file storage.
+//
+//   npm test
+
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createApp } from '../lib/app.js';
+import { createDatabase, createFileStore } from '../lib/db.js';
+import { seedSuperAdmin } from '../lib/auth.js';
+
+const tempDirs = [];
+after(() => {
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const saved = { NODE_ENV: process.env.NODE_ENV, VERCEL: process.env.VERCEL, ADMIN_USERNAME: process.env.ADMIN_USERNAME, ADMIN_PASSWORD: process.env.ADMIN_PASSWORD };
+beforeEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    }
+});
+
+// A fresh instance per test, with `register` and `login` against its app
+async function instance() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'licensing-auth-'));
+    tempDirs.push(dir);
+    const database = createDatabase(createFileStore(dir), { onConnect: seedSuperAdmin });
+    const server = createApp({ getDB: database.getDB }).listen(0);
+    await new Promise(r => server.once('listening', r));
+    const post = async (route, json) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(json),
+        });
+        return { status: res.status, body: await res.json() };
+    };
+    return {
+        register: (username) => post('register', { username, password: 'correct horse' }),
+        login: (username, password = 'correct horse') => post('login', { username, password }),
+        close: async () => {
+            await new Promise(r => server.close(r));
+            await database.close();
+        },
+    };
+}
+
+test('in production the first registration is an access request like any other', async () => {
+    process.env.NODE_ENV = 'production';
+    const app = await instance();
+    try {
+        const { status, body } = await app.register('visitor');
+        assert.equal(status, 201);
+        assert.deepEqual([body.user.role, body.user.status], ['viewer', 'pending']);
+        assert.equal((await app.login('visitor')).status, 403);
+    } finally {
+        await app.close();
+    }
+});
+
+test('in production the super admin comes from the environment', async () => {
+    process.env.VERCEL = '1';
+    process.env.ADMIN_USERNAME = 'admin';
+    process.env.ADMIN_PASSWORD = 'from the environment';
+    const app = await instance();
+    try {
+        assert.equal((await app.register('visitor')).body.user.role, 'viewer');
+        const login = await app.login('admin', 'from the environment');
+        assert.equal(login.status, 200);
+        assert.equal(login.body.user.role, 'super_admin');
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,102 @@
+// Unit tests for comparison state (lib/comparisonState.js) and its address bar
+// codec (src/lib/routes.js).
+//
+//   npm test
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_COLUMN_ADDONS, MAX_COMPARED_TIERS, sanitizeComparisonState } from '../lib/comparisonState.js';
+import { buildLocation, parseLocation } from '../src/lib/routes.js';
+
+const MAP = '64b7f0c2a1b2c3d4e5f60718';
+const ADDON_A = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const ADDON_B = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+
+// The address bar splits a URL into pathname and search the same way
+const roundTrip = (route) => {
+    const url = new URL(buildLocation(route), 'https://licensemap.example');
+    return parseLocation({ pathname: url.pathname, search: url.search });
+};
+
+describe('sanitizing', () => {
+    test('defaults fill in for missing or unknown values', () => {
+        assert.deepEqual(sanitizeComparisonState(), { view: 'matrix', tiers: [], search: '', diffOnly: false, mode: 'full' });
+        assert.deepEqual(sanitizeComparisonState({ view: 'chart', mode: 'compact', diffOnly: 'yes', search: 42 }), { view: 'matrix', tiers: [], search: '', diffOnly: false, mode: 'full' });
+    });
+
+    test('malformed and repeated pairs are dropped', () => {
+        const { tiers } = sanitizeComparisonState({
+            tiers: [
+                { mapId: MAP, tier: ' E3 ' },
+                { mapId: MAP, tier: 'E3' },
+                { mapId: '', tier: 'E5' },
+                { mapId: MAP },
+                null,
+                { mapId: MAP, tier: 'E3', addons: [ADDON_A] },
+            ],
+        });
+        assert.deepEqual(tiers, [{ mapId: MAP, tier: 'E3' }, { mapId: MAP, tier: 'E3', addons: [ADDON_A] }]);
+    });
+
+    test('add-on ids are validated, sorted, deduplicated and capped', () => {
+        const many = Array.from({ length: MAX_COLUMN_ADDONS + 2 }, (_, i) => String(i).repeat(24));
+        const [column] = sanitizeComparisonState({ tiers: [{ mapId: MAP, tier: 'E3', addons: [ADDON_B, 'not-an-id', ADDON_A, ADDON_B] }] }).tiers;
+        assert.deepEqual(column.addons, [ADDON_A, ADDON_B]);
+        const [capped] = sanitizeComparisonState({ tiers: [{ mapId: MAP, tier: 'E3', addons: many }] }).tiers;
+        assert.equal(capped.addons.length, MAX_COLUMN_ADDONS);
+    });
+
+    test('at most MAX_COMPARED_TIERS columns are kept', () => {
+        const tiers = Array.from({ length: MAX_COMPARED_TIERS + 1 }, (_, i) => ({ mapId: MAP, tier: `Tier ${i}` }));
+        assert.equal(sanitizeComparisonState({ tiers }).tiers.length, MAX_COMPARED_TIERS);
+    });
+});
+
+describe('address bar', () => {
+    test('a comparison survives build then parse', () => {
+        const route = {
+            view: 'matrix',
+            manageMapId: null,
+            shortLink: null,
+            comparison: {
+                view: 'matrix',
+                tiers: [
+                    { mapId: MAP, tier: 'Microsoft 365 E3' },
+                    { mapId: MAP, tier: 'Microsoft 365 E3', addons: [ADDON_A, ADDON_B] },
+                    { mapId: MAP, tier: 'Plan: Business | Premium' },
+                    { mapId: MAP, tier: 'Frontline F3 (€ 7,50 & more)', addons: [ADDON_B] },
+                ],
+                search: 'eDiscovery & DLP',
+                diffOnly: true,
+                mode: 'availability',
+            },
+        };
+        assert.deepEqual(roundTrip(route), route);
+    });
+
+    test('every comparison view and default filters round-trip', () => {
+        for (const view of ['map', 'matrix', 'costs']) {
+            const route = { view, manageMapId: null, shortLink: null, comparison: { view, tiers: [{ mapId: MAP, tier: 'E5' }], search: '', diffOnly: false, mode: 'full' } };
+            assert.deepEqual(roundTrip(route), route);
+            assert.equal(buildLocation(route), `/${view}?t=${MAP}%3AE5`);
+        }
+    });
+
+    test('only a trailing list of ids is read as add-ons', () => {
+        const { comparison } = parseLocation({ pathname: '/matrix', search: `?t=${MAP}:E3|extra&t=${MAP}:E3|${ADDON_A},nope` });
+        assert.deepEqual(comparison.tiers, [{ mapId: MAP, tier: 'E3|extra' }, { mapId: MAP, tier: `E3|${ADDON_A},nope` }]);
+    });
+
+    test('other views keep the comparison in the query', () => {
+        const comparison = sanitizeComparisonState({ tiers: [{ mapId: MAP, tier: 'E3' }] });
+        const library = { view: 'library', manageMapId: MAP, shortLink: null, comparison };
+        assert.deepEqual(roundTrip(library), library);
+        assert.deepEqual(roundTrip({ view: 'landing', manageMapId: null, shortLink: null, comparison }).comparison, comparison);
+    });
+
+    test('a comparison view without tiers, or an unknown path, lands on the landing page', () => {
+        assert.equal(parseLocation({ pathname: '/matrix', search: '' }).view, 'landing');
+        assert.equal(parseLocation({ pathname: '/nowhere', search: `?t=${MAP}:E3` }).view, 'landing');
+        assert.equal(parseLocation({ pathname: '/s/abc123', search: '' }).shortLink, 'abc123');
+    });
+});
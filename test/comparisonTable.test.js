@@ -0,0 +1,117 @@
+// Parser tests against the saved comparison pages in fixtures/html, one per
+// source (lib/comparisonTable.js). Refresh a snapshot with
+// `npm run sync:snapshots -- <key> --save` and update the expectations here.
+//
+//   npm test
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parse } from 'node-html-parser';
+import { parseComparisonHtml, parsePricingHtml, readStatusCell } from '../lib/comparisonTable.js';
+import { STATUS } from '../lib/mapSchema.js';
+import { DEFAULT_SYNC_SOURCES } from '../lib/syncSources.js';
+
+const snapshot = (key) => fs.readFileSync(new URL(`../fixtures/html/${key}.html`, import.meta.url), 'utf8');
+
+const featureIn = (data, name) => data.categories.flatMap(c => c.features).find(f => f.name === name);
+
+// Spot checks per snapshot: table layout, section rows, icon and text cells, qualifiers
+const EXPECTED = {
+    enterprise_m365: {
+        grids: 1,
+        features: 16,
+        categories: ['Productivity apps', 'Meetings and calls', 'Identity and access management', 'Cyberthreat protection', 'Information protection and compliance', 'Endpoint management'],
+        statuses: {
+            'Desktop versions of Microsoft 365 apps': { 'Microsoft 365 E3': STATUS.FULL, 'Microsoft 365 F3': STATUS.NOT_INCLUDED },
+            'Microsoft Teams': { 'Microsoft 365 E3': STATUS.ADD_ON },
+            'Microsoft Purview Information Protection': { 'Microsoft 365 E3': STATUS.PARTIAL, 'Microsoft 365 E5': STATUS.FULL },
+        },
+        qualifiers: { 'Microsoft Entra ID': { 'Microsoft 365 E3': 'Plan 1', 'Microsoft 365 E5': 'Plan 2' }, 'Mailbox storage': { 'Microsoft 365 F3': '2 GB' } },
+        link: ['Microsoft Entra ID', 'https://learn.microsoft.com/en-us/entra/fundamentals/whatis'],
+        pricing: { 'Microsoft 365 E3': 36, 'Microsoft 365 E5': 57, 'Microsoft 365 F3': 8 },
+    },
+    // ARIA grid (role="row" / "cell") with plan cards above it naming the tiers
+    enterprise_office365: {
+        grids: 1,
+        features: 10,
+        categories: ['Apps and services', 'Security and compliance', 'Voice and analytics'],
+        statuses: {
+            'Microsoft 365 Apps': { 'Office 365 E1': STATUS.NOT_INCLUDED, 'Office 365 E3': STATUS.FULL },
+            'Customer Lockbox': { 'Office 365 E3': STATUS.NOT_INCLUDED, 'Office 365 E5': STATUS.FULL },
+        },
+        qualifiers: { 'Exchange Online': { 'Office 365 E1': '50 GB', 'Office 365 E3': '100 GB' }, eDiscovery: { 'Office 365 E5': 'Premium' } },
+        pricing: { 'Office 365 E1': 10, 'Office 365 E3': 23, 'Office 365 E5': 38 },
+    },
+    // One table per section, each under its own heading
+    business: {
+        grids: 2,
+        features: 10,
+        categories: ['Apps and services', 'Security and device management'],
+        statuses: {
+            'Word, Excel, PowerPoint and Outlook': { 'Microsoft 365 Business Basic': STATUS.NOT_INCLUDED, 'Microsoft 365 Business Standard': STATUS.FULL },
+            'Microsoft Defender for Business': { 'Microsoft 365 Business Standard': STATUS.NOT_INCLUDED, 'Microsoft 365 Business Premium': STATUS.FULL },
+        },
+        qualifiers: { 'Exchange email': { 'Microsoft 365 Business Basic': '50 GB' }, 'Microsoft Intune': { 'Microsoft 365 Business Premium': 'Plan 1' } },
+        link: ['Microsoft Defender for Business', 'https://learn.microsoft.com/en-us/defender-business/mdb-overview'],
+        pricing: { 'Microsoft 365 Business Basic': 6, 'Microsoft 365 Business Standard': 12.5, 'Microsoft 365 Business Premium': 22 },
+    },
+};
+
+for (const [key, expected] of Object.entries(EXPECTED)) {
+    describe(`comparison snapshot: ${key}`, () => {
+        const source = DEFAULT_SYNC_SOURCES[key];
+        const html = snapshot(key);
+        const { data, stats } = parseComparisonHtml(html, source);
+
+        test('finds every tier and feature row', () => {
+            assert.deepEqual(data.tiers, source.tiers);
+            assert.equal(stats.grids, expected.grids);
+            assert.equal(stats.features, expected.features);
+            assert.deepEqual(data.categories.map(c => c.name), expected.categories);
+        });
+
+        test('reads a status for every tier of every row', () => {
+            for (const feature of data.categories.flatMap(c => c.features)) {
+                assert.equal(feature.extractedBy, 'table');
+                assert.deepEqual(Object.keys(feature.status).sort(), [...source.tiers].sort(), feature.name);
+                for (const status of Object.values(feature.status)) assert.ok(Object.values(STATUS).includes(status), `${feature.name}: ${status}`);
+            }
+        });
+
+        test('reads statuses, qualifiers and links', () => {
+            for (const [name, statuses] of Object.entries(expected.statuses)) {
+                const feature = featureIn(data, name);
+                assert.ok(feature, name);
+                for (const [tier, status] of Object.entries(statuses)) assert.equal(feature.status[tier], status, `${name} / ${tier}`);
+            }
+            for (const [name, qualifiers] of Object.entries(expected.qualifiers)) {
+                for (const [tier, qualifier] of Object.entries(qualifiers)) assert.equal(featureIn(data, name).qualifiers?.[tier], qualifier, `${name} / ${tier}`);
+            }
+            if (expected.link) assert.equal(featureIn(data, expected.link[0]).link, expected.link[1]);
+        });
+
+        test('reads list prices per tier', () => {
+            const pricing = parsePricingHtml(html, source);
+            assert.deepEqual(Object.fromEntries(Object.entries(pricing).map(([tier, p]) => [tier, p.monthly])), expected.pricing);
+            for (const price of Object.values(pricing)) assert.equal(price.currency, 'USD');
+        });
+    });
+}
+
+test('a page without a comparison grid yields no rows', () => {
+    const { data, stats } = parseComparisonHtml('<html><body><h1>Plans</h1><p>Contact sales.</p></body></html>', DEFAULT_SYNC_SOURCES.business);
+    assert.equal(stats.features, 0);
+    assert.deepEqual(data.categories, []);
+});
+
+test('status cells fall back from text to icon labels to class names', () => {
+    const cell = (html) => parse(`<table><tr><td>${html}</td></tr></table>`).querySelector('td');
+    assert.deepEqual(readStatusCell(cell('Plan 2')), { status: STATUS.FULL, qualifier: 'Plan 2' });
+    assert.deepEqual(readStatusCell(cell('Included in Office 365 E3')), { status: STATUS.FULL, qualifier: null });
+    assert.equal(readStatusCell(cell('<img alt="Not included" src="x.svg">')).status, STATUS.NOT_INCLUDED);
+    assert.equal(readStatusCell(cell('<span class="icon-checkmark"></span>')).status, STATUS.FULL);
+    assert.equal(readStatusCell(cell('<span class="icon-dash"></span>')).status, STATUS.NOT_INCLUDED);
+    assert.equal(readStatusCell(cell('<svg></svg>')).status, STATUS.FULL);
+    assert.equal(readStatusCell(cell('')).status, STATUS.NOT_INCLUDED);
+});
@@ -0,0 +1,32 @@
+// Unit tests for the CSV reader behind requirement and inventory uploads (lib/csv.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findColumn, parseCsv } from '../lib/csv.js';
+
+test('commas, semicolons and tabs are told apart by the first line', () => {
+    assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+    assert.deepEqual(parseCsv('a;b\n1,5;2'), [['a', 'b'], ['1,5', '2']]);
+    assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('quoted cells keep separators, quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('name,note\n"E3, E5","say ""hi""\nthere"'), [['name', 'note'], ['E3, E5', 'say "hi"\nthere']]);
+});
+
+test('a byte order mark, CRLF line ends and blank lines are ignored', () => {
+    assert.deepEqual(parseCsv('﻿sku,count\r\n\r\nSPE_E3,10\r\n,\r\n'), [['sku', 'count'], ['SPE_E3', '10']]);
+});
+
+test('empty input has no rows', () => {
+    assert.deepEqual(parseCsv(''), []);
+    assert.deepEqual(parseCsv(null), []);
+});
+
+test('header cells are matched after trimming', () => {
+    const header = [' Sku Part Number ', 'Consumed'];
+    assert.equal(findColumn(header, /^sku part number$/i), 0);
+    assert.equal(findColumn(header, /^assigned$/i), -1);
+});
@@ -0,0 +1,127 @@
+// Unit tests for tracing a comparison row back to its maps (lib/featureLineage.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { featureLineage } from '../lib/featureLineage.js';
+import { compileMergeRules } from '../lib/mapMerge.js';
+
+// The same plan read twice: a PDF upload, then a later sync of the service description
+const v1 = {
+    id: 'm365-2023',
+    title: 'M365 (2023)',
+    type: 'pdf',
+    fileName: 'm365-2023.pdf',
+    timestamp: Date.UTC(2023, 0, 1),
+    version: 1,
+    data: {
+        tiers: ['E3', 'E5'],
+        categories: [
+            {
+                name: 'Identity',
+                features: [
+                    { name: 'Azure AD Premium P1', description: 'Conditional Access', status: { E3: 'Full', E5: 'Full' } },
+                    { name: 'Intune', description: 'Device management', status: { E3: 'Full', E5: 'Full' }, sourcePages: [4] },
+                ],
+            },
+            {
+                name: 'Voice',
+                features: [{ name: 'Audio Conferencing', status: { E3: 'Add-on', E5: 'Full' } }],
+            },
+        ],
+    },
+};
+const v2 = {
+    id: 'm365-2024',
+    title: 'M365 (2024)',
+    type: 'sync',
+    sourceKey: 'm365',
+    sourceUrl: 'https://learn.microsoft.com/m365',
+    lastSyncedAt: '2024-06-01T00:00:00.000Z',
+    version: 2,
+    data: {
+        tiers: ['E3', 'E5'],
+        categories: [
+            {
+                name: 'Identity',
+                features: [
+                    { name: 'Microsoft Entra ID P1', description: 'Conditional Access and MFA', link: 'https://learn.microsoft.com/entra', status: { E3: 'Full', E5: 'Full' } },
+                ],
+            },
+            {
+                name: 'Endpoint Management',
+                features: [{ name: 'Microsoft Intune', description: 'Device management', status: { E3: 'Full (Plan 1)', E5: 'Full' }, extractedBy: 'table' }],
+            },
+        ],
+    },
+};
+
+const entraAlias = {
+    _id: 'r1',
+    scope: 'feature',
+    type: 'alias',
+    names: ['Azure AD Premium P1', 'Microsoft Entra ID P1'],
+    canonical: 'Microsoft Entra ID P1',
+    note: 'Renamed in 2023',
+};
+
+const where = (lineage) => lineage.appearances.map(a => [a.mapId, a.category, a.name]);
+
+test('a rename joined by an alias rule is traced through both versions', () => {
+    const lineage = featureLineage([v1, v2], ['Azure AD Premium P1'], compileMergeRules([entraAlias]));
+
+    assert.equal(lineage.name, 'Microsoft Entra ID P1');
+    assert.deepEqual(lineage.rule, { type: 'alias', names: entraAlias.names, note: 'Renamed in 2023' });
+    assert.deepEqual(where(lineage), [
+        ['m365-2023', 'Identity', 'Azure AD Premium P1'],
+        ['m365-2024', 'Identity', 'Microsoft Entra ID P1'],
+    ]);
+    // The longest description and the first link stand for the row
+    assert.equal(lineage.description, 'Conditional Access and MFA');
+    assert.equal(lineage.link, 'https://learn.microsoft.com/entra');
+});
+
+test('without the rule a renamed feature only has its own version', () => {
+    const lineage = featureLineage([v1, v2], ['Azure AD Premium P1']);
+    assert.equal(lineage.rule, null);
+    assert.deepEqual(where(lineage), [['m365-2023', 'Identity', 'Azure AD Premium P1']]);
+});
+
+test('a feature moved to another category keeps its history', () => {
+    const lineage = featureLineage([v1, v2], ['Microsoft Intune', 'Intune']);
+
+    assert.equal(lineage.name, 'Microsoft Intune');
+    assert.deepEqual(where(lineage), [
+        ['m365-2023', 'Identity', 'Intune'],
+        ['m365-2024', 'Endpoint Management', 'Microsoft Intune'],
+    ]);
+    const [before, after] = lineage.appearances;
+    assert.deepEqual(before.source, { kind: 'pdf', fileName: 'm365-2023.pdf', extractedAt: '2023-01-01T00:00:00.000Z', version: 1, updatedAt: null });
+    assert.deepEqual(before.sourcePages, [4]);
+    assert.deepEqual(after.source, { kind: 'sync', url: 'https://learn.microsoft.com/m365', extractedAt: '2024-06-01T00:00:00.000Z', version: 2, updatedAt: null });
+    assert.deepEqual(after.tiers, [
+        { tier: 'E3', status: 'Full', qualifier: 'Plan 1' },
+        { tier: 'E5', status: 'Full', qualifier: null },
+    ]);
+});
+
+test('a feature removed in a later version only appears where it was', () => {
+    const lineage = featureLineage([v1, v2], ['Audio Conferencing']);
+    assert.deepEqual(where(lineage), [['m365-2023', 'Voice', 'Audio Conferencing']]);
+    assert.deepEqual(lineage.appearances[0].tiers.map(t => t.status), ['Add-on', 'Full']);
+
+    assert.equal(featureLineage([v2], ['Audio Conferencing']), null);
+    assert.equal(featureLineage([v1, v2], []), null);
+});
+
+test('a separate rule keeps one plan from standing in for another', () => {
+    const plan = (map, name) => ({ ...map, data: { tiers: ['E3'], categories: [{ name: 'Security', features: [{ name, status: { E3: 'Full' } }] }] } });
+    const maps = [plan(v1, 'Defender for Endpoint Plan 1'), plan(v2, 'Defender for Endpoint Plan 2')];
+    assert.equal(featureLineage(maps, ['Defender for Endpoint Plan 2']).appearances.length, 2);
+
+    const separate = { _id: 'r2', scope: 'feature', type: 'separate', names: ['Defender for Endpoint Plan 1', 'Defender for Endpoint Plan 2'] };
+    const lineage = featureLineage(maps, ['Defender for Endpoint Plan 2'], compileMergeRules([separate]));
+    assert.deepEqual(where(lineage), [['m365-2024', 'Security', 'Defender for Endpoint Plan 2']]);
+    assert.deepEqual(lineage.rule, { type: 'separate', names: separate.names, note: '' });
+});
@@ -0,0 +1,79 @@
+// Unit tests for the name matching behind the review queue (lib/featureMatching.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nameSimilarity, plansDiffer, proposeMatches } from '../lib/featureMatching.js';
+
+const maps = [
+    {
+        _id: 'a',
+        title: 'Enterprise',
+        data: {
+            categories: [
+                { name: 'Email', features: [{ name: 'Exchange Online (Plan 2)' }, { name: 'Defender for Office 365 Plan 1' }] },
+                { name: 'Apps', features: [{ name: 'Word' }] },
+            ],
+        },
+    },
+    {
+        _id: 'b',
+        title: 'Business',
+        data: {
+            categories: [
+                { name: 'Email & Calendar', features: [{ name: 'Exchange Online mailbox' }, { name: 'Defender for Office 365 Plan 2' }] },
+                { name: 'Apps', features: [{ name: 'Exchange Online Archiving' }] },
+            ],
+        },
+    },
+];
+const emailAlias = { scope: 'category', type: 'alias', names: ['Email', 'Email & Calendar'], canonical: 'Email' };
+
+test('names score by shared words, brand prefixes aside', () => {
+    assert.equal(nameSimilarity('Microsoft Intune', 'Intune'), 1);
+    assert.equal(nameSimilarity('Teams', 'SharePoint'), 0);
+    const score = nameSimilarity('Exchange Online (Plan 2)', 'Exchange Online mailbox 100 GB');
+    assert.ok(score > 0.5 && score < 1, String(score));
+});
+
+test('different plan numbers never match', () => {
+    assert.equal(plansDiffer('Entra ID P1', 'Entra ID Plan 2'), true);
+    assert.equal(plansDiffer('Entra ID P1', 'Entra ID Plan 1'), false);
+    assert.equal(plansDiffer('Entra ID P1', 'Entra ID'), false);
+    assert.equal(nameSimilarity('Exchange Online (Plan 1)', 'Exchange Online (Plan 2)'), 0);
+});
+
+test('features are only compared within one merged category', async () => {
+    const unmerged = await proposeMatches(maps);
+    assert.deepEqual(unmerged.map(p => [p.scope, p.a.name, p.b.name]), [['category', 'Email', 'Email & Calendar']]);
+
+    const [proposal, ...rest] = await proposeMatches(maps, { rules: [emailAlias] });
+    assert.deepEqual(rest, []);
+    assert.deepEqual(proposal, {
+        scope: 'feature',
+        key: proposal.key,
+        score: 0.78,
+        method: 'tokens',
+        a: { name: 'Exchange Online (Plan 2)', mapId: 'a', mapTitle: 'Enterprise', category: 'Email' },
+        b: { name: 'Exchange Online mailbox', mapId: 'b', mapTitle: 'Business', category: 'Email & Calendar' },
+    });
+    assert.match(proposal.key, /^feature:.+\|.+$/);
+});
+
+test('names already in one map or one rule are not proposed', async () => {
+    const sameMap = [{ _id: 'a', title: 'A', data: { categories: [{ name: 'Apps', features: [{ name: 'Teams Phone' }, { name: 'Teams Phone System' }] }] } }];
+    assert.deepEqual(await proposeMatches(sameMap), []);
+
+    const aliased = { scope: 'feature', type: 'alias', names: ['Exchange Online (Plan 2)', 'Exchange Online mailbox'], canonical: 'Exchange Online' };
+    assert.deepEqual(await proposeMatches(maps, { rules: [emailAlias, aliased] }), []);
+});
+
+test('embeddings are blended in when given, and the threshold applies to the blend', async () => {
+    const embed = async (names) => names.map(name => (/exchange/i.test(name) ? [1, 0] : [0, 1]));
+    const [proposal] = await proposeMatches(maps, { rules: [emailAlias], embed });
+    assert.equal(proposal.method, 'embedding');
+    assert.equal(proposal.score, Math.round((0.6 + 0.4 * 0.78) * 1000) / 1000);
+
+    assert.deepEqual(await proposeMatches(maps, { rules: [emailAlias], minScore: 0.95, embed }), []);
+});
@@ -0,0 +1,169 @@
+// Unit tests for license inventory import and analysis (lib/licenseInventory.js).
+//
+//   npm test
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeInventory, parseInventoryCsv, resolveLicenses } from '../lib/licenseInventory.js';
+
+const usd = (monthly) => ({ monthly, currency: 'USD', commitment: 'annual' });
+
+const E3 = 'Microsoft 365 E3';
+const E5 = 'Microsoft 365 E5';
+
+const maps = [{
+    id: 'm365',
+    title: 'M365',
+    data: {
+        tiers: [E3, E5],
+        pricing: { [E3]: usd(36), [E5]: usd(52) },
+        categories: [{
+            name: 'Apps',
+            features: [
+                { name: 'Desktop apps', status: { [E3]: 'Full', [E5]: 'Full' } },
+                { name: 'Teams Phone', status: { [E3]: 'Not Included', [E5]: 'Full' } },
+                { name: 'Power BI Pro', status: { [E3]: 'Not Included', [E5]: 'Full' } },
+            ],
+        }],
+    },
+}];
+const addons = [
+    { _id: 'tp', name: 'Teams Phone Standard', price: usd(8), features: [{ name: 'Teams Phone', status: 'Full' }] },
+    { _id: 'pbi', name: 'Power BI Pro', price: usd(10), features: [{ name: 'Power BI Pro', status: 'Full' }] },
+];
+const context = {
+    mappings: [
+        { sku: 'SPE_E5', productName: E5, tier: E5, addon: null },
+        { sku: 'FLOW_FREE', productName: 'Power Automate Free', tier: null, addon: null },
+    ],
+    tierNames: [E3, E5],
+    addonNames: addons.map(a => a.name),
+};
+
+const load = (csv) => {
+    const inventory = parseInventoryCsv(csv);
+    return { ...inventory, licenses: resolveLicenses(inventory.licenses, context) };
+};
+
+describe('parsing', () => {
+    test('user exports split "A+B" and ";" lists but keep a spaced "+" in product names', () => {
+        const inventory = parseInventoryCsv([
+            'User principal name,Licenses',
+            `a@contoso.com,${E3}+Teams Phone Standard`,
+            `b@contoso.com,Teams Phone Standard+${E3}`,
+            'c@contoso.com,SPE_E5;POWER_BI_PRO',
+            'd@contoso.com,"Enterprise Mobility + Security E3"',
+            'e@contoso.com,Unlicensed',
+        ].join('\n'));
+
+        assert.equal(inventory.format, 'users');
+        assert.equal(inventory.userCount, 5);
+        assert.deepEqual(inventory.combinations, [
+            { licenses: [E3, 'Teams Phone Standard'], users: 2 },
+            { licenses: ['POWER_BI_PRO', 'SPE_E5'], users: 1 },
+            { licenses: ['Enterprise Mobility + Security E3'], users: 1 },
+        ]);
+        assert.deepEqual(inventory.licenses.find(l => l.id === E3), { id: E3, consumed: 2, total: null });
+        // No user names are kept
+        assert.doesNotMatch(JSON.stringify(inventory), /contoso/);
+    });
+
+    test('subscription exports sum a SKU listed more than once', () => {
+        const inventory = parseInventoryCsv([
+            'SKU part number,Product name,Consumed units,Prepaid units',
+            `SPE_E5,${E5},80,100`,
+            `SPE_E5,${E5},"1,000","1,000"`,
+            'POWER_BI_PRO,Power BI Pro,5,',
+        ].join('\n'));
+
+        assert.equal(inventory.format, 'subscriptions');
+        assert.deepEqual(inventory.licenses, [
+            { id: 'SPE_E5', productName: E5, consumed: 1080, total: 1100 },
+            // A blank count is unknown, not zero
+            { id: 'POWER_BI_PRO', productName: 'Power BI Pro', consumed: 5, total: null },
+        ]);
+    });
+
+    test('a total is worked out from consumed and available units', () => {
+        const inventory = parseInventoryCsv(`Product,Assigned licenses,Available licenses\n${E5},10,2\n`);
+        assert.deepEqual(inventory.licenses, [{ id: E5, consumed: 10, total: 12 }]);
+    });
+
+    test('files of another shape are rejected', () => {
+        assert.throws(() => parseInventoryCsv('SKU part number\n'), { status: 400, message: /no data rows/ });
+        assert.throws(() => parseInventoryCsv('Name,Department\nAdele,Sales\n'), { status: 400, message: /Expected a SKU part number/ });
+    });
+});
+
+describe('resolving', () => {
+    test('SKUs go through the mapping table, then exact tier and add-on names', () => {
+        const licenses = resolveLicenses(
+            [{ id: 'spe_e5' }, { id: 'FLOW_FREE' }, { id: 'microsoft 365 e3' }, { id: 'Power BI Pro' }, { id: 'VISIOCLIENT' }].map(l => ({ ...l, consumed: 1, total: null })),
+            context,
+        );
+        assert.deepEqual(licenses.map(l => [l.tier, l.addon, l.mappedBy, l.ignored]), [
+            [E5, null, 'table', false],
+            [null, null, 'table', true],
+            [E3, null, 'name', false],
+            [null, 'Power BI Pro', 'name', false],
+            [null, null, null, false],
+        ]);
+    });
+});
+
+describe('analysis', () => {
+    test('a combination a cheaper tier covers is consolidated, ignored SKUs aside', () => {
+        const inventory = load([
+            'UPN,Assigned licenses',
+            `a@contoso.com,${E3}+Teams Phone Standard+Power BI Pro`,
+            `b@contoso.com,Power BI Pro+${E3}+Teams Phone Standard+FLOW_FREE`,
+        ].join('\n'));
+        const { findings } = analyzeInventory(inventory, { maps, addons });
+
+        assert.deepEqual(findings, [{
+            type: 'consolidate',
+            licenses: [E3, 'Power BI Pro', 'Teams Phone Standard'],
+            into: { mapId: 'm365', tier: E5, col: `M365 - ${E5}` },
+            users: 2,
+            perSeat: 2,
+            saving: 4,
+            currency: 'USD',
+        }]);
+    });
+
+    test('no consolidation is proposed when a part is unpriced or the tier costs more', () => {
+        const unpriced = addons.map(a => a._id === 'pbi' ? { ...a, price: null } : a);
+        const inventory = load(`UPN,Licenses\na@contoso.com,${E3}+Teams Phone Standard+Power BI Pro\n`);
+        assert.deepEqual(analyzeInventory(inventory, { maps, addons: unpriced }).findings, []);
+
+        const cheap = load(`UPN,Licenses\na@contoso.com,${E3}+Teams Phone Standard\n`);
+        assert.deepEqual(analyzeInventory(cheap, { maps, addons }).findings, []);
+    });
+
+    test('a license another one already covers is redundant', () => {
+        const users = load('UPN,Licenses\na@contoso.com,SPE_E5+Power BI Pro\nb@contoso.com,SPE_E5+Power BI Pro\n');
+        assert.deepEqual(analyzeInventory(users, { maps, addons }).findings, [
+            { type: 'redundant', license: 'Power BI Pro', coveredBy: E5, users: 2 },
+        ]);
+
+        // Subscription exports cannot say whether the same users hold both
+        const subscriptions = load(`Product,Assigned licenses,Available licenses\n${E5},10,2\nPower BI Pro,3,0\n`);
+        assert.deepEqual(analyzeInventory(subscriptions, { maps, addons }).findings, [
+            { type: 'redundant', license: 'Power BI Pro', coveredBy: E5, users: null },
+            { type: 'unassigned', license: E5, units: 2 },
+        ]);
+    });
+
+    test('owned features list the licenses that grant them', () => {
+        const inventory = load(`UPN,Licenses\na@contoso.com,${E3}+Teams Phone Standard\n`);
+        const { owned, licenses } = analyzeInventory(inventory, { maps, addons });
+        assert.deepEqual(owned, [{
+            name: 'Apps',
+            features: [
+                { name: 'Desktop apps', status: 'Full', licenses: [E3] },
+                { name: 'Teams Phone', status: 'Full', licenses: ['Teams Phone Standard'] },
+            ],
+        }]);
+        assert.deepEqual(licenses.map(l => l.cols), [[`M365 - ${E3}`], ['Teams Phone Standard']]);
+    });
+});
@@ -0,0 +1,105 @@
+// Unit tests for the retry and model fallback policy (lib/llm.js), against a
+// stub provider.
+//
+//   npm test
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { generateJson, LlmError, parseJsonResponse } from '../lib/llm.js';
+
+const ANSWER = { tiers: ['E3'], categories: [] };
+
+// Answers each call with the next outcome: an Error is thrown, anything else returned as text
+function stubProvider(outcomes, { configured = true } = {}) {
+    const calls = [];
+    return {
+        calls,
+        provider: {
+            name: 'stub',
+            models: ['first', 'second'],
+            configured: () => configured,
+            async generate({ model }) {
+                calls.push(model);
+                const outcome = outcomes.shift();
+                if (outcome instanceof Error) throw outcome;
+                return outcome ?? JSON.stringify(ANSWER);
+            },
+        },
+    };
+}
+
+const request = (extra) => ({ task: 'extract-pdf', prompt: 'Extract', ...extra });
+
+beforeEach(() => {
+    process.env.LLM_RETRY_DELAY_MS = '1';
+    delete process.env.LLM_MODELS;
+    delete process.env.LLM_MAX_ATTEMPTS;
+    // The attempt log is not under test, and Node 20's runner can garble it
+    for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => { });
+});
+afterEach(() => {
+    delete process.env.LLM_RETRY_DELAY_MS;
+    mock.restoreAll();
+});
+
+test('a retryable error is retried on the same model', async () => {
+    const { provider, calls } = stubProvider([new Error('[429 Too Many Requests] quota exceeded')]);
+    const result = await generateJson(request(), { provider });
+    assert.deepEqual(result, { json: ANSWER, provider: 'stub', model: 'first' });
+    assert.deepEqual(calls, ['first', 'first']);
+});
+
+test('any other error moves on to the next model at once', async () => {
+    const { provider, calls } = stubProvider([new Error('[400 Bad Request] unsupported file'), '```json\n{"tiers":["E3"],"categories":[]}\n```']);
+    const result = await generateJson(request(), { provider });
+    assert.equal(result.model, 'second');
+    assert.deepEqual(result.json, ANSWER);
+    assert.deepEqual(calls, ['first', 'second']);
+});
+
+test('models are tried in LLM_MODELS order, each up to LLM_MAX_ATTEMPTS times', async () => {
+    process.env.LLM_MODELS = 'second, third';
+    process.env.LLM_MAX_ATTEMPTS = '3';
+    const overloaded = () => new Error('503 model overloaded');
+    const { provider, calls } = stubProvider([overloaded(), overloaded(), overloaded(), overloaded(), overloaded(), overloaded()]);
+
+    await assert.rejects(generateJson(request(), { provider }), (err) => {
+        assert.ok(err instanceof LlmError);
+        assert.equal(err.status, 503);
+        assert.deepEqual(err.details.map(d => d.model), ['second', 'second', 'second', 'third', 'third', 'third']);
+        return true;
+    });
+    assert.deepEqual(calls, ['second', 'second', 'second', 'third', 'third', 'third']);
+});
+
+test('invalid JSON and a missing configuration fail without retries', async () => {
+    const { provider, calls } = stubProvider(['Sorry, I cannot help with that.']);
+    await assert.rejects(generateJson(request(), { provider }), { name: 'LlmError', status: 502 });
+    assert.deepEqual(calls, ['first']);
+
+    const unconfigured = stubProvider([], { configured: false });
+    await assert.rejects(generateJson(request(), { provider: unconfigured.provider }), { name: 'LlmError', status: 500 });
+    assert.deepEqual(unconfigured.calls, []);
+});
+
+test('an abort stops the backoff and no listener is left behind', async () => {
+    process.env.LLM_RETRY_DELAY_MS = '60000';
+    const controller = new AbortController();
+    const { provider, calls } = stubProvider([new Error('429 rate limit')]);
+    const pending = generateJson(request({ signal: controller.signal }), { provider });
+    setTimeout(() => controller.abort(new Error('Job cancelled')), 10);
+    await assert.rejects(pending, { message: 'Job cancelled' });
+    assert.deepEqual(calls, ['first']);
+
+    process.env.LLM_RETRY_DELAY_MS = '1';
+    const signal = new AbortController().signal;
+    const retried = stubProvider([new Error('429 rate limit'), new Error('429 rate limit')]);
+    await generateJson(request({ signal }), { provider: retried.provider });
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+});
+
+test('code fences around a JSON answer are ignored', () => {
+    assert.deepEqual(parseJsonResponse('```json\n{"a":1}\n```'), { a: 1 });
+    assert.throws(() => parseJsonResponse('{"a":'), { name: 'LlmError' });
+});
@@ -0,0 +1,58 @@
+// Unit tests for curated feature edits and their carry-over (lib/mapEdits.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSemanticFingerprint } from '../lib/mapMerge.js';
+import { applyFeatureEdit, carryOverNotes, recordFeatureEdit, reapplyFeatureEdits } from '../lib/mapEdits.js';
+
+const key = (name) => getSemanticFingerprint(name, { keepPlan: true });
+
+const extraction = () => ({
+    tiers: ['E3', 'E5'],
+    categories: [{
+        name: 'Security',
+        features: [
+            { name: 'Defender for Endpoint', description: '', link: 'https://example.com/defender', status: { E3: 'Partial', E5: 'Full' } },
+            { name: 'Entra ID P2', description: '', status: { E3: 'Not Included', E5: 'Full' }, qualifiers: { E5: 'Plan 2' } },
+        ],
+    }],
+});
+
+const edit = (data, edits, name, changes) => ({
+    data: applyFeatureEdit(data, { category: data.categories.find(c => c.features.some(f => f.name === name)).name, name, changes }).data,
+    edits: recordFeatureEdit(edits, name, changes),
+});
+
+test('edits are recorded under the extracted name, through renames', () => {
+    let map = { data: extraction(), edits: [] };
+    map = edit(map.data, map.edits, 'Entra ID P2', { name: 'Entra ID Governance' });
+    map = edit(map.data, map.edits, 'Entra ID Governance', { description: 'Access reviews', status: { E3: 'Add-on' } });
+    map = edit(map.data, map.edits, 'Entra ID Governance', { note: 'Ask the desk' });
+    assert.deepEqual(map.edits, [{ key: key('Entra ID P2'), changes: { name: 'Entra ID Governance', description: 'Access reviews', status: { E3: 'Add-on' } } }]);
+
+    // Renaming it back leaves the other changes in place
+    map = edit(map.data, map.edits, 'Entra ID Governance', { name: 'Entra ID P2' });
+    assert.deepEqual(map.edits, [{ key: key('Entra ID P2'), changes: { description: 'Access reviews', status: { E3: 'Add-on' } } }]);
+});
+
+test('a fresh extraction gets the recorded edits and notes back', () => {
+    let map = { data: extraction(), edits: [] };
+    map = edit(map.data, map.edits, 'Defender for Endpoint', { link: 'https://learn.microsoft.com/defender-endpoint', category: 'Endpoint' });
+    map = edit(map.data, map.edits, 'Entra ID P2', { name: 'Entra ID Governance', status: { E5: 'Partial' } });
+    map = edit(map.data, map.edits, 'Entra ID Governance', { note: 'Ask the desk' });
+
+    const synced = carryOverNotes(reapplyFeatureEdits(extraction(), map.edits), map.data);
+    assert.deepEqual(synced, map.data);
+});
+
+test('edits the new data cannot take are skipped', () => {
+    const edits = [
+        { key: key('Defender for Endpoint'), changes: { name: 'Entra ID P2' } },
+        { key: key('Entra ID P2'), changes: { status: { F1: 'Full' }, description: 'Kept' } },
+        { key: key('Gone feature'), changes: { description: 'Dropped' } },
+    ];
+    const [category] = reapplyFeatureEdits(extraction(), edits).categories;
+    assert.deepEqual(category.features.map(f => [f.name, f.description]), [['Defender for Endpoint', ''], ['Entra ID P2', 'Kept']]);
+});
@@ -0,0 +1,43 @@
+// Unit tests for the comparison merge (lib/mapMerge.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileMergeRules, mergeComparisonColumns } from '../lib/mapMerge.js';
+import { STATUS } from '../lib/mapSchema.js';
+
+const map = (features) => ({
+    data: { tiers: ['E3', 'E5'], categories: [{ name: 'Storage', features }] },
+});
+
+const rules = compileMergeRules([
+    { _id: 'r1', scope: 'feature', type: 'alias', names: ['OneDrive Storage', 'OneDrive for Business'], canonical: 'OneDrive' },
+]);
+
+test('an alias row keeps the higher status of two features from one map', () => {
+    const m = map([
+        { name: 'OneDrive Storage', status: { E3: STATUS.FULL, E5: STATUS.NOT_INCLUDED }, qualifiers: { E3: '100 GB' } },
+        { name: 'OneDrive for Business', status: { E3: STATUS.NOT_INCLUDED, E5: STATUS.FULL }, qualifiers: {} },
+    ]);
+    const { categories } = mergeComparisonColumns([{ map: m, tier: 'E3', col: 'E3' }, { map: m, tier: 'E5', col: 'E5' }], rules);
+    const [row] = categories[0].features;
+
+    assert.equal(categories[0].features.length, 1);
+    assert.deepEqual(row.mergedNames, ['OneDrive Storage', 'OneDrive for Business']);
+    assert.equal(row.status.E3, STATUS.FULL);
+    assert.equal(row.qualifiers.E3, '100 GB');
+    assert.equal(row.status.E5, STATUS.FULL);
+    assert.equal(row.qualifiers.E5, undefined);
+});
+
+test('a higher status replaces the qualifier of the lower one', () => {
+    const m = map([
+        { name: 'OneDrive Storage', status: { E3: STATUS.PARTIAL }, qualifiers: { E3: 'Plan 1' } },
+        { name: 'OneDrive for Business', status: { E3: STATUS.FULL }, qualifiers: {} },
+    ]);
+    const [row] = mergeComparisonColumns([{ map: m, tier: 'E3', col: 'E3' }], rules).categories[0].features;
+
+    assert.equal(row.status.E3, STATUS.FULL);
+    assert.equal(row.qualifiers.E3, undefined);
+});
@@ -0,0 +1,32 @@
+// Unit tests for status normalization and map validation (lib/mapSchema.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATUS, normalizeStatus, validateMapData } from '../lib/mapSchema.js';
+
+test('canonical and decorated statuses keep their qualifier', () => {
+    assert.deepEqual(normalizeStatus('Full (Plan 2)'), { status: STATUS.FULL, qualifier: 'Plan 2', recognized: true });
+    assert.deepEqual(normalizeStatus('Included - 100 GB'), { status: STATUS.FULL, qualifier: '100 GB', recognized: true });
+    assert.equal(normalizeStatus('Plan 1').status, STATUS.FULL);
+    assert.equal(normalizeStatus('—').status, STATUS.NOT_INCLUDED);
+    assert.equal(normalizeStatus('Available for purchase').status, STATUS.ADD_ON);
+});
+
+test('unrecognised text is never counted as included', () => {
+    for (const raw of ['Coming soon', 'Retired', 'Preview']) {
+        assert.deepEqual(normalizeStatus(raw), { status: STATUS.NOT_INCLUDED, qualifier: null, recognized: false }, raw);
+    }
+});
+
+test('validation flags unrecognised statuses for review', () => {
+    const { data, report } = validateMapData({
+        tiers: ['E3', 'E5'],
+        categories: [{ name: 'Security', features: [{ name: 'Copilot', description: '', status: { E3: 'Coming soon', E5: 'Full' } }] }],
+    });
+    const [feature] = data.categories[0].features;
+    assert.equal(feature.status.E3, STATUS.NOT_INCLUDED);
+    assert.equal(feature.qualifiers, undefined);
+    assert.ok(report.warnings.some(w => w.path.endsWith('status.E3') && w.message.includes('Coming soon')));
+});
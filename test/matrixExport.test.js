@@ -0,0 +1,111 @@
+// Unit tests for the exported comparison matrix (lib/matrixExport.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMatrixExport, cellColors, describeFilters, filterMatrixCategories, toCanonicalJson, toCsv } from '../lib/matrixExport.js';
+
+const matrix = {
+    tiers: ['E3', 'E5'],
+    categories: [
+        {
+            name: 'Security',
+            features: [
+                { name: 'Defender for Endpoint', description: 'EDR', status: { E3: 'Partial', E5: 'Full' }, qualifiers: { E3: 'Plan 1' }, isDiff: true },
+                { name: 'Conditional Access', description: 'Entra ID P1 policies', status: { E3: 'Full', E5: 'Full' }, isDiff: false },
+            ],
+        },
+        {
+            name: 'Voice',
+            features: [
+                { name: 'Teams Phone', description: '', link: 'https://learn.microsoft.com/teams-phone', status: { E3: 'Add-on', E5: 'Full' }, isDiff: true },
+            ],
+        },
+    ],
+};
+
+const rows = (categories) => categories.map(c => [c.name, c.features.map(f => f.name)]);
+
+test('search matches feature names and descriptions, ignoring case', () => {
+    assert.deepEqual(rows(filterMatrixCategories(matrix.categories, { search: 'entra' })), [
+        ['Security', ['Conditional Access']],
+    ]);
+    assert.deepEqual(rows(filterMatrixCategories(matrix.categories, { search: 'TEAMS' })), [
+        ['Voice', ['Teams Phone']],
+    ]);
+    assert.deepEqual(filterMatrixCategories(matrix.categories, { search: 'quantum' }), []);
+});
+
+test('differences only keeps features that differ, within the selected categories', () => {
+    assert.deepEqual(rows(filterMatrixCategories(matrix.categories, { diffOnly: true })), [
+        ['Security', ['Defender for Endpoint']],
+        ['Voice', ['Teams Phone']],
+    ]);
+    assert.deepEqual(rows(filterMatrixCategories(matrix.categories, { diffOnly: true, selected: ['Voice'] })), [
+        ['Voice', ['Teams Phone']],
+    ]);
+    assert.deepEqual(rows(filterMatrixCategories(matrix.categories, { search: 'access', diffOnly: true })), []);
+});
+
+test('the export has one row per filtered feature and records the filters', () => {
+    const categories = filterMatrixCategories(matrix.categories, { search: 'e', diffOnly: true });
+    const doc = buildMatrixExport(matrix, categories, { search: 'e', diffOnly: true });
+
+    assert.deepEqual(rows(doc.categories), [
+        ['Security', ['Defender for Endpoint']],
+        ['Voice', ['Teams Phone']],
+    ]);
+    assert.equal(doc.featureCount, 2);
+    assert.deepEqual(doc.filters, { search: 'e', diffOnly: true });
+    assert.equal(describeFilters(doc), 'Detailed view · search "e" · differences only');
+    // Totals count what was exported, not the whole map
+    assert.deepEqual(doc.totals, [{ tier: 'E3', included: 1 }, { tier: 'E5', included: 2 }]);
+});
+
+test('detailed mode labels cells with their status and qualifier', () => {
+    const doc = buildMatrixExport(matrix, matrix.categories, { mode: 'full' });
+    assert.deepEqual(doc.categories.map(c => c.features.map(f => f.cells.map(cell => cell.label))), [
+        [['Partial (Plan 1)', 'Full'], ['Full', 'Full']],
+        [['Add-on', 'Full']],
+    ]);
+    const [addOn] = doc.categories[1].features[0].cells;
+    assert.deepEqual(cellColors(doc, addOn), { fill: 'DBEAFE', text: '1D4ED8' });
+});
+
+test('presence mode labels cells Yes or No', () => {
+    const doc = buildMatrixExport(matrix, matrix.categories, { mode: 'availability' });
+    assert.deepEqual(doc.categories.map(c => c.features.map(f => f.cells.map(cell => cell.label))), [
+        [['Yes', 'Yes'], ['Yes', 'Yes']],
+        [['No', 'Yes']],
+    ]);
+    // An add-on is not included, so it is colored like a missing feature
+    const [addOn] = doc.categories[1].features[0].cells;
+    assert.deepEqual(cellColors(doc, addOn), { fill: 'FFE4E6', text: 'BE123C' });
+    assert.equal(describeFilters(doc), 'Presence view');
+});
+
+test('CSV rows follow the mode and defuse formula cells', () => {
+    const withFormula = [{ name: 'Security', features: [{ name: '=HYPERLINK("x")', description: 'a, "b"', status: { E3: 'Full' } }] }];
+    const doc = buildMatrixExport(matrix, withFormula, { mode: 'availability' });
+    assert.equal(
+        toCsv(doc),
+        '﻿Category,Feature,Description,Link,E3,E5\r\n'
+        + 'Security,"\'=HYPERLINK(""x"")","a, ""b""",,Yes,No\r\n',
+    );
+});
+
+test('canonical JSON keeps statuses, not the presence labels', () => {
+    const categories = filterMatrixCategories(matrix.categories, { selected: ['Security'] });
+    const doc = buildMatrixExport(matrix, categories, { mode: 'availability', search: '' });
+    const json = JSON.parse(toCanonicalJson(doc));
+
+    assert.deepEqual(json.view, { mode: 'availability', search: '', diffOnly: false });
+    assert.deepEqual(json.data.categories[0].features[0], {
+        name: 'Defender for Endpoint',
+        description: 'EDR',
+        status: { E3: 'Partial', E5: 'Full' },
+        qualifiers: { E3: 'Plan 1' },
+    });
+    assert.equal(json.data.categories.length, 1);
+});
@@ -0,0 +1,177 @@
+// Tests for change notifications (lib/notifications.js): change sets, the
+// subscription filter, every channel's send path against local receivers (an
+// in-process mail transport and an HTTP server standing in for webhooks, let
+// through with NOTIFY_ALLOW_PRIVATE_TARGETS), and the private address block.
+//
+//   npm test
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { createFileStore } from '../lib/db.js';
+import { buildChangeSet, filterForSubscription, notifyChanges, sendDigest, setMailTransport } from '../lib/notifications.js';
+
+const SOURCE = { sourceKey: 'enterprise_m365', title: 'Microsoft 365 Enterprise' };
+
+const before_ = {
+    tiers: ['E3', 'E5'],
+    categories: [{
+        name: 'Security',
+        features: [
+            { name: 'Defender for Endpoint', status: { E3: 'Full', E5: 'Full' } },
+            { name: 'Customer Lockbox', status: { E3: 'Not Included', E5: 'Full' } },
+        ],
+    }],
+};
+const after_ = {
+    tiers: ['E3', 'E5'],
+    categories: [{
+        name: 'Security',
+        features: [
+            { name: 'Defender for Endpoint', status: { E3: 'Not Included', E5: 'Full' } },
+            { name: 'Customer Lockbox', status: { E3: 'Full', E5: 'Full' } },
+            { name: 'Insider Risk Management', status: { E3: 'Not Included', E5: 'Full' } },
+        ],
+    }],
+};
+
+describe('change sets', () => {
+    test('list the features each tier gained and lost', () => {
+        const changes = buildChangeSet(SOURCE, before_, after_);
+        assert.deepEqual(changes.tiers.E3.gained.map(f => f.name), ['Customer Lockbox']);
+        assert.deepEqual(changes.tiers.E3.lost.map(f => [f.name, f.previous, f.status]), [['Defender for Endpoint', 'Full', 'Not Included']]);
+        assert.deepEqual(changes.tiers.E5.gained.map(f => f.name), ['Insider Risk Management']);
+        assert.deepEqual(changes.tiers.E5.lost, []);
+    });
+
+    test('are null when no tier changed', () => {
+        assert.equal(buildChangeSet(SOURCE, before_, structuredClone(before_)), null);
+    });
+
+    test('are narrowed to the subscription\'s sources and tiers', () => {
+        const changes = [buildChangeSet(SOURCE, before_, after_)];
+        assert.deepEqual(Object.keys(filterForSubscription(changes, { tiers: ['E5'] })[0].tiers), ['E5']);
+        assert.deepEqual(filterForSubscription(changes, { sourceKeys: ['business'] }), []);
+        assert.equal(filterForSubscription(changes, {}).length, 1);
+    });
+});
+
+describe('channels', () => {
+    const changes = [buildChangeSet(SOURCE, before_, after_)];
+    const received = [];
+    let server;
+    let baseUrl;
+    let tempDir;
+
+    before(async () => {
+        process.env.NOTIFY_ALLOW_PRIVATE_TARGETS = 'true';
+        // Answers like a webhook receiver; /fail stands in for one that is down
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body });
+                if (req.url === '/redirect') res.writeHead(307, { Location: '/hook' }).end();
+                else res.writeHead(req.url === '/fail' ? 500 : 200).end();
+            });
+        }).listen(0);
+        await new Promise(r => server.once('listening', r));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'licensing-notify-'));
+    });
+    after(async () => {
+        await new Promise(r => server.close(r));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        setMailTransport(undefined);
+        delete process.env.NOTIFY_WEBHOOK_SECRET;
+        delete process.env.NOTIFY_ALLOW_PRIVATE_TARGETS;
+    });
+
+    const lastRequest = () => received[received.length - 1];
+
+    test('email goes through the configured mail transport', async () => {
+        const mails = [];
+        setMailTransport({ sendMail: async (mail) => mails.push(mail) });
+        await sendDigest({ channel: 'email', target: 'licensing@example.com' }, changes);
+
+        assert.equal(mails.length, 1);
+        assert.equal(mails[0].to, 'licensing@example.com');
+        assert.equal(mails[0].subject, 'LicenseMap: 3 licensing changes detected');
+        assert.match(mails[0].text, /^ {2}- Defender for Endpoint \(Security\) now Not Included$/m);
+        assert.match(mails[0].html, /Customer Lockbox/);
+    });
+
+    test('webhooks are signed with the shared secret', async () => {
+        process.env.NOTIFY_WEBHOOK_SECRET = 'test-webhook-secret';
+        await sendDigest({ channel: 'webhook', target: `${baseUrl}/hook` }, changes);
+
+        const { path: url, headers, body } = lastRequest();
+        assert.equal(url, '/hook');
+        assert.equal(headers['content-type'], 'application/json');
+        const expected = crypto.createHmac('sha256', 'test-webhook-secret').update(body).digest('hex');
+        assert.equal(headers['x-licensemap-signature'], expected);
+        const payload = JSON.parse(body);
+        assert.equal(payload.event, 'licensing.changes');
+        assert.deepEqual(payload.changes, changes);
+    });
+
+    test('webhooks without a secret are sent unsigned', async () => {
+        delete process.env.NOTIFY_WEBHOOK_SECRET;
+        await sendDigest({ channel: 'webhook', target: `${baseUrl}/hook` }, changes);
+        assert.equal(lastRequest().headers['x-licensemap-signature'], undefined);
+    });
+
+    test('webhook redirects are not followed', async () => {
+        await assert.rejects(sendDigest({ channel: 'webhook', target: `${baseUrl}/redirect` }, changes), /HTTP 307/);
+        assert.equal(lastRequest().path, '/redirect');
+    });
+
+    test('Slack gets the text digest', async () => {
+        await sendDigest({ channel: 'slack', target: `${baseUrl}/slack` }, changes);
+        const { text } = JSON.parse(lastRequest().body);
+        assert.match(text, /^== Microsoft 365 Enterprise ==$/m);
+        assert.match(text, /^ {2}\+ Customer Lockbox \(Security\) was Not Included$/m);
+    });
+
+    test('Teams gets a message card with a section per tier', async () => {
+        await sendDigest({ channel: 'teams', target: `${baseUrl}/teams` }, changes);
+        const card = JSON.parse(lastRequest().body);
+        assert.equal(card['@type'], 'MessageCard');
+        assert.deepEqual(card.sections.map(s => s.activityTitle).sort(), ['Microsoft 365 Enterprise — E3', 'Microsoft 365 Enterprise — E5']);
+        assert.deepEqual(card.sections.find(s => s.activityTitle.endsWith('E3')).facts, [
+            { name: 'Gained', value: 'Customer Lockbox (Security)' },
+            { name: 'Lost', value: 'Defender for Endpoint (Security)' },
+        ]);
+    });
+
+    test('a failing receiver is logged and does not stop the others', async () => {
+        const db = await createFileStore(tempDir).connect();
+        await db.collection('notification_subscriptions').insertMany([
+            { channel: 'slack', target: `${baseUrl}/fail`, sourceKeys: [], tiers: [], enabled: true },
+            { channel: 'teams', target: `${baseUrl}/teams`, sourceKeys: [], tiers: ['E5'], enabled: true },
+            { channel: 'slack', target: `${baseUrl}/slack`, sourceKeys: ['business'], tiers: [], enabled: true },
+            { channel: 'slack', target: `${baseUrl}/slack`, sourceKeys: [], tiers: [], enabled: false },
+        ]);
+
+        const summary = await notifyChanges(db, changes);
+        assert.deepEqual(summary, { sent: 1, failed: 1, skipped: 1 });
+
+        const log = await db.collection('notification_log').find({}).toArray();
+        assert.deepEqual(log.map(e => [e.channel, e.status]).sort(), [['slack', 'failed'], ['teams', 'sent']]);
+        assert.match(log.find(e => e.status === 'failed').error, /HTTP 500/);
+    });
+});
+
+describe('webhook targets', () => {
+    const changes = [buildChangeSet(SOURCE, before_, after_)];
+
+    test('loopback, private and link-local addresses are refused', async () => {
+        for (const target of ['http://localhost:8080/hook', 'http://127.0.0.1/hook', 'https://10.1.2.3/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://[fe80::1]/hook', 'http://[::ffff:192.168.0.1]/hook']) {
+            await assert.rejects(sendDigest({ channel: 'slack', target }, changes), { status: 400, message: /is not a public address/ }, target);
+        }
+    });
+});
@@ -0,0 +1,44 @@
+// Unit tests for comparison page extraction (lib/pageExtraction.js). AI calls
+// go to the mock provider, pages come from fixtures/html.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import { extractSourcePage } from '../lib/pageExtraction.js';
+import { DEFAULT_SYNC_SOURCES } from '../lib/syncSources.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const html = fs.readFileSync(new URL('../fixtures/html/enterprise_office365.html', import.meta.url), 'utf8');
+const source = DEFAULT_SYNC_SOURCES.enterprise_office365;
+
+test('a complete comparison table is read without the model', async () => {
+    const { data, extraction } = await extractSourcePage({ html, source, sourceKey: 'enterprise_office365' });
+    assert.equal(extraction.mode, 'table');
+    assert.deepEqual(data.tiers, source.tiers);
+    assert.ok(data.categories.flatMap(c => c.features).every(f => f.extractedBy === 'table'));
+});
+
+test('a table without a column for one of the tiers falls back to the model', async () => {
+    const wider = { ...source, tiers: [...source.tiers, 'Office 365 F3'] };
+    const { data, extraction } = await extractSourcePage({ html, source: wider, sourceKey: 'enterprise_office365' });
+    assert.equal(extraction.mode, 'ai');
+    assert.match(extraction.fallbackReason, /"Office 365 F3"/);
+    assert.ok(data.categories.flatMap(c => c.features).every(f => f.extractedBy === 'ai'));
+});
+
+test('saved pages are found whatever directory the server runs in', async () => {
+    const cwd = process.cwd();
+    process.chdir(os.tmpdir());
+    try {
+        // A fresh copy of the module, loaded from elsewhere as a server would be
+        const { fetchSourceHtml } = await import('../lib/pageExtraction.js?cwd=elsewhere');
+        const page = await fetchSourceHtml('enterprise_office365', source);
+        assert.deepEqual(page, { html, origin: 'snapshot' });
+    } finally {
+        process.chdir(cwd);
+    }
+});
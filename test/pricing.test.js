@@ -0,0 +1,104 @@
+// Unit tests for tier pricing and the cost calculator (lib/pricing.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCosts, carryOverPricing, combinePrices, seatPrice, upgradeFeatures } from '../lib/pricing.js';
+import { STATUS } from '../lib/mapSchema.js';
+
+const E3 = { monthly: 36, currency: 'USD', commitment: 'annual' };
+const E5 = { monthly: 57, annual: 660, currency: 'USD', commitment: 'annual' };
+const EUR = { monthly: 33.5, currency: 'EUR', commitment: 'annual' };
+
+test('a seat price converts between periods and says so', () => {
+    assert.deepEqual(seatPrice(E3, 'monthly'), { amount: 36, derived: false });
+    assert.deepEqual(seatPrice(E3, 'annual'), { amount: 432, derived: true });
+    assert.deepEqual(seatPrice({ annual: 100, currency: 'USD' }, 'monthly'), { amount: 8.33, derived: true });
+    // An annual list price is used as is, even when it is less than 12 × monthly
+    assert.deepEqual(seatPrice(E5, 'annual'), { amount: 660, derived: false });
+    assert.equal(seatPrice(null, 'monthly'), null);
+    assert.equal(seatPrice({ currency: 'USD' }, 'monthly'), null);
+});
+
+test('add-on prices are summed per period', () => {
+    const addon = { monthly: 10, currency: 'USD', commitment: 'monthly' };
+    assert.deepEqual(combinePrices(E3, [addon]), { currency: 'USD', commitment: 'annual', monthly: 46, annual: 552 });
+    assert.equal(combinePrices(E3), E3);
+});
+
+test('a combination with an unpriced part or another currency has no price', () => {
+    assert.equal(combinePrices(E3, [null]), null);
+    assert.equal(combinePrices(null, [E3]), null);
+    assert.equal(combinePrices(E3, [EUR]), null);
+});
+
+test('costs are totalled per currency and unpriced columns are left out', () => {
+    const { rows, totals } = calculateCosts([
+        { col: 'E3', price: E3, seats: 100 },
+        { col: 'E5', price: E5, seats: '10.7' },
+        { col: 'EU', price: EUR, seats: 2 },
+        { col: 'F1', price: undefined, seats: 50 },
+    ], { period: 'monthly' });
+
+    assert.deepEqual(rows.map(r => [r.col, r.seats, r.perSeat, r.total]), [
+        ['E3', 100, 36, 3600],
+        ['E5', 10, 57, 570],
+        ['EU', 2, 33.5, 67],
+        ['F1', 50, null, null],
+    ]);
+    assert.deepEqual(totals, { USD: 4170, EUR: 67 });
+});
+
+test('negative or missing seat counts count as zero', () => {
+    const { rows } = calculateCosts([{ col: 'E3', price: E3, seats: -5 }, { col: 'E5', price: E5 }], { period: 'monthly' });
+    assert.deepEqual(rows.map(r => r.total), [0, 0]);
+});
+
+test('upgrades are priced from the baseline in the same currency only', () => {
+    const categories = [{
+        name: 'Security',
+        features: [
+            { name: 'Defender for Endpoint', status: { E3: STATUS.FULL, E5: STATUS.FULL, EU: STATUS.FULL } },
+            { name: 'Teams Phone', status: { E3: STATUS.NOT_INCLUDED, E5: STATUS.FULL, EU: STATUS.NOT_INCLUDED } },
+            { name: 'Insider Risk Management', status: { E3: STATUS.ADD_ON, E5: STATUS.PARTIAL, EU: STATUS.NOT_INCLUDED } },
+        ],
+    }];
+    const { rows } = calculateCosts([
+        { col: 'E3', price: E3, seats: 100 },
+        { col: 'E5', price: E5, seats: 0 },
+        { col: 'EU', price: EUR, seats: 0 },
+        { col: 'F1', price: null, seats: 0 },
+    ], { period: 'monthly', baseline: 'E3', categories });
+
+    const [base, e5, eu, f1] = rows;
+    assert.equal(base.delta, undefined);
+    assert.equal(e5.delta, 21);
+    assert.deepEqual(e5.upgrade, {
+        gained: [{ category: 'Security', name: 'Teams Phone' }, { category: 'Security', name: 'Insider Risk Management' }],
+        lost: [],
+        seats: 100,
+        total: 2100,
+        perGainedFeature: 10.5,
+    });
+    assert.equal(eu.delta, undefined);
+    assert.equal(f1.delta, undefined);
+});
+
+test('a downgrade lists what is lost and has no price per gained feature', () => {
+    const categories = [{ name: 'Apps', features: [{ name: 'Desktop apps', status: { E5: STATUS.FULL, E3: STATUS.NOT_INCLUDED } }] }];
+    assert.deepEqual(upgradeFeatures(categories, 'E5', 'E3'), { gained: [], lost: [{ category: 'Apps', name: 'Desktop apps' }] });
+
+    const { rows } = calculateCosts([{ col: 'E5', price: E5, seats: 1 }, { col: 'E3', price: E3, seats: 0 }], { period: 'monthly', baseline: 'E5', categories });
+    assert.equal(rows[1].upgrade.perGainedFeature, null);
+    assert.equal(rows[1].upgrade.total, -21);
+});
+
+test('a sync without prices keeps the previous prices of tiers it still has', () => {
+    const previous = { tiers: ['E3', 'E5'], pricing: { E3, E5 } };
+    assert.deepEqual(carryOverPricing({ tiers: ['E3'], categories: [] }, previous).pricing, { E3 });
+    const priced = { tiers: ['E3'], categories: [], pricing: { E3: { ...E3, monthly: 39 } } };
+    assert.equal(carryOverPricing(priced, previous), priced);
+    const dropped = { tiers: ['F1'], categories: [] };
+    assert.equal(carryOverPricing(dropped, previous), dropped);
+});
@@ -0,0 +1,103 @@
+// Unit tests for requirement lists and coverage ranking (lib/requirements.js).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRequirementCatalog, matchRequirement, parseRequirementCsv, parseRequirementList, rankCoverage } from '../lib/requirements.js';
+
+const usd = (monthly) => ({ monthly, currency: 'USD', commitment: 'annual' });
+
+const map = (pricing) => ({
+    id: 'm365',
+    title: 'M365',
+    data: {
+        tiers: ['E3', 'E5'],
+        ...(pricing ? { pricing } : {}),
+        categories: [{
+            name: 'Compliance',
+            features: [
+                { name: 'Data Loss Prevention', status: { E3: 'Full', E5: 'Full' } },
+                { name: 'eDiscovery Premium', status: { E3: 'Not Included', E5: 'Full' } },
+                { name: 'Microsoft Intune', status: { E3: 'Full', E5: 'Full' } },
+                { name: 'Insider Risk Management', status: { E3: 'Partial', E5: 'Full' } },
+            ],
+        }],
+    },
+});
+
+const compliance = (price) => ({
+    _id: 'compliance',
+    name: 'E5 Compliance',
+    price,
+    features: [{ name: 'eDiscovery Premium', status: 'Full' }, { name: 'Insider Risk Management', status: 'Full' }],
+});
+
+const matchAll = (catalog, names) => names.map(name => ({ name, key: matchRequirement(name, catalog.categories).key }));
+
+test('pasted lists drop list markers, request phrasing and repeats', () => {
+    assert.deepEqual(
+        parseRequirementList('- DLP\n1. We need eDiscovery Premium; Intune, dlp\r\n\n• must have Insider risk'),
+        ['DLP', 'eDiscovery Premium', 'Intune', 'Insider risk'],
+    );
+    assert.deepEqual(parseRequirementList(''), []);
+});
+
+test('CSV lists are read from the capability column, or else the first one', () => {
+    assert.deepEqual(parseRequirementCsv('Priority;Capability;Notes\nHigh;"Data Loss Prevention";"a; b"\nLow;Intune;\n'), ['Data Loss Prevention', 'Intune']);
+    assert.deepEqual(parseRequirementCsv('DLP\nIntune\n'), ['DLP', 'Intune']);
+    assert.deepEqual(parseRequirementCsv(''), []);
+});
+
+test('requirements match by name, partial name and acronym', () => {
+    const { categories } = buildRequirementCatalog([map()], []);
+    assert.equal(matchRequirement('eDiscovery Premium', categories).score, 1);
+    assert.equal(matchRequirement('Intune', categories).key, 'Compliance\u0000Microsoft Intune');
+    assert.equal(matchRequirement('DLP', categories).key, 'Compliance\u0000Data Loss Prevention');
+
+    const unknown = matchRequirement('Quantum teleportation', categories);
+    assert.equal(unknown.key, null);
+    assert.ok(unknown.candidates.length > 0 && unknown.candidates.length <= 5);
+});
+
+test('tiers are ranked with the add-ons that close their gaps', () => {
+    const catalog = buildRequirementCatalog([map({ E3: usd(36), E5: usd(57) })], [compliance(usd(12))]);
+    assert.deepEqual(catalog.bases.map(b => [b.col, b.options.map(o => o.col)]), [
+        ['M365 - E3', ['M365 - E3 + E5 Compliance']],
+        ['M365 - E5', ['M365 - E5 + E5 Compliance']],
+    ]);
+
+    const ranked = rankCoverage(catalog, matchAll(catalog, ['DLP', 'eDiscovery Premium', 'Intune', 'Insider risk']));
+    assert.deepEqual(ranked.map(e => [e.col, e.coverage, e.monthly, e.minimal]), [
+        ['M365 - E3 + E5 Compliance', 1, 48, true],
+        ['M365 - E5', 1, 57, false],
+        ['M365 - E3', 0.63, 36, false],
+    ]);
+
+    const [withAddon, , e3] = ranked;
+    assert.deepEqual(withAddon.addons, ['compliance']);
+    assert.deepEqual(withAddon.results.map(r => r.via), [undefined, 'E5 Compliance', undefined, 'E5 Compliance']);
+    assert.deepEqual(e3.missing.map(r => r.name), ['eDiscovery Premium']);
+    assert.deepEqual(e3.partial.map(r => r.name), ['Insider risk']);
+});
+
+test('without prices the option with the fewest add-ons is minimal', () => {
+    const catalog = buildRequirementCatalog([map()], [compliance(null)]);
+    const ranked = rankCoverage(catalog, matchAll(catalog, ['eDiscovery Premium']));
+    assert.equal(ranked.find(e => e.minimal).col, 'M365 - E5');
+    assert.equal(ranked.find(e => e.addons.length).price, null);
+});
+
+test('a combination with an unpriced add-on has no price', () => {
+    const catalog = buildRequirementCatalog([map({ E3: usd(36), E5: usd(57) })], [compliance(null)]);
+    const ranked = rankCoverage(catalog, matchAll(catalog, ['eDiscovery Premium']));
+    const withAddon = ranked.find(e => e.addons.length);
+    assert.equal(withAddon.monthly, null);
+    // The priced tier that covers everything wins over the unpriced combination
+    assert.equal(ranked.find(e => e.minimal).col, 'M365 - E5');
+});
+
+test('unmatched requirements are left out of the ranking', () => {
+    const catalog = buildRequirementCatalog([map()], []);
+    assert.deepEqual(rankCoverage(catalog, [{ name: 'Quantum teleportation', key: null }]), []);
+});